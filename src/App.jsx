@@ -2,12 +2,16 @@ import { Routes, Route } from 'react-router-dom'
 import { Suspense, lazy, useEffect } from 'react'
 import Header from './components/layout/Header'
 import Sidebar from './components/layout/Sidebar'
+import CommandPalette from './components/layout/CommandPalette'
 import LoadingSpinner from './components/common/LoadingSpinner'
 import ErrorBoundary from './components/common/ErrorBoundary'
 import { loadPersistedRootFolder } from './utils/fileSystem'
-import { migrateInstructorAvatars } from './utils/db'
 import { SidebarProvider, useSidebar } from './contexts/SidebarContext'
 import { SearchProvider } from './contexts/SearchContext'
+import { AIQueueProvider } from './contexts/AIQueueContext'
+import { CommandPaletteProvider } from './contexts/CommandPaletteContext'
+import { ShortcutsProvider } from './contexts/ShortcutsContext'
+import { initAIQueue } from './utils/aiQueue'
 
 // Lazy load pages for better performance
 const HomePage = lazy(() => import('./pages/HomePage'))
@@ -21,17 +25,19 @@ const ProfilePage = lazy(() => import('./pages/ProfilePage'))
 function AppContent() {
     const { isExpanded } = useSidebar()
 
-    // On startup, try to restore persisted folder access and run migrations
+    // On startup, try to restore persisted folder access
     useEffect(() => {
-        // Migrate legacy instructor avatars from courses to instructors store
-        migrateInstructorAvatars()
-
         loadPersistedRootFolder().then(success => {
             if (success) {
                 console.log('[App] Folder access restored automatically')
             }
         }).catch(err => {
             console.log('[App] Could not restore folder access:', err.message)
+        }).finally(() => {
+            // Resume background transcription once folder access is known
+            initAIQueue().catch(err => {
+                console.error('[App] Could not load the AI queue:', err)
+            })
         })
     }, [])
 
@@ -39,6 +45,7 @@ function AppContent() {
         <div className="min-h-screen bg-light-bg dark:bg-dark-bg text-light-text-primary dark:text-dark-text-primary transition-colors duration-300">
             <Header />
             <Sidebar />
+            <CommandPalette />
             <main
                 className={`
                     pt-6 pb-6 px-4
@@ -70,7 +77,13 @@ function App() {
         <ErrorBoundary>
             <SidebarProvider>
                 <SearchProvider>
-                    <AppContent />
+                    <AIQueueProvider>
+                        <ShortcutsProvider>
+                            <CommandPaletteProvider>
+                                <AppContent />
+                            </CommandPaletteProvider>
+                        </ShortcutsProvider>
+                    </AIQueueProvider>
                 </SearchProvider>
             </SidebarProvider>
         </ErrorBoundary>
@@ -1,9 +1,10 @@
 import { Link, useNavigate } from 'react-router-dom'
-import { Play, Clock, Video, MoreVertical, Pencil, Trash2, RefreshCw } from 'lucide-react'
+import { Play, Clock, Video, MoreVertical, Pencil, Trash2, RefreshCw, Sparkles } from 'lucide-react'
 import { formatDuration, deleteCourse, getInstructorAvatar } from '../../utils/db'
+import { enqueueCourse, forgetCourseAIJobs } from '../../utils/aiQueue'
 import { useState, useEffect } from 'react'
 
-function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit }) {
+function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit, onSync }) {
     const navigate = useNavigate()
     const [showMenu, setShowMenu] = useState(false)
     const [isDeleting, setIsDeleting] = useState(false)
@@ -46,6 +47,7 @@ function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit }) {
         try {
             setIsDeleting(true)
             await deleteCourse(course.id)
+            forgetCourseAIJobs(course.id)
             onRefresh?.()
         } catch (err) {
             console.error('Failed to delete course:', err)
@@ -63,6 +65,34 @@ function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit }) {
         onEdit?.(course)
     }
 
+    function handleSync(e) {
+        e.preventDefault()
+        e.stopPropagation()
+        setShowMenu(false)
+        onSync?.(course)
+    }
+
+    async function handleSummarize(e) {
+        e.preventDefault()
+        e.stopPropagation()
+        setShowMenu(false)
+
+        try {
+            const { added } = await enqueueCourse(course.id)
+            if (added === 0) {
+                alert('Every video of this course is already summarized or queued.')
+            }
+        } catch (err) {
+            console.error('Failed to queue course:', err)
+            alert('Failed to queue course: ' + err.message)
+        }
+    }
+
+    // Only courses imported from a local folder can be rescanned or transcribed. Older
+    // YouTube and Drive courses were saved without a source, so that alone doesn't tell
+    const isLocal = !!course.folderHandle || course.source === 'local'
+    const canSync = !!onSync && isLocal
+
     if (viewMode === 'list') {
         return (
             <Link
@@ -118,6 +148,28 @@ function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit }) {
                     </span>
                 </div>
 
+                {/* Sync Button for List View */}
+                {canSync && (
+                    <button
+                        onClick={handleSync}
+                        className="p-2 hover:bg-gray-100 dark:hover:bg-white/10 rounded-full transition-colors text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white"
+                        title="Sync with folder"
+                    >
+                        <RefreshCw className="w-4 h-4" />
+                    </button>
+                )}
+
+                {/* Summarize Button for List View */}
+                {isLocal && (
+                    <button
+                        onClick={handleSummarize}
+                        className="p-2 hover:bg-gray-100 dark:hover:bg-white/10 rounded-full transition-colors text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white"
+                        title="Transcribe & summarize all videos"
+                    >
+                        <Sparkles className="w-4 h-4" />
+                    </button>
+                )}
+
                 {/* Edit Button for List View */}
                 <button
                     onClick={handleEdit}
@@ -192,6 +244,24 @@ function CourseCard({ course, viewMode = 'grid', onRefresh, onEdit }) {
                                         <Pencil className="w-3 h-3" />
                                         Edit
                                     </button>
+                                    {canSync && (
+                                        <button
+                                            className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-neutral-300 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-white/10 flex items-center gap-2"
+                                            onClick={handleSync}
+                                        >
+                                            <RefreshCw className="w-3 h-3" />
+                                            Sync with folder
+                                        </button>
+                                    )}
+                                    {isLocal && (
+                                        <button
+                                            className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-neutral-300 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-white/10 flex items-center gap-2"
+                                            onClick={handleSummarize}
+                                        >
+                                            <Sparkles className="w-3 h-3" />
+                                            Summarize all
+                                        </button>
+                                    )}
                                     <button
                                         className="w-full px-3 py-2 text-left text-sm text-red-500 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-500/10 flex items-center gap-2"
                                         onClick={handleDelete}
@@ -2,6 +2,15 @@ import { useState, useRef, useEffect } from 'react'
 import { X, Upload, Image, BookOpen, User, FileText, Trash2, Tag } from 'lucide-react'
 import { updateCourse, formatDuration } from '../../utils/db'
 import { validateCourseTitle, sanitizeHTML } from '../../utils/validation'
+import { useSettings } from '../../contexts/SettingsContext'
+
+/**
+ * Seconds from a skip field, or null when empty so the setting applies
+ */
+function parseSkipSeconds(value) {
+    const seconds = parseInt(value)
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null
+}
 
 function EditCourseModal({ course, isOpen, onClose, onSave }) {
     const [formData, setFormData] = useState({
@@ -9,8 +18,12 @@ function EditCourseModal({ course, isOpen, onClose, onSave }) {
         description: '',
         instructor: '',
         tags: [],
-        thumbnailData: null
+        thumbnailData: null,
+        // Per-course intro/outro, '' to use the Playback settings
+        skipIntro: '',
+        skipOutro: ''
     })
+    const { settings } = useSettings()
     const [newTag, setNewTag] = useState('')
     const [isSaving, setIsSaving] = useState(false)
     const [errors, setErrors] = useState({})
@@ -24,7 +37,9 @@ function EditCourseModal({ course, isOpen, onClose, onSave }) {
                 description: course.description || '',
                 instructor: course.instructor || '',
                 tags: course.tags || [],
-                thumbnailData: course.thumbnailData || null
+                thumbnailData: course.thumbnailData || null,
+                skipIntro: course.skipIntro ?? '',
+                skipOutro: course.skipOutro ?? ''
             })
             setErrors({})
             setNewTag('')
@@ -163,6 +178,8 @@ function EditCourseModal({ course, isOpen, onClose, onSave }) {
                 instructor: sanitizeHTML(formData.instructor),
                 tags: formData.tags,
                 thumbnailData: formData.thumbnailData,
+                skipIntro: parseSkipSeconds(formData.skipIntro),
+                skipOutro: parseSkipSeconds(formData.skipOutro),
                 updatedAt: new Date().toISOString()
             })
             onSave?.()
@@ -321,6 +338,35 @@ function EditCourseModal({ course, isOpen, onClose, onSave }) {
                         )}
                     </div>
 
+                    {/* Intro & Outro */}
+                    <div>
+                        <label className="block text-sm font-medium mb-2">
+                            Intro & Outro
+                        </label>
+                        <div className="grid grid-cols-2 gap-3">
+                            {[
+                                { field: 'skipIntro', label: 'Skip intro (seconds)' },
+                                { field: 'skipOutro', label: 'Outro length (seconds)' }
+                            ].map(({ field, label }) => (
+                                <div key={field}>
+                                    <span className="block text-xs text-light-text-secondary dark:text-dark-text-secondary mb-1">{label}</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="600"
+                                        value={formData[field]}
+                                        onChange={(e) => handleChange(field, e.target.value)}
+                                        className="w-full px-3 py-2 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0"
+                                        placeholder={`Default: ${settings[field]}s`}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                            Leave empty to use the Playback settings. Videos count as complete when their outro starts.
+                        </p>
+                    </div>
+
                     {/* Course Stats */}
                     <div className="p-3 bg-light-surface dark:bg-dark-bg rounded-lg text-sm text-light-text-secondary dark:text-dark-text-secondary">
                         <div className="flex items-center gap-4">
@@ -336,6 +336,11 @@ function ImportPreviewModal({
                                             <>
                                                 <Folder className="w-4 h-4 text-primary" />
                                                 <span className="flex-1 font-medium text-sm truncate">
+                                                    {module.sectionPath?.length > 0 && (
+                                                        <span className="font-normal text-light-text-secondary dark:text-dark-text-secondary">
+                                                            {module.sectionPath.join(' › ')} ›{' '}
+                                                        </span>
+                                                    )}
                                                     {module.title}
                                                 </span>
                                                 <button
@@ -0,0 +1,385 @@
+import { useState, useEffect, useRef } from 'react'
+import { X, Library, FolderOpen, RefreshCw, CheckCircle, AlertTriangle, Pause, Play, Clock } from 'lucide-react'
+import { getAllCourses } from '../../utils/db'
+import {
+    scanLibraryFolder, getRootFolderHandle, getRootFolderName, hasRootFolderAccess, hasStoredRootFolder,
+    requestRootFolderPermission, pickRootFolder, isFileSystemAccessSupported
+} from '../../utils/fileSystem'
+import {
+    getImportQueue, createImportQueue, runImportQueue, clearImportQueue, retryFailedImports, hasUnfinishedImport
+} from '../../utils/libraryImport'
+
+function LibraryScanModal({ isOpen, onClose, onImported }) {
+    // 'access' | 'scanning' | 'select' | 'queue'
+    const [step, setStep] = useState('access')
+    const [foundCourses, setFoundCourses] = useState([])
+    const [selected, setSelected] = useState(new Set())
+    const [inspected, setInspected] = useState(0)
+    const [queue, setQueue] = useState(null)
+    const [scanProgress, setScanProgress] = useState(null)
+    const [isRunning, setIsRunning] = useState(false)
+    const [error, setError] = useState(null)
+    const stopRequestedRef = useRef(false)
+
+    useEffect(() => {
+        if (!isOpen) return
+
+        setError(null)
+        const savedQueue = getImportQueue()
+        if (savedQueue) {
+            setQueue(savedQueue)
+            setStep('queue')
+        } else if (hasRootFolderAccess()) {
+            scanLibrary()
+        } else {
+            setStep('access')
+        }
+    }, [isOpen])
+
+    async function scanLibrary() {
+        try {
+            setStep('scanning')
+            setInspected(0)
+            setError(null)
+
+            const [courses, existing] = await Promise.all([
+                scanLibraryFolder(getRootFolderHandle(), setInspected),
+                getAllCourses()
+            ])
+
+            // Local imports keep the folder name as originalTitle
+            const existingByFolder = new Map(existing.map(c => [(c.originalTitle || c.title).toLowerCase(), c]))
+            const flagged = courses.map(course => ({
+                ...course,
+                existingCourse: existingByFolder.get(course.name.toLowerCase()) || null
+            }))
+
+            setFoundCourses(flagged)
+            setSelected(new Set(flagged.filter(c => !c.existingCourse).map(c => c.path)))
+            setStep('select')
+        } catch (err) {
+            console.error('Failed to scan library:', err)
+            setError(err.message)
+            setStep('access')
+        }
+    }
+
+    // Permission prompts and pickers need the click's user gesture
+    async function handleGrantAccess() {
+        try {
+            setError(null)
+            const granted = hasStoredRootFolder()
+                ? await requestRootFolderPermission()
+                : !!(await pickRootFolder())
+            if (granted) {
+                scanLibrary()
+            } else if (hasStoredRootFolder()) {
+                setError('Access was not granted. You can pick a different library folder in Settings.')
+            }
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    function toggleCourse(path) {
+        setSelected(prev => {
+            const next = new Set(prev)
+            if (next.has(path)) next.delete(path)
+            else next.add(path)
+            return next
+        })
+    }
+
+    async function runQueue() {
+        if (!hasRootFolderAccess()) {
+            const granted = await requestRootFolderPermission()
+            if (!granted) {
+                setError('Grant access to the library folder to continue importing.')
+                return
+            }
+        }
+
+        stopRequestedRef.current = false
+        setIsRunning(true)
+        setError(null)
+
+        try {
+            const finished = await runImportQueue({
+                onUpdate: (updated, progress) => {
+                    setQueue(updated)
+                    setScanProgress(progress)
+                },
+                shouldStop: () => stopRequestedRef.current
+            })
+            setQueue(finished)
+            onImported?.()
+        } catch (err) {
+            console.error('Library import failed:', err)
+            setError(err.message)
+        } finally {
+            setScanProgress(null)
+            setIsRunning(false)
+        }
+    }
+
+    function handleStartImport() {
+        const courses = foundCourses.filter(c => selected.has(c.path))
+        setQueue(createImportQueue(courses))
+        setStep('queue')
+        runQueue()
+    }
+
+    function handleDiscardQueue() {
+        clearImportQueue()
+        setQueue(null)
+        if (hasRootFolderAccess()) {
+            scanLibrary()
+        } else {
+            setStep('access')
+        }
+    }
+
+    function handleClose() {
+        // Closing pauses after the current course; the queue can be resumed later
+        stopRequestedRef.current = true
+        onClose()
+    }
+
+    if (!isOpen) return null
+
+    const counts = queue ? {
+        done: queue.items.filter(i => i.status === 'done').length,
+        failed: queue.items.filter(i => i.status === 'failed').length,
+        total: queue.items.length
+    } : null
+    const unfinished = hasUnfinishedImport(queue)
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/50" onClick={handleClose} />
+
+            <div className="relative bg-white dark:bg-dark-surface rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col animate-scale-in">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-light-border dark:border-dark-border">
+                    <div className="min-w-0">
+                        <h2 className="text-xl font-semibold">Scan Library</h2>
+                        {getRootFolderName() && (
+                            <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary truncate">
+                                {getRootFolderName()}
+                            </p>
+                        )}
+                    </div>
+                    <button onClick={handleClose} className="p-2 hover:bg-light-surface dark:hover:bg-dark-bg rounded-lg">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    {error && (
+                        <div className="p-3 bg-error/10 text-error rounded-lg text-sm">{error}</div>
+                    )}
+
+                    {step === 'access' && (
+                        <div className="py-8 flex flex-col items-center gap-4 text-center">
+                            <Library className="w-10 h-10 text-light-text-secondary dark:text-dark-text-secondary" />
+                            {isFileSystemAccessSupported() ? (
+                                <>
+                                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary max-w-sm">
+                                        {hasStoredRootFolder()
+                                            ? `Allow access to ${getRootFolderName()} to find every course inside it.`
+                                            : 'Choose the folder that holds all your courses. Every course folder inside it will be listed.'}
+                                    </p>
+                                    <button
+                                        onClick={handleGrantAccess}
+                                        className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                                    >
+                                        <FolderOpen className="w-4 h-4" />
+                                        {hasStoredRootFolder() ? 'Allow Access' : 'Choose Library Folder'}
+                                    </button>
+                                </>
+                            ) : (
+                                <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary max-w-sm">
+                                    Scanning a library needs the File System Access API (Chrome, Edge or Opera).
+                                    You can still import courses one at a time.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {step === 'scanning' && (
+                        <div className="py-10 flex flex-col items-center gap-3 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                            <RefreshCw className="w-6 h-6 animate-spin" />
+                            Looking for courses... {inspected} folder{inspected === 1 ? '' : 's'} checked
+                        </div>
+                    )}
+
+                    {step === 'select' && (
+                        foundCourses.length === 0 ? (
+                            <div className="py-8 text-center text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                                No course folders with videos were found.
+                            </div>
+                        ) : (
+                            <>
+                                <div className="flex items-center justify-between text-sm">
+                                    <span className="text-light-text-secondary dark:text-dark-text-secondary">
+                                        Found {foundCourses.length} course{foundCourses.length === 1 ? '' : 's'}
+                                    </span>
+                                    <div className="flex gap-3">
+                                        <button onClick={() => setSelected(new Set(foundCourses.map(c => c.path)))} className="text-primary hover:underline">
+                                            Select all
+                                        </button>
+                                        <button onClick={() => setSelected(new Set())} className="text-primary hover:underline">
+                                            Select none
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="border border-light-border dark:border-dark-border rounded-lg divide-y divide-light-border dark:divide-dark-border">
+                                    {foundCourses.map(course => (
+                                        <label key={course.path} className="flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-light-surface dark:hover:bg-dark-bg">
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.has(course.path)}
+                                                onChange={() => toggleCourse(course.path)}
+                                                className="rounded"
+                                            />
+                                            <div className="flex-1 min-w-0">
+                                                <div className="text-sm font-medium truncate">{course.name}</div>
+                                                <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary truncate">
+                                                    {course.path} · {course.moduleCount} module{course.moduleCount === 1 ? '' : 's'} · {course.videoCount} video{course.videoCount === 1 ? '' : 's'}
+                                                </div>
+                                            </div>
+                                            {course.existingCourse && (
+                                                <span className="text-xs px-2 py-0.5 rounded-full bg-warning/10 text-warning flex-shrink-0">
+                                                    Already imported
+                                                </span>
+                                            )}
+                                        </label>
+                                    ))}
+                                </div>
+                            </>
+                        )
+                    )}
+
+                    {step === 'queue' && queue && (
+                        <>
+                            <div>
+                                <div className="flex items-center justify-between text-sm mb-2">
+                                    <span>
+                                        {counts.done} of {counts.total} imported
+                                        {counts.failed > 0 && <span className="text-error"> · {counts.failed} failed</span>}
+                                    </span>
+                                    {!isRunning && unfinished && (
+                                        <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">Paused</span>
+                                    )}
+                                </div>
+                                <div className="h-2 bg-light-surface dark:bg-dark-bg rounded-full overflow-hidden">
+                                    <div
+                                        className="h-full bg-primary transition-all"
+                                        style={{ width: `${counts.total > 0 ? ((counts.done + counts.failed) / counts.total) * 100 : 0}%` }}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="border border-light-border dark:border-dark-border rounded-lg divide-y divide-light-border dark:divide-dark-border">
+                                {queue.items.map(item => (
+                                    <div key={item.path} className="flex items-center gap-3 px-3 py-2 text-sm">
+                                        <QueueStatusIcon status={item.status} isRunning={isRunning} />
+                                        <div className="flex-1 min-w-0">
+                                            <div className="truncate">{item.name}</div>
+                                            {item.status === 'importing' && isRunning && scanProgress && (
+                                                <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                                    Reading videos {scanProgress.current}/{scanProgress.total}
+                                                </div>
+                                            )}
+                                            {item.error && (
+                                                <div className="text-xs text-error truncate">{item.error}</div>
+                                            )}
+                                        </div>
+                                        <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary tabular-nums">
+                                            {item.videoCount} videos
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-between gap-3 p-4 border-t border-light-border dark:border-dark-border">
+                    <div>
+                        {step === 'queue' && !isRunning && (
+                            <button
+                                onClick={handleDiscardQueue}
+                                className="text-sm text-light-text-secondary dark:text-dark-text-secondary hover:text-primary"
+                            >
+                                {unfinished ? 'Discard queue' : 'Scan again'}
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={handleClose}
+                            className="px-4 py-2 text-sm font-medium border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors"
+                        >
+                            Close
+                        </button>
+
+                        {step === 'select' && (
+                            <button
+                                onClick={handleStartImport}
+                                disabled={selected.size === 0}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Import {selected.size} Course{selected.size === 1 ? '' : 's'}
+                            </button>
+                        )}
+
+                        {step === 'queue' && isRunning && (
+                            <button
+                                onClick={() => { stopRequestedRef.current = true }}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                            >
+                                <Pause className="w-4 h-4" />
+                                Pause
+                            </button>
+                        )}
+
+                        {step === 'queue' && !isRunning && unfinished && (
+                            <button
+                                onClick={runQueue}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                            >
+                                <Play className="w-4 h-4" />
+                                Resume
+                            </button>
+                        )}
+
+                        {step === 'queue' && !isRunning && !unfinished && counts?.failed > 0 && (
+                            <button
+                                onClick={() => {
+                                    setQueue(retryFailedImports())
+                                    runQueue()
+                                }}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                            >
+                                <RefreshCw className="w-4 h-4" />
+                                Retry Failed
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+function QueueStatusIcon({ status, isRunning }) {
+    if (status === 'done') return <CheckCircle className="w-4 h-4 text-success flex-shrink-0" />
+    if (status === 'failed') return <AlertTriangle className="w-4 h-4 text-error flex-shrink-0" />
+    if (status === 'importing' && isRunning) return <RefreshCw className="w-4 h-4 text-primary animate-spin flex-shrink-0" />
+    return <Clock className="w-4 h-4 text-light-text-secondary dark:text-dark-text-secondary flex-shrink-0" />
+}
+
+export default LibraryScanModal
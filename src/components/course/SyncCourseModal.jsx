@@ -0,0 +1,327 @@
+import { useState, useEffect, useCallback } from 'react'
+import { X, RefreshCw, FolderOpen, Plus, Minus, ArrowRight, AlertTriangle, CheckCircle } from 'lucide-react'
+import { getModulesByCourse, getVideosByCourse, getNotesByCourse, applyCourseSync } from '../../utils/db'
+import {
+    rescanCourseFolder, scanCourseFolder, scanFolderFromFiles, verifyPermission,
+    pickFolder, pickFolderFallback, isFileSystemAccessSupported, getCourseFolderLayout
+} from '../../utils/fileSystem'
+import { diffCourseFolder } from '../../utils/courseSync'
+
+function SyncCourseModal({ course, isOpen, onClose, onSynced }) {
+    // 'scanning' | 'needsFolder' | 'preview' | 'applying' | 'done'
+    const [step, setStep] = useState('scanning')
+    const [scanProgress, setScanProgress] = useState(null)
+    const [plan, setPlan] = useState(null)
+    const [removedNotes, setRemovedNotes] = useState(0)
+    const [error, setError] = useState(null)
+
+    const onScanProgress = useCallback((current, total) => {
+        setScanProgress({ current, total })
+    }, [])
+
+    const scan = useCallback(async (getStructure) => {
+        try {
+            setStep('scanning')
+            setScanProgress(null)
+            setError(null)
+
+            const scanned = await getStructure()
+            if (!scanned) {
+                setStep('needsFolder')
+                return
+            }
+
+            const [modules, videos, notes] = await Promise.all([
+                getModulesByCourse(course.id),
+                getVideosByCourse(course.id),
+                getNotesByCourse(course.id)
+            ])
+
+            if (videos.some(v => v.youtubeId || v.driveFileId)) {
+                throw new Error('Only courses imported from a local folder can be synced.')
+            }
+
+            const syncPlan = diffCourseFolder({ course, modules, videos }, scanned)
+            const removedIds = new Set(syncPlan.removedVideos.map(v => v.id))
+            setRemovedNotes(notes.filter(n => removedIds.has(n.videoId)).length)
+            setPlan(syncPlan)
+            setStep('preview')
+        } catch (err) {
+            console.error('Failed to scan course folder:', err)
+            setError(err.message)
+            setStep('needsFolder')
+        }
+    }, [course])
+
+    useEffect(() => {
+        if (course && isOpen) {
+            setPlan(null)
+            setError(null)
+            scan(() => rescanCourseFolder(course, onScanProgress))
+        }
+    }, [course, isOpen, scan, onScanProgress])
+
+    // Needs a user gesture for permission prompts and pickers
+    async function handleChooseFolder() {
+        const layout = getCourseFolderLayout(course)
+
+        scan(async () => {
+            if (course.folderHandle && typeof course.folderHandle.requestPermission === 'function') {
+                if (await verifyPermission(course.folderHandle)) {
+                    return scanCourseFolder(course.folderHandle, onScanProgress, layout)
+                }
+            }
+
+            if (isFileSystemAccessSupported()) {
+                const handle = await pickFolder()
+                return handle ? scanCourseFolder(handle, onScanProgress, layout) : null
+            }
+
+            const result = await pickFolderFallback()
+            return result ? scanFolderFromFiles(result.files, result.folderName, onScanProgress, layout) : null
+        })
+    }
+
+    async function handleApply() {
+        if (plan.summary.removed > 0 && !confirm(
+            `${plan.summary.removed} video${plan.summary.removed === 1 ? '' : 's'} will be removed from this course` +
+            (removedNotes > 0 ? `, along with ${removedNotes} note${removedNotes === 1 ? '' : 's'}` : '') +
+            '.\n\nContinue?'
+        )) {
+            return
+        }
+
+        try {
+            setStep('applying')
+            setError(null)
+            await applyCourseSync(course.id, plan)
+            setStep('done')
+            onSynced?.()
+        } catch (err) {
+            console.error('Failed to sync course:', err)
+            setError(err.message)
+            setStep('preview')
+        }
+    }
+
+    if (!isOpen || !course) return null
+
+    const summary = plan?.summary
+    const addedVideos = plan?.videos.filter(v => v.status === 'added') || []
+    const renamedVideos = plan?.videos.filter(v => v.status === 'renamed') || []
+    const changedVideos = plan?.videos.filter(v => v.status === 'changed') || []
+    const renamedModules = plan?.modules.filter(m => m.status === 'renamed') || []
+    const addedModules = plan?.modules.filter(m => m.status === 'added') || []
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/50" onClick={step === 'applying' ? undefined : onClose} />
+
+            <div className="relative bg-white dark:bg-dark-surface rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col animate-scale-in">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-light-border dark:border-dark-border">
+                    <div className="min-w-0">
+                        <h2 className="text-xl font-semibold">Sync with Folder</h2>
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary truncate">
+                            {course.title}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={step === 'applying'}
+                        className="p-2 hover:bg-light-surface dark:hover:bg-dark-bg rounded-lg"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    {error && (
+                        <div className="p-3 bg-error/10 text-error rounded-lg text-sm">{error}</div>
+                    )}
+
+                    {step === 'scanning' && (
+                        <div className="py-10 flex flex-col items-center gap-3 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                            <RefreshCw className="w-6 h-6 animate-spin" />
+                            {scanProgress
+                                ? `Scanning videos... ${scanProgress.current}/${scanProgress.total}`
+                                : 'Scanning course folder...'}
+                        </div>
+                    )}
+
+                    {step === 'needsFolder' && (
+                        <div className="py-8 flex flex-col items-center gap-4 text-center">
+                            <FolderOpen className="w-10 h-10 text-light-text-secondary dark:text-dark-text-secondary" />
+                            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary max-w-sm">
+                                Select the folder of <span className="font-medium">{course.originalTitle || course.title}</span> to
+                                compare it with the imported course.
+                            </p>
+                            <button
+                                onClick={handleChooseFolder}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                            >
+                                <FolderOpen className="w-4 h-4" />
+                                Choose Folder
+                            </button>
+                        </div>
+                    )}
+
+                    {(step === 'preview' || step === 'applying') && plan && (
+                        <>
+                            {!summary.hasChanges ? (
+                                <div className="flex items-center gap-2 text-success text-sm font-medium">
+                                    <CheckCircle className="w-5 h-5" />
+                                    The course is up to date with its folder.
+                                </div>
+                            ) : (
+                                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center text-sm">
+                                    {[
+                                        { label: 'Added', value: summary.added },
+                                        { label: 'Renamed', value: summary.renamed },
+                                        { label: 'Removed', value: summary.removed },
+                                        { label: 'Unchanged', value: summary.unchanged + summary.changed }
+                                    ].map(item => (
+                                        <div key={item.label} className="p-3 rounded-lg bg-light-surface dark:bg-dark-bg">
+                                            <div className="text-lg font-semibold tabular-nums">{item.value}</div>
+                                            <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">{item.label}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {(addedModules.length > 0 || renamedModules.length > 0 || plan.removedModules.length > 0) && (
+                                <SyncSection title="Modules">
+                                    {addedModules.map(m => (
+                                        <SyncItem key={`add-${m.order}`} type="added">{m.originalTitle}</SyncItem>
+                                    ))}
+                                    {renamedModules.map(m => (
+                                        <SyncItem key={`ren-${m.id}`} type="renamed" from={m.previousOriginalTitle}>{m.originalTitle}</SyncItem>
+                                    ))}
+                                    {plan.removedModules.map(m => (
+                                        <SyncItem key={`rem-${m.id}`} type="removed">{m.originalTitle || m.title}</SyncItem>
+                                    ))}
+                                </SyncSection>
+                            )}
+
+                            {addedVideos.length > 0 && (
+                                <SyncSection title="New videos">
+                                    {addedVideos.map(v => (
+                                        <SyncItem key={v.path} type="added">{v.path}</SyncItem>
+                                    ))}
+                                </SyncSection>
+                            )}
+
+                            {renamedVideos.length > 0 && (
+                                <SyncSection title="Renamed or moved">
+                                    {renamedVideos.map(v => (
+                                        <SyncItem key={v.path} type="renamed" from={v.previousPath}>{v.path}</SyncItem>
+                                    ))}
+                                </SyncSection>
+                            )}
+
+                            {plan.removedVideos.length > 0 && (
+                                <SyncSection title="Missing from folder">
+                                    {plan.removedVideos.map(v => (
+                                        <SyncItem key={v.id} type="removed">{v.path}</SyncItem>
+                                    ))}
+                                </SyncSection>
+                            )}
+
+                            {changedVideos.length > 0 && (
+                                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                    {changedVideos.length} video{changedVideos.length === 1 ? '' : 's'} changed size or length and will keep their progress.
+                                </p>
+                            )}
+
+                            {removedNotes > 0 && (
+                                <div className="flex items-start gap-2 px-3 py-2 bg-warning/10 text-warning rounded-lg text-sm">
+                                    <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                                    {removedNotes} note{removedNotes === 1 ? ' is' : 's are'} attached to missing videos and will be deleted.
+                                </div>
+                            )}
+
+                            <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                Matched videos keep their progress, notes, favorites and AI transcripts.
+                            </p>
+                        </>
+                    )}
+
+                    {step === 'done' && (
+                        <div className="flex items-center gap-2 text-success text-sm font-medium">
+                            <CheckCircle className="w-5 h-5" />
+                            Course synced with its folder.
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-between gap-3 p-4 border-t border-light-border dark:border-dark-border">
+                    <div>
+                        {step === 'preview' && (
+                            <button
+                                onClick={handleChooseFolder}
+                                className="text-sm text-light-text-secondary dark:text-dark-text-secondary hover:text-primary flex items-center gap-1.5"
+                            >
+                                <FolderOpen className="w-4 h-4" />
+                                Choose another folder
+                            </button>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={onClose}
+                            disabled={step === 'applying'}
+                            className="px-4 py-2 text-sm font-medium border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors"
+                        >
+                            {step === 'done' ? 'Close' : 'Cancel'}
+                        </button>
+                        {(step === 'preview' || step === 'applying') && (
+                            <button
+                                onClick={handleApply}
+                                disabled={step === 'applying' || !summary?.hasChanges}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${step === 'applying' ? 'animate-spin' : ''}`} />
+                                {step === 'applying' ? 'Syncing...' : 'Apply Sync'}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+function SyncSection({ title, children }) {
+    return (
+        <div>
+            <h3 className="text-sm font-medium mb-2">{title}</h3>
+            <div className="border border-light-border dark:border-dark-border rounded-lg divide-y divide-light-border dark:divide-dark-border max-h-48 overflow-y-auto">
+                {children}
+            </div>
+        </div>
+    )
+}
+
+function SyncItem({ type, from, children }) {
+    const icons = {
+        added: <Plus className="w-4 h-4 text-success flex-shrink-0" />,
+        removed: <Minus className="w-4 h-4 text-error flex-shrink-0" />,
+        renamed: <ArrowRight className="w-4 h-4 text-primary flex-shrink-0" />
+    }
+
+    return (
+        <div className="flex items-start gap-2 px-3 py-2 text-sm">
+            {icons[type]}
+            <div className="min-w-0 break-all">
+                {from && (
+                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary line-through">{from}</div>
+                )}
+                {children}
+            </div>
+        </div>
+    )
+}
+
+export default SyncCourseModal
@@ -0,0 +1,182 @@
+import { useState } from 'react'
+import { Sparkles, Loader2, Pause, Play, X, RotateCcw, CheckCircle, AlertCircle, Lock, Clock } from 'lucide-react'
+import { useAIQueue } from '../../contexts/AIQueueContext'
+import {
+    pauseAIQueue, resumeAIQueue, cancelAIJob, cancelAllAIJobs, retryAIJob, clearFinishedAIJobs
+} from '../../utils/aiQueue'
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    done: 'Done',
+    failed: 'Failed',
+    needs_access: 'Needs folder access',
+    cancelled: 'Cancelled'
+}
+
+function StatusIcon({ status }) {
+    switch (status) {
+        case 'running':
+            return <Loader2 className="w-4 h-4 text-primary animate-spin flex-shrink-0" />
+        case 'done':
+            return <CheckCircle className="w-4 h-4 text-success flex-shrink-0" />
+        case 'failed':
+            return <AlertCircle className="w-4 h-4 text-error flex-shrink-0" />
+        case 'needs_access':
+            return <Lock className="w-4 h-4 text-warning flex-shrink-0" />
+        case 'cancelled':
+            return <X className="w-4 h-4 text-gray-400 flex-shrink-0" />
+        default:
+            return <Clock className="w-4 h-4 text-gray-400 flex-shrink-0" />
+    }
+}
+
+/**
+ * Header button showing the background transcription queue
+ * Hidden while the queue is empty; opens a panel listing every job.
+ */
+function AIQueueIndicator() {
+    const { jobs, isPaused, progress } = useAIQueue()
+    const [isOpen, setIsOpen] = useState(false)
+
+    if (jobs.length === 0) return null
+
+    const remaining = jobs.filter(job => job.status === 'queued' || job.status === 'running').length
+    const finished = jobs.filter(job => job.status === 'done').length
+    const needsAttention = jobs.some(job => job.status === 'failed' || job.status === 'needs_access')
+    const hasFinished = jobs.some(job => ['done', 'failed', 'cancelled'].includes(job.status))
+
+    async function handleAction(action) {
+        try {
+            await action()
+        } catch (err) {
+            console.error('AI queue action failed:', err)
+            alert(err.message)
+        }
+    }
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative flex items-center gap-1.5 p-2 rounded-full text-gray-600 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-white/10 transition-all duration-200"
+                aria-label="AI queue"
+                title={remaining > 0 ? `${remaining} video${remaining !== 1 ? 's' : ''} left to transcribe` : 'AI queue'}
+            >
+                {remaining > 0 && !isPaused ? (
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                ) : isPaused && remaining > 0 ? (
+                    <Pause className="w-5 h-5" />
+                ) : (
+                    <Sparkles className="w-5 h-5" />
+                )}
+                {remaining > 0 && <span className="text-xs font-medium">{remaining}</span>}
+                {needsAttention && (
+                    <span className="absolute top-1 right-1 w-2 h-2 rounded-full bg-warning" />
+                )}
+            </button>
+
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 top-full mt-2 w-80 bg-white dark:bg-neutral-900 rounded-lg shadow-xl border border-gray-200 dark:border-white/10 z-20">
+                        {/* Header */}
+                        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-white/10">
+                            <div>
+                                <div className="text-sm font-semibold text-gray-900 dark:text-white">AI Queue</div>
+                                <div className="text-xs text-gray-500 dark:text-neutral-400">
+                                    {finished} of {jobs.length} done{isPaused ? ' · Paused' : ''}
+                                </div>
+                            </div>
+                            {remaining > 0 && (
+                                <div className="flex items-center gap-1">
+                                    <button
+                                        onClick={() => isPaused ? resumeAIQueue() : pauseAIQueue()}
+                                        className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-white/10 text-gray-600 dark:text-neutral-300"
+                                        title={isPaused ? 'Resume' : 'Pause'}
+                                    >
+                                        {isPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                                    </button>
+                                    <button
+                                        onClick={() => handleAction(cancelAllAIJobs)}
+                                        className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-white/10 text-error"
+                                        title="Cancel all"
+                                    >
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Jobs */}
+                        <div className="max-h-80 overflow-y-auto py-1">
+                            {jobs.map(job => (
+                                <div key={job.id} className="flex items-start gap-2 px-4 py-2">
+                                    <div className="mt-0.5">
+                                        <StatusIcon status={job.status} />
+                                    </div>
+                                    <div className="flex-1 min-w-0">
+                                        <div className="text-sm text-gray-900 dark:text-white truncate" title={job.videoTitle}>
+                                            {job.videoTitle}
+                                        </div>
+                                        <div className="text-xs text-gray-500 dark:text-neutral-400 truncate">
+                                            {job.courseTitle} · {job.task === 'summarize' ? 'Summarize' : 'Transcribe & summarize'}
+                                        </div>
+                                        {job.status === 'running' && progress?.jobId === job.id ? (
+                                            <div className="mt-1">
+                                                <div className="h-1 bg-gray-200 dark:bg-white/10 rounded-full overflow-hidden">
+                                                    <div
+                                                        className="h-full bg-primary transition-all"
+                                                        style={{ width: `${Math.round((progress.progress || 0) * 100)}%` }}
+                                                    />
+                                                </div>
+                                                <div className="text-xs text-gray-500 dark:text-neutral-400 mt-1 truncate">
+                                                    {progress.message}
+                                                </div>
+                                            </div>
+                                        ) : job.status !== 'queued' && job.status !== 'done' && (
+                                            <div className={`text-xs mt-0.5 ${job.status === 'cancelled' ? 'text-gray-500 dark:text-neutral-400' : 'text-warning'}`}>
+                                                {job.error || STATUS_LABELS[job.status]}
+                                            </div>
+                                        )}
+                                    </div>
+                                    {['queued', 'running', 'needs_access'].includes(job.status) && (
+                                        <button
+                                            onClick={() => handleAction(() => cancelAIJob(job.id))}
+                                            className="p-1 rounded hover:bg-gray-100 dark:hover:bg-white/10 text-gray-500 dark:text-neutral-400 flex-shrink-0"
+                                            title="Cancel"
+                                        >
+                                            <X className="w-3.5 h-3.5" />
+                                        </button>
+                                    )}
+                                    {['failed', 'cancelled', 'needs_access'].includes(job.status) && (
+                                        <button
+                                            onClick={() => handleAction(() => retryAIJob(job.id))}
+                                            className="p-1 rounded hover:bg-gray-100 dark:hover:bg-white/10 text-gray-500 dark:text-neutral-400 flex-shrink-0"
+                                            title={job.status === 'needs_access' ? 'Grant access and retry' : 'Retry'}
+                                        >
+                                            <RotateCcw className="w-3.5 h-3.5" />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        {hasFinished && (
+                            <div className="px-4 py-2 border-t border-gray-200 dark:border-white/10">
+                                <button
+                                    onClick={() => handleAction(clearFinishedAIJobs)}
+                                    className="text-xs text-gray-600 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white"
+                                >
+                                    Clear finished
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+export default AIQueueIndicator
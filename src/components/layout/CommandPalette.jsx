@@ -0,0 +1,238 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Search, BookOpen, PlayCircle, User, Map as MapIcon, CornerDownLeft } from 'lucide-react'
+import { useCommandPalette } from '../../contexts/CommandPaletteContext'
+import { getAllCourses, getAllVideos } from '../../utils/db'
+import { rankByFuzzyMatch } from '../../utils/fuzzyMatch'
+
+// Results shown per group while typing
+const GROUP_LIMIT = 6
+// Videos are only searched once the query is this long; libraries have thousands
+const VIDEO_MIN_QUERY = 2
+
+/**
+ * Load the courses, videos, instructors and roadmaps the palette can jump to
+ * Library items carry the path they open instead of a run function.
+ */
+async function loadLibraryItems() {
+    const [courses, videos] = await Promise.all([getAllCourses(), getAllVideos()])
+    const courseTitles = new Map(courses.map(course => [course.id, course.title]))
+
+    let roadmaps = []
+    try {
+        roadmaps = JSON.parse(localStorage.getItem('learning_roadmaps')) || []
+    } catch {
+        // Unreadable roadmaps are skipped
+    }
+
+    const instructors = [...new Set(courses.map(course => course.instructor).filter(Boolean))]
+
+    return [
+        ...courses.map(course => ({
+            id: `course:${course.id}`,
+            title: course.title,
+            subtitle: course.instructor,
+            group: 'Courses',
+            icon: BookOpen,
+            path: `/course/${course.id}`
+        })),
+        ...videos.filter(video => courseTitles.has(video.courseId)).map(video => ({
+            id: `video:${video.id}`,
+            title: video.title,
+            subtitle: courseTitles.get(video.courseId),
+            group: 'Videos',
+            icon: PlayCircle,
+            path: `/course/${video.courseId}?video=${encodeURIComponent(video.id)}`
+        })),
+        ...instructors.map(name => ({
+            id: `instructor:${name}`,
+            title: name,
+            group: 'Instructors',
+            icon: User,
+            path: `/instructors?filter=${encodeURIComponent(name)}`
+        })),
+        ...roadmaps.map(roadmap => ({
+            id: `roadmap:${roadmap.id}`,
+            title: roadmap.title || 'Untitled roadmap',
+            group: 'Roadmaps',
+            icon: MapIcon,
+            path: `/roadmap?id=${encodeURIComponent(roadmap.id)}`
+        }))
+    ]
+}
+
+/**
+ * Rank commands and library items for a query, grouped, best group first
+ * Without a query only the commands are listed, grouped in registration order.
+ * @returns {Array<{item: Object, positions: number[]}>}
+ */
+function rankResults(commands, libraryItems, query) {
+    if (!query.trim()) {
+        const groups = [...new Set(commands.map(command => command.group))]
+        return groups.flatMap(group => commands
+            .filter(command => command.group === group)
+            .map(command => ({ item: command, positions: [] })))
+    }
+
+    const searchable = query.trim().length >= VIDEO_MIN_QUERY
+        ? [...commands, ...libraryItems]
+        : [...commands, ...libraryItems.filter(item => item.group !== 'Videos')]
+    const groups = new Map()
+    for (const result of rankByFuzzyMatch(searchable, query)) {
+        const group = groups.get(result.item.group) || []
+        if (group.length < GROUP_LIMIT) group.push(result)
+        groups.set(result.item.group, group)
+    }
+    return [...groups.values()].sort((a, b) => b[0].score - a[0].score).flat()
+}
+
+/**
+ * Title with the fuzzy-matched characters highlighted
+ */
+function HighlightedTitle({ title, positions }) {
+    if (positions.length === 0) return title
+
+    const matched = new Set(positions)
+    return [...title].map((char, i) => matched.has(i)
+        ? <span key={i} className="text-primary font-semibold">{char}</span>
+        : char)
+}
+
+/**
+ * Keyboard-driven palette over the registered commands and the library
+ * Opened with Ctrl+K / Cmd+K unless rebound (see CommandPaletteContext).
+ */
+function CommandPalette() {
+    const { isOpen, closePalette, getCommands } = useCommandPalette()
+    const navigate = useNavigate()
+    const [query, setQuery] = useState('')
+    const [libraryItems, setLibraryItems] = useState([])
+    const [activeIndex, setActiveIndex] = useState(0)
+    const listRef = useRef(null)
+
+    // Reload the library each time, it may have changed since the last open
+    useEffect(() => {
+        if (!isOpen) return
+        setQuery('')
+        setActiveIndex(0)
+        loadLibraryItems()
+            .then(setLibraryItems)
+            .catch(err => console.error('Failed to load the library for the command palette:', err))
+    }, [isOpen])
+
+    useEffect(() => {
+        setActiveIndex(0)
+    }, [query])
+
+    // Keep the highlighted row in view
+    useEffect(() => {
+        listRef.current?.querySelector(`[data-index="${activeIndex}"]`)?.scrollIntoView({ block: 'nearest' })
+    }, [activeIndex])
+
+    if (!isOpen) return null
+
+    const results = rankResults(getCommands(), libraryItems, query)
+
+    function runResult(result) {
+        closePalette()
+        if (result.item.path) {
+            navigate(result.item.path)
+            return
+        }
+        try {
+            const outcome = result.item.run()
+            outcome?.catch?.(err => {
+                console.error(`Command "${result.item.title}" failed:`, err)
+                alert(err.message)
+            })
+        } catch (err) {
+            console.error(`Command "${result.item.title}" failed:`, err)
+            alert(err.message)
+        }
+    }
+
+    function handleKeyDown(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setActiveIndex(i => Math.min(results.length - 1, i + 1))
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setActiveIndex(i => Math.max(0, i - 1))
+        } else if (e.key === 'Enter') {
+            e.preventDefault()
+            if (results[activeIndex]) runResult(results[activeIndex])
+        } else if (e.key === 'Escape') {
+            e.preventDefault()
+            closePalette()
+        }
+    }
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-start justify-center pt-[12vh] px-4 bg-black/50 backdrop-blur-sm" onClick={closePalette}>
+            <div
+                className="w-full max-w-xl bg-white dark:bg-neutral-900 rounded-xl shadow-2xl border border-gray-200 dark:border-white/10 overflow-hidden"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center gap-3 px-4 border-b border-gray-200 dark:border-white/10">
+                    <Search className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                    <input
+                        autoFocus
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        placeholder="Type a command, course, video, instructor or roadmap..."
+                        className="w-full py-3 bg-transparent text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-neutral-400 outline-none focus:outline-none ring-0 focus:ring-0"
+                    />
+                    <kbd className="text-xs text-gray-400 border border-gray-200 dark:border-white/10 rounded px-1.5 py-0.5">Esc</kbd>
+                </div>
+
+                <div ref={listRef} className="max-h-[60vh] overflow-y-auto py-1">
+                    {results.length === 0 ? (
+                        <div className="px-4 py-6 text-sm text-center text-gray-500 dark:text-neutral-400">
+                            No matches for &quot;{query}&quot;
+                        </div>
+                    ) : results.map((result, i) => {
+                        const { item } = result
+                        const Icon = item.icon
+                        const startsGroup = i === 0 || results[i - 1].item.group !== item.group
+                        return (
+                            <div key={item.id}>
+                                {startsGroup && (
+                                    <div className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-neutral-400">
+                                        {item.group}
+                                    </div>
+                                )}
+                                <button
+                                    data-index={i}
+                                    onClick={() => runResult(result)}
+                                    onMouseMove={() => setActiveIndex(i)}
+                                    className={`w-full flex items-center gap-3 px-4 py-2 text-left text-sm ${i === activeIndex
+                                        ? 'bg-gray-100 dark:bg-white/10'
+                                        : ''
+                                        }`}
+                                >
+                                    {Icon && <Icon className="w-4 h-4 flex-shrink-0 text-gray-500 dark:text-neutral-400" />}
+                                    <span className="flex-1 min-w-0 truncate text-gray-900 dark:text-white">
+                                        <HighlightedTitle title={item.title} positions={result.positions} />
+                                        {item.subtitle && (
+                                            <span className="ml-2 text-xs text-gray-500 dark:text-neutral-400">{item.subtitle}</span>
+                                        )}
+                                    </span>
+                                    {item.shortcut && (
+                                        <kbd className="text-xs text-gray-400 border border-gray-200 dark:border-white/10 rounded px-1.5 py-0.5 flex-shrink-0">
+                                            {item.shortcut}
+                                        </kbd>
+                                    )}
+                                    {i === activeIndex && <CornerDownLeft className="w-3.5 h-3.5 text-gray-400 flex-shrink-0" />}
+                                </button>
+                            </div>
+                        )
+                    })}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default CommandPalette
@@ -1,12 +1,17 @@
-import { Link, useLocation } from 'react-router-dom'
-import { Sun, Moon, Settings, Menu, Search, X, FolderOpen, Youtube, HardDrive, ChevronDown, Plus } from 'lucide-react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { Sun, Moon, Settings, Menu, Search, X, FolderOpen, Youtube, HardDrive, ChevronDown, Plus, Library, Command } from 'lucide-react'
 import { useTheme } from '../../contexts/ThemeContext'
 import { useSidebar } from '../../contexts/SidebarContext'
 import { useSearch } from '../../contexts/SearchContext'
-import { useState } from 'react'
-import SettingsModal from '../settings/SettingsModal'
+import { useCommandPalette, useCommands } from '../../contexts/CommandPaletteContext'
+import { useShortcuts, useShortcutSettings } from '../../contexts/ShortcutsContext'
+import { useState, useRef } from 'react'
+import SettingsModal, { SETTINGS_TABS } from '../settings/SettingsModal'
 import YouTubeImportModal from '../course/YouTubeImportModal'
 import GoogleDriveImportModal from '../course/GoogleDriveImportModal'
+import LibraryScanModal from '../course/LibraryScanModal'
+import AIQueueIndicator from './AIQueueIndicator'
+import SearchResults from './SearchResults'
 import { scanCourseFolder, scanFolderFromFiles, isFileSystemAccessSupported } from '../../utils/fileSystem'
 
 function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
@@ -14,14 +19,109 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
     const { toggleSidebar } = useSidebar()
     const { searchQuery, setSearchQuery } = useSearch()
     const location = useLocation()
+    const navigate = useNavigate()
+    const { openPalette } = useCommandPalette()
+    const { getShortcutLabel } = useShortcutSettings()
+    const searchInputRef = useRef(null)
     const [showSettings, setShowSettings] = useState(false)
+    const [settingsTab, setSettingsTab] = useState(null)
     const [showAddMenu, setShowAddMenu] = useState(false)
     const [showYouTubeModal, setShowYouTubeModal] = useState(false)
     const [showGoogleDriveModal, setShowGoogleDriveModal] = useState(false)
+    const [showLibraryModal, setShowLibraryModal] = useState(false)
+    const [showSearchResults, setShowSearchResults] = useState(false)
 
-    // Only show search on homepage
+    // The homepage also filters its courses by the query
     const isHomePage = location.pathname === '/'
 
+    // Open a search hit in the player, at its timestamp when it has one
+    function handleSearchSelect({ courseId, videoId, timestamp }) {
+        const params = new URLSearchParams({ video: videoId })
+        if (timestamp != null) params.set('t', Math.floor(timestamp))
+        navigate(`/course/${courseId}?${params}`)
+        setShowSearchResults(false)
+        setSearchQuery('')
+    }
+
+    function openSettings(tab = null) {
+        setSettingsTab(tab)
+        setShowSettings(true)
+    }
+
+    useShortcuts({
+        'app.focusSearch': () => searchInputRef.current?.focus(),
+        'app.openSettings': () => openSettings()
+    })
+
+    useCommands([
+        {
+            id: 'search:focus',
+            title: 'Search transcripts and notes',
+            group: 'Actions',
+            icon: Search,
+            keywords: ['find', 'full text'],
+            shortcut: getShortcutLabel('app.focusSearch'),
+            run: () => searchInputRef.current?.focus()
+        },
+        {
+            id: 'theme:toggle',
+            title: isDark ? 'Switch to light theme' : 'Switch to dark theme',
+            group: 'Actions',
+            icon: isDark ? Sun : Moon,
+            keywords: ['toggle theme', 'dark mode', 'light mode'],
+            run: toggleTheme
+        },
+        // Imports hand their result to the homepage, so they are offered there
+        isHomePage && {
+            id: 'import:folder',
+            title: 'Import folder',
+            group: 'Actions',
+            icon: FolderOpen,
+            keywords: ['add course', 'local folder'],
+            run: handleImportClick
+        },
+        isHomePage && {
+            id: 'import:library',
+            title: 'Scan library folder',
+            group: 'Actions',
+            icon: Library,
+            keywords: ['import courses', 'bulk import'],
+            run: () => setShowLibraryModal(true)
+        },
+        isHomePage && {
+            id: 'import:youtube',
+            title: 'Import YouTube playlist',
+            group: 'Actions',
+            icon: Youtube,
+            keywords: ['add course'],
+            run: () => setShowYouTubeModal(true)
+        },
+        isHomePage && {
+            id: 'import:drive',
+            title: 'Import from Google Drive',
+            group: 'Actions',
+            icon: HardDrive,
+            keywords: ['add course'],
+            run: () => setShowGoogleDriveModal(true)
+        },
+        {
+            id: 'settings:open',
+            title: 'Open settings',
+            group: 'Settings',
+            icon: Settings,
+            keywords: ['preferences'],
+            shortcut: getShortcutLabel('app.openSettings'),
+            run: () => openSettings()
+        },
+        ...SETTINGS_TABS.map(tab => ({
+            id: `settings:${tab.id}`,
+            title: `Settings: ${tab.label}`,
+            group: 'Settings',
+            icon: tab.icon,
+            run: () => openSettings(tab.id)
+        }))
+    ])
+
     async function handleImportClick() {
         try {
             if (isFileSystemAccessSupported()) {
@@ -88,16 +188,28 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
                     {/* Spacer - Left */}
                     <div className="flex-1" />
 
-                    {/* Center: Search Bar (only on homepage) */}
-                    {isHomePage && (
-                        <div className="w-full max-w-md mx-4">
-                            <div className="relative">
+                    {/* Center: Search Bar */}
+                    <div className="w-full max-w-md mx-4">
+                        <div className="relative">
+                            {showSearchResults && searchQuery.trim().length >= 2 && (
+                                <>
+                                    <div className="fixed inset-0 z-10" onClick={() => setShowSearchResults(false)} />
+                                    <SearchResults query={searchQuery} onSelect={handleSearchSelect} />
+                                </>
+                            )}
+                            <div className="relative z-20">
                                 <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
                                 <input
+                                    ref={searchInputRef}
                                     type="text"
-                                    placeholder="Search courses..."
+                                    placeholder={isHomePage ? 'Search courses, transcripts and notes...' : 'Search transcripts and notes...'}
                                     value={searchQuery}
-                                    onChange={(e) => setSearchQuery(e.target.value)}
+                                    onChange={(e) => {
+                                        setSearchQuery(e.target.value)
+                                        setShowSearchResults(true)
+                                    }}
+                                    onFocus={() => setShowSearchResults(true)}
+                                    onKeyDown={(e) => e.key === 'Escape' && setShowSearchResults(false)}
                                     className="w-full pl-10 pr-10 py-2 rounded-full border border-gray-300 dark:border-white/10 bg-gray-100 dark:bg-white/5 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-neutral-400 focus:border-gray-400 dark:focus:border-white/20 outline-none focus:outline-none focus-visible:outline-none ring-0 focus:ring-0 transition-all"
                                 />
                                 {searchQuery && (
@@ -110,12 +222,12 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
                                 )}
                             </div>
                         </div>
-                    )}
+                    </div>
 
                     {/* Spacer - Right */}
                     <div className="flex-1" />
 
-                    {/* Right: Add Course + Theme + Settings */}
+                    {/* Right: Add Course + AI Queue + Theme + Settings */}
                     <div className="flex items-center gap-2 flex-shrink-0">
                         {/* Add Course Split Button (only on homepage) */}
                         {isHomePage && (
@@ -147,6 +259,16 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
                                                 <FolderOpen className="w-4 h-4" />
                                                 Local Folder
                                             </button>
+                                            <button
+                                                onClick={() => {
+                                                    setShowLibraryModal(true)
+                                                    setShowAddMenu(false)
+                                                }}
+                                                className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-white hover:bg-gray-100 dark:hover:bg-white/10 flex items-center gap-2"
+                                            >
+                                                <Library className="w-4 h-4" />
+                                                Scan Library
+                                            </button>
                                             <button
                                                 onClick={() => {
                                                     setShowYouTubeModal(true)
@@ -173,6 +295,19 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
                             </div>
                         )}
 
+                        {/* Command palette */}
+                        <button
+                            onClick={openPalette}
+                            className="p-2 rounded-full text-gray-600 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-white/10 transition-all duration-200"
+                            aria-label="Open command palette"
+                            title={getShortcutLabel('app.commandPalette') ? `Command palette (${getShortcutLabel('app.commandPalette')})` : 'Command palette'}
+                        >
+                            <Command className="w-5 h-5" />
+                        </button>
+
+                        {/* Background transcription progress */}
+                        <AIQueueIndicator />
+
                         {/* Theme Toggle */}
                         <button
                             onClick={toggleTheme}
@@ -188,7 +323,7 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
 
                         {/* Settings */}
                         <button
-                            onClick={() => setShowSettings(true)}
+                            onClick={() => openSettings()}
                             className="p-2 rounded-full text-gray-600 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-white/10 transition-all duration-200"
                             aria-label="Open settings"
                         >
@@ -201,6 +336,7 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
             {/* Settings Modal */}
             <SettingsModal
                 isOpen={showSettings}
+                initialTab={settingsTab}
                 onClose={() => setShowSettings(false)}
             />
 
@@ -223,6 +359,12 @@ function Header({ onImportData, onYouTubeImport, onGoogleDriveImport }) {
                     window.__homePageHandlers?.handleGoogleDriveImport?.(data)
                 }}
             />
+
+            <LibraryScanModal
+                isOpen={showLibraryModal}
+                onClose={() => setShowLibraryModal(false)}
+                onImported={() => window.__homePageHandlers?.loadCourses?.()}
+            />
         </>
     )
 }
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react'
+import { Loader2, FileText, Sparkles, StickyNote, PlayCircle } from 'lucide-react'
+import { searchLibrary } from '../../utils/db'
+import { groupSearchHits } from '../../utils/searchIndex'
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 200
+
+const KIND_ICONS = {
+    transcript: FileText,
+    summary: Sparkles,
+    note: StickyNote
+}
+
+const KIND_LABELS = {
+    transcript: 'Transcript',
+    summary: 'Summary',
+    note: 'Note'
+}
+
+// Format seconds to MM:SS or HH:MM:SS
+function formatTime(seconds) {
+    const h = Math.floor(seconds / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = Math.floor(seconds % 60)
+    if (h > 0) {
+        return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`
+    }
+    return `${m}:${s.toString().padStart(2, '0')}`
+}
+
+/**
+ * Dropdown of transcript, summary and note hits for the header search,
+ * grouped by course and video
+ */
+function SearchResults({ query, onSelect }) {
+    const [groups, setGroups] = useState([])
+    const [isSearching, setIsSearching] = useState(false)
+    const [searchedQuery, setSearchedQuery] = useState('')
+
+    useEffect(() => {
+        let cancelled = false
+        setIsSearching(true)
+
+        const timer = setTimeout(async () => {
+            try {
+                const hits = await searchLibrary(query)
+                if (cancelled) return
+                setGroups(groupSearchHits(hits))
+                setSearchedQuery(query)
+            } catch (err) {
+                console.error('Search failed:', err)
+                if (!cancelled) setGroups([])
+            } finally {
+                if (!cancelled) setIsSearching(false)
+            }
+        }, SEARCH_DELAY_MS)
+
+        return () => {
+            cancelled = true
+            clearTimeout(timer)
+        }
+    }, [query])
+
+    return (
+        <div className="absolute left-0 right-0 top-full mt-2 bg-white dark:bg-neutral-900 rounded-lg shadow-xl border border-gray-200 dark:border-white/10 z-20 overflow-hidden">
+            <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-white/10 text-xs text-gray-500 dark:text-neutral-400">
+                <span>Transcripts, summaries and notes</span>
+                {isSearching && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+            </div>
+
+            <div className="max-h-[60vh] overflow-y-auto py-1">
+                {groups.length === 0 ? (
+                    <div className="px-4 py-6 text-sm text-center text-gray-500 dark:text-neutral-400">
+                        {isSearching && !searchedQuery ? 'Searching...' : `No matches for "${searchedQuery || query}"`}
+                    </div>
+                ) : groups.map(course => (
+                    <div key={course.courseId} className="py-1">
+                        <div className="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-neutral-400 truncate">
+                            {course.courseTitle}
+                        </div>
+                        {course.videos.map(video => (
+                            <div key={video.videoId} className="px-2">
+                                <button
+                                    onClick={() => onSelect({ courseId: course.courseId, videoId: video.videoId, timestamp: null })}
+                                    className="w-full flex items-center gap-2 px-2 py-1 rounded text-left text-sm font-medium text-gray-900 dark:text-white hover:bg-gray-100 dark:hover:bg-white/10"
+                                >
+                                    <PlayCircle className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                                    <span className="truncate">{video.videoTitle}</span>
+                                </button>
+                                {video.hits.map(hit => {
+                                    const Icon = KIND_ICONS[hit.kind]
+                                    return (
+                                        <button
+                                            key={hit.id}
+                                            onClick={() => onSelect(hit)}
+                                            title={KIND_LABELS[hit.kind]}
+                                            className="w-full flex items-start gap-2 pl-8 pr-2 py-1.5 rounded text-left hover:bg-gray-100 dark:hover:bg-white/10"
+                                        >
+                                            <Icon className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-gray-400" />
+                                            <span className="flex-1 min-w-0 text-xs text-gray-600 dark:text-neutral-300 line-clamp-2">
+                                                {hit.snippet.map((part, i) => part.highlight ? (
+                                                    <mark key={i} className="bg-yellow-200 dark:bg-yellow-500/30 text-inherit rounded-sm">{part.text}</mark>
+                                                ) : (
+                                                    <span key={i}>{part.text}</span>
+                                                ))}
+                                            </span>
+                                            {hit.timestamp != null && (
+                                                <span className="text-xs font-mono text-primary flex-shrink-0">{formatTime(hit.timestamp)}</span>
+                                            )}
+                                        </button>
+                                    )
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default SearchResults
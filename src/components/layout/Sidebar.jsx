@@ -1,4 +1,4 @@
-import { NavLink, useLocation } from 'react-router-dom'
+import { NavLink, useLocation, useNavigate } from 'react-router-dom'
 import {
     Home,
     Users,
@@ -10,12 +10,14 @@ import {
     ChevronRight
 } from 'lucide-react'
 import { useSidebar } from '../../contexts/SidebarContext'
+import { useCommands } from '../../contexts/CommandPaletteContext'
 import { useState, useEffect } from 'react'
 import { getAllCourses, getInstructorAvatarAsync } from '../../utils/db'
 
 function Sidebar() {
     const { isExpanded, isMobileOpen, closeMobileSidebar, setIsExpanded } = useSidebar()
     const location = useLocation()
+    const navigate = useNavigate()
     const [instructors, setInstructors] = useState([])
 
     // Load unique instructors for the sidebar
@@ -52,6 +54,25 @@ function Sidebar() {
         { path: '/roadmap', icon: Map, label: 'Roadmap' },
     ]
 
+    // Every page, and the sidebar itself, can be reached from the command palette
+    useCommands([
+        ...[...navItems, { path: '/profile', icon: User, label: 'Profile' }].map(({ path, icon, label }) => ({
+            id: `navigate:${path}`,
+            title: `Go to ${label}`,
+            group: 'Navigation',
+            icon,
+            run: () => navigate(path)
+        })),
+        {
+            id: 'sidebar:toggle',
+            title: isExpanded ? 'Collapse sidebar' : 'Expand sidebar',
+            group: 'Navigation',
+            icon: isExpanded ? ChevronLeft : ChevronRight,
+            keywords: ['toggle sidebar', 'menu'],
+            run: () => setIsExpanded(!isExpanded)
+        }
+    ])
+
     const isActive = (path) => {
         if (path === '/') return location.pathname === '/'
         return location.pathname.startsWith(path)
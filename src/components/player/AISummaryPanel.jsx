@@ -1,12 +1,29 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import {
     FileText, Sparkles, Loader2, AlertCircle,
-    Download, Copy, RefreshCw, Upload, FolderOpen, Captions
+    Download, Copy, RefreshCw, Upload, FolderOpen, Captions, ChevronDown, Trash2, Clock, WifiOff, X, Pencil
 } from 'lucide-react'
 import ReactMarkdown from 'react-markdown'
 import { getVideo, updateVideo } from '../../utils/db'
-import { processVideoForSummary, isAIAvailable, regenerateSummaryOnly } from '../../utils/aiSummarization'
+import {
+    processVideoForSummary, isAIAvailable, regenerateSummaryOnly, saveTranscriptEdits,
+    getSummaryVersions, setActiveSummaryVersion, deleteSummaryVersion
+} from '../../utils/aiSummarization'
+import { getPromptTemplates } from '../../utils/promptTemplates'
+import { describeTranscriptOptions, getWhisperSettings, WHISPER_MODELS } from '../../utils/whisperSettings'
+import { formatDateTime } from '../../utils/timeUtils'
 import { verifyPermission } from '../../utils/fileSystem'
+import { useAIQueue } from '../../contexts/AIQueueContext'
+import { MODEL_UNAVAILABLE } from '../../utils/modelCache'
+import { segmentTranscript, segmentPlainText, getSpeakerLabel } from '../../utils/transcriptSegmentation'
+import TranscriptEditor from './TranscriptEditor'
+
+// Label colors, one per speaker the segmentation model tells apart
+const SPEAKER_COLORS = [
+    'bg-blue-100 text-blue-700 dark:bg-blue-500/20 dark:text-blue-300',
+    'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/20 dark:text-emerald-300',
+    'bg-amber-100 text-amber-700 dark:bg-amber-500/20 dark:text-amber-300'
+]
 
 // Format seconds to MM:SS or HH:MM:SS
 function formatTime(seconds) {
@@ -20,42 +37,112 @@ function formatTime(seconds) {
     return `${m}:${s.toString().padStart(2, '0')}`
 }
 
+// Format an ETA in seconds as "about 3 min left"
+function formatEta(seconds) {
+    if (seconds == null) return null
+    if (seconds < 60) return 'less than a minute left'
+    const minutes = Math.round(seconds / 60)
+    if (minutes < 60) return `about ${minutes} min left`
+    return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min left`
+}
+
+// Title of a section's notes: its first heading or line, without markdown
+function getSectionTitle(notes) {
+    const line = notes.split('\n').find(l => l.trim()) || ''
+    return line.replace(/^[#>*\-•\s]+|[*_`]/g, '').trim()
+}
+
 function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTime = 0 }) {
     const [transcript, setTranscript] = useState(null)
     const [summary, setSummary] = useState(null)
+    const [summarySections, setSummarySections] = useState([]) // Notes per part of a long transcript
+    const [expandedSection, setExpandedSection] = useState(null)
+    const [summaryVersions, setSummaryVersions] = useState([])
+    const [activeVersionId, setActiveVersionId] = useState(null)
+    const [showTemplateMenu, setShowTemplateMenu] = useState(false)
     const [captionChunks, setCaptionChunks] = useState([])
+    const [paragraphs, setParagraphs] = useState([]) // Transcript split by pauses and speaker turns
+    const [isEditingTranscript, setIsEditingTranscript] = useState(false)
+    const [isSavingTranscript, setIsSavingTranscript] = useState(false)
+    const [subtitleLabel, setSubtitleLabel] = useState(null) // Set when the transcript comes from a subtitle file
+    const [transcriptOptions, setTranscriptOptions] = useState(null) // Whisper model/language it was made with
     const [isProcessing, setIsProcessing] = useState(false)
     const [progress, setProgress] = useState({ stage: '', progress: 0, message: '' })
     const [error, setError] = useState(null)
+    const [errorCode, setErrorCode] = useState(null) // MODEL_UNAVAILABLE gets its own message
     const [activeTab, setActiveTab] = useState('summary')
     const [manualFile, setManualFile] = useState(null)
     const [missingCaptions, setMissingCaptions] = useState(false)
+    const abortControllerRef = useRef(null) // Aborts the running transcription or summary
+    const { jobs: queueJobs, progress: queueProgress } = useAIQueue()
+
+    // Latest background queue job for this video
+    const queueJob = queueJobs.filter(job => job.videoId === video?.id).pop()
+    const isQueued = queueJob?.status === 'queued' || queueJob?.status === 'running'
+
+    const videoId = video?.id
+    const loadExistingData = useCallback(async () => {
+        try {
+            const videoData = await getVideo(videoId)
+            const hasCaptions = videoData?.captionChunks && videoData.captionChunks.length > 0
+            // Without AI captions, fall back to a subtitle file shipped with the course
+            const subtitleTrack = hasCaptions ? null : videoData?.subtitleTracks?.[0]
+
+            setTranscript(videoData?.transcript || (subtitleTrack ? subtitleTrack.chunks.map(c => c.text).join(' ') : null))
+            setSummary(videoData?.summary || null)
+            setSummarySections(videoData?.summarySections || [])
+            const versions = getSummaryVersions(videoData)
+            setSummaryVersions(versions)
+            setActiveVersionId(videoData?.activeSummaryVersionId || versions[versions.length - 1]?.id || null)
+            setCaptionChunks(hasCaptions ? videoData.captionChunks : subtitleTrack?.chunks || [])
+            // Transcripts from before segmentation, and subtitle files, are split on the fly
+            if (hasCaptions) {
+                setParagraphs(videoData.transcriptParagraphs || segmentTranscript(videoData.captionChunks))
+            } else if (subtitleTrack) {
+                setParagraphs(segmentTranscript(subtitleTrack.chunks))
+            } else {
+                setParagraphs(segmentPlainText(videoData?.transcript))
+            }
+            setSubtitleLabel(subtitleTrack?.label || null)
+            setTranscriptOptions(videoData?.transcript ? videoData.transcriptOptions || null : null)
+            // Check if transcript exists but no caption chunks (old transcript without CC support)
+            setMissingCaptions(!!videoData?.transcript && !hasCaptions && !subtitleTrack)
+        } catch (err) {
+            console.error('Failed to load AI data:', err)
+        }
+    }, [videoId])
 
     // Load existing data when video changes
     useEffect(() => {
-        if (video?.id) {
+        setExpandedSection(null)
+        setIsEditingTranscript(false)
+        if (videoId) {
             loadExistingData()
         } else {
             setTranscript(null)
             setSummary(null)
+            setSummarySections([])
+            setSummaryVersions([])
+            setActiveVersionId(null)
             setCaptionChunks([])
+            setParagraphs([])
+            setSubtitleLabel(null)
+            setTranscriptOptions(null)
             setMissingCaptions(false)
         }
+    }, [videoId, loadExistingData])
+
+    // Stop Whisper when the panel closes or another video is opened, rather than leaving it running
+    useEffect(() => {
+        return () => abortControllerRef.current?.abort()
     }, [video?.id])
 
-    async function loadExistingData() {
-        try {
-            const videoData = await getVideo(video.id)
-            setTranscript(videoData?.transcript || null)
-            setSummary(videoData?.summary || null)
-            setCaptionChunks(videoData?.captionChunks || [])
-            // Check if transcript exists but no caption chunks (old transcript without CC support)
-            const hasCaptions = videoData?.captionChunks && videoData.captionChunks.length > 0
-            setMissingCaptions(!!videoData?.transcript && !hasCaptions)
-        } catch (err) {
-            console.error('Failed to load AI data:', err)
+    // Show what the background queue produced for this video
+    useEffect(() => {
+        if (queueJob?.status === 'done') {
+            loadExistingData()
         }
-    }
+    }, [queueJob?.status, loadExistingData])
 
     // Handle manual file selection for browsers without File System Access API
     function handleManualFilePick(e) {
@@ -94,39 +181,62 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
             }
         }
 
+        const controller = new AbortController()
+        abortControllerRef.current = controller
+
         try {
             setIsProcessing(true)
             setError(null)
+            setErrorCode(null)
             setProgress({ stage: 'starting', progress: 0, message: 'Starting...' })
 
             const result = await processVideoForSummary(
                 video.id,
                 fileSource,
-                setProgress
+                setProgress,
+                controller.signal
             )
 
             setTranscript(result.transcript)
             setSummary(result.summary)
+            setSummarySections(result.summarySections || [])
+            setSummaryVersions(prev => [...prev, result.summaryVersion])
+            setActiveVersionId(result.summaryVersion.id)
             setCaptionChunks(result.captionChunks || [])
+            setParagraphs(result.transcriptParagraphs || [])
+            setSubtitleLabel(null)
+            setTranscriptOptions(result.transcriptOptions)
             setManualFile(null) // Clear manual file after success
             setMissingCaptions(false) // Captions now available
 
             // Notify parent that video data has changed (for CC icon update)
             onVideoDataChange?.()
         } catch (err) {
+            if (controller.signal.aborted) return
             console.error('AI processing failed:', err)
             setError(err.message)
+            setErrorCode(err.code || null)
         } finally {
-            setIsProcessing(false)
+            if (abortControllerRef.current === controller) {
+                abortControllerRef.current = null
+                setIsProcessing(false)
+            }
         }
     }
 
+    function handleCancel() {
+        abortControllerRef.current?.abort()
+    }
+
     function copyToClipboard(text) {
         navigator.clipboard.writeText(text)
     }
 
     function exportAsMarkdown() {
-        const content = `# ${video.title}\n\n## Summary\n${summary || 'No summary available'}\n\n## Transcript\n${transcript || 'No transcript available'}`
+        const sections = summarySections
+            .map((section, i) => `### ${section.start !== null ? `${formatTime(section.start)}–${formatTime(section.end)}` : `Part ${i + 1}`}\n${section.summary}`)
+            .join('\n\n')
+        const content = `# ${video.title}\n\n## Summary\n${summary || 'No summary available'}\n\n${sections ? `## Sections\n${sections}\n\n` : ''}## Transcript\n${transcript || 'No transcript available'}`
         const blob = new Blob([content], { type: 'text/markdown' })
         const url = URL.createObjectURL(blob)
         const a = document.createElement('a')
@@ -137,24 +247,98 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
     }
 
     // Regenerate just the summary (no file needed, uses existing transcript)
-    async function handleRegenerateSummary() {
-        if (!transcript) {
+    // Every result is kept as a new version, so templates can be compared
+    async function handleRegenerateSummary(templateId, source = { transcript, captionChunks }) {
+        setShowTemplateMenu(false)
+        if (!source.transcript) {
             setError('No transcript available. Generate one first.')
             return
         }
 
+        const controller = new AbortController()
+        abortControllerRef.current = controller
+
         try {
             setIsProcessing(true)
             setError(null)
             setProgress({ stage: 'summarizing', progress: 0, message: 'Regenerating summary...' })
 
-            const newSummary = await regenerateSummaryOnly(video.id, transcript, setProgress)
-            setSummary(newSummary)
+            const version = await regenerateSummaryOnly(video.id, source.transcript, setProgress, source.captionChunks, templateId, controller.signal)
+            showVersion(version)
+            // Versions saved before this one (including a pre-versioning summary) are all in the DB now
+            const videoData = await getVideo(video.id)
+            setSummaryVersions(getSummaryVersions(videoData))
         } catch (err) {
+            if (controller.signal.aborted) return
             console.error('Summary regeneration failed:', err)
             setError(err.message)
+            setErrorCode(err.code || null)
+        } finally {
+            if (abortControllerRef.current === controller) {
+                abortControllerRef.current = null
+                setIsProcessing(false)
+            }
+        }
+    }
+
+    // Save corrections from the transcript editor; captions follow from the saved chunks
+    async function handleSaveTranscript(editedChunks, { regenerateSummary }) {
+        setIsSavingTranscript(true)
+        setError(null)
+        setErrorCode(null)
+        let saved
+        try {
+            saved = await saveTranscriptEdits(video.id, editedChunks, paragraphs)
+        } catch (err) {
+            console.error('Failed to save transcript:', err)
+            setError(err.message)
+            setErrorCode(err.code || null)
+            return
         } finally {
-            setIsProcessing(false)
+            setIsSavingTranscript(false)
+        }
+
+        setTranscript(saved.transcript)
+        setCaptionChunks(saved.captionChunks)
+        setParagraphs(saved.transcriptParagraphs)
+        setIsEditingTranscript(false)
+        onVideoDataChange?.()
+
+        if (regenerateSummary) {
+            // Same template as the summary on screen
+            const templateId = summaryVersions.find(v => v.id === activeVersionId)?.templateId
+            await handleRegenerateSummary(templateId, saved)
+        }
+    }
+
+    function showVersion(version) {
+        setSummary(version?.summary || null)
+        setSummarySections(version?.sections || [])
+        setActiveVersionId(version?.id || null)
+        setExpandedSection(null)
+    }
+
+    async function handleSelectVersion(versionId) {
+        try {
+            const version = await setActiveSummaryVersion(video.id, versionId)
+            showVersion(version)
+        } catch (err) {
+            setError(err.message)
+            setErrorCode(err.code || null)
+        }
+    }
+
+    async function handleDeleteVersion() {
+        const version = summaryVersions.find(v => v.id === activeVersionId)
+        if (!version || !confirm(`Delete the "${version.templateName}" summary from ${formatDateTime(version.createdAt) || 'before versions were kept'}?`)) return
+
+        try {
+            const active = await deleteSummaryVersion(video.id, version.id)
+            setSummaryVersions(prev => prev.filter(v => v.id !== version.id))
+            showVersion(active)
+        } catch (err) {
+            setError(err.message)
+            setErrorCode(err.code || null)
         }
     }
 
@@ -186,7 +370,7 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
             {/* Content */}
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
                 {/* Generate Button */}
-                {!transcript && !summary && !isProcessing && (
+                {!transcript && !summary && !isProcessing && !isQueued && (
                     <div className="text-center py-8">
                         <Sparkles className="w-12 h-12 mx-auto mb-4 text-primary/50" />
                         <h3 className="font-medium mb-2">Generate AI Summary</h3>
@@ -230,7 +414,7 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
                             Generate Summary
                         </button>
                         <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-4">
-                            First run downloads a ~40MB AI model (cached for offline use)
+                            First run downloads the Whisper {WHISPER_MODELS[getWhisperSettings().model].label} model ({WHISPER_MODELS[getWhisperSettings().model].downloadSize}, cached for offline use)
                         </p>
                     </div>
                 )}
@@ -248,6 +432,46 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
                         </div>
                         <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
                             {Math.round(progress.progress * 100)}% - {progress.stage}
+                            {progress.eta != null && ` · ${formatEta(progress.eta)}`}
+                        </p>
+                        {progress.partialTranscript && (
+                            <p className="mt-4 p-3 bg-light-surface dark:bg-dark-bg rounded-lg text-left text-xs text-light-text-secondary dark:text-dark-text-secondary line-clamp-4">
+                                …{progress.partialTranscript.slice(-400)}
+                            </p>
+                        )}
+                        <button
+                            onClick={handleCancel}
+                            className="mt-4 inline-flex items-center gap-1 px-3 py-1.5 text-sm border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors"
+                        >
+                            <X className="w-4 h-4" />
+                            Cancel
+                        </button>
+                    </div>
+                )}
+
+                {/* Background Queue State */}
+                {isQueued && !isProcessing && (
+                    <div className="text-center py-8">
+                        {queueJob.status === 'running' ? (
+                            <Loader2 className="w-12 h-12 mx-auto mb-4 text-primary animate-spin" />
+                        ) : (
+                            <Clock className="w-12 h-12 mx-auto mb-4 text-primary/50" />
+                        )}
+                        <h3 className="font-medium mb-2">
+                            {queueJob.status === 'running'
+                                ? (queueProgress?.message || 'Processing in the background...')
+                                : 'Queued in the background'}
+                        </h3>
+                        {queueJob.status === 'running' && (
+                            <div className="w-full max-w-xs mx-auto bg-light-surface dark:bg-dark-bg rounded-full h-2 overflow-hidden">
+                                <div
+                                    className="h-full bg-primary transition-all duration-300"
+                                    style={{ width: `${(queueProgress?.progress || 0) * 100}%` }}
+                                />
+                            </div>
+                        )}
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                            Follow the AI queue from the header
                         </p>
                     </div>
                 )}
@@ -255,9 +479,13 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
                 {/* Error State */}
                 {error && (
                     <div className="p-4 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-start gap-3">
-                        <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        {errorCode === MODEL_UNAVAILABLE ? (
+                            <WifiOff className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        ) : (
+                            <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        )}
                         <div>
-                            <p className="font-medium">Error</p>
+                            <p className="font-medium">{errorCode === MODEL_UNAVAILABLE ? 'Model not available offline' : 'Error'}</p>
                             <p className="text-sm">{error}</p>
                             {hasFileAccess && (
                                 <button
@@ -355,19 +583,60 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
                                         <FileText className="w-4 h-4 text-primary" />
                                     )}
                                     <span className="text-sm font-medium">
-                                        {activeTab === 'summary' ? 'AI Summary' : 'Full Transcript'}
+                                        {activeTab === 'summary' ? (summaryVersions.find(v => v.id === activeVersionId)?.templateName || 'AI Summary') : subtitleLabel ? `Transcript (${subtitleLabel} subtitles)` : 'Full Transcript'}
                                     </span>
+                                    {activeTab === 'transcript' && describeTranscriptOptions(transcriptOptions) && (
+                                        <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                            {describeTranscriptOptions(transcriptOptions)}
+                                        </span>
+                                    )}
                                 </div>
                                 <div className="flex items-center gap-1">
-                                    {transcript && activeTab === 'summary' && (
+                                    {activeTab === 'summary' && summaryVersions.length > 1 && (
+                                        <button
+                                            onClick={handleDeleteVersion}
+                                            className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded"
+                                            title="Delete this version"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    {activeTab === 'transcript' && !subtitleLabel && captionChunks.length > 0 && !isEditingTranscript && (
                                         <button
-                                            onClick={handleRegenerateSummary}
+                                            onClick={() => setIsEditingTranscript(true)}
                                             className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded"
-                                            title="Regenerate Summary"
+                                            title="Edit transcript"
                                         >
-                                            <RefreshCw className="w-4 h-4" />
+                                            <Pencil className="w-4 h-4" />
                                         </button>
                                     )}
+                                    {transcript && activeTab === 'summary' && (
+                                        <div className="relative">
+                                            <button
+                                                onClick={() => setShowTemplateMenu(!showTemplateMenu)}
+                                                className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded"
+                                                title="Regenerate Summary"
+                                            >
+                                                <RefreshCw className="w-4 h-4" />
+                                            </button>
+                                            {showTemplateMenu && (
+                                                <div className="absolute top-full right-0 mt-1 w-48 bg-white dark:bg-dark-surface border border-light-border dark:border-dark-border rounded-lg shadow-lg py-1 z-10">
+                                                    <div className="px-3 py-1.5 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                                        Regenerate as...
+                                                    </div>
+                                                    {getPromptTemplates().map(template => (
+                                                        <button
+                                                            key={template.id}
+                                                            onClick={() => handleRegenerateSummary(template.id)}
+                                                            className="w-full px-3 py-1.5 text-left text-sm hover:bg-light-surface dark:hover:bg-dark-bg truncate"
+                                                        >
+                                                            {template.name}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
                                     <button
                                         onClick={() => copyToClipboard(activeTab === 'summary' ? summary : transcript)}
                                         className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded"
@@ -378,81 +647,139 @@ function AISummaryPanel({ video, courseId, onSeek, onVideoDataChange, currentTim
                                 </div>
                             </div>
 
+                            {/* Saved versions, one per regeneration */}
+                            {activeTab === 'summary' && summaryVersions.length > 1 && (
+                                <select
+                                    value={activeVersionId || ''}
+                                    onChange={(e) => handleSelectVersion(e.target.value)}
+                                    className="w-full mb-3 p-2 text-sm rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-surface outline-none focus:outline-none ring-0 focus:ring-0"
+                                >
+                                    {[...summaryVersions].reverse().map(version => (
+                                        <option key={version.id} value={version.id}>
+                                            {version.templateName}
+                                            {version.createdAt ? ` · ${formatDateTime(version.createdAt)}` : ''}
+                                            {version.model ? ` · ${version.model}` : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+
                             <div className="max-h-[60vh] overflow-y-auto">
                                 {activeTab === 'summary' ? (
                                     summary ? (
-                                        <div className="prose prose-sm dark:prose-invert max-w-none prose-headings:text-primary prose-headings:font-semibold prose-h2:text-lg prose-h3:text-base prose-ul:my-2 prose-li:my-0.5">
-                                            <ReactMarkdown>{summary}</ReactMarkdown>
-                                        </div>
+                                        <>
+                                            <div className="prose prose-sm dark:prose-invert max-w-none prose-headings:text-primary prose-headings:font-semibold prose-h2:text-lg prose-h3:text-base prose-ul:my-2 prose-li:my-0.5">
+                                                <ReactMarkdown>{summary}</ReactMarkdown>
+                                            </div>
+
+                                            {/* Notes per part of a long transcript, linked to the time they cover */}
+                                            {summarySections.length > 0 && (
+                                                <div className="mt-4 pt-4 border-t border-light-border dark:border-dark-border">
+                                                    <div className="text-sm font-medium mb-2">Sections</div>
+                                                    <div className="space-y-1">
+                                                        {summarySections.map((section, i) => {
+                                                            const hasTime = section.start !== null
+                                                            const isActive = hasTime && currentTime >= section.start &&
+                                                                currentTime < (summarySections[i + 1]?.start ?? Infinity)
+                                                            const isExpanded = expandedSection === i
+                                                            return (
+                                                                <div
+                                                                    key={i}
+                                                                    className={`rounded px-2 py-1.5 -mx-2 transition-colors duration-200 ${isActive
+                                                                        ? 'bg-primary/20 border-l-2 border-primary'
+                                                                        : 'hover:bg-light-surface dark:hover:bg-dark-surface'
+                                                                        }`}
+                                                                >
+                                                                    <div className="flex items-center gap-3">
+                                                                        {hasTime && (
+                                                                            <button
+                                                                                onClick={() => onSeek?.(section.start)}
+                                                                                className="text-xs text-primary hover:underline shrink-0 font-mono"
+                                                                                title="Click to seek"
+                                                                            >
+                                                                                {formatTime(section.start)}–{formatTime(section.end)}
+                                                                            </button>
+                                                                        )}
+                                                                        <button
+                                                                            onClick={() => setExpandedSection(isExpanded ? null : i)}
+                                                                            className="flex-1 flex items-center justify-between gap-2 min-w-0 text-sm text-left"
+                                                                        >
+                                                                            <span className={`truncate ${isActive ? 'font-medium' : ''}`}>
+                                                                                {getSectionTitle(section.summary) || `Part ${i + 1}`}
+                                                                            </span>
+                                                                            <ChevronDown className={`w-4 h-4 shrink-0 transition-transform ${isExpanded ? 'rotate-180' : ''}`} />
+                                                                        </button>
+                                                                    </div>
+                                                                    {isExpanded && (
+                                                                        <div className="mt-2 prose prose-sm dark:prose-invert max-w-none prose-headings:text-base prose-headings:font-semibold prose-ul:my-2 prose-li:my-0.5">
+                                                                            <ReactMarkdown>{section.summary}</ReactMarkdown>
+                                                                        </div>
+                                                                    )}
+                                                                </div>
+                                                            )
+                                                        })}
+                                                    </div>
+                                                </div>
+                                            )}
+                                        </>
                                     ) : (
                                         <span className="italic opacity-60">No summary generated yet.</span>
                                     )
+                                ) : isEditingTranscript ? (
+                                    <TranscriptEditor
+                                        chunks={captionChunks}
+                                        hasSummary={!!summary}
+                                        currentTime={currentTime}
+                                        isSaving={isSavingTranscript}
+                                        onSeek={onSeek}
+                                        onSave={handleSaveTranscript}
+                                        onCancel={() => setIsEditingTranscript(false)}
+                                    />
                                 ) : (
-                                    captionChunks.length > 0 ? (() => {
-                                        // Group chunks into sentences (combine words within 5 second windows)
-                                        const groupedChunks = []
-                                        let currentGroup = { text: '', timestamp: null, endTime: 0 }
-
-                                        for (const chunk of captionChunks) {
-                                            const chunkStart = chunk.timestamp?.[0] || 0
-                                            const chunkEnd = chunk.timestamp?.[1] || chunkStart + 1
-                                            const currentStart = currentGroup.timestamp?.[0]
-
-                                            // Start new group if this chunk is >5s from current group start
-                                            // or if we've accumulated enough text (~100 chars)
-                                            if (currentStart === null ||
-                                                currentStart === undefined ||
-                                                chunkStart - currentStart > 5 ||
-                                                currentGroup.text.length > 100) {
-                                                if (currentGroup.text.trim()) {
-                                                    groupedChunks.push(currentGroup)
-                                                }
-                                                currentGroup = {
-                                                    text: chunk.text,
-                                                    timestamp: chunk.timestamp,
-                                                    endTime: chunkEnd
-                                                }
-                                            } else {
-                                                // Add to current group
-                                                currentGroup.text += ' ' + chunk.text
-                                                currentGroup.endTime = Math.max(currentGroup.endTime, chunkEnd)
-                                            }
-                                        }
-                                        // Don't forget the last group
-                                        if (currentGroup.text.trim()) {
-                                            groupedChunks.push(currentGroup)
-                                        }
-
-                                        // Find which group is currently active
-                                        const currentGroupIndex = groupedChunks.findIndex((group, i) => {
-                                            const start = group.timestamp?.[0] || 0
-                                            const nextStart = groupedChunks[i + 1]?.timestamp?.[0] || Infinity
-                                            return currentTime >= start && currentTime < nextStart
+                                    paragraphs.length > 0 ? (() => {
+                                        // Find which paragraph is currently playing
+                                        const currentIndex = paragraphs.findIndex((paragraph, i) => {
+                                            const nextStart = paragraphs[i + 1]?.start ?? Infinity
+                                            return paragraph.start !== null && currentTime >= paragraph.start && currentTime < nextStart
                                         })
 
                                         return (
-                                            <div className="space-y-2">
-                                                {groupedChunks.map((group, i) => {
-                                                    const isActive = i === currentGroupIndex
+                                            <div className="space-y-3">
+                                                {paragraphs.map((paragraph, i) => {
+                                                    const isActive = i === currentIndex
+                                                    // Label each speaker turn, not every paragraph
+                                                    const isNewSpeaker = paragraph.speaker !== null &&
+                                                        paragraph.speaker !== paragraphs[i - 1]?.speaker
                                                     return (
                                                         <div
                                                             key={i}
-                                                            className={`flex gap-3 group rounded px-2 py-1.5 -mx-2 transition-colors duration-200 ${isActive
+                                                            className={`group rounded px-2 py-1.5 -mx-2 transition-colors duration-200 ${isActive
                                                                 ? 'bg-primary/20 border-l-2 border-primary'
                                                                 : 'hover:bg-light-surface dark:hover:bg-dark-surface'
                                                                 }`}
                                                         >
-                                                            <button
-                                                                onClick={() => onSeek?.(group.timestamp?.[0] || 0)}
-                                                                className={`text-xs hover:underline shrink-0 w-12 text-left font-mono group-hover:opacity-100 ${isActive ? 'text-primary font-medium opacity-100' : 'text-primary opacity-70'
-                                                                    }`}
-                                                                title="Click to seek"
-                                                            >
-                                                                {formatTime(group.timestamp?.[0])}
-                                                            </button>
-                                                            <span className={`text-sm leading-relaxed ${isActive ? 'font-medium' : ''}`}>
-                                                                {group.text.trim()}
-                                                            </span>
+                                                            {(paragraph.start !== null || isNewSpeaker) && (
+                                                                <div className="flex items-center gap-2 mb-1">
+                                                                    {paragraph.start !== null && (
+                                                                        <button
+                                                                            onClick={() => onSeek?.(paragraph.start)}
+                                                                            className={`text-xs hover:underline font-mono group-hover:opacity-100 ${isActive ? 'text-primary font-medium opacity-100' : 'text-primary opacity-70'
+                                                                                }`}
+                                                                            title="Click to seek"
+                                                                        >
+                                                                            {formatTime(paragraph.start)}
+                                                                        </button>
+                                                                    )}
+                                                                    {isNewSpeaker && (
+                                                                        <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${SPEAKER_COLORS[paragraph.speaker % SPEAKER_COLORS.length]}`}>
+                                                                            {getSpeakerLabel(paragraph.speaker)}
+                                                                        </span>
+                                                                    )}
+                                                                </div>
+                                                            )}
+                                                            <p className={`text-sm leading-relaxed ${isActive ? 'font-medium' : ''}`}>
+                                                                {paragraph.text}
+                                                            </p>
                                                         </div>
                                                     )
                                                 })}
@@ -0,0 +1,141 @@
+import { BookmarkPlus, Pencil, Trash2, Sparkles, Loader2 } from 'lucide-react'
+import { formatDuration } from '../../utils/db'
+
+// Where the listed chapters came from
+const CHAPTER_SOURCE_LABELS = {
+    embedded: 'From the video file',
+    ai: 'Detected from captions',
+    description: 'From the description'
+}
+
+/**
+ * Player menu listing the video's chapters and bookmarks
+ * Bookmarks are renamed in place; a new bookmark opens here ready to be named.
+ */
+function ChaptersMenu({
+    chapters,
+    chaptersSource,
+    activeChapterIndex,
+    bookmarks,
+    renamingBookmarkId,
+    onRenamingChange,
+    onSeek,
+    onAddBookmark,
+    onRenameBookmark,
+    onDeleteBookmark,
+    canDetectChapters,
+    isDetectingChapters,
+    onDetectChapters,
+    onClearChapters,
+    addBookmarkTitle
+}) {
+    function commitRename(bookmark, label) {
+        onRenamingChange(null)
+        if (label.trim() !== bookmark.label) onRenameBookmark(bookmark.id, label.trim())
+    }
+
+    return (
+        <div data-no-speed-boost className="absolute bottom-full right-0 mb-2 bg-gray-900 rounded-lg py-1 w-72 max-h-80 overflow-y-auto text-sm">
+            <div className="flex items-center justify-between px-3 pt-1 pb-1">
+                <span className="text-xs font-semibold uppercase tracking-wide text-white/50">Chapters</span>
+                {chaptersSource && <span className="text-xs text-white/40">{CHAPTER_SOURCE_LABELS[chaptersSource]}</span>}
+            </div>
+            {chapters.map((chapter, i) => (
+                <button
+                    key={chapter.start}
+                    onClick={() => onSeek(chapter.start)}
+                    className={`w-full flex gap-2 px-3 py-1 text-left hover:bg-white/10 ${i === activeChapterIndex ? 'text-primary' : ''}`}
+                >
+                    <span className="tabular-nums text-white/60 flex-shrink-0">{formatDuration(chapter.start)}</span>
+                    <span className="truncate">{chapter.title}</span>
+                </button>
+            ))}
+            {chapters.length === 0 && (
+                <p className="px-3 py-1 text-xs text-white/50">This video has no chapters.</p>
+            )}
+            {canDetectChapters && (
+                <button
+                    onClick={onDetectChapters}
+                    disabled={isDetectingChapters}
+                    className="w-full flex items-center gap-2 px-3 py-1 text-left text-white/80 hover:bg-white/10 disabled:opacity-60"
+                >
+                    {isDetectingChapters ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Sparkles className="w-3.5 h-3.5" />}
+                    {isDetectingChapters ? 'Detecting chapters...' : chaptersSource === 'ai' ? 'Detect chapters again' : 'Detect chapters from captions'}
+                </button>
+            )}
+            {chaptersSource === 'ai' && !isDetectingChapters && (
+                <button
+                    onClick={onClearChapters}
+                    className="w-full flex items-center gap-2 px-3 py-1 text-left text-white/80 hover:bg-white/10"
+                >
+                    <Trash2 className="w-3.5 h-3.5" />
+                    Remove detected chapters
+                </button>
+            )}
+
+            <div className="px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-white/50 border-t border-white/10 mt-1">
+                Bookmarks
+            </div>
+            {bookmarks.map(bookmark => (
+                <div key={bookmark.id} className="group/bookmark flex items-center gap-2 px-3 py-1 hover:bg-white/10">
+                    <button
+                        onClick={() => onSeek(bookmark.time)}
+                        className="tabular-nums text-white/60 flex-shrink-0 hover:text-primary"
+                    >
+                        {formatDuration(bookmark.time)}
+                    </button>
+                    {renamingBookmarkId === bookmark.id ? (
+                        <input
+                            autoFocus
+                            type="text"
+                            defaultValue={bookmark.label}
+                            placeholder="Name this bookmark"
+                            onBlur={(e) => commitRename(bookmark, e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') e.target.blur()
+                                if (e.key === 'Escape') {
+                                    e.target.value = bookmark.label
+                                    e.target.blur()
+                                }
+                            }}
+                            className="flex-1 min-w-0 px-1.5 py-0.5 bg-white/10 rounded outline-none focus:ring-1 focus:ring-primary"
+                        />
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => onSeek(bookmark.time)}
+                                className={`flex-1 min-w-0 truncate text-left ${bookmark.label ? '' : 'text-white/50'}`}
+                            >
+                                {bookmark.label || 'Untitled bookmark'}
+                            </button>
+                            <button
+                                onClick={() => onRenamingChange(bookmark.id)}
+                                className="p-0.5 opacity-0 group-hover/bookmark:opacity-100 hover:text-primary"
+                                title="Rename"
+                            >
+                                <Pencil className="w-3.5 h-3.5" />
+                            </button>
+                            <button
+                                onClick={() => onDeleteBookmark(bookmark.id)}
+                                className="p-0.5 opacity-0 group-hover/bookmark:opacity-100 hover:text-error"
+                                title="Delete"
+                            >
+                                <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                        </>
+                    )}
+                </div>
+            ))}
+            <button
+                onClick={onAddBookmark}
+                className="w-full flex items-center gap-2 px-3 py-1 text-left text-white/80 hover:bg-white/10"
+                title={addBookmarkTitle}
+            >
+                <BookmarkPlus className="w-3.5 h-3.5" />
+                Bookmark this moment
+            </button>
+        </div>
+    )
+}
+
+export default ChaptersMenu
@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef } from 'react'
 import { X, Folder, GripVertical, Check, Video, Clock, Pencil } from 'lucide-react'
-import { updateModule, updateVideo, formatDuration } from '../../utils/db'
+import { bulkUpdate, formatDuration } from '../../utils/db'
 import { validateModuleTitle, sanitizeHTML } from '../../utils/validation'
 
 function EditModuleModal({ module, isOpen, onClose, onSave }) {
@@ -96,23 +96,22 @@ function EditModuleModal({ module, isOpen, onClose, onSave }) {
         try {
             setIsSaving(true)
 
-            // Save module name
-            await updateModule(module.id, {
-                title: titleValidation.sanitized,
-                updatedAt: new Date().toISOString()
+            // Save module name and changed videos (titles and order) together
+            const updatedAt = new Date().toISOString()
+            const changedVideos = videos.filter(video => {
+                const originalVideo = module.videos?.find(v => v.id === video.id)
+                return originalVideo && (originalVideo.title !== video.title || originalVideo.order !== video.order)
             })
 
-            // Save video changes (titles and order)
-            for (const video of videos) {
-                const originalVideo = module.videos?.find(v => v.id === video.id)
-                if (originalVideo && (originalVideo.title !== video.title || originalVideo.order !== video.order)) {
-                    await updateVideo(video.id, {
-                        title: video.title,
-                        order: video.order,
-                        updatedAt: new Date().toISOString()
-                    })
-                }
-            }
+            await bulkUpdate({
+                modules: [{ id: module.id, title: titleValidation.sanitized, updatedAt }],
+                videos: changedVideos.map(video => ({
+                    id: video.id,
+                    title: video.title,
+                    order: video.order,
+                    updatedAt
+                }))
+            })
 
             onSave?.()
             onClose()
@@ -6,6 +6,8 @@ import {
 import {
     addNote, getNotesByVideo, updateNote, deleteNote, formatDuration
 } from '../../utils/db'
+import { useCommands } from '../../contexts/CommandPaletteContext'
+import { useShortcuts, useShortcutSettings } from '../../contexts/ShortcutsContext'
 
 function NotesPanel({
     video,
@@ -21,6 +23,35 @@ function NotesPanel({
     const [showAddNote, setShowAddNote] = useState(false)
     const [editingNote, setEditingNote] = useState(null)
     const [noteContent, setNoteContent] = useState('')
+    const { getShortcutLabel } = useShortcutSettings()
+    const isEditing = showAddNote || !!editingNote
+
+    useCommands([
+        video && {
+            id: 'notes:add',
+            title: 'Add note at current time',
+            group: 'This video',
+            icon: Plus,
+            run: () => {
+                setIsCollapsed(false)
+                setShowAddNote(true)
+            }
+        },
+        notes.length > 0 && {
+            id: 'notes:export-video',
+            title: 'Export notes for this video',
+            group: 'This video',
+            icon: Download,
+            keywords: ['markdown', 'download notes'],
+            run: exportNotes
+        }
+    ])
+
+    // Only while focus is in the note form (data-shortcut-scope="notes")
+    useShortcuts({
+        'notes.save': isEditing && (editingNote ? handleUpdateNote : handleAddNote),
+        'notes.cancel': isEditing && cancelEdit
+    })
 
     // Load notes when video changes
     useEffect(() => {
@@ -168,8 +199,8 @@ function NotesPanel({
                     </div>
 
                     {/* Add/Edit Note Form */}
-                    {(showAddNote || editingNote) && (
-                        <div className="p-3 bg-light-surface dark:bg-dark-bg rounded-lg space-y-3">
+                    {isEditing && (
+                        <div data-shortcut-scope="notes" className="p-3 bg-light-surface dark:bg-dark-bg rounded-lg space-y-3">
                             <div className="flex items-center gap-2 text-sm text-light-text-secondary dark:text-dark-text-secondary">
                                 <Clock className="w-4 h-4" />
                                 {editingNote
@@ -198,6 +229,7 @@ function NotesPanel({
                                 <button
                                     onClick={editingNote ? handleUpdateNote : handleAddNote}
                                     disabled={!noteContent.trim()}
+                                    title={getShortcutLabel('notes.save') || undefined}
                                     className="px-3 py-1.5 text-sm bg-gray-900 dark:bg-white/10 text-white rounded-lg hover:bg-gray-800 dark:hover:bg-white/20 disabled:opacity-50"
                                 >
                                     {editingNote ? 'Save Changes' : 'Add Note'}
@@ -1,19 +1,94 @@
-import { useState, useMemo, useRef, useEffect, useCallback } from 'react'
+import { useState, useMemo, useRef, useEffect, useCallback, Fragment } from 'react'
 import {
     ChevronDown, ChevronRight, ChevronLeft, Check,
-    Pencil, GripVertical
+    Pencil, GripVertical, FolderOpen, FileText, FileArchive, Captions, Globe,
+    Sparkles, Loader2, Clock, Lock, AlertCircle
 } from 'lucide-react'
-import { formatDuration, markVideoComplete, updateModule, updateVideo } from '../../utils/db'
+import { formatDuration, markVideoComplete, bulkUpdate, recalculateCourseProgress, getResourcesByCourse } from '../../utils/db'
+import { cleanModuleTitle } from '../../utils/fileSystem'
 import EditModuleModal from './EditModuleModal'
 import NotesPanel from './NotesPanel'
 import BulkEditPlaylist from './BulkEditPlaylist'
 import AISummaryPanel from './AISummaryPanel'
+import ResourceViewerModal from './ResourceViewerModal'
+import { useAIQueue } from '../../contexts/AIQueueContext'
+import { useShortcuts } from '../../contexts/ShortcutsContext'
+import { enqueueModule } from '../../utils/aiQueue'
+import { getVideoChapters, findChapterIndex } from '../../utils/chapters'
+
+// Indentation per section level, in pixels
+const SECTION_INDENT = 12
+
+// How a video's background AI job is shown in the playlist
+const AI_JOB_BADGES = {
+    queued: { icon: Clock, label: 'Queued', className: '' },
+    running: { icon: Loader2, label: 'Transcribing', className: 'text-primary animate-spin' },
+    needs_access: { icon: Lock, label: 'Needs access', className: 'text-warning' },
+    failed: { icon: AlertCircle, label: 'AI failed', className: 'text-error' }
+}
+
+/**
+ * Section headers to show above a module
+ * Only the sections the module doesn't share with the module before it are new;
+ * a module whose folder is a parent section counts as that section.
+ */
+function getNewSections(modules, index) {
+    const sections = modules[index].sectionPath || []
+    const previous = modules[index - 1]
+    const previousPath = previous
+        ? [...(previous.sectionPath || []), cleanModuleTitle(previous.originalTitle)]
+        : []
+
+    let shared = 0
+    while (shared < sections.length && sections[shared] === previousPath[shared]) shared++
+
+    return sections.slice(shared).map((title, i) => ({ title, depth: shared + i }))
+}
+
+// Icons for resource types
+const RESOURCE_ICONS = {
+    pdf: FileText,
+    subtitles: Captions,
+    archive: FileArchive,
+    html: Globe,
+    markdown: FileText
+}
+
+/**
+ * Companion files of a video or module
+ */
+function ResourceList({ resources, onOpen, className = '' }) {
+    if (!resources?.length) return null
+
+    return (
+        <div className={`flex flex-col gap-0.5 ${className}`}>
+            {resources.map(resource => {
+                const Icon = RESOURCE_ICONS[resource.type] || FileText
+                return (
+                    <button
+                        key={resource.id}
+                        onClick={(e) => {
+                            e.stopPropagation()
+                            onOpen(resource)
+                        }}
+                        className="flex items-center gap-1.5 text-xs text-left text-light-text-secondary dark:text-dark-text-secondary hover:text-primary dark:hover:text-primary transition-colors"
+                        title={resource.fileName}
+                    >
+                        <Icon className="w-3 h-3 flex-shrink-0" />
+                        <span className="truncate">{resource.title}</span>
+                    </button>
+                )
+            })}
+        </div>
+    )
+}
 
 function PlaylistSidebar({
     course,
     modules,
     currentVideo,
     onVideoSelect,
+    onChapterSelect,
     isCollapsed,
     onToggle,
     onRefresh,
@@ -30,6 +105,47 @@ function PlaylistSidebar({
     const [editingModule, setEditingModule] = useState(null)
     const [activeTab, setActiveTab] = useState('playlist') // 'playlist' | 'notes' | 'ai'
     const [isBulkEditing, setIsBulkEditing] = useState(false)
+    const [resources, setResources] = useState([])
+    const [openResource, setOpenResource] = useState(null)
+    const [expandedChapters, setExpandedChapters] = useState({}) // Video id → chapters shown; the playing video's are by default
+    const { jobs: queueJobs } = useAIQueue()
+
+    // Chapters per video; the playing video's record is the one kept current
+    const chaptersByVideo = useMemo(() => {
+        const byVideo = {}
+        for (const video of modules.flatMap(m => m.videos)) {
+            byVideo[video.id] = getVideoChapters(video).chapters
+        }
+        return byVideo
+    }, [modules])
+    const currentChapters = useMemo(() => getVideoChapters(currentVideo).chapters, [currentVideo])
+    const activeChapterIndex = findChapterIndex(currentChapters, currentTime)
+
+    // Latest background AI job per video
+    const queueJobByVideo = useMemo(() => {
+        return queueJobs.reduce((byVideo, job) => ({ ...byVideo, [job.videoId]: job }), {})
+    }, [queueJobs])
+
+    // Only videos from a local folder can be transcribed in the background
+    const canQueue = course?.source !== 'youtube' && course?.source !== 'drive'
+
+    // Load companion files (slides, subtitles, exercise files...)
+    useEffect(() => {
+        if (!course?.id) return
+        getResourcesByCourse(course.id)
+            .then(setResources)
+            .catch(err => console.error('Failed to load resources:', err))
+    }, [course?.id])
+
+    // Resources by the video or module they belong to
+    const resourcesByOwner = useMemo(() => {
+        return resources.reduce((groups, resource) => {
+            const ownerId = resource.videoId || resource.moduleId
+            if (!groups[ownerId]) groups[ownerId] = []
+            groups[ownerId].push(resource)
+            return groups
+        }, {})
+    }, [resources])
 
     // Resizable panel state
     const [panelWidth, setPanelWidth] = useState(() => {
@@ -79,6 +195,24 @@ function PlaylistSidebar({
         }
     }, [])
 
+    async function handleQueueModule(e, module) {
+        e.stopPropagation()
+        try {
+            const { added } = await enqueueModule(course.id, module.id)
+            if (added === 0) {
+                alert('Every video of this module is already summarized or queued.')
+            }
+        } catch (err) {
+            console.error('Failed to queue module:', err)
+            alert('Failed to queue module: ' + err.message)
+        }
+    }
+
+    function toggleChapters(e, video, isShown) {
+        e.stopPropagation()
+        setExpandedChapters(prev => ({ ...prev, [video.id]: !isShown }))
+    }
+
     function toggleModule(moduleId) {
         setExpandedModules(prev => ({
             ...prev,
@@ -96,24 +230,42 @@ function PlaylistSidebar({
         }
     }
 
+    // Step back through the playlist, across modules
+    function handlePreviousVideo() {
+        const videos = modules.flatMap(m => m.videos)
+        const index = videos.findIndex(v => v.id === currentVideo?.id)
+        if (index > 0) onVideoSelect(videos[index - 1])
+    }
+
+    useShortcuts({
+        'playlist.previousVideo': handlePreviousVideo,
+        // The playlist's copy is the one kept current after completion changes
+        'playlist.toggleComplete': currentVideo && ((e) => handleToggleComplete(e,
+            modules.flatMap(m => m.videos).find(v => v.id === currentVideo.id) || currentVideo)),
+        'playlist.toggle': onToggle
+    })
+
     async function handleBulkSave(updatedModules) {
         try {
-            // Process updates
-            for (let mIndex = 0; mIndex < updatedModules.length; mIndex++) {
-                const mod = updatedModules[mIndex]
-                await updateModule(mod.id, {
+            // Write every title, order and module move in one transaction
+            await bulkUpdate({
+                modules: updatedModules.map((mod, mIndex) => ({
+                    id: mod.id,
                     title: mod.title,
                     order: mIndex
-                })
-
-                for (let vIndex = 0; vIndex < mod.videos.length; vIndex++) {
-                    const vid = mod.videos[vIndex]
-                    await updateVideo(vid.id, {
-                        title: vid.title,
-                        order: vIndex,
-                        moduleId: mod.id
-                    })
-                }
+                })),
+                videos: updatedModules.flatMap(mod => mod.videos.map((vid, vIndex) => ({
+                    id: vid.id,
+                    title: vid.title,
+                    order: vIndex,
+                    moduleId: mod.id
+                })))
+            })
+
+            // Videos moved between modules change the module progress totals
+            const movedVideos = updatedModules.some(mod => mod.videos.some(vid => vid.moduleId !== mod.id))
+            if (movedVideos && course) {
+                await recalculateCourseProgress(course.id)
             }
 
             setIsBulkEditing(false)
@@ -245,75 +397,154 @@ function PlaylistSidebar({
                         ) : (
                             // Regular Playlist View
                             <div className="h-full overflow-y-auto">
-                                {modules.map((module) => (
-                                    <div key={module.id} className="border-b border-light-border dark:border-dark-border last:border-b-0">
-                                        {/* Module Header */}
-                                        <div className="flex items-center gap-2 p-3 hover:bg-light-surface dark:hover:bg-dark-bg transition-colors cursor-pointer" onClick={() => toggleModule(module.id)}>
-                                            {expandedModules[module.id] ? (
-                                                <ChevronDown className="w-4 h-4 flex-shrink-0 text-light-text-secondary dark:text-dark-text-secondary" />
-                                            ) : (
-                                                <ChevronRight className="w-4 h-4 flex-shrink-0 text-light-text-secondary dark:text-dark-text-secondary" />
-                                            )}
-                                            <div className="flex-1 min-w-0">
-                                                <h3 className="text-sm font-medium truncate select-none">
-                                                    {module.title}
-                                                </h3>
-                                                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary select-none">
-                                                    {module.videos.filter(v => v.isCompleted).length}/{module.videos.length} • {formatDuration(module.totalDuration)}
-                                                </p>
+                                {modules.map((module, moduleIndex) => (
+                                    <Fragment key={module.id}>
+                                        {/* Section Headers (nested folders) */}
+                                        {getNewSections(modules, moduleIndex).map(section => (
+                                            <div
+                                                key={section.depth}
+                                                className="flex items-center gap-2 px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-light-text-secondary dark:text-dark-text-secondary select-none"
+                                                style={{ paddingLeft: 12 + section.depth * SECTION_INDENT }}
+                                            >
+                                                <FolderOpen className="w-3.5 h-3.5 flex-shrink-0" />
+                                                <span className="truncate">{section.title}</span>
+                                            </div>
+                                        ))}
+                                        <div className="border-b border-light-border dark:border-dark-border last:border-b-0">
+                                            {/* Module Header */}
+                                            <div
+                                                className="flex items-center gap-2 p-3 hover:bg-light-surface dark:hover:bg-dark-bg transition-colors cursor-pointer"
+                                                style={module.sectionPath?.length ? { paddingLeft: 12 + module.sectionPath.length * SECTION_INDENT } : undefined}
+                                                onClick={() => toggleModule(module.id)}
+                                            >
+                                                {expandedModules[module.id] ? (
+                                                    <ChevronDown className="w-4 h-4 flex-shrink-0 text-light-text-secondary dark:text-dark-text-secondary" />
+                                                ) : (
+                                                    <ChevronRight className="w-4 h-4 flex-shrink-0 text-light-text-secondary dark:text-dark-text-secondary" />
+                                                )}
+                                                <div className="flex-1 min-w-0">
+                                                    <h3 className="text-sm font-medium truncate select-none">
+                                                        {module.title}
+                                                    </h3>
+                                                    <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary select-none">
+                                                        {module.videos.filter(v => v.isCompleted).length}/{module.videos.length} • {formatDuration(module.totalDuration)}
+                                                    </p>
+                                                </div>
+                                                {canQueue && (
+                                                    <button
+                                                        onClick={(e) => handleQueueModule(e, module)}
+                                                        className="p-1 rounded hover:bg-light-border dark:hover:bg-dark-border text-light-text-secondary dark:text-dark-text-secondary hover:text-primary flex-shrink-0"
+                                                        title="Transcribe & summarize this module"
+                                                    >
+                                                        <Sparkles className="w-3.5 h-3.5" />
+                                                    </button>
+                                                )}
                                             </div>
-                                        </div>
 
-                                        {/* Videos */}
-                                        {expandedModules[module.id] && (
-                                            <div className="pb-1">
-                                                {module.videos.map((video) => {
-                                                    const isActive = currentVideo?.id === video.id
-                                                    const isCompleted = video.isCompleted
-
-                                                    return (
-                                                        <div
-                                                            key={video.id}
-                                                            onClick={() => onVideoSelect(video)}
-                                                            className={`
-                                                                    w-full flex items-start gap-3 px-4 py-2 text-left cursor-pointer
-                                                                    transition-colors group text-sm
-                                                                    ${isActive
-                                                                    ? 'bg-blue-100 dark:bg-primary/10 border-l-2 border-blue-600 dark:border-primary'
-                                                                    : 'hover:bg-light-surface dark:hover:bg-dark-bg border-l-2 border-transparent'
-                                                                }
-                                                                `}
-                                                        >
-                                                            {/* Checkbox */}
-                                                            <button
-                                                                onClick={(e) => handleToggleComplete(e, video)}
+                                            {/* Videos */}
+                                            {expandedModules[module.id] && (
+                                                <div className="pb-1">
+                                                    {module.videos.map((video) => {
+                                                        const isActive = currentVideo?.id === video.id
+                                                        const isCompleted = video.isCompleted
+                                                        const jobBadge = AI_JOB_BADGES[queueJobByVideo[video.id]?.status]
+                                                        const chapters = isActive ? currentChapters : chaptersByVideo[video.id] || []
+                                                        const showChapters = chapters.length > 0 && (expandedChapters[video.id] ?? isActive)
+
+                                                        return (
+                                                            <div
+                                                                key={video.id}
+                                                                onClick={() => onVideoSelect(video)}
                                                                 className={`
-                                                                        w-4 h-4 rounded border flex-shrink-0 mt-0.5
-                                                                        flex items-center justify-center transition-colors
-                                                                        ${isCompleted
-                                                                        ? 'bg-success border-success text-white'
-                                                                        : 'border-gray-400 dark:border-gray-600 hover:border-primary'
+                                                                        w-full flex items-start gap-3 px-4 py-2 text-left cursor-pointer
+                                                                        transition-colors group text-sm
+                                                                        ${isActive
+                                                                        ? 'bg-blue-100 dark:bg-primary/10 border-l-2 border-blue-600 dark:border-primary'
+                                                                        : 'hover:bg-light-surface dark:hover:bg-dark-bg border-l-2 border-transparent'
                                                                     }
                                                                     `}
                                                             >
-                                                                {isCompleted && <Check className="w-3 h-3" />}
-                                                            </button>
+                                                                {/* Checkbox */}
+                                                                <button
+                                                                    onClick={(e) => handleToggleComplete(e, video)}
+                                                                    className={`
+                                                                            w-4 h-4 rounded border flex-shrink-0 mt-0.5
+                                                                            flex items-center justify-center transition-colors
+                                                                            ${isCompleted
+                                                                            ? 'bg-success border-success text-white'
+                                                                            : 'border-gray-400 dark:border-gray-600 hover:border-primary'
+                                                                        }
+                                                                        `}
+                                                                >
+                                                                    {isCompleted && <Check className="w-3 h-3" />}
+                                                                </button>
 
-                                                            {/* Title */}
-                                                            <div className="flex-1 min-w-0">
-                                                                <div className={`line-clamp-2 ${isCompleted ? 'text-light-text-secondary dark:text-dark-text-secondary line-through' : ''} ${isActive ? 'text-blue-600 dark:text-white font-medium' : ''}`}>
-                                                                    {video.title}
-                                                                </div>
-                                                                <div className="flex items-center gap-2 mt-0.5 text-xs text-light-text-secondary dark:text-dark-text-secondary">
-                                                                    <span>{formatDuration(video.duration)}</span>
+                                                                {/* Title */}
+                                                                <div className="flex-1 min-w-0">
+                                                                    <div className={`line-clamp-2 ${isCompleted ? 'text-light-text-secondary dark:text-dark-text-secondary line-through' : ''} ${isActive ? 'text-blue-600 dark:text-white font-medium' : ''}`}>
+                                                                        {video.title}
+                                                                    </div>
+                                                                    <div className="flex items-center gap-2 mt-0.5 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                                                        <span>{formatDuration(video.duration)}</span>
+                                                                        {jobBadge && (
+                                                                            <span
+                                                                                className="flex items-center gap-1"
+                                                                                title={queueJobByVideo[video.id].error || jobBadge.label}
+                                                                            >
+                                                                                <jobBadge.icon className={`w-3 h-3 ${jobBadge.className}`} />
+                                                                                {jobBadge.label}
+                                                                            </span>
+                                                                        )}
+                                                                        {chapters.length > 0 && (
+                                                                            <button
+                                                                                onClick={(e) => toggleChapters(e, video, showChapters)}
+                                                                                className="flex items-center gap-0.5 hover:text-primary transition-colors"
+                                                                            >
+                                                                                {showChapters ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                                                                                {chapters.length} {chapters.length === 1 ? 'chapter' : 'chapters'}
+                                                                            </button>
+                                                                        )}
+                                                                    </div>
+                                                                    {showChapters && (
+                                                                        <div className="flex flex-col mt-1 -ml-1">
+                                                                            {chapters.map((chapter, i) => (
+                                                                                <button
+                                                                                    key={chapter.start}
+                                                                                    onClick={(e) => {
+                                                                                        e.stopPropagation()
+                                                                                        onChapterSelect(video, chapter.start)
+                                                                                    }}
+                                                                                    className={`flex items-baseline gap-2 px-1 py-0.5 rounded text-xs text-left transition-colors hover:bg-light-border dark:hover:bg-dark-border ${isActive && i === activeChapterIndex
+                                                                                        ? 'text-blue-600 dark:text-primary font-medium'
+                                                                                        : 'text-light-text-secondary dark:text-dark-text-secondary'
+                                                                                        }`}
+                                                                                >
+                                                                                    <span className="tabular-nums flex-shrink-0">{formatDuration(chapter.start)}</span>
+                                                                                    <span className="truncate">{chapter.title}</span>
+                                                                                </button>
+                                                                            ))}
+                                                                        </div>
+                                                                    )}
+                                                                    <ResourceList
+                                                                        resources={resourcesByOwner[video.id]}
+                                                                        onOpen={setOpenResource}
+                                                                        className="mt-1"
+                                                                    />
                                                                 </div>
                                                             </div>
-                                                        </div>
-                                                    )
-                                                })}
-                                            </div>
-                                        )}
-                                    </div>
+                                                        )
+                                                    })}
+
+                                                    {/* Module Resources */}
+                                                    <ResourceList
+                                                        resources={resourcesByOwner[module.id]}
+                                                        onOpen={setOpenResource}
+                                                        className="px-4 py-2 pl-11"
+                                                    />
+                                                </div>
+                                            )}
+                                        </div>
+                                    </Fragment>
                                 ))}
                             </div>
                         )
@@ -385,6 +616,13 @@ function PlaylistSidebar({
                     onRefresh?.()
                 }}
             />
+
+            <ResourceViewerModal
+                resource={openResource}
+                course={course}
+                isOpen={!!openResource}
+                onClose={() => setOpenResource(null)}
+            />
         </>
     )
 }
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import { X, FileText, Download, Loader2, FolderOpen, FileArchive } from 'lucide-react'
+import ReactMarkdown from 'react-markdown'
+import { getLocalFile, pickFolderFallback, cacheFallbackFiles } from '../../utils/fileSystem'
+
+// Resource types shown as text instead of in a frame
+const TEXT_TYPES = ['markdown', 'subtitles']
+
+function ResourceViewerModal({ resource, course, isOpen, onClose }) {
+    const [fileUrl, setFileUrl] = useState(null)
+    const [text, setText] = useState(null)
+    const [isLoading, setIsLoading] = useState(false)
+    const [needsFolderAccess, setNeedsFolderAccess] = useState(false)
+    const [error, setError] = useState(null)
+    const [reloadKey, setReloadKey] = useState(0)
+
+    useEffect(() => {
+        if (!isOpen || !resource) return
+
+        let url = null
+        let cancelled = false
+
+        async function load() {
+            setIsLoading(true)
+            setError(null)
+            setNeedsFolderAccess(false)
+            setFileUrl(null)
+            setText(null)
+
+            try {
+                const file = await getLocalFile(resource, course?.originalTitle || resource.relativePath?.split('/')[0])
+                if (cancelled) return
+                if (!file) {
+                    setNeedsFolderAccess(true)
+                    return
+                }
+
+                url = URL.createObjectURL(file)
+                setFileUrl(url)
+                if (TEXT_TYPES.includes(resource.type)) {
+                    const content = await file.text()
+                    if (!cancelled) setText(content)
+                }
+            } catch (err) {
+                console.error('Failed to open resource:', err)
+                if (!cancelled) setError('Failed to open file. It may have been moved or deleted.')
+            } finally {
+                if (!cancelled) setIsLoading(false)
+            }
+        }
+
+        load()
+
+        return () => {
+            cancelled = true
+            if (url) URL.revokeObjectURL(url)
+        }
+    }, [isOpen, resource, course, reloadKey])
+
+    async function handleSelectFolder() {
+        try {
+            const result = await pickFolderFallback()
+            if (result) {
+                cacheFallbackFiles(result.files, result.folderName)
+                // Load again from the cached files
+                setReloadKey(key => key + 1)
+            }
+        } catch (err) {
+            setError('Failed to select folder: ' + err.message)
+        }
+    }
+
+    if (!isOpen || !resource) return null
+
+    function renderContent() {
+        if (isLoading) {
+            return (
+                <div className="flex-1 flex items-center justify-center">
+                    <Loader2 className="w-8 h-8 animate-spin text-primary" />
+                </div>
+            )
+        }
+
+        if (error) {
+            return <div className="m-4 p-3 bg-error/10 text-error rounded-lg text-sm">{error}</div>
+        }
+
+        if (needsFolderAccess) {
+            return (
+                <div className="flex-1 flex flex-col items-center justify-center gap-3 p-6 text-center">
+                    <FolderOpen className="w-10 h-10 text-light-text-secondary dark:text-dark-text-secondary" />
+                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                        Select the course folder &quot;{course?.originalTitle}&quot; to open this file.
+                    </p>
+                    <button
+                        onClick={handleSelectFolder}
+                        className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors"
+                    >
+                        Select Folder
+                    </button>
+                </div>
+            )
+        }
+
+        if (!fileUrl) return null
+
+        if (resource.type === 'markdown' && text !== null) {
+            return (
+                <div className="flex-1 overflow-y-auto p-6 prose prose-sm dark:prose-invert max-w-none">
+                    <ReactMarkdown>{text}</ReactMarkdown>
+                </div>
+            )
+        }
+
+        if (resource.type === 'subtitles' && text !== null) {
+            return (
+                <pre className="flex-1 overflow-y-auto p-4 text-xs font-mono whitespace-pre-wrap">
+                    {text}
+                </pre>
+            )
+        }
+
+        if (resource.type === 'pdf') {
+            return <iframe src={fileUrl} title={resource.title} className="flex-1 w-full bg-white" />
+        }
+
+        if (resource.type === 'html') {
+            // Sandboxed: course pages shouldn't run scripts with access to the app
+            return <iframe src={fileUrl} title={resource.title} sandbox="" className="flex-1 w-full bg-white" />
+        }
+
+        return (
+            <div className="flex-1 flex flex-col items-center justify-center gap-3 p-6 text-center">
+                <FileArchive className="w-10 h-10 text-light-text-secondary dark:text-dark-text-secondary" />
+                <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                    This file can&apos;t be previewed in the browser.
+                </p>
+                <a
+                    href={fileUrl}
+                    download={resource.fileName}
+                    className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors"
+                >
+                    <Download className="w-4 h-4" />
+                    Download
+                </a>
+            </div>
+        )
+    }
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+
+            <div className="relative bg-white dark:bg-dark-surface rounded-xl shadow-2xl w-full max-w-4xl h-[85vh] flex flex-col animate-scale-in">
+                {/* Header */}
+                <div className="flex items-center justify-between gap-2 p-4 border-b border-light-border dark:border-dark-border">
+                    <h2 className="text-lg font-semibold flex items-center gap-2 min-w-0">
+                        <FileText className="w-5 h-5 text-primary flex-shrink-0" />
+                        <span className="truncate">{resource.title}</span>
+                    </h2>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                        {fileUrl && (
+                            <a
+                                href={fileUrl}
+                                download={resource.fileName}
+                                className="p-2 hover:bg-light-surface dark:hover:bg-dark-bg rounded-lg"
+                                title="Download"
+                            >
+                                <Download className="w-5 h-5" />
+                            </a>
+                        )}
+                        <button onClick={onClose} className="p-2 hover:bg-light-surface dark:hover:bg-dark-bg rounded-lg">
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                </div>
+
+                {/* Body */}
+                {renderContent()}
+            </div>
+        </div>
+    )
+}
+
+export default ResourceViewerModal
@@ -0,0 +1,249 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Scissors, Merge, Loader2, BookA } from 'lucide-react'
+import {
+    groupCaptionWords, replaceSegmentText, mergeWithNextSegment, splitSegment, shiftCaptions, applyVocabulary, getVocabulary
+} from '../../utils/transcriptEditing'
+
+// Caption segments rendered at once; long lectures have thousands
+const PAGE_SIZE = 200
+
+// Format seconds to M:SS.s, precise enough to check caption timing
+function formatCueTime(seconds) {
+    const m = Math.floor(seconds / 60)
+    const s = (seconds % 60).toFixed(1).padStart(4, '0')
+    return `${m}:${s}`
+}
+
+function countWords(text) {
+    return text.trim().split(/\s+/).filter(Boolean).length
+}
+
+/**
+ * One caption segment; its text is committed when the field loses focus, and
+ * handed along with split and merge so unsaved typing isn't lost
+ */
+function SegmentRow({ segment, isActive, isLast, onSeek, onEdit, onCommit, onSplit, onMerge }) {
+    const [draft, setDraft] = useState(segment.text)
+    const [caret, setCaret] = useState(null)
+
+    useEffect(() => {
+        setDraft(segment.text)
+    }, [segment.text])
+
+    // Buttons keep the focus in the field, so its blur doesn't commit twice
+    const keepFocus = (e) => e.preventDefault()
+
+    return (
+        <div className={`flex items-start gap-2 rounded px-2 py-1 -mx-2 ${isActive ? 'bg-primary/20' : ''}`}>
+            <button
+                onClick={() => onSeek?.(segment.start)}
+                className="text-xs text-primary hover:underline font-mono shrink-0 pt-1.5 w-20 text-left"
+                title="Click to seek"
+            >
+                {formatCueTime(segment.start)}
+            </button>
+            <input
+                value={draft}
+                onChange={(e) => {
+                    setDraft(e.target.value)
+                    onEdit()
+                }}
+                onSelect={(e) => setCaret(e.target.selectionStart)}
+                onBlur={() => draft !== segment.text && onCommit(draft)}
+                onKeyDown={(e) => {
+                    // Enter splits at the cursor, like a subtitle editor
+                    if (e.key === 'Enter') {
+                        e.preventDefault()
+                        onSplit(draft, e.target.selectionStart)
+                    }
+                }}
+                className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-transparent hover:border-light-border dark:hover:border-dark-border focus:border-blue-500 dark:focus:border-blue-400 bg-transparent outline-none focus:outline-none ring-0 focus:ring-0"
+            />
+            <button
+                onMouseDown={keepFocus}
+                onClick={() => onSplit(draft, caret ?? Math.floor(draft.length / 2))}
+                className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded shrink-0"
+                title="Split at cursor (Enter)"
+            >
+                <Scissors className="w-3.5 h-3.5" />
+            </button>
+            <button
+                onMouseDown={keepFocus}
+                onClick={() => onMerge(draft)}
+                disabled={isLast}
+                className="p-1.5 hover:bg-gray-100 dark:hover:bg-dark-surface rounded shrink-0 disabled:opacity-30"
+                title="Merge with next"
+            >
+                <Merge className="w-3.5 h-3.5" />
+            </button>
+        </div>
+    )
+}
+
+/**
+ * Editor for a Whisper transcript, one row per caption segment
+ * Words keep their timestamps as text is corrected; nothing is saved until Save.
+ */
+function TranscriptEditor({ chunks: initialChunks, hasSummary, currentTime = 0, isSaving, onSeek, onSave, onCancel }) {
+    const [chunks, setChunks] = useState(initialChunks)
+    const [isDirty, setIsDirty] = useState(false)
+    const [shiftSeconds, setShiftSeconds] = useState(0.5)
+    const [shiftFromCurrent, setShiftFromCurrent] = useState(false)
+    const [regenerateSummary, setRegenerateSummary] = useState(hasSummary)
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+
+    const segments = useMemo(() => groupCaptionWords(chunks), [chunks])
+    const activeIndex = segments.findIndex((segment, i) =>
+        currentTime >= segment.start && currentTime < (segments[i + 1]?.start ?? Infinity))
+
+    function update(nextChunks) {
+        setChunks(nextChunks)
+        setIsDirty(true)
+    }
+
+    // Commit a row's text, and return the segment as it is afterwards
+    function applyDraft(current, segment, text) {
+        if (text.trim() === segment.text) return { chunks: current, segment }
+        const next = replaceSegmentText(current, segment, text)
+        const indices = Array.from({ length: countWords(text) }, (_, k) => segment.indices[0] + k)
+        return { chunks: next, segment: { ...segment, text: text.trim(), indices } }
+    }
+
+    function handleCommit(segment, text) {
+        update(applyDraft(chunks, segment, text).chunks)
+    }
+
+    function handleSplit(segment, text, caret) {
+        const drafted = applyDraft(chunks, segment, text)
+        const wordOffset = countWords(text.slice(0, caret))
+        update(splitSegment(drafted.chunks, drafted.segment, wordOffset))
+    }
+
+    function handleMerge(segment, text) {
+        const drafted = applyDraft(chunks, segment, text)
+        if (drafted.segment.indices.length === 0) {
+            update(drafted.chunks)
+            return
+        }
+        update(mergeWithNextSegment(drafted.chunks, drafted.segment))
+    }
+
+    function handleShift(direction) {
+        const seconds = Number(shiftSeconds) * direction
+        if (!seconds) return
+        update(shiftCaptions(chunks, seconds, shiftFromCurrent ? currentTime : 0))
+    }
+
+    function handleApplyVocabulary() {
+        const vocabulary = getVocabulary()
+        if (vocabulary.length === 0) {
+            alert('No vocabulary rules yet. Add them in Settings → AI → Vocabulary.')
+            return
+        }
+        update(applyVocabulary(chunks, vocabulary))
+    }
+
+    return (
+        <div>
+            {/* Timing and vocabulary tools */}
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                <span className="text-light-text-secondary dark:text-dark-text-secondary">Shift</span>
+                <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={shiftSeconds}
+                    onChange={(e) => setShiftSeconds(e.target.value)}
+                    className="w-16 px-2 py-1 rounded border border-light-border dark:border-dark-border bg-white dark:bg-dark-surface outline-none focus:outline-none ring-0 focus:ring-0"
+                />
+                <span className="text-light-text-secondary dark:text-dark-text-secondary">s</span>
+                <button
+                    onClick={() => handleShift(-1)}
+                    className="px-2 py-1 rounded border border-light-border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-dark-surface"
+                >
+                    Earlier
+                </button>
+                <button
+                    onClick={() => handleShift(1)}
+                    className="px-2 py-1 rounded border border-light-border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-dark-surface"
+                >
+                    Later
+                </button>
+                <label className="flex items-center gap-1 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                    <input
+                        type="checkbox"
+                        checked={shiftFromCurrent}
+                        onChange={(e) => setShiftFromCurrent(e.target.checked)}
+                    />
+                    from current time only
+                </label>
+                <button
+                    onClick={handleApplyVocabulary}
+                    className="ml-auto flex items-center gap-1 px-2 py-1 rounded border border-light-border dark:border-dark-border hover:bg-gray-100 dark:hover:bg-dark-surface"
+                    title="Apply the custom vocabulary from Settings"
+                >
+                    <BookA className="w-4 h-4" />
+                    Apply Vocabulary
+                </button>
+            </div>
+
+            <div className="max-h-[50vh] overflow-y-auto space-y-0.5">
+                {segments.slice(0, visibleCount).map((segment, i) => (
+                    <SegmentRow
+                        key={`${segment.indices[0]}-${segment.indices.length}`}
+                        segment={segment}
+                        isActive={i === activeIndex}
+                        isLast={i === segments.length - 1}
+                        onSeek={onSeek}
+                        onEdit={() => setIsDirty(true)}
+                        onCommit={(text) => handleCommit(segment, text)}
+                        onSplit={(text, caret) => handleSplit(segment, text, caret)}
+                        onMerge={(text) => handleMerge(segment, text)}
+                    />
+                ))}
+                {segments.length > visibleCount && (
+                    <button
+                        onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+                        className="w-full py-2 text-sm text-primary hover:underline"
+                    >
+                        Show more ({segments.length - visibleCount} left)
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-3 pt-3 border-t border-light-border dark:border-dark-border">
+                {hasSummary ? (
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={regenerateSummary}
+                            onChange={(e) => setRegenerateSummary(e.target.checked)}
+                        />
+                        Regenerate summary from the corrected text
+                    </label>
+                ) : <span />}
+                <div className="flex gap-2">
+                    <button
+                        onClick={onCancel}
+                        disabled={isSaving}
+                        className="px-3 py-1.5 text-sm border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        // Blur first, so the field being edited commits before saving
+                        onMouseDown={() => document.activeElement?.blur()}
+                        onClick={() => onSave(chunks, { regenerateSummary: hasSummary && regenerateSummary })}
+                        disabled={isSaving || !isDirty}
+                        className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50"
+                    >
+                        {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default TranscriptEditor
@@ -1,16 +1,52 @@
-import { useRef, useState, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react'
+import { useRef, useState, useEffect, useCallback, useMemo, forwardRef, useImperativeHandle } from 'react'
 import {
     Play, Pause, Volume2, VolumeX, Maximize, Minimize,
-    SkipForward, Settings, PictureInPicture, FolderOpen, X, Repeat, Captions, CaptionsOff
+    SkipForward, Settings, PictureInPicture, FolderOpen, X, Repeat, Captions, CaptionsOff, ListVideo
 } from 'lucide-react'
 // YouTube videos use native iframe embed
-import { getVideoUrl, releaseVideoUrl, verifyPermission, findFileByPath, findFileByFileName, pickFolderFallback, cacheFallbackFiles, isFileSystemAccessSupported, hasRootFolderAccess, findCourseFolderInRoot, getRootFolderHandle } from '../../utils/fileSystem'
-import { updateVideoProgress, markVideoComplete, formatDuration, getCourse } from '../../utils/db'
+import { getVideoUrl, releaseVideoUrl, resolveVideoFileSource, pickFolderFallback, cacheFallbackFiles, isFileSystemAccessSupported, getRootFolderHandle } from '../../utils/fileSystem'
+import { updateVideoProgress, markVideoComplete, formatDuration, getCourse, recordLearningActivity, updateVideo, generateId } from '../../utils/db'
 import { useSettings } from '../../contexts/SettingsContext'
-import { chunksToVTT } from '../../utils/aiSummarization'
-
-
-const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext, courseId, onTimeUpdate }, ref) {
+import { useShortcuts, useShortcutSettings } from '../../contexts/ShortcutsContext'
+import { segmentsToVTT } from '../../utils/subtitles'
+import { groupCaptionWords } from '../../utils/transcriptEditing'
+import { resolveSkipTimes, getSkipWindow, getWatchPercentage } from '../../utils/playbackSkips'
+import { getVideoChapters, findChapterIndex, readEmbeddedChapters, detectTopicChapters } from '../../utils/chapters'
+import ChaptersMenu from './ChaptersMenu'
+
+// Preferred caption track: 'ai' or a subtitle language/label
+const CAPTION_TRACK_KEY = 'tutin_caption_track'
+// Shortest A-B repeat, in seconds
+const MIN_REPEAT_SECONDS = 1
+// Previous chapter restarts the current one when this far into it
+const CHAPTER_RESTART_SECONDS = 3
+const YOUTUBE_ORIGIN = 'https://www.youtube.com'
+
+/**
+ * Send a message to a YouTube embed (loaded with enablejsapi=1)
+ */
+function postToYouTube(iframe, message) {
+    iframe?.contentWindow?.postMessage(JSON.stringify(message), YOUTUBE_ORIGIN)
+}
+
+/**
+ * Pick the caption track for a video: the preferred one if available, then the
+ * first subtitle file, then the AI-generated captions
+ * @param {Array} tracks - The video's subtitle tracks
+ * @param {boolean} hasAICaptions - Whether the video has AI captions
+ * @returns {string|null} 'ai', a subtitle track id, or null without captions
+ */
+function pickCaptionTrack(tracks, hasAICaptions) {
+    const preferred = localStorage.getItem(CAPTION_TRACK_KEY)
+
+    if (preferred === 'ai' && hasAICaptions) return 'ai'
+    const match = preferred && tracks.find(t => t.language === preferred || t.label === preferred)
+    if (match) return match.id
+    if (tracks.length > 0) return tracks[0].id
+    return hasAICaptions ? 'ai' : null
+}
+
+const VideoPlayer = forwardRef(function VideoPlayer({ video, course = null, onComplete, onNext, courseId, onTimeUpdate, onVideoDataChange, startTime = null }, ref) {
     const videoRef = useRef(null)
     const containerRef = useRef(null)
     const progressRef = useRef(null)
@@ -40,6 +76,8 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         return saved === 'true'
     })
     const [captionTrackUrl, setCaptionTrackUrl] = useState(null)
+    const [captionTrackId, setCaptionTrackId] = useState(() => pickCaptionTrack(video?.subtitleTracks || [], video?.captionChunks?.length > 0))
+    const [showCaptionMenu, setShowCaptionMenu] = useState(false)
     const [currentCaption, setCurrentCaption] = useState('')
     const [captionPosition, setCaptionPosition] = useState(() => {
         const saved = localStorage.getItem('tutin_caption_position')
@@ -48,17 +86,44 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
     const [isDraggingCaption, setIsDraggingCaption] = useState(false)
     const [isSpeedBoosting, setIsSpeedBoosting] = useState(false)
     const [speedBeforeBoost, setSpeedBeforeBoost] = useState(1)
+    const [showChaptersMenu, setShowChaptersMenu] = useState(false)
+    const [bookmarks, setBookmarks] = useState(() => video?.bookmarks || [])
+    const [renamingBookmarkId, setRenamingBookmarkId] = useState(null)
+    const [repeatRange, setRepeatRange] = useState({ start: null, end: null }) // A-B repeat points
+    const [isDetectingChapters, setIsDetectingChapters] = useState(false)
+    const [hoverTime, setHoverTime] = useState(null) // Seek bar position under the pointer
     const captionRef = useRef(null)
     const trackRef = useRef(null)
     const speedBoostTimeoutRef = useRef(null)
     const wasSpeedBoostingRef = useRef(false)
 
     const { settings } = useSettings()
+    const { getShortcutLabel } = useShortcutSettings()
     const controlsTimeoutRef = useRef(null)
     const progressIntervalRef = useRef(null)
+    const watchTickRef = useRef(null) // Wall-clock time of the last recorded playback tick
+    const lastTimeRef = useRef(0) // Position at the previous timeupdate, to spot playback crossing the outro
+    const outroReachedRef = useRef(false)
+    const youTubeDurationRef = useRef(0) // Length the YouTube embed reported
+
+    // Intro and outro for this course, as positions in this video
+    const skipTimes = resolveSkipTimes(course, settings)
+    const { introEnd, outroStart } = getSkipWindow(skipTimes, duration)
+    // YouTube and Drive play in iframes, which don't report their position
+    const isEmbedded = !!(video?.youtubeId || video?.url?.startsWith('http'))
+    const isYouTube = !!(video?.youtubeId || video?.url?.includes('youtube.com') || video?.url?.includes('youtu.be'))
+
+    const { chapters, source: chaptersSource } = useMemo(() => getVideoChapters(video), [video])
+    const activeChapterIndex = findChapterIndex(chapters, currentTime)
+    const isRepeating = repeatRange.end !== null
 
     // Load video when video prop changes
     useEffect(() => {
+        outroReachedRef.current = false
+        lastTimeRef.current = 0
+        youTubeDurationRef.current = 0
+        setRepeatRange({ start: null, end: null })
+        setShowChaptersMenu(false)
         loadVideo()
         return () => {
             if (videoUrl) {
@@ -67,7 +132,12 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
             if (progressIntervalRef.current) {
                 clearInterval(progressIntervalRef.current)
             }
+            recordWatchTime()
+            watchTickRef.current = null
         }
+        // Runs once per video on purpose: the cleanup's recordWatchTime is the one of
+        // the render that opened the video, so the time goes to the video being left
+        // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [video?.id])
 
     async function loadVideo() {
@@ -119,86 +189,19 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
             setError(null)
             setNeedsFolderAccess(false)
 
-            let fileSource = null
-
-            // Modern API: use fileHandle
-            if (video.fileHandle) {
-                // Verify permission for FileHandle
-                if (typeof video.fileHandle.queryPermission === 'function') {
-                    const hasPermission = await verifyPermission(video.fileHandle)
-                    if (!hasPermission) {
-                        setError('Permission denied. Please click the video again to grant access.')
-                        return
-                    }
-                }
-                fileSource = video.fileHandle
-            }
-            // Fallback mode: look up file from cache using relativePath
-            else if (video.relativePath) {
-                // Get course to find folder name
-                const course = courseId ? await getCourse(courseId) : null
-                const folderName = course?.originalTitle || video.relativePath.split('/')[0]
-
-                const cachedFile = findFileByPath(folderName, video.relativePath)
-                if (cachedFile) {
-                    fileSource = cachedFile
-                } else if (hasRootFolderAccess()) {
-                    // Try to access file through root folder
-                    try {
-                        const courseFolderHandle = await findCourseFolderInRoot(folderName)
-                        if (courseFolderHandle) {
-                            // Navigate to the file within the course folder
-                            const pathParts = video.relativePath.split('/').slice(1) // Remove folder name
-                            let currentHandle = courseFolderHandle
-
-                            // Navigate through subdirectories
-                            for (let i = 0; i < pathParts.length - 1; i++) {
-                                currentHandle = await currentHandle.getDirectoryHandle(pathParts[i])
-                            }
+            // Get course to find folder name (fallback mode looks files up by relative path)
+            const course = !video.fileHandle && courseId ? await getCourse(courseId) : null
+            const folderName = course?.originalTitle || video.relativePath?.split('/')[0]
 
-                            // Get the file
-                            const fileName = pathParts[pathParts.length - 1]
-                            const fileHandle = await currentHandle.getFileHandle(fileName)
-                            fileSource = fileHandle
-                        }
-                    } catch (e) {
-                        console.log('Could not access file through root folder:', e)
-                    }
-                }
+            const { fileSource, reason } = await resolveVideoFileSource(video, folderName)
 
-                if (!fileSource) {
-                    // File not in cache and not accessible via root - need to re-select folder
-                    setNeedsFolderAccess(true)
-                    setIsLoading(false)
-                    return
-                }
-            }
-            // Legacy fallback: old imports without relativePath - match by fileName
-            else if (video.fileName) {
-                // Get course to find folder name
-                const course = courseId ? await getCourse(courseId) : null
-                const folderName = course?.originalTitle
-
-                if (folderName) {
-                    const cachedFile = findFileByFileName(folderName, video.fileName)
-                    if (cachedFile) {
-                        fileSource = cachedFile
-                    } else {
-                        // File not in cache - need to re-select folder
-                        setNeedsFolderAccess(true)
-                        setIsLoading(false)
-                        return
-                    }
-                } else {
-                    // No folder name available - show folder prompt
-                    setNeedsFolderAccess(true)
-                    setIsLoading(false)
-                    return
-                }
+            if (reason === 'permission') {
+                setError('Permission denied. Please click the video again to grant access.')
+                return
             }
 
             if (!fileSource) {
-                // No file source found - show folder access prompt as final fallback
+                // File not in cache and not accessible via root - need to re-select folder
                 setNeedsFolderAccess(true)
                 setIsLoading(false)
                 return
@@ -208,8 +211,15 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
             const url = await getVideoUrl(fileSource)
             setVideoUrl(url)
 
-            // Auto-restore last watched position
-            if (settings.resumePlayback && video.lastWatchedPosition > 5 && video.lastWatchedPosition < (video.duration - 10)) {
+            // Chapters in the file are read the first time it plays
+            if (video.chapters === undefined) {
+                loadEmbeddedChapters(fileSource)
+            }
+
+            // Start where a search result points, else auto-restore last watched position
+            if (startTime !== null) {
+                setResumePosition(startTime)
+            } else if (settings.resumePlayback && video.lastWatchedPosition > 5 && video.lastWatchedPosition < (video.duration - 10)) {
                 setResumePosition(video.lastWatchedPosition)
             } else {
                 setResumePosition(0)
@@ -222,6 +232,17 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         }
     }
 
+    async function loadEmbeddedChapters(fileSource) {
+        try {
+            const file = typeof fileSource.getFile === 'function' ? await fileSource.getFile() : fileSource
+            const found = await readEmbeddedChapters(file)
+            await updateVideo(video.id, { chapters: found, chaptersSource: found.length > 0 ? 'embedded' : null })
+            if (found.length > 0) onVideoDataChange?.()
+        } catch (err) {
+            console.error('Failed to read chapters from the video file:', err)
+        }
+    }
+
     async function handleReselectFolder() {
         try {
             setIsLoading(true)
@@ -244,21 +265,125 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
             setDuration(videoRef.current.duration)
             setIsLoading(false)
 
-            // Auto-resume from last watched position
+            // Auto-resume from last watched position, else start after the intro
             if (resumePosition > 0) {
                 videoRef.current.currentTime = resumePosition
+            } else if (settings.skipIntroMode === 'auto') {
+                const { introEnd } = getSkipWindow(skipTimes, videoRef.current.duration)
+                if (introEnd > 0) videoRef.current.currentTime = introEnd
             }
         }
     }
 
     function handleTimeUpdate() {
         if (videoRef.current) {
-            setCurrentTime(videoRef.current.currentTime)
-            onTimeUpdate?.(videoRef.current.currentTime)
+            const time = videoRef.current.currentTime
+
+            // Back to A on reaching B
+            if (isRepeating && time >= repeatRange.end) {
+                videoRef.current.currentTime = repeatRange.start
+                lastTimeRef.current = repeatRange.start
+                return
+            }
+
+            setCurrentTime(time)
+            onTimeUpdate?.(time)
+
+            // Playing into the outro finishes the video; seeking past it doesn't
+            const previous = lastTimeRef.current
+            lastTimeRef.current = time
+            if (outroStart !== null && !outroReachedRef.current && !isRepeating &&
+                previous < outroStart && time >= outroStart && time - previous < 3) {
+                handleOutroReached()
+            }
+        }
+    }
+
+    // Skip to the end of the intro while inside it
+    function skipIntro() {
+        if (!videoRef.current || isEmbedded || introEnd <= 0 || currentTime >= introEnd) return false
+        videoRef.current.currentTime = introEnd
+    }
+
+    function seekTo(time) {
+        if (!videoRef.current || isEmbedded) return
+        videoRef.current.currentTime = time
+        setCurrentTime(time)
+    }
+
+    // Step through the chapters; going back restarts the current one unless just into it
+    function jumpToChapter(step) {
+        if (!videoRef.current || isEmbedded || chapters.length === 0) return false
+        const time = videoRef.current.currentTime
+        const index = findChapterIndex(chapters, time)
+        const target = step > 0
+            ? chapters[index + 1]
+            : index >= 0 && time - chapters[index].start > CHAPTER_RESTART_SECONDS ? chapters[index] : chapters[index - 1]
+        if (!target) return false
+        seekTo(target.start)
+    }
+
+    // First press sets A, the second sets B and starts repeating, the third clears both
+    function cycleRepeat() {
+        if (!videoRef.current || isEmbedded) return false
+        const time = videoRef.current.currentTime
+        if (repeatRange.start === null) {
+            setRepeatRange({ start: time, end: null })
+        } else if (repeatRange.end === null) {
+            if (Math.abs(time - repeatRange.start) < MIN_REPEAT_SECONDS) return
+            setRepeatRange({ start: Math.min(time, repeatRange.start), end: Math.max(time, repeatRange.start) })
+        } else {
+            setRepeatRange({ start: null, end: null })
+        }
+    }
+
+    // Bookmarks are saved on the video record as [{id, time, label}], in time order
+    useEffect(() => {
+        setBookmarks(video?.bookmarks || [])
+        setRenamingBookmarkId(null)
+    }, [video?.id, video?.bookmarks])
+
+    function saveBookmarks(next) {
+        setBookmarks(next)
+        updateVideo(video.id, { bookmarks: next })
+            .then(() => onVideoDataChange?.())
+            .catch(err => console.error('Failed to save bookmarks:', err))
+    }
+
+    // Bookmark the current moment and open the menu to name it
+    function addBookmark() {
+        if (!videoRef.current || isEmbedded) return false
+        const bookmark = { id: generateId(), time: videoRef.current.currentTime, label: '' }
+        saveBookmarks([...bookmarks, bookmark].sort((a, b) => a.time - b.time))
+        setShowChaptersMenu(true)
+        setRenamingBookmarkId(bookmark.id)
+    }
+
+    async function handleDetectChapters() {
+        if (video.chapters?.length > 0 && chaptersSource !== 'ai' &&
+            !confirm('Replace the chapters from the video file with chapters detected from its captions?')) return
+
+        setIsDetectingChapters(true)
+        try {
+            await detectTopicChapters(video.id)
+            onVideoDataChange?.()
+        } catch (err) {
+            console.error('Chapter detection failed:', err)
+            alert(err.message)
+        } finally {
+            setIsDetectingChapters(false)
+        }
+    }
+
+    async function handleClearChapters() {
+        try {
+            await updateVideo(video.id, { chapters: [], chaptersSource: null })
+            onVideoDataChange?.()
+        } catch (err) {
+            console.error('Failed to remove chapters:', err)
         }
     }
 
-    // Expose seekTo method via ref
     // Expose seekTo method via ref
     useImperativeHandle(ref, () => ({
         seekTo: (time) => {
@@ -280,33 +405,99 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
 
     function handlePlay() {
         setIsPlaying(true)
+        watchTickRef.current = Date.now()
         startProgressTracking()
     }
 
     function handlePause() {
         setIsPlaying(false)
         stopProgressTracking()
+        recordWatchTime()
+        watchTickRef.current = null
         saveProgress()
     }
 
     function handleEnded() {
+        // B at the very end: ended can come before the timeupdate that would loop
+        if (isRepeating && videoRef.current) {
+            videoRef.current.currentTime = repeatRange.start
+            videoRef.current.play()
+            return
+        }
+
         setIsPlaying(false)
         stopProgressTracking()
+        recordWatchTime()
+        watchTickRef.current = null
 
         // Mark as complete if threshold reached
-        const watchPercentage = (currentTime / duration) * 100
+        const watchPercentage = getWatchPercentage(currentTime, duration, outroStart)
         if (watchPercentage >= settings.autoMarkCompleteAt) {
             markVideoComplete(video.id, true)
             onComplete?.(video.id)
         }
 
-        // Auto-play next if enabled - show countdown
+        // Auto-play next if enabled - show countdown (already shown at the outro)
+        if (localAutoPlay && !outroReachedRef.current) {
+            setShowAutoPlayCountdown(true)
+            setAutoPlayCountdown(3)
+        }
+    }
+
+    // The outro counts as the end: saving progress there completes the video
+    function handleOutroReached() {
+        outroReachedRef.current = true
+
         if (localAutoPlay) {
+            // Pausing saves progress
+            videoRef.current?.pause()
             setShowAutoPlayCountdown(true)
             setAutoPlayCountdown(3)
+        } else {
+            saveProgress()
         }
     }
 
+    // A YouTube video saved without its length gets its outro once the embed reports
+    // the length, which it does over postMessage after being told we listen (on load)
+    useEffect(() => {
+        if (!isYouTube) return
+
+        function handleMessage(e) {
+            if (e.origin !== YOUTUBE_ORIGIN || e.source !== videoRef.current?.contentWindow) return
+            let info
+            try {
+                info = JSON.parse(e.data).info
+            } catch {
+                return
+            }
+            if (info?.duration) youTubeDurationRef.current = info.duration
+            if (typeof info?.currentTime !== 'number') return
+
+            // Like a local video, only playing into the outro finishes it
+            const { outroStart: embedOutroStart } = getSkipWindow(
+                { intro: skipTimes.intro, outro: skipTimes.outro },
+                youTubeDurationRef.current
+            )
+            const previous = lastTimeRef.current
+            lastTimeRef.current = info.currentTime
+            if (embedOutroStart === null || outroReachedRef.current ||
+                previous >= embedOutroStart || info.currentTime < embedOutroStart || info.currentTime - previous >= 3) {
+                return
+            }
+
+            outroReachedRef.current = true
+            postToYouTube(videoRef.current, { event: 'command', func: 'pauseVideo', args: [] })
+            if (localAutoPlay) {
+                setShowAutoPlayCountdown(true)
+                setAutoPlayCountdown(3)
+            }
+        }
+
+        window.addEventListener('message', handleMessage)
+        return () => window.removeEventListener('message', handleMessage)
+    }, [isYouTube, skipTimes.intro, skipTimes.outro, localAutoPlay])
+
     // Auto-play countdown effect
     const countdownRef = useRef(null)
     useEffect(() => {
@@ -349,9 +540,28 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         }
     }
 
+    // Add playback time since the last tick to today's learning analytics
+    function recordWatchTime() {
+        if (!watchTickRef.current || !video) return
+
+        const now = Date.now()
+        const secondsWatched = (now - watchTickRef.current) / 1000
+        watchTickRef.current = now
+
+        if (secondsWatched > 0) {
+            recordLearningActivity({
+                secondsWatched,
+                courseId: video.courseId || courseId,
+                videoId: video.id
+            }).catch(err => console.error('Failed to record watch time:', err))
+        }
+    }
+
     async function saveProgress() {
         if (!videoRef.current || !video) return
 
+        recordWatchTime()
+
         try {
             await updateVideoProgress(
                 video.id,
@@ -360,7 +570,8 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
             )
 
             // Check if should auto-complete
-            const watchPercentage = (videoRef.current.currentTime / videoRef.current.duration) * 100
+            const { outroStart } = getSkipWindow(skipTimes, videoRef.current.duration)
+            const watchPercentage = getWatchPercentage(videoRef.current.currentTime, videoRef.current.duration, outroStart)
             if (watchPercentage >= settings.autoMarkCompleteAt && !video.isCompleted) {
                 await markVideoComplete(video.id, true)
                 onComplete?.(video.id)
@@ -409,6 +620,13 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         setCurrentTime(newTime)
     }
 
+    // Time under the pointer, for the seek bar's tooltip
+    function handleSeekHover(e) {
+        if (!progressRef.current || !duration) return
+        const rect = progressRef.current.getBoundingClientRect()
+        setHoverTime(Math.min(duration, Math.max(0, ((e.clientX - rect.left) / rect.width) * duration)))
+    }
+
     function handleVolumeChange(e) {
         const newVolume = parseFloat(e.target.value)
         setVolume(newVolume)
@@ -489,117 +707,58 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         }
     }, [videoUrl])
 
-    // Keyboard shortcuts
-    useEffect(() => {
-        function handleKeyDown(e) {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return
-            if (!settings.keyboardShortcuts) return
-
-            const key = e.key.toLowerCase()
-            const speedOptions = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
-
-            // Handle number keys 0-9 for percentage jump
-            if (!e.shiftKey && !e.ctrlKey && key >= '0' && key <= '9') {
-                e.preventDefault()
-                const percent = parseInt(key) * 10
-                if (videoRef.current && duration) {
-                    videoRef.current.currentTime = (percent / 100) * duration
-                }
-                return
-            }
+    const speedOptions = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
 
-            switch (key) {
-                case ' ':
-                case 'k':
-                    e.preventDefault()
-                    togglePlay()
-                    break
-                case 'arrowleft':
-                    e.preventDefault()
-                    if (videoRef.current) {
-                        videoRef.current.currentTime = Math.max(0, currentTime - 5)
-                    }
-                    break
-                case 'arrowright':
-                    e.preventDefault()
-                    if (videoRef.current) {
-                        videoRef.current.currentTime = Math.min(duration, currentTime + 5)
-                    }
-                    break
-                case 'j':
-                    e.preventDefault()
-                    if (videoRef.current) {
-                        videoRef.current.currentTime = Math.max(0, currentTime - 10)
-                    }
-                    break
-                case 'l':
-                    e.preventDefault()
-                    if (videoRef.current) {
-                        videoRef.current.currentTime = Math.min(duration, currentTime + 10)
-                    }
-                    break
-                case 'arrowup':
-                    e.preventDefault()
-                    setVolume(v => Math.min(1, v + 0.05))
-                    break
-                case 'arrowdown':
-                    e.preventDefault()
-                    setVolume(v => Math.max(0, v - 0.05))
-                    break
-                case 'm':
-                    e.preventDefault()
-                    toggleMute()
-                    break
-                case 'f':
-                    e.preventDefault()
-                    toggleFullscreen()
-                    break
-                case 'p':
-                    e.preventDefault()
-                    togglePiP()
-                    break
-                case ',':
-                case '<':
-                    e.preventDefault()
-                    // Decrease speed
-                    const currentIdx = speedOptions.indexOf(playbackSpeed)
-                    if (currentIdx > 0) {
-                        changeSpeed(speedOptions[currentIdx - 1])
-                    }
-                    break
-                case '.':
-                case '>':
-                    e.preventDefault()
-                    // Increase speed
-                    const currentSpeedIdx = speedOptions.indexOf(playbackSpeed)
-                    if (currentSpeedIdx < speedOptions.length - 1) {
-                        changeSpeed(speedOptions[currentSpeedIdx + 1])
-                    }
-                    break
-                case 'n':
-                    if (e.shiftKey) {
-                        e.preventDefault()
-                        onNext?.()
-                    }
-                    break
-                case 'a':
-                    e.preventDefault()
-                    setLocalAutoPlay(prev => !prev)
-                    break
-                case 'c':
-                    e.preventDefault()
-                    setCaptionsEnabled(prev => !prev)
-                    break
-                case 'escape':
-                    e.preventDefault()
-                    setShowSpeedMenu(false)
-                    break
-            }
+    // Keyboard shortcuts, bound in Settings → Shortcuts
+    function seekBy(seconds) {
+        if (videoRef.current) {
+            videoRef.current.currentTime = Math.min(duration, Math.max(0, currentTime + seconds))
         }
+    }
+
+    // Tooltip with the action's current key
+    function withShortcut(title, actionId) {
+        const label = getShortcutLabel(actionId)
+        return label ? `${title} (${label})` : title
+    }
 
-        window.addEventListener('keydown', handleKeyDown)
-        return () => window.removeEventListener('keydown', handleKeyDown)
-    }, [currentTime, duration, settings.keyboardShortcuts])
+    function stepSpeed(step) {
+        const next = speedOptions[speedOptions.indexOf(playbackSpeed) + step]
+        if (next) changeSpeed(next)
+    }
+
+    useShortcuts({
+        'player.togglePlay': togglePlay,
+        'player.seekBack': () => seekBy(-5),
+        'player.seekForward': () => seekBy(5),
+        'player.seekBackLong': () => seekBy(-10),
+        'player.seekForwardLong': () => seekBy(10),
+        'player.volumeUp': () => setVolume(v => Math.min(1, v + 0.05)),
+        'player.volumeDown': () => setVolume(v => Math.max(0, v - 0.05)),
+        'player.toggleMute': toggleMute,
+        'player.speedDown': () => stepSpeed(-1),
+        'player.speedUp': () => stepSpeed(1),
+        'player.toggleFullscreen': toggleFullscreen,
+        'player.togglePiP': togglePiP,
+        'player.toggleCaptions': () => setCaptionsEnabled(prev => !prev),
+        'player.toggleAutoPlay': () => setLocalAutoPlay(prev => !prev),
+        'player.nextVideo': () => onNext?.(),
+        'player.skipIntro': skipIntro,
+        'player.previousChapter': () => jumpToChapter(-1),
+        'player.nextChapter': () => jumpToChapter(1),
+        'player.addBookmark': addBookmark,
+        'player.abRepeat': cycleRepeat,
+        'player.closeMenus': () => {
+            setShowSpeedMenu(false)
+            setShowCaptionMenu(false)
+            setShowChaptersMenu(false)
+        },
+        ...Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`player.jumpTo${i * 10}`, () => {
+            if (videoRef.current && duration) {
+                videoRef.current.currentTime = (i / 10) * duration
+            }
+        }]))
+    })
 
     // Auto-hide controls
     useEffect(() => {
@@ -640,29 +799,47 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         }
     }, [volume, isMuted])
 
-    // Generate VTT blob URL for captions when video has caption chunks
+    // Caption tracks: subtitle files shipped with the course, then AI captions
+    const videoSubtitleTracks = video?.subtitleTracks
+    const subtitleTracks = videoSubtitleTracks || []
+    const hasAICaptions = video?.captionChunks?.length > 0
+    const captionOptions = [
+        ...subtitleTracks.map(track => ({ id: track.id, label: track.label })),
+        ...(hasAICaptions ? [{ id: 'ai', label: 'AI generated' }] : [])
+    ]
+    const activeSubtitleTrack = subtitleTracks.find(track => track.id === captionTrackId) || null
+
+    // Pick the track again when the video or its captions change
     useEffect(() => {
-        // Clean up previous blob URL
-        if (captionTrackUrl) {
-            URL.revokeObjectURL(captionTrackUrl)
+        setCaptionTrackId(pickCaptionTrack(videoSubtitleTracks || [], hasAICaptions))
+    }, [video?.id, videoSubtitleTracks, hasAICaptions])
+
+    // Caption segments of the active track
+    const captionSegments = useMemo(() => {
+        if (captionTrackId === 'ai') {
+            return groupCaptionWords(video?.captionChunks || [])
+        }
+        // Subtitle chunks are whole cues already
+        return (activeSubtitleTrack?.chunks || []).map(chunk => ({
+            text: chunk.text,
+            start: chunk.timestamp[0],
+            end: chunk.timestamp[1]
+        }))
+    }, [captionTrackId, video?.captionChunks, activeSubtitleTrack])
+
+    // Generate VTT blob URL for the active caption track
+    useEffect(() => {
+        const vttContent = segmentsToVTT(captionSegments)
+        if (!vttContent) {
             setCaptionTrackUrl(null)
+            return
         }
 
-        if (video?.captionChunks && video.captionChunks.length > 0) {
-            const vttContent = chunksToVTT(video.captionChunks)
-            if (vttContent) {
-                const blob = new Blob([vttContent], { type: 'text/vtt' })
-                const url = URL.createObjectURL(blob)
-                setCaptionTrackUrl(url)
-            }
-        }
+        const url = URL.createObjectURL(new Blob([vttContent], { type: 'text/vtt' }))
+        setCaptionTrackUrl(url)
 
-        return () => {
-            if (captionTrackUrl) {
-                URL.revokeObjectURL(captionTrackUrl)
-            }
-        }
-    }, [video?.id, video?.captionChunks])
+        return () => URL.revokeObjectURL(url)
+    }, [captionSegments])
 
     // Toggle captions and update track mode
     useEffect(() => {
@@ -675,47 +852,16 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
 
     // Track current caption based on video time
     useEffect(() => {
-        if (!captionsEnabled || !video?.captionChunks || video.captionChunks.length === 0) {
+        if (!captionsEnabled || captionSegments.length === 0) {
             setCurrentCaption('')
             return
         }
 
-        // Find current caption segment based on currentTime
-        // Group words into segments like chunksToVTT does
-        const chunks = video.captionChunks
-        const segments = []
-        let currentSegment = { text: '', start: null, end: null }
-        let wordCount = 0
-
-        for (const chunk of chunks) {
-            if (!chunk.timestamp || chunk.timestamp.length < 2) continue
-            const [start, end] = chunk.timestamp
-            if (start === null || end === null) continue
-
-            if (currentSegment.start === null) {
-                currentSegment.start = start
-            }
-            currentSegment.text += (currentSegment.text ? ' ' : '') + chunk.text.trim()
-            currentSegment.end = end
-            wordCount++
-
-            const isPunctuation = /[.!?]$/.test(chunk.text.trim())
-            if (wordCount >= 6 || (wordCount >= 4 && isPunctuation)) {
-                segments.push({ ...currentSegment })
-                currentSegment = { text: '', start: null, end: null }
-                wordCount = 0
-            }
-        }
-        if (currentSegment.text && currentSegment.start !== null) {
-            segments.push(currentSegment)
-        }
-
-        // Find active segment
-        const activeSegment = segments.find(
+        const activeSegment = captionSegments.find(
             seg => currentTime >= seg.start && currentTime <= seg.end
         )
         setCurrentCaption(activeSegment?.text || '')
-    }, [currentTime, captionsEnabled, video?.captionChunks])
+    }, [currentTime, captionsEnabled, captionSegments])
 
     // Caption drag handlers
     function handleCaptionDragStart(e) {
@@ -768,6 +914,20 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         setCaptionsEnabled(prev => !prev)
     }
 
+    // Switch caption track and remember the choice for the next videos
+    function selectCaptionTrack(trackId) {
+        setShowCaptionMenu(false)
+        if (!trackId) {
+            setCaptionsEnabled(false)
+            return
+        }
+
+        setCaptionTrackId(trackId)
+        setCaptionsEnabled(true)
+        const track = subtitleTracks.find(t => t.id === trackId)
+        localStorage.setItem(CAPTION_TRACK_KEY, trackId === 'ai' ? 'ai' : (track?.language || track?.label))
+    }
+
     // Calculate caption Y position - move up when controls show
     const captionY = (showControls || !isPlaying) ? Math.min(captionPosition.y, 75) : captionPosition.y
 
@@ -819,7 +979,10 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
         togglePlay()
     }
 
-    const speedOptions = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]
+    const hoverChapter = hoverTime !== null ? chapters[findChapterIndex(chapters, hoverTime)] : null
+
+    // The embed can't be controlled, so it is told where to start and stop
+    const youTubeStart = startTime ?? (settings.skipIntroMode === 'auto' ? introEnd : 0)
 
     return (
         <div
@@ -837,13 +1000,14 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                     {/* YouTube Embed using native iframe with YouTube's built-in controls */}
                     <iframe
                         ref={videoRef}
-                        src={`https://www.youtube.com/embed/${video.youtubeId || videoUrl?.match(/[?&]v=([^&]+)/)?.[1] || videoUrl?.match(/youtu\.be\/([^?]+)/)?.[1]}?enablejsapi=1&modestbranding=1&rel=0&origin=${window.location.origin}`}
+                        src={`https://www.youtube.com/embed/${video.youtubeId || videoUrl?.match(/[?&]v=([^&]+)/)?.[1] || videoUrl?.match(/youtu\.be\/([^?]+)/)?.[1]}?enablejsapi=1&modestbranding=1&rel=0&origin=${window.location.origin}${youTubeStart ? `&start=${Math.floor(youTubeStart)}` : ''}${outroStart ? `&end=${Math.floor(outroStart)}` : ''}`}
                         className="w-full h-full"
                         frameBorder="0"
                         allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
                         allowFullScreen
-                        onLoad={() => {
+                        onLoad={(e) => {
                             console.log('YouTube iframe loaded')
+                            postToYouTube(e.target, { event: 'listening', id: video.id, channel: 'widget' })
                             setIsLoading(false)
                             setError(null)
                         }}
@@ -917,11 +1081,12 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                     {/* Caption Track */}
                     {captionTrackUrl && (
                         <track
+                            key={captionTrackUrl}
                             ref={trackRef}
                             kind="captions"
                             src={captionTrackUrl}
-                            srcLang="en"
-                            label="English"
+                            srcLang={activeSubtitleTrack?.language || 'en'}
+                            label={activeSubtitleTrack?.label || 'AI generated'}
                             default={captionsEnabled}
                         />
                     )}
@@ -1012,20 +1177,59 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                     {/* Gradient */}
                     <div className="absolute inset-x-0 bottom-0 h-32 bg-gradient-to-t from-black/80 to-transparent pointer-events-none" />
 
-                    {/* Progress Bar */}
+                    {/* Progress Bar, with chapter gaps, bookmark ticks and the A-B repeat range */}
                     <div
                         ref={progressRef}
                         className="relative h-1 bg-white/30 cursor-pointer mx-4 mb-2 group/progress pointer-events-auto"
                         onClick={handleSeek}
+                        onMouseMove={handleSeekHover}
+                        onMouseLeave={() => setHoverTime(null)}
                     >
                         <div
                             className="absolute inset-y-0 left-0 bg-primary"
                             style={{ width: `${(currentTime / duration) * 100}%` }}
                         />
+                        {duration > 0 && repeatRange.start !== null && (
+                            <div
+                                className="absolute -inset-y-1 border-x-2 border-white bg-white/20 pointer-events-none"
+                                style={{
+                                    left: `${(repeatRange.start / duration) * 100}%`,
+                                    width: isRepeating ? `${((repeatRange.end - repeatRange.start) / duration) * 100}%` : 0
+                                }}
+                            />
+                        )}
+                        {duration > 0 && chapters.slice(1).map(chapter => (
+                            <div
+                                key={chapter.start}
+                                className="absolute inset-y-0 w-0.5 -ml-px bg-black/70 pointer-events-none"
+                                style={{ left: `${(chapter.start / duration) * 100}%` }}
+                            />
+                        ))}
+                        {duration > 0 && bookmarks.map(bookmark => (
+                            <button
+                                key={bookmark.id}
+                                onClick={(e) => {
+                                    e.stopPropagation()
+                                    seekTo(bookmark.time)
+                                }}
+                                className="absolute -top-1 w-1.5 h-3 -ml-[3px] bg-yellow-400 rounded-sm hover:scale-125 transition-transform"
+                                style={{ left: `${(bookmark.time / duration) * 100}%` }}
+                                title={`${bookmark.label || 'Untitled bookmark'} (${formatDuration(bookmark.time)})`}
+                            />
+                        ))}
                         <div
                             className="absolute top-1/2 -translate-y-1/2 w-3 h-3 bg-primary rounded-full opacity-0 group-hover/progress:opacity-100 transition-opacity"
                             style={{ left: `${(currentTime / duration) * 100}%`, marginLeft: '-6px' }}
                         />
+                        {hoverTime !== null && (
+                            <div
+                                className="absolute bottom-full mb-3 -translate-x-1/2 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap pointer-events-none"
+                                style={{ left: `${(hoverTime / duration) * 100}%` }}
+                            >
+                                <span className="tabular-nums">{formatDuration(hoverTime)}</span>
+                                {hoverChapter && <span className="ml-2">{hoverChapter.title}</span>}
+                            </div>
+                        )}
                     </div>
 
                     {/* Controls Bar */}
@@ -1070,8 +1274,62 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                             {formatDuration(currentTime)} / {formatDuration(duration)}
                         </span>
 
+                        {/* Current chapter */}
+                        {activeChapterIndex >= 0 && (
+                            <button
+                                onClick={() => setShowChaptersMenu(!showChaptersMenu)}
+                                className="min-w-0 max-w-[240px] truncate text-sm text-white/80 hover:text-white"
+                                title="Chapters"
+                            >
+                                • {chapters[activeChapterIndex].title}
+                            </button>
+                        )}
+
                         <div className="flex-1" />
 
+                        {/* A-B Repeat */}
+                        <button
+                            onClick={cycleRepeat}
+                            className={`px-2 py-1 hover:bg-white/20 rounded transition-colors text-sm ${repeatRange.start !== null ? 'text-primary' : ''}`}
+                            title={withShortcut(
+                                repeatRange.start === null ? 'Set repeat start (A)' : isRepeating ? 'Stop repeating' : 'Set repeat end (B)',
+                                'player.abRepeat'
+                            )}
+                        >
+                            {repeatRange.start !== null && !isRepeating ? 'A-…' : 'A-B'}
+                        </button>
+
+                        {/* Chapters & Bookmarks */}
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowChaptersMenu(!showChaptersMenu)}
+                                className={`p-2 hover:bg-white/20 rounded transition-colors ${showChaptersMenu ? 'text-primary' : ''}`}
+                                title="Chapters & bookmarks"
+                            >
+                                <ListVideo className="w-5 h-5" />
+                            </button>
+
+                            {showChaptersMenu && (
+                                <ChaptersMenu
+                                    chapters={chapters}
+                                    chaptersSource={chaptersSource}
+                                    activeChapterIndex={activeChapterIndex}
+                                    bookmarks={bookmarks}
+                                    renamingBookmarkId={renamingBookmarkId}
+                                    onRenamingChange={setRenamingBookmarkId}
+                                    onSeek={seekTo}
+                                    onAddBookmark={addBookmark}
+                                    onRenameBookmark={(id, label) => saveBookmarks(bookmarks.map(b => b.id === id ? { ...b, label } : b))}
+                                    onDeleteBookmark={(id) => saveBookmarks(bookmarks.filter(b => b.id !== id))}
+                                    canDetectChapters={hasAICaptions}
+                                    isDetectingChapters={isDetectingChapters}
+                                    onDetectChapters={handleDetectChapters}
+                                    onClearChapters={handleClearChapters}
+                                    addBookmarkTitle={withShortcut('Add bookmark', 'player.addBookmark')}
+                                />
+                            )}
+                        </div>
+
                         {/* Speed */}
                         <div className="relative">
                             <button
@@ -1099,15 +1357,37 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
 
 
 
-                        {/* CC/Captions Toggle */}
-                        {captionTrackUrl && (
-                            <button
-                                onClick={toggleCaptions}
-                                className={`p-2 hover:bg-white/20 rounded transition-colors ${captionsEnabled ? 'text-primary' : 'opacity-60'}`}
-                                title={captionsEnabled ? 'Captions on (C)' : 'Captions off (C)'}
-                            >
-                                {captionsEnabled ? <Captions className="w-5 h-5" /> : <CaptionsOff className="w-5 h-5" />}
-                            </button>
+                        {/* CC/Captions Toggle, with a track menu when there's more than one */}
+                        {captionOptions.length > 0 && (
+                            <div className="relative">
+                                <button
+                                    onClick={() => captionOptions.length > 1 ? setShowCaptionMenu(!showCaptionMenu) : toggleCaptions()}
+                                    className={`p-2 hover:bg-white/20 rounded transition-colors ${captionsEnabled ? 'text-primary' : 'opacity-60'}`}
+                                    title={withShortcut(captionsEnabled ? 'Captions on' : 'Captions off', 'player.toggleCaptions')}
+                                >
+                                    {captionsEnabled ? <Captions className="w-5 h-5" /> : <CaptionsOff className="w-5 h-5" />}
+                                </button>
+
+                                {showCaptionMenu && (
+                                    <div className="absolute bottom-full right-0 mb-2 bg-gray-900 rounded-lg py-1 min-w-[140px]">
+                                        <button
+                                            onClick={() => selectCaptionTrack(null)}
+                                            className={`w-full px-3 py-1 text-sm text-left hover:bg-white/10 ${!captionsEnabled ? 'text-primary' : ''}`}
+                                        >
+                                            Off
+                                        </button>
+                                        {captionOptions.map(option => (
+                                            <button
+                                                key={option.id}
+                                                onClick={() => selectCaptionTrack(option.id)}
+                                                className={`w-full px-3 py-1 text-sm text-left hover:bg-white/10 whitespace-nowrap ${captionsEnabled && captionTrackId === option.id ? 'text-primary' : ''}`}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
                         )}
 
                         {/* Auto-play Toggle */}
@@ -1123,7 +1403,7 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                         <button
                             onClick={togglePiP}
                             className={`p-2 hover:bg-white/20 rounded transition-colors ${isPiP ? 'text-primary' : ''}`}
-                            title="Picture-in-Picture (P)"
+                            title={withShortcut('Picture-in-Picture', 'player.togglePiP')}
                         >
                             <PictureInPicture className="w-5 h-5" />
                         </button>
@@ -1132,13 +1412,25 @@ const VideoPlayer = forwardRef(function VideoPlayer({ video, onComplete, onNext,
                         <button
                             onClick={toggleFullscreen}
                             className="p-2 hover:bg-white/20 rounded transition-colors"
-                            title="Fullscreen (F)"
+                            title={withShortcut('Fullscreen', 'player.toggleFullscreen')}
                         >
                             {isFullscreen ? <Minimize className="w-5 h-5" /> : <Maximize className="w-5 h-5" />}
                         </button>
                     </div>
                 </div>
             )}
+            {/* Skip Intro */}
+            {settings.skipIntroMode === 'button' && !isEmbedded && introEnd > 0 && currentTime < introEnd && !showAutoPlayCountdown && (
+                <button
+                    onClick={skipIntro}
+                    className="absolute bottom-20 right-4 z-30 px-4 py-2 bg-black/70 hover:bg-black/90 border border-white/30 text-white text-sm font-medium rounded-lg flex items-center gap-2 transition-colors"
+                    title={withShortcut('Skip intro', 'player.skipIntro')}
+                >
+                    <SkipForward className="w-4 h-4" />
+                    Skip Intro
+                </button>
+            )}
+
             {/* Auto-play Countdown Overlay */}
             {showAutoPlayCountdown && (
                 <div className="absolute inset-0 bg-black/80 flex items-center justify-center z-40">
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react'
+import { getMigrationLog, DB_VERSION } from '../../utils/db'
+import { formatDateTime } from '../../utils/timeUtils'
+
+function MigrationLog() {
+    const [log, setLog] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+
+    useEffect(() => {
+        getMigrationLog()
+            .then(entries => setLog(entries.sort((a, b) => a.version - b.version)))
+            .catch(err => console.error('Failed to load migration log:', err))
+            .finally(() => setIsLoading(false))
+    }, [])
+
+    return (
+        <div>
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary mb-4">
+                Database schema version <span className="font-medium text-light-text-primary dark:text-dark-text-primary">{DB_VERSION}</span>.
+                Migrations applied on this machine:
+            </p>
+
+            {isLoading ? (
+                <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">Loading...</div>
+            ) : log.length === 0 ? (
+                <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                    No migrations recorded yet.
+                </div>
+            ) : (
+                <div className="border border-light-border dark:border-dark-border rounded-lg overflow-hidden">
+                    <table className="w-full text-sm">
+                        <thead className="bg-light-surface dark:bg-dark-bg">
+                            <tr>
+                                <th className="text-left p-3 font-medium">#</th>
+                                <th className="text-left p-3 font-medium">Migration</th>
+                                <th className="text-right p-3 font-medium">Records</th>
+                                <th className="text-left p-3 font-medium">Applied</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.map(entry => (
+                                <tr key={entry.version} className="border-t border-light-border dark:border-dark-border">
+                                    <td className="p-3 tabular-nums">{entry.version}</td>
+                                    <td className="p-3">
+                                        {entry.description}
+                                        <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                            Upgraded from v{entry.fromVersion} in {entry.durationMs}ms
+                                        </div>
+                                    </td>
+                                    <td className="p-3 text-right tabular-nums">{entry.recordsChanged}</td>
+                                    <td className="p-3 text-xs whitespace-nowrap">{formatDateTime(entry.appliedAt)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default MigrationLog
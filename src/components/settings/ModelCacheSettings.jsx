@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react'
+import { Download, FolderOpen, Trash2, Loader2, CheckCircle, AlertTriangle } from 'lucide-react'
+import {
+    isModelCacheSupported, listCachedModels, downloadWhisperModel, deleteCachedModel, importWhisperModelFiles, RUNTIME_FILES
+} from '../../utils/modelCache'
+import { WHISPER_MODEL_IDS, getWhisperModelLabel, getWhisperSettings, getTranscriptionOptions } from '../../utils/whisperSettings'
+import { pickFolderFallback } from '../../utils/fileSystem'
+
+const inputClassName = 'w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0'
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
+
+function ModelCacheSettings() {
+    const [models, setModels] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    // Model to download or import, defaults to the one transcription currently uses
+    const [selectedModel, setSelectedModel] = useState(() => getTranscriptionOptions(getWhisperSettings()).model)
+    const [busy, setBusy] = useState(null) // { action: 'download'|'import', message, progress }
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        refresh()
+    }, [])
+
+    async function refresh() {
+        try {
+            setModels(await listCachedModels())
+        } catch (err) {
+            console.error('Failed to list cached models:', err)
+            setError('Could not read the model cache: ' + err.message)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    async function handleDownload() {
+        setError(null)
+        setBusy({ action: 'download', message: 'Starting download...', progress: 0 })
+        try {
+            await downloadWhisperModel(selectedModel, ({ message, progress }) => {
+                setBusy({ action: 'download', message, progress })
+            })
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setBusy(null)
+            refresh()
+        }
+    }
+
+    async function handleImport() {
+        setError(null)
+        try {
+            const picked = await pickFolderFallback()
+            if (!picked) return
+
+            setBusy({ action: 'import', message: `Importing ${picked.files.length} files...`, progress: null })
+            await importWhisperModelFiles(selectedModel, picked.files)
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setBusy(null)
+            refresh()
+        }
+    }
+
+    async function handleDelete(model) {
+        if (!confirm(`Delete ${getWhisperModelLabel(model)} from this browser? It will download again when needed.`)) return
+
+        try {
+            await deleteCachedModel(model)
+        } catch (err) {
+            setError(err.message)
+        }
+        refresh()
+    }
+
+    if (!isModelCacheSupported()) {
+        return (
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                This browser can&apos;t store models for offline use. Open the app over https or localhost.
+            </p>
+        )
+    }
+
+    const totalSize = models.reduce((sum, m) => sum + m.size, 0)
+
+    return (
+        <div className="space-y-6">
+            {/* Cached models */}
+            <div>
+                <label className="block text-sm font-medium mb-3">
+                    Downloaded Models
+                    {models.length > 0 && (
+                        <span className="ml-2 font-normal text-light-text-secondary dark:text-dark-text-secondary">
+                            {formatBytes(totalSize)} on disk
+                        </span>
+                    )}
+                </label>
+                {isLoading ? (
+                    <Loader2 className="w-5 h-5 animate-spin text-light-text-secondary" />
+                ) : models.length === 0 ? (
+                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                        No models downloaded yet. They download on first use, or ahead of time below.
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {models.map(entry => (
+                            <div
+                                key={entry.model}
+                                className="flex items-center gap-3 p-3 rounded-lg border border-light-border dark:border-dark-border"
+                            >
+                                {entry.isComplete === false ? (
+                                    <AlertTriangle className="w-4 h-4 text-warning flex-shrink-0" />
+                                ) : (
+                                    <CheckCircle className="w-4 h-4 text-success flex-shrink-0" />
+                                )}
+                                <div className="flex-1 min-w-0">
+                                    <div className="font-medium text-sm truncate">{getWhisperModelLabel(entry.model)}</div>
+                                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary truncate">
+                                        {entry.model} · {formatBytes(entry.size)} · {entry.files.length} files
+                                        {entry.isComplete === false && ' · incomplete'}
+                                    </div>
+                                </div>
+                                <button
+                                    onClick={() => handleDelete(entry.model)}
+                                    disabled={!!busy}
+                                    className="p-1.5 hover:bg-light-surface dark:hover:bg-dark-bg rounded text-error flex-shrink-0 disabled:opacity-50"
+                                    title="Delete"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Download or import */}
+            <div>
+                <label className="block text-sm font-medium mb-2">Get a Whisper Model</label>
+                <select
+                    value={selectedModel}
+                    onChange={(e) => setSelectedModel(e.target.value)}
+                    disabled={!!busy}
+                    className={inputClassName}
+                >
+                    {WHISPER_MODEL_IDS.map(model => (
+                        <option key={model} value={model}>{getWhisperModelLabel(model)}</option>
+                    ))}
+                </select>
+                <div className="flex gap-2 mt-3">
+                    <button
+                        onClick={handleDownload}
+                        disabled={!!busy}
+                        className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50"
+                    >
+                        {busy?.action === 'download' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                        Download
+                    </button>
+                    <button
+                        onClick={handleImport}
+                        disabled={!!busy}
+                        className="flex items-center gap-2 px-4 py-2 border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors disabled:opacity-50"
+                    >
+                        {busy?.action === 'import' ? <Loader2 className="w-4 h-4 animate-spin" /> : <FolderOpen className="w-4 h-4" />}
+                        Import from Folder
+                    </button>
+                </div>
+                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                    For machines without internet: copy the model&apos;s folder from huggingface.co/{selectedModel} (with its onnx folder),
+                    add {RUNTIME_FILES.join(', ')} from the dist folder of the @xenova/transformers 2.17.2 package, and import it here.
+                </p>
+
+                {busy && (
+                    <div className="mt-3">
+                        {busy.progress != null && (
+                            <div className="h-2 bg-light-surface dark:bg-dark-bg rounded-full overflow-hidden">
+                                <div
+                                    className="h-full bg-primary transition-all duration-300"
+                                    style={{ width: `${Math.round(busy.progress * 100)}%` }}
+                                />
+                            </div>
+                        )}
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-1">{busy.message}</p>
+                    </div>
+                )}
+
+                {error && (
+                    <p className="text-sm text-error mt-2">{error}</p>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default ModelCacheSettings
@@ -0,0 +1,209 @@
+import { useState, useRef } from 'react'
+import { Check, Copy, Pencil, Trash2, Plus } from 'lucide-react'
+import {
+    getPromptTemplates, getSelectedTemplateId, selectPromptTemplate,
+    savePromptTemplate, duplicatePromptTemplate, deletePromptTemplate, TEMPLATE_VARIABLES
+} from '../../utils/promptTemplates'
+
+const inputClassName = 'w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0'
+
+const NEW_TEMPLATE = {
+    name: '',
+    prompt: 'Summarize this video lecture.\n\n**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}\n\n**Transcript:**\n\n{{transcript}}'
+}
+
+function PromptTemplateSettings() {
+    const [templates, setTemplates] = useState(getPromptTemplates)
+    const [selectedId, setSelectedId] = useState(getSelectedTemplateId)
+    const [editing, setEditing] = useState(null) // { id?, name, prompt } while the editor is open
+    const [error, setError] = useState(null)
+    const promptRef = useRef(null)
+
+    function refresh() {
+        setTemplates(getPromptTemplates())
+        setSelectedId(getSelectedTemplateId())
+    }
+
+    function handleSelect(templateId) {
+        selectPromptTemplate(templateId)
+        refresh()
+    }
+
+    function handleDuplicate(templateId) {
+        const copy = duplicatePromptTemplate(templateId)
+        refresh()
+        setError(null)
+        setEditing(copy)
+    }
+
+    function handleDelete(template) {
+        if (!confirm(`Delete the template "${template.name}"? Summaries made with it are kept.`)) return
+        deletePromptTemplate(template.id)
+        if (editing?.id === template.id) setEditing(null)
+        refresh()
+    }
+
+    function handleSave() {
+        try {
+            savePromptTemplate(editing)
+            setEditing(null)
+            setError(null)
+            refresh()
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    // Insert a {{variable}} at the cursor
+    function insertVariable(name) {
+        const textarea = promptRef.current
+        const placeholder = `{{${name}}}`
+        const start = textarea?.selectionStart ?? editing.prompt.length
+        const end = textarea?.selectionEnd ?? start
+        setEditing({
+            ...editing,
+            prompt: editing.prompt.slice(0, start) + placeholder + editing.prompt.slice(end)
+        })
+        requestAnimationFrame(() => {
+            textarea?.focus()
+            textarea?.setSelectionRange(start + placeholder.length, start + placeholder.length)
+        })
+    }
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                The selected template is used for new summaries. Use the regenerate button in the AI panel to summarize a video again with another one.
+            </p>
+
+            <div className="space-y-2">
+                {templates.map(template => (
+                    <div
+                        key={template.id}
+                        className={`
+                          flex items-center gap-2 p-3 rounded-lg border-2 transition-all
+                          ${selectedId === template.id
+                                ? 'border-blue-500 bg-blue-50 dark:bg-blue-500/5'
+                                : 'border-light-border dark:border-dark-border hover:border-blue-400'
+                            }
+                        `}
+                    >
+                        <button onClick={() => handleSelect(template.id)} className="flex-1 min-w-0 text-left">
+                            <div className="font-medium text-sm truncate">{template.name}</div>
+                            <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary truncate">
+                                {template.builtIn ? template.description : 'Custom template'}
+                            </div>
+                        </button>
+                        {selectedId === template.id && (
+                            <Check className="w-5 h-5 text-blue-600 dark:text-white flex-shrink-0" />
+                        )}
+                        <button
+                            onClick={() => handleDuplicate(template.id)}
+                            className="p-1.5 hover:bg-light-surface dark:hover:bg-dark-bg rounded flex-shrink-0"
+                            title="Duplicate"
+                        >
+                            <Copy className="w-4 h-4" />
+                        </button>
+                        {!template.builtIn && (
+                            <>
+                                <button
+                                    onClick={() => {
+                                        setError(null)
+                                        setEditing(template)
+                                    }}
+                                    className="p-1.5 hover:bg-light-surface dark:hover:bg-dark-bg rounded flex-shrink-0"
+                                    title="Edit"
+                                >
+                                    <Pencil className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(template)}
+                                    className="p-1.5 hover:bg-light-surface dark:hover:bg-dark-bg rounded text-error flex-shrink-0"
+                                    title="Delete"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {!editing && (
+                <button
+                    onClick={() => {
+                        setError(null)
+                        setEditing(NEW_TEMPLATE)
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors text-sm"
+                >
+                    <Plus className="w-4 h-4" />
+                    New Template
+                </button>
+            )}
+
+            {/* Editor */}
+            {editing && (
+                <div className="space-y-3 p-4 rounded-lg border border-light-border dark:border-dark-border">
+                    <div>
+                        <label className="block text-sm font-medium mb-2">Name</label>
+                        <input
+                            type="text"
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                            placeholder="e.g. Interview Prep"
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium mb-2">Prompt</label>
+                        <textarea
+                            ref={promptRef}
+                            value={editing.prompt}
+                            onChange={(e) => setEditing({ ...editing, prompt: e.target.value })}
+                            rows={12}
+                            className={`${inputClassName} font-mono text-xs`}
+                            spellCheck={false}
+                        />
+                        <div className="flex flex-wrap gap-1.5 mt-2">
+                            {TEMPLATE_VARIABLES.map(variable => (
+                                <button
+                                    key={variable.name}
+                                    onClick={() => insertVariable(variable.name)}
+                                    className="px-2 py-1 bg-light-surface dark:bg-dark-bg rounded text-xs font-mono hover:text-primary"
+                                    title={variable.description}
+                                >
+                                    {`{{${variable.name}}}`}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="p-3 bg-error/10 text-error rounded-lg text-sm">{error}</div>
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                        <button
+                            onClick={() => {
+                                setEditing(null)
+                                setError(null)
+                            }}
+                            className="px-4 py-2 rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors text-sm"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors text-sm"
+                        >
+                            Save Template
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default PromptTemplateSettings
@@ -0,0 +1,244 @@
+import { useState, useMemo } from 'react'
+import { X, Upload, AlertTriangle, CheckCircle, RefreshCw } from 'lucide-react'
+import { validateBackup, restoreBackup, getBackupEntityTypes, RESTORE_STRATEGIES } from '../../utils/backup'
+import { formatDateTime } from '../../utils/timeUtils'
+
+function RestoreBackupModal({ data, fileName, onClose }) {
+    const validation = useMemo(() => validateBackup(data), [data])
+    const entityTypes = useMemo(
+        () => getBackupEntityTypes().filter(type => validation.counts[type.id] !== undefined),
+        [validation]
+    )
+    const [strategies, setStrategies] = useState(() =>
+        Object.fromEntries(getBackupEntityTypes().map(type => [type.id, 'merge-newest']))
+    )
+    const [isRestoring, setIsRestoring] = useState(false)
+    const [report, setReport] = useState(null)
+    const [error, setError] = useState(null)
+
+    function setAllStrategies(strategy) {
+        setStrategies(prev => Object.fromEntries(Object.keys(prev).map(id => [id, strategy])))
+    }
+
+    async function handleRestore() {
+        const replacing = entityTypes.filter(type => strategies[type.id] === 'replace')
+        if (replacing.length > 0 && !confirm(
+            `Local data will be discarded for: ${replacing.map(t => t.label).join(', ')}.\n\nContinue?`
+        )) {
+            return
+        }
+
+        try {
+            setIsRestoring(true)
+            setError(null)
+            const result = await restoreBackup(validation.backup, strategies)
+            setReport(result)
+        } catch (err) {
+            console.error('Failed to restore backup:', err)
+            setError(err.message)
+        } finally {
+            setIsRestoring(false)
+        }
+    }
+
+    return (
+        <div className="fixed inset-0 z-[70] flex items-center justify-center p-4">
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/50"
+                onClick={isRestoring ? undefined : onClose}
+            />
+
+            {/* Modal */}
+            <div className="relative bg-white dark:bg-dark-surface rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col animate-scale-in">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-light-border dark:border-dark-border">
+                    <div>
+                        <h2 className="text-xl font-semibold text-light-text-primary dark:text-dark-text-primary">
+                            Restore Backup
+                        </h2>
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                            {fileName}
+                            {validation.backup?.exportDate && ` · exported ${formatDateTime(validation.backup.exportDate)}`}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={isRestoring}
+                        className="p-2 hover:bg-light-surface dark:hover:bg-dark-bg rounded-lg transition-colors"
+                        aria-label="Close"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    {/* Validation errors */}
+                    {!validation.valid && (
+                        <div className="px-4 py-3 bg-error/10 text-error rounded-lg text-sm">
+                            <div className="font-medium flex items-center gap-2 mb-2">
+                                <AlertTriangle className="w-4 h-4" />
+                                This backup cannot be restored
+                            </div>
+                            <ul className="list-disc pl-5 space-y-1">
+                                {validation.errors.slice(0, 20).map((err, i) => (
+                                    <li key={i}>{err}</li>
+                                ))}
+                                {validation.errors.length > 20 && (
+                                    <li>…and {validation.errors.length - 20} more</li>
+                                )}
+                            </ul>
+                        </div>
+                    )}
+
+                    {/* Warnings */}
+                    {validation.warnings.length > 0 && (
+                        <div className="px-4 py-3 bg-warning/10 text-warning rounded-lg text-sm space-y-1">
+                            {validation.warnings.map((warning, i) => (
+                                <div key={i} className="flex items-start gap-2">
+                                    <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                                    <span>{warning}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="px-4 py-3 bg-error/10 text-error rounded-lg text-sm">
+                            Restore failed, no changes were made to your courses: {error}
+                        </div>
+                    )}
+
+                    {/* Strategy picker */}
+                    {validation.valid && !report && (
+                        <>
+                            <div className="flex items-center justify-between">
+                                <label className="text-sm font-medium">What to restore</label>
+                                <select
+                                    onChange={(e) => e.target.value && setAllStrategies(e.target.value)}
+                                    value=""
+                                    className="text-sm p-1.5 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg outline-none"
+                                >
+                                    <option value="">Set all to…</option>
+                                    {RESTORE_STRATEGIES.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="border border-light-border dark:border-dark-border rounded-lg overflow-hidden">
+                                <table className="w-full text-sm">
+                                    <thead className="bg-light-surface dark:bg-dark-bg">
+                                        <tr>
+                                            <th className="text-left p-3 font-medium">Type</th>
+                                            <th className="text-left p-3 font-medium">In backup</th>
+                                            <th className="text-left p-3 font-medium">Strategy</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entityTypes.map(type => (
+                                            <tr key={type.id} className="border-t border-light-border dark:border-dark-border">
+                                                <td className="p-3">{type.label}</td>
+                                                <td className="p-3 tabular-nums">{validation.counts[type.id]}</td>
+                                                <td className="p-3">
+                                                    <select
+                                                        value={strategies[type.id]}
+                                                        onChange={(e) => setStrategies(prev => ({ ...prev, [type.id]: e.target.value }))}
+                                                        className="w-full p-1.5 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg outline-none"
+                                                        title={RESTORE_STRATEGIES.find(s => s.value === strategies[type.id])?.description}
+                                                    >
+                                                        {RESTORE_STRATEGIES.map(option => (
+                                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+
+                    {/* Restore report */}
+                    {report && (
+                        <>
+                            <div className="flex items-center gap-2 text-success text-sm font-medium">
+                                <CheckCircle className="w-5 h-5" />
+                                Backup restored. Reload the app to see the changes.
+                            </div>
+                            <div className="border border-light-border dark:border-dark-border rounded-lg overflow-hidden">
+                                <table className="w-full text-sm">
+                                    <thead className="bg-light-surface dark:bg-dark-bg">
+                                        <tr>
+                                            <th className="text-left p-3 font-medium">Type</th>
+                                            <th className="text-right p-3 font-medium">Added</th>
+                                            <th className="text-right p-3 font-medium">Updated</th>
+                                            <th className="text-right p-3 font-medium">Removed</th>
+                                            <th className="text-right p-3 font-medium">Kept local</th>
+                                            <th className="text-right p-3 font-medium">Unchanged</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entityTypes.filter(type => report[type.id]).map(type => (
+                                            <tr key={type.id} className="border-t border-light-border dark:border-dark-border tabular-nums">
+                                                <td className="p-3">{type.label}</td>
+                                                <td className="p-3 text-right">{report[type.id].added}</td>
+                                                <td className="p-3 text-right">{report[type.id].updated}</td>
+                                                <td className="p-3 text-right">{report[type.id].removed}</td>
+                                                <td className="p-3 text-right">{report[type.id].kept}</td>
+                                                <td className="p-3 text-right">{report[type.id].unchanged}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-end gap-3 p-4 border-t border-light-border dark:border-dark-border">
+                    {report ? (
+                        <button
+                            onClick={() => window.location.reload()}
+                            className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors flex items-center gap-2"
+                        >
+                            <RefreshCw className="w-4 h-4" />
+                            Reload App
+                        </button>
+                    ) : (
+                        <>
+                            <button
+                                onClick={onClose}
+                                className="px-4 py-2 text-sm font-medium border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors"
+                                disabled={isRestoring}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleRestore}
+                                disabled={!validation.valid || isRestoring || entityTypes.length === 0}
+                                className="px-4 py-2 text-sm font-medium bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                            >
+                                {isRestoring ? (
+                                    <>
+                                        <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                                        Restoring...
+                                    </>
+                                ) : (
+                                    <>
+                                        <Upload className="w-4 h-4" />
+                                        Restore
+                                    </>
+                                )}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default RestoreBackupModal
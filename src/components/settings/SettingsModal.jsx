@@ -1,11 +1,20 @@
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
 import {
     X, Sun, Moon, Monitor, Palette, Layout, Type,
-    Play, SkipForward, FastForward, Check, Download, Upload, Database, AlertTriangle, Folder, FolderOpen
+    Play, SkipForward, FastForward, Check, Download, Upload, Database, AlertTriangle, Folder, FolderOpen, RefreshCw, Sparkles
 } from 'lucide-react'
 import { useSettings } from '../../contexts/SettingsContext'
 import { useTheme } from '../../contexts/ThemeContext'
-import { exportAllData, clearAllData, importData, recalculateAllCoursesProgress } from '../../utils/db'
+import { clearAllData, applyProgressMode, recalculateAllCoursesProgress } from '../../utils/db'
+import { createBackup } from '../../utils/backup'
+import RestoreBackupModal from './RestoreBackupModal'
+import MigrationLog from './MigrationLog'
+import SummaryProviderSettings from './SummaryProviderSettings'
+import PromptTemplateSettings from './PromptTemplateSettings'
+import WhisperSettings from './WhisperSettings'
+import ModelCacheSettings from './ModelCacheSettings'
+import VocabularySettings from './VocabularySettings'
+import ShortcutSettings from './ShortcutSettings'
 import { pickRootFolder, getRootFolderName, hasRootFolderAccess, clearRootFolderHandle, isFileSystemAccessSupported, requestRootFolderPermission, hasStoredRootFolder } from '../../utils/fileSystem'
 
 const accentColors = [
@@ -36,19 +45,27 @@ const completionThresholds = [
     { label: '100%', value: 100 }
 ]
 
-function SettingsModal({ isOpen, onClose }) {
+export const SETTINGS_TABS = [
+    { id: 'appearance', label: 'Appearance', icon: Palette },
+    { id: 'playback', label: 'Playback', icon: Play },
+    { id: 'shortcuts', label: 'Shortcuts', icon: FastForward },
+    { id: 'ai', label: 'AI', icon: Sparkles },
+    { id: 'data', label: 'Data', icon: Database }
+]
+
+function SettingsModal({ isOpen, onClose, initialTab }) {
     const { settings, updateSettings, resetSettings } = useSettings()
     const { theme, setTheme } = useTheme()
     const [activeTab, setActiveTab] = useState('appearance')
+    const [pendingRestore, setPendingRestore] = useState(null)
+    const [isRepairing, setIsRepairing] = useState(false)
 
-    if (!isOpen) return null
+    // Open on a given tab, e.g. from the command palette
+    useEffect(() => {
+        if (isOpen && initialTab) setActiveTab(initialTab)
+    }, [isOpen, initialTab])
 
-    const tabs = [
-        { id: 'appearance', label: 'Appearance', icon: Palette },
-        { id: 'playback', label: 'Playback', icon: Play },
-        { id: 'shortcuts', label: 'Shortcuts', icon: FastForward },
-        { id: 'data', label: 'Data', icon: Database }
-    ]
+    if (!isOpen) return null
 
     return (
         <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
@@ -77,7 +94,7 @@ function SettingsModal({ isOpen, onClose }) {
                 <div className="flex flex-1 overflow-hidden">
                     {/* Tabs Sidebar */}
                     <div className="w-48 border-r border-light-border dark:border-dark-border p-2 flex-shrink-0">
-                        {tabs.map(tab => {
+                        {SETTINGS_TABS.map(tab => {
                             const Icon = tab.icon
                             return (
                                 <button
@@ -295,8 +312,8 @@ function SettingsModal({ isOpen, onClose }) {
                                                 key={option.value}
                                                 onClick={async () => {
                                                     updateSettings({ progressCalculationMode: option.value })
-                                                    // Recalculate all courses with the new mode
-                                                    await recalculateAllCoursesProgress(option.value)
+                                                    // Re-derive percentages from the stored progress totals
+                                                    await applyProgressMode(option.value)
                                                 }}
                                                 className={`
                           w-full flex items-center justify-between p-3 rounded-lg border-2 transition-all text-left
@@ -347,10 +364,23 @@ function SettingsModal({ isOpen, onClose }) {
                                         placeholder="0"
                                     />
                                     <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-1">
-                                        Skip this many seconds at the start of each video
+                                        Skip this many seconds at the start of each video. Courses can override this in Edit Course.
                                     </p>
                                 </div>
 
+                                {/* Skip Intro Mode */}
+                                <div>
+                                    <label className="block text-sm font-medium mb-2">When a Video Starts in the Intro</label>
+                                    <select
+                                        value={settings.skipIntroMode}
+                                        onChange={(e) => updateSettings({ skipIntroMode: e.target.value })}
+                                        className="w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0"
+                                    >
+                                        <option value="auto">Skip it automatically</option>
+                                        <option value="button">Show a Skip Intro button</option>
+                                    </select>
+                                </div>
+
                                 {/* Skip Outro */}
                                 <div>
                                     <label className="block text-sm font-medium mb-2">Skip Outro (seconds)</label>
@@ -364,73 +394,50 @@ function SettingsModal({ isOpen, onClose }) {
                                         placeholder="0"
                                     />
                                     <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-1">
-                                        Consider video complete this many seconds before the end
+                                        The last seconds of each video are its outro: the video counts as complete and auto-play moves on when it starts
                                     </p>
                                 </div>
                             </div>
                         )}
 
                         {/* Shortcuts Tab */}
-                        {activeTab === 'shortcuts' && (
-                            <div className="space-y-4">
-                                <div className="flex items-center justify-between mb-4">
-                                    <div>
-                                        <div className="font-medium text-sm">Enable Keyboard Shortcuts</div>
-                                        <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
-                                            Use keyboard to control video playback
-                                        </div>
-                                    </div>
-                                    <button
-                                        onClick={() => updateSettings({ keyboardShortcuts: !settings.keyboardShortcuts })}
-                                        className={`
-                      w-12 h-6 rounded-full transition-colors relative
-                      ${settings.keyboardShortcuts ? 'bg-blue-600 dark:bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'}
-                    `}
-                                    >
-                                        <div className={`
-                      absolute top-1 w-4 h-4 rounded-full bg-white transition-transform
-                      ${settings.keyboardShortcuts ? 'translate-x-7' : 'translate-x-1'}
-                    `} />
-                                    </button>
+                        {activeTab === 'shortcuts' && <ShortcutSettings />}
+
+                        {/* AI Tab */}
+                        {activeTab === 'ai' && (
+                            <div className="space-y-8">
+                                <SummaryProviderSettings />
+
+                                {/* Transcription */}
+                                <div className="pt-6 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Transcription
+                                    </h3>
+                                    <WhisperSettings />
                                 </div>
 
-                                <div className="border border-light-border dark:border-dark-border rounded-lg overflow-hidden">
-                                    <table className="w-full text-sm">
-                                        <thead className="bg-light-surface dark:bg-dark-bg">
-                                            <tr>
-                                                <th className="text-left p-3 font-medium">Action</th>
-                                                <th className="text-left p-3 font-medium">Shortcut</th>
-                                            </tr>
-                                        </thead>
-                                        <tbody>
-                                            {[
-                                                { action: 'Play / Pause', key: 'Space or K' },
-                                                { action: 'Seek Back 5s', key: '← Arrow' },
-                                                { action: 'Seek Forward 5s', key: '→ Arrow' },
-                                                { action: 'Seek Back 10s', key: 'J' },
-                                                { action: 'Seek Forward 10s', key: 'L' },
-                                                { action: 'Jump to 0%-90%', key: '0-9' },
-                                                { action: 'Volume Up', key: '↑ Arrow' },
-                                                { action: 'Volume Down', key: '↓ Arrow' },
-                                                { action: 'Mute / Unmute', key: 'M' },
-                                                { action: 'Decrease Speed', key: '< or ,' },
-                                                { action: 'Increase Speed', key: '> or .' },
-                                                { action: 'Toggle Auto-play', key: 'A' },
-                                                { action: 'Fullscreen', key: 'F' },
-                                                { action: 'Picture-in-Picture', key: 'P' },
-                                                { action: 'Next Video', key: 'Shift + N' }
-                                            ].map((shortcut, i) => (
-                                                <tr key={i} className="border-t border-light-border dark:border-dark-border">
-                                                    <td className="p-3">{shortcut.action}</td>
-                                                    <td className="p-3">
-                                                        <kbd className="px-2 py-1 bg-light-surface dark:bg-dark-bg rounded text-xs font-mono">
-                                                            {shortcut.key}
-                                                        </kbd>
-                                                    </td>
-                                                </tr>
-                                            ))}
-                                        </tbody>
-                                    </table>
+                                {/* Vocabulary */}
+                                <div className="pt-6 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Vocabulary
+                                    </h3>
+                                    <VocabularySettings />
+                                </div>
+
+                                {/* Offline models */}
+                                <div className="pt-6 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Models
+                                    </h3>
+                                    <ModelCacheSettings />
+                                </div>
+
+                                {/* Prompt Templates */}
+                                <div className="pt-6 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Prompt Templates
+                                    </h3>
+                                    <PromptTemplateSettings />
                                 </div>
                             </div>
                         )}
@@ -533,18 +540,56 @@ function SettingsModal({ isOpen, onClose }) {
                                     )}
                                 </div>
 
+                                {/* Nested Folders */}
+                                <div className="pt-4 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Nested Folders
+                                    </h3>
+                                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary mb-4">
+                                        How folders inside module folders are imported. Synced courses keep the layout they were imported with.
+                                    </p>
+                                    <div className="space-y-2">
+                                        {[
+                                            { value: 'sections', label: 'Sections', description: 'Every folder with videos becomes a module, grouped under its parent folders' },
+                                            { value: 'flatten', label: 'Flatten', description: 'Top-level folders are modules, nested videos are titled by their path' }
+                                        ].map(option => (
+                                            <button
+                                                key={option.value}
+                                                onClick={() => updateSettings({ nestedFolderLayout: option.value })}
+                                                className={`
+                          w-full flex items-center justify-between p-3 rounded-lg border-2 transition-all text-left
+                          ${settings.nestedFolderLayout === option.value
+                                                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-500/5'
+                                                        : 'border-light-border dark:border-dark-border hover:border-blue-400'
+                                                    }
+                        `}
+                                            >
+                                                <div>
+                                                    <div className="font-medium text-sm">{option.label}</div>
+                                                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                                        {option.description}
+                                                    </div>
+                                                </div>
+                                                {settings.nestedFolderLayout === option.value && (
+                                                    <Check className="w-5 h-5 text-blue-600 dark:text-white" />
+                                                )}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
                                 {/* Export Data */}
                                 <div className="pt-4 border-t border-light-border dark:border-dark-border">
                                     <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
                                         Export Data
                                     </h3>
                                     <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary mb-4">
-                                        Download all your courses, progress, notes, and settings as a backup file.
+                                        Download all your courses, progress, notes, learning history, instructors, roadmaps, profile and settings as a backup file.
                                     </p>
                                     <button
                                         onClick={async () => {
                                             try {
-                                                const data = await exportAllData()
+                                                const data = await createBackup()
                                                 const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
                                                 const url = URL.createObjectURL(blob)
                                                 const a = document.createElement('a')
@@ -569,7 +614,7 @@ function SettingsModal({ isOpen, onClose }) {
                                         Import Data
                                     </h3>
                                     <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary mb-4">
-                                        Restore your data from a backup file. This will merge with existing data.
+                                        Restore your data from a backup file. You can choose to replace or merge each type of data before anything is written.
                                     </p>
                                     <input
                                         type="file"
@@ -583,11 +628,9 @@ function SettingsModal({ isOpen, onClose }) {
                                             try {
                                                 const text = await file.text()
                                                 const data = JSON.parse(text)
-                                                await importData(data)
-                                                alert('Data imported successfully! Please refresh the page.')
-                                                window.location.reload()
+                                                setPendingRestore({ data, fileName: file.name })
                                             } catch (err) {
-                                                alert('Failed to import data: ' + err.message)
+                                                alert('Failed to read backup file: ' + err.message)
                                             }
                                             e.target.value = ''
                                         }}
@@ -601,6 +644,35 @@ function SettingsModal({ isOpen, onClose }) {
                                     </button>
                                 </div>
 
+                                {/* Database Migrations */}
+                                <div className="pt-4 border-t border-light-border dark:border-dark-border">
+                                    <h3 className="text-lg font-medium text-light-text-primary dark:text-dark-text-primary mb-4">
+                                        Database
+                                    </h3>
+                                    <MigrationLog />
+                                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary mt-4 mb-4">
+                                        Course progress is updated as you watch. If a course shows the wrong progress, rebuild it from your videos.
+                                    </p>
+                                    <button
+                                        onClick={async () => {
+                                            try {
+                                                setIsRepairing(true)
+                                                const count = await recalculateAllCoursesProgress(settings.progressCalculationMode)
+                                                alert(`Progress recalculated for ${count} course${count === 1 ? '' : 's'}.`)
+                                            } catch (err) {
+                                                alert('Failed to recalculate progress: ' + err.message)
+                                            } finally {
+                                                setIsRepairing(false)
+                                            }
+                                        }}
+                                        disabled={isRepairing}
+                                        className="flex items-center gap-2 px-4 py-2 bg-white/5 dark:bg-dark-surface border border-light-border dark:border-dark-border rounded-lg hover:bg-white/10 transition-colors disabled:opacity-50"
+                                    >
+                                        <RefreshCw className={`w-4 h-4 ${isRepairing ? 'animate-spin' : ''}`} />
+                                        {isRepairing ? 'Recalculating...' : 'Recalculate All Progress'}
+                                    </button>
+                                </div>
+
                                 {/* Reset App */}
                                 <div className="pt-4 border-t border-light-border dark:border-dark-border">
                                     <h3 className="text-lg font-medium text-danger mb-4 flex items-center gap-2">
@@ -665,6 +737,15 @@ function SettingsModal({ isOpen, onClose }) {
                     </button>
                 </div>
             </div>
+
+            {/* Restore Backup */}
+            {pendingRestore && (
+                <RestoreBackupModal
+                    data={pendingRestore.data}
+                    fileName={pendingRestore.fileName}
+                    onClose={() => setPendingRestore(null)}
+                />
+            )}
         </div>
     )
 }
@@ -0,0 +1,188 @@
+import { useState, useEffect, useRef } from 'react'
+import { Plus, X, RotateCcw, AlertTriangle } from 'lucide-react'
+import { useSettings } from '../../contexts/SettingsContext'
+import { useShortcutSettings } from '../../contexts/ShortcutsContext'
+import {
+    SHORTCUT_SCOPES, SHORTCUT_ACTIONS, getShortcutAction, eventToShortcut, formatShortcut, findConflictingActions
+} from '../../utils/shortcuts'
+
+/**
+ * Shortcuts tab: every action from the registry, by scope, with its keys
+ * Keys are recorded by pressing them; a key already used where the action applies
+ * moves to it once the user confirms.
+ */
+function ShortcutSettings() {
+    const { settings, updateSettings } = useSettings()
+    const { bindings, conflicts, overrides, setBindings, resetBinding, resetAllBindings, pauseShortcuts } = useShortcutSettings()
+    const [recordingId, setRecordingId] = useState(null)
+    // The recording listener adds keys through this, so it sees the latest bindings
+    const addShortcutRef = useRef(null)
+    useEffect(() => {
+        addShortcutRef.current = addShortcut
+    })
+
+    // Take the next key press for the action being recorded, before anything else sees it
+    useEffect(() => {
+        if (!recordingId) return
+        const resume = pauseShortcuts()
+
+        function handleKeyDown(e) {
+            const shortcut = eventToShortcut(e)
+            if (!shortcut) return
+            e.preventDefault()
+            e.stopPropagation()
+            // Space would otherwise click the focused record button again on key up
+            document.activeElement?.blur()
+            addShortcutRef.current(recordingId, shortcut)
+            setRecordingId(null)
+        }
+
+        window.addEventListener('keydown', handleKeyDown, true)
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown, true)
+            resume()
+        }
+    }, [recordingId, pauseShortcuts])
+
+    function addShortcut(actionId, shortcut) {
+        if (bindings[actionId].includes(shortcut)) return
+
+        const action = getShortcutAction(actionId)
+        const clashes = findConflictingActions(bindings, actionId, shortcut)
+        if (clashes.length > 0) {
+            const usedFor = clashes.map(clash => `"${clash.label}" (${SHORTCUT_SCOPES[clash.scope].label})`).join(', ')
+            if (!confirm(`${formatShortcut(shortcut)} is already used for ${usedFor}. Use it for "${action.label}" instead?`)) return
+        }
+
+        const changes = { [actionId]: [...bindings[actionId], shortcut] }
+        clashes.forEach(clash => {
+            changes[clash.id] = bindings[clash.id].filter(s => s !== shortcut)
+        })
+        setBindings(changes)
+    }
+
+    function removeShortcut(actionId, shortcut) {
+        setBindings({ [actionId]: bindings[actionId].filter(s => s !== shortcut) })
+    }
+
+    function handleResetAll() {
+        if (!confirm('Reset every shortcut to its default keys?')) return
+        resetAllBindings()
+    }
+
+    const hasOverrides = Object.keys(overrides).length > 0
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <div>
+                    <div className="font-medium text-sm">Enable Keyboard Shortcuts</div>
+                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                        Turn off to let every key reach the page
+                    </div>
+                </div>
+                <button
+                    onClick={() => updateSettings({ keyboardShortcuts: !settings.keyboardShortcuts })}
+                    className={`
+                      w-12 h-6 rounded-full transition-colors relative
+                      ${settings.keyboardShortcuts ? 'bg-blue-600 dark:bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'}
+                    `}
+                >
+                    <div className={`
+                      absolute top-1 w-4 h-4 rounded-full bg-white transition-transform
+                      ${settings.keyboardShortcuts ? 'translate-x-7' : 'translate-x-1'}
+                    `} />
+                </button>
+            </div>
+
+            <div className="flex items-center justify-between gap-4">
+                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                    Click + and press a key to add it. Actions in the same place can&apos;t share a key.
+                </p>
+                {hasOverrides && (
+                    <button
+                        onClick={handleResetAll}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-light-border dark:border-dark-border rounded-lg hover:bg-light-surface dark:hover:bg-dark-bg transition-colors flex-shrink-0"
+                    >
+                        <RotateCcw className="w-3.5 h-3.5" />
+                        Reset All
+                    </button>
+                )}
+            </div>
+
+            {Object.entries(SHORTCUT_SCOPES).map(([scopeId, scope]) => (
+                <div key={scopeId}>
+                    <div className="flex items-baseline gap-2 mb-2">
+                        <h3 className="font-medium">{scope.label}</h3>
+                        <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">{scope.description}</span>
+                    </div>
+
+                    <div className="border border-light-border dark:border-dark-border rounded-lg overflow-hidden">
+                        <table className="w-full text-sm">
+                            <tbody>
+                                {SHORTCUT_ACTIONS.filter(action => action.scope === scopeId).map((action, i) => {
+                                    const clashes = conflicts[action.id] || []
+                                    const isRecording = recordingId === action.id
+                                    return (
+                                        <tr key={action.id} className={i > 0 ? 'border-t border-light-border dark:border-dark-border' : ''}>
+                                            <td className="p-3">
+                                                <span className="flex items-center gap-2">
+                                                    {action.label}
+                                                    {clashes.length > 0 && (
+                                                        <span title={clashes.map(clash => `${formatShortcut(clash.shortcut)} is also used for ${clash.actions.map(a => a.label).join(', ')}`).join('\n')}>
+                                                            <AlertTriangle className="w-4 h-4 text-warning" />
+                                                        </span>
+                                                    )}
+                                                </span>
+                                            </td>
+                                            <td className="p-3">
+                                                <div className="flex flex-wrap items-center justify-end gap-1.5">
+                                                    {bindings[action.id].map(shortcut => (
+                                                        <kbd
+                                                            key={shortcut}
+                                                            className="group inline-flex items-center gap-1 px-2 py-1 bg-light-surface dark:bg-dark-bg rounded text-xs font-mono"
+                                                        >
+                                                            {formatShortcut(shortcut)}
+                                                            <button
+                                                                onClick={() => removeShortcut(action.id, shortcut)}
+                                                                className="opacity-40 group-hover:opacity-100 hover:text-error"
+                                                                title="Remove"
+                                                            >
+                                                                <X className="w-3 h-3" />
+                                                            </button>
+                                                        </kbd>
+                                                    ))}
+                                                    <button
+                                                        onClick={() => setRecordingId(isRecording ? null : action.id)}
+                                                        className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs border transition-colors ${isRecording
+                                                            ? 'border-blue-500 text-blue-600 dark:text-blue-400 animate-pulse'
+                                                            : 'border-dashed border-light-border dark:border-dark-border text-light-text-secondary dark:text-dark-text-secondary hover:bg-light-surface dark:hover:bg-dark-bg'
+                                                            }`}
+                                                        title={isRecording ? 'Click to cancel' : 'Add a key'}
+                                                    >
+                                                        {isRecording ? 'Press a key…' : <Plus className="w-3 h-3" />}
+                                                    </button>
+                                                    {overrides[action.id] && (
+                                                        <button
+                                                            onClick={() => resetBinding(action.id)}
+                                                            className="p-1 rounded text-light-text-secondary dark:text-dark-text-secondary hover:bg-light-surface dark:hover:bg-dark-bg"
+                                                            title={`Reset to ${action.keys.map(formatShortcut).join(', ') || 'no key'}`}
+                                                        >
+                                                            <RotateCcw className="w-3.5 h-3.5" />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default ShortcutSettings
@@ -0,0 +1,175 @@
+import { useState } from 'react'
+import { Check, Loader2, ShieldCheck, Globe } from 'lucide-react'
+import { SUMMARY_PROVIDERS, getSummaryConfig, saveSummaryConfig, testSummaryProvider } from '../../utils/summaryProviders'
+
+const inputClassName = 'w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0'
+
+const FIELD_LABELS = {
+    baseUrl: 'Base URL',
+    apiKey: 'API Key',
+    model: 'Model',
+    temperature: 'Temperature',
+    maxTokens: 'Max Tokens'
+}
+
+/**
+ * Check whether a base URL points at this machine
+ */
+function isLocalUrl(baseUrl) {
+    try {
+        const { hostname } = new URL(baseUrl)
+        return ['localhost', '127.0.0.1', '[::1]'].includes(hostname)
+    } catch {
+        return false
+    }
+}
+
+function SummaryProviderSettings() {
+    const [config, setConfig] = useState(getSummaryConfig)
+    const [testResult, setTestResult] = useState(null) // { ok, message }
+    const [isTesting, setIsTesting] = useState(false)
+
+    const provider = SUMMARY_PROVIDERS[config.active]
+    const providerSettings = config.providers[config.active]
+    const staysLocal = provider.id === 'openai' ? isLocalUrl(providerSettings.baseUrl) : provider.isLocal
+
+    function update(nextConfig) {
+        setConfig(nextConfig)
+        saveSummaryConfig(nextConfig)
+        setTestResult(null)
+    }
+
+    function updateField(field, value) {
+        update({
+            ...config,
+            providers: {
+                ...config.providers,
+                [config.active]: { ...providerSettings, [field]: value }
+            }
+        })
+    }
+
+    async function handleTest() {
+        setIsTesting(true)
+        setTestResult(null)
+        try {
+            const reply = await testSummaryProvider(config.active, providerSettings)
+            setTestResult({ ok: true, message: `Connected. ${providerSettings.model} replied: "${reply}"` })
+        } catch (err) {
+            setTestResult({ ok: false, message: err.message })
+        } finally {
+            setIsTesting(false)
+        }
+    }
+
+    function renderField(field) {
+        if (field === 'temperature' || field === 'maxTokens') {
+            return (
+                <input
+                    type="number"
+                    min="0"
+                    max={field === 'temperature' ? 2 : undefined}
+                    step={field === 'temperature' ? 0.1 : 1}
+                    value={providerSettings[field]}
+                    onChange={(e) => updateField(field, parseFloat(e.target.value) || 0)}
+                    className={inputClassName}
+                />
+            )
+        }
+
+        return (
+            <input
+                type={field === 'apiKey' ? 'password' : 'text'}
+                value={providerSettings[field]}
+                onChange={(e) => updateField(field, e.target.value.trim())}
+                placeholder={field === 'apiKey' ? (provider.id === 'openai' ? 'Optional' : '') : provider.defaults[field]}
+                className={inputClassName}
+                autoComplete="off"
+                spellCheck={false}
+            />
+        )
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Provider */}
+            <div>
+                <label className="block text-sm font-medium mb-3">Summary Provider</label>
+                <div className="space-y-2">
+                    {Object.values(SUMMARY_PROVIDERS).map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => update({ ...config, active: option.id })}
+                            className={`
+                          w-full flex items-center justify-between p-3 rounded-lg border-2 transition-all text-left
+                          ${config.active === option.id
+                                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-500/5'
+                                    : 'border-light-border dark:border-dark-border hover:border-blue-400'
+                                }
+                        `}
+                        >
+                            <div>
+                                <div className="font-medium text-sm">{option.label}</div>
+                                <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                                    {option.description}
+                                </div>
+                            </div>
+                            {config.active === option.id && (
+                                <Check className="w-5 h-5 text-blue-600 dark:text-white flex-shrink-0" />
+                            )}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Where transcripts go */}
+            <div className={`flex items-start gap-2 p-3 rounded-lg text-sm ${staysLocal ? 'bg-success/10 text-success' : 'bg-warning/10 text-warning'}`}>
+                {staysLocal ? <ShieldCheck className="w-4 h-4 mt-0.5 flex-shrink-0" /> : <Globe className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+                <span>
+                    {staysLocal
+                        ? 'Transcripts never leave this machine.'
+                        : `Transcripts are sent to ${provider.id === 'openai' ? providerSettings.baseUrl : provider.label} to be summarized.`}
+                </span>
+            </div>
+
+            {/* Provider settings */}
+            {provider.fields.map(field => (
+                <div key={field}>
+                    <label className="block text-sm font-medium mb-2">{FIELD_LABELS[field]}</label>
+                    {renderField(field)}
+                    {field === 'baseUrl' && (
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-1">
+                            Ollama: http://localhost:11434/v1 · llama.cpp server: http://localhost:8080/v1
+                        </p>
+                    )}
+                    {field === 'model' && provider.id === 'transformers' && (
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-1">
+                            A text-to-text model on Hugging Face with ONNX weights, downloaded once and cached
+                        </p>
+                    )}
+                </div>
+            ))}
+
+            {/* Test connection (the in-browser model would have to download first) */}
+            {provider.id !== 'transformers' && (
+                <div>
+                    <button
+                        onClick={handleTest}
+                        disabled={isTesting}
+                        className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50"
+                    >
+                        {isTesting && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Test Connection
+                    </button>
+                    {testResult && (
+                        <p className={`text-sm mt-2 ${testResult.ok ? 'text-success' : 'text-error'}`}>
+                            {testResult.message}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default SummaryProviderSettings
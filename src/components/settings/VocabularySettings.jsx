@@ -0,0 +1,40 @@
+import { useState } from 'react'
+import { getVocabulary, saveVocabulary, parseVocabulary, formatVocabulary } from '../../utils/transcriptEditing'
+
+const inputClassName = 'w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0'
+
+function VocabularySettings() {
+    const [text, setText] = useState(() => formatVocabulary(getVocabulary()))
+    const ruleCount = parseVocabulary(text).length
+
+    function handleChange(value) {
+        setText(value)
+        saveVocabulary(parseVocabulary(value))
+    }
+
+    return (
+        <div>
+            <label className="block text-sm font-medium mb-2">
+                Custom Vocabulary
+                {ruleCount > 0 && (
+                    <span className="ml-2 font-normal text-light-text-secondary dark:text-dark-text-secondary">
+                        {ruleCount} {ruleCount === 1 ? 'rule' : 'rules'}
+                    </span>
+                )}
+            </label>
+            <textarea
+                value={text}
+                onChange={(e) => handleChange(e.target.value)}
+                rows={6}
+                placeholder={'cooper netties → Kubernetes\nview js → Vue.js\npost gress → Postgres'}
+                className={`${inputClassName} font-mono text-sm`}
+            />
+            <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                One rule per line, what Whisper hears → what was meant. Applied after every new transcription;
+                use Apply Vocabulary in the transcript editor for existing ones.
+            </p>
+        </div>
+    )
+}
+
+export default VocabularySettings
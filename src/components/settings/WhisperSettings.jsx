@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { Check } from 'lucide-react'
+import { WHISPER_MODELS, WHISPER_LANGUAGES, getWhisperSettings, saveWhisperSettings } from '../../utils/whisperSettings'
+
+const inputClassName = 'w-full p-3 rounded-lg border border-light-border dark:border-dark-border bg-white dark:bg-dark-bg focus:border-blue-500 dark:focus:border-blue-400 outline-none focus:outline-none ring-0 focus:ring-0'
+
+const TASKS = [
+    { id: 'transcribe', label: 'Transcribe', description: 'Write down what is said, in the spoken language' },
+    { id: 'translate', label: 'Translate to English', description: 'Write an English transcript of speech in any language' }
+]
+
+function WhisperSettings() {
+    const [settings, setSettings] = useState(getWhisperSettings)
+
+    function update(changes) {
+        const next = { ...settings, ...changes }
+        setSettings(next)
+        saveWhisperSettings(next)
+    }
+
+    function renderOption(option, isSelected, onSelect, detail) {
+        return (
+            <button
+                key={option.id}
+                onClick={onSelect}
+                className={`
+                  w-full flex items-center justify-between p-3 rounded-lg border-2 transition-all text-left
+                  ${isSelected
+                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-500/5'
+                        : 'border-light-border dark:border-dark-border hover:border-blue-400'
+                    }
+                `}
+            >
+                <div>
+                    <div className="font-medium text-sm">
+                        {option.label}
+                        {detail && (
+                            <span className="ml-2 text-xs font-normal text-light-text-secondary dark:text-dark-text-secondary">{detail}</span>
+                        )}
+                    </div>
+                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                        {option.description}
+                    </div>
+                </div>
+                {isSelected && (
+                    <Check className="w-5 h-5 text-blue-600 dark:text-white flex-shrink-0" />
+                )}
+            </button>
+        )
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Model size */}
+            <div>
+                <label className="block text-sm font-medium mb-3">Whisper Model</label>
+                <div className="space-y-2">
+                    {Object.values(WHISPER_MODELS).map(model => renderOption(
+                        model,
+                        settings.model === model.id,
+                        () => update({ model: model.id }),
+                        model.downloadSize
+                    ))}
+                </div>
+                <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                    Each model downloads once and is cached. Switching takes effect with the next transcription.
+                </p>
+            </div>
+
+            {/* Spoken language */}
+            <div>
+                <label className="block text-sm font-medium mb-2">Spoken Language</label>
+                <select
+                    value={settings.language}
+                    onChange={(e) => update({ language: e.target.value })}
+                    className={inputClassName}
+                >
+                    {WHISPER_LANGUAGES.map(language => (
+                        <option key={language.code} value={language.code}>{language.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Task */}
+            <div>
+                <label className="block text-sm font-medium mb-3">Output</label>
+                <div className="space-y-2">
+                    {TASKS.map(task => renderOption(
+                        task,
+                        settings.task === task.id,
+                        () => update({ task: task.id })
+                    ))}
+                </div>
+                {settings.language === 'en' && settings.task === 'translate' && (
+                    <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary mt-2">
+                        Speech set to English is transcribed as is.
+                    </p>
+                )}
+            </div>
+
+            {/* Speaker labels */}
+            <div className="flex items-center justify-between">
+                <div>
+                    <div className="font-medium text-sm">Label Speakers</div>
+                    <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                        Mark speaker turns in transcripts with a small on-device model (~6 MB)
+                    </div>
+                </div>
+                <button
+                    onClick={() => update({ labelSpeakers: !settings.labelSpeakers })}
+                    className={`
+                      w-12 h-6 rounded-full transition-colors relative flex-shrink-0
+                      ${settings.labelSpeakers ? 'bg-blue-600 dark:bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'}
+                    `}
+                >
+                    <div className={`
+                      absolute top-1 w-4 h-4 rounded-full bg-white transition-transform
+                      ${settings.labelSpeakers ? 'translate-x-7' : 'translate-x-1'}
+                    `} />
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default WhisperSettings
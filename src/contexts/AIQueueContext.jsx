@@ -0,0 +1,31 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { getAIQueueState, subscribeToAIQueue } from '../utils/aiQueue'
+
+const AIQueueContext = createContext()
+
+/**
+ * Shares the background transcription queue's state (jobs, progress, paused)
+ * Actions are imported from utils/aiQueue directly.
+ */
+export function AIQueueProvider({ children }) {
+    const [queue, setQueue] = useState(getAIQueueState)
+
+    useEffect(() => {
+        setQueue(getAIQueueState())
+        return subscribeToAIQueue(setQueue)
+    }, [])
+
+    return (
+        <AIQueueContext.Provider value={queue}>
+            {children}
+        </AIQueueContext.Provider>
+    )
+}
+
+export function useAIQueue() {
+    const context = useContext(AIQueueContext)
+    if (!context) {
+        throw new Error('useAIQueue must be used within an AIQueueProvider')
+    }
+    return context
+}
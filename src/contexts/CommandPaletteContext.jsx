@@ -0,0 +1,72 @@
+import { createContext, useContext, useState, useEffect, useRef, useCallback, useId } from 'react'
+import { useShortcuts } from './ShortcutsContext'
+
+const CommandPaletteContext = createContext()
+
+/**
+ * Holds the command palette's open state and the registry of commands
+ *
+ * Components contribute commands with useCommands while they are mounted, so the
+ * palette offers whatever the current route has on screen. A command is
+ * { id, title, group, icon?, keywords?, shortcut?, run }. The registry lives in a
+ * ref of refs: contributors update their commands on every render and only the
+ * palette reads them.
+ */
+export function CommandPaletteProvider({ children }) {
+    const [isOpen, setIsOpen] = useState(false)
+    const registryRef = useRef(new Map())
+
+    const registerCommands = useCallback((key, commands) => {
+        registryRef.current.set(key, commands)
+        return () => registryRef.current.delete(key)
+    }, [])
+
+    const getCommands = useCallback(() => (
+        [...registryRef.current.values()].flatMap(commands => commands.current.filter(Boolean))
+    ), [])
+
+    // Ctrl+K / Cmd+K by default, rebindable in Settings → Shortcuts
+    useShortcuts({
+        'app.commandPalette': () => setIsOpen(open => !open)
+    })
+
+    const value = {
+        isOpen,
+        openPalette: () => setIsOpen(true),
+        closePalette: () => setIsOpen(false),
+        registerCommands,
+        getCommands
+    }
+
+    return (
+        <CommandPaletteContext.Provider value={value}>
+            {children}
+        </CommandPaletteContext.Provider>
+    )
+}
+
+export function useCommandPalette() {
+    const context = useContext(CommandPaletteContext)
+    if (!context) {
+        throw new Error('useCommandPalette must be used within a CommandPaletteProvider')
+    }
+    return context
+}
+
+/**
+ * Offer commands in the palette while the calling component is mounted
+ * Registered once; the commands of the latest render are offered, so their run
+ * callbacks see current state.
+ * @param {Array<Object>} commands - Falsy entries are skipped, for conditional commands
+ */
+export function useCommands(commands) {
+    const { registerCommands } = useCommandPalette()
+    const key = useId()
+    const commandsRef = useRef(commands)
+
+    useEffect(() => {
+        commandsRef.current = commands
+    })
+
+    useEffect(() => registerCommands(key, commandsRef), [registerCommands, key])
+}
@@ -15,8 +15,10 @@ const defaultSettings = {
     autoMarkCompleteAt: 95, // percentage
     progressCalculationMode: 'videos', // 'videos' = count completed videos, 'duration' = total time watched
     skipIntro: 0, // seconds
+    skipIntroMode: 'auto', // auto = start after the intro, button = offer a Skip Intro button
     skipOutro: 0, // seconds
     keyboardShortcuts: true,
+    shortcutBindings: {}, // action id → shortcuts, only for rebound actions (see utils/shortcuts.js)
 
     // Goals
     dailyVideoGoal: 3,
@@ -28,7 +30,10 @@ const defaultSettings = {
     sidebarCollapsed: false,
     gridColumns: 3,
     showCompletedVideos: true,
-    viewMode: 'grid' // grid, list
+    viewMode: 'grid', // grid, list
+
+    // Import
+    nestedFolderLayout: 'sections' // sections, flatten
 }
 
 const SettingsContext = createContext(null)
@@ -0,0 +1,164 @@
+import { createContext, useContext, useEffect, useRef, useCallback, useMemo, useId } from 'react'
+import { useSettings } from './SettingsContext'
+import {
+    SHORTCUT_ACTIONS, SHORTCUT_SCOPES, getShortcutAction, eventToShortcut, formatShortcut,
+    resolveBindings, findShortcutConflicts, isCommandShortcut, isEditableTarget
+} from '../utils/shortcuts'
+
+const ShortcutsContext = createContext(null)
+
+/**
+ * The one keydown listener behind every shortcut
+ *
+ * Components hand their handlers to it by action id with useShortcuts while they
+ * are mounted; the keys come from the registry (utils/shortcuts.js) with the
+ * user's rebindings. While typing, only the focused editor's own scope and global
+ * Ctrl/Alt shortcuts apply. A handler returning false leaves the key to the page.
+ */
+export function ShortcutsProvider({ children }) {
+    const { settings, updateSettings } = useSettings()
+    const handlersRef = useRef(new Map())
+    const pausedRef = useRef(0)
+
+    const overrides = settings.shortcutBindings
+    const bindings = useMemo(() => resolveBindings(overrides), [overrides])
+    const conflicts = useMemo(() => findShortcutConflicts(bindings), [bindings])
+
+    // Shortcut → actions bound to it, for the listener
+    const actionsByShortcut = useMemo(() => {
+        const byShortcut = new Map()
+        for (const action of SHORTCUT_ACTIONS) {
+            for (const shortcut of bindings[action.id]) {
+                byShortcut.set(shortcut, [...(byShortcut.get(shortcut) || []), action])
+            }
+        }
+        return byShortcut
+    }, [bindings])
+
+    // Components register a ref holding their current handlers
+    const registerHandlers = useCallback((key, handlers) => {
+        handlersRef.current.set(key, handlers)
+        return () => handlersRef.current.delete(key)
+    }, [])
+
+    // Capture phase, so shortcuts are resolved before any component's own key handling
+    useEffect(() => {
+        function findHandler(action) {
+            for (const handlers of handlersRef.current.values()) {
+                if (handlers.current[action.id]) return handlers.current[action.id]
+            }
+            return null
+        }
+
+        function appliesTo(action, shortcut, target) {
+            const scope = SHORTCUT_SCOPES[action.scope]
+            const isInside = !!target?.closest?.(`[data-shortcut-scope="${action.scope}"]`)
+            if (scope.within) return isInside
+            if (!isEditableTarget(target)) return true
+            return action.scope === 'global' && isCommandShortcut(shortcut)
+        }
+
+        // Focused editors first, then page scopes, then global
+        function precedence(action) {
+            if (SHORTCUT_SCOPES[action.scope].within) return 0
+            return action.scope === 'global' ? 2 : 1
+        }
+
+        function handleKeyDown(e) {
+            if (pausedRef.current > 0 || !settings.keyboardShortcuts) return
+            const shortcut = eventToShortcut(e)
+            if (!shortcut) return
+
+            const candidates = (actionsByShortcut.get(shortcut) || [])
+                .filter(action => appliesTo(action, shortcut, e.target))
+                .sort((a, b) => precedence(a) - precedence(b))
+
+            for (const action of candidates) {
+                const handler = findHandler(action)
+                if (!handler || handler(e) === false) continue
+                e.preventDefault()
+                e.stopPropagation()
+                return
+            }
+        }
+
+        window.addEventListener('keydown', handleKeyDown, true)
+        return () => window.removeEventListener('keydown', handleKeyDown, true)
+    }, [actionsByShortcut, settings.keyboardShortcuts])
+
+    // Stop shortcuts firing, e.g. while recording a new key; returns the resume function
+    const pauseShortcuts = useCallback(() => {
+        pausedRef.current++
+        let resumed = false
+        return () => {
+            if (resumed) return
+            resumed = true
+            pausedRef.current--
+        }
+    }, [])
+
+    /**
+     * Rebind actions; an action bound back to its defaults drops its override
+     * @param {Object<string, string[]>} changes - Action id → its new shortcuts
+     */
+    function setBindings(changes) {
+        const next = { ...overrides }
+        for (const [actionId, shortcuts] of Object.entries(changes)) {
+            const defaults = getShortcutAction(actionId).keys
+            if (shortcuts.length === defaults.length && shortcuts.every((s, i) => s === defaults[i])) {
+                delete next[actionId]
+            } else {
+                next[actionId] = shortcuts
+            }
+        }
+        updateSettings({ shortcutBindings: next })
+    }
+
+    const value = {
+        bindings,
+        conflicts,
+        overrides,
+        setBindings,
+        resetBinding: (actionId) => setBindings({ [actionId]: getShortcutAction(actionId).keys }),
+        resetAllBindings: () => updateSettings({ shortcutBindings: {} }),
+        pauseShortcuts,
+        // Display form of an action's first key, for tooltips and the command palette
+        getShortcutLabel: (actionId) => {
+            const shortcut = bindings[actionId]?.[0]
+            return shortcut ? formatShortcut(shortcut) : null
+        },
+        registerHandlers
+    }
+
+    return (
+        <ShortcutsContext.Provider value={value}>
+            {children}
+        </ShortcutsContext.Provider>
+    )
+}
+
+export function useShortcutSettings() {
+    const context = useContext(ShortcutsContext)
+    if (!context) {
+        throw new Error('useShortcutSettings must be used within a ShortcutsProvider')
+    }
+    return context
+}
+
+/**
+ * Handle shortcuts while the calling component is mounted
+ * Registered once; the handlers of the latest render are used, so they see current state.
+ * @param {Object<string, Function>} handlers - Action id → handler(event); falsy
+ *   handlers are skipped, and a handler returning false leaves the key unhandled
+ */
+export function useShortcuts(handlers) {
+    const { registerHandlers } = useShortcutSettings()
+    const key = useId()
+    const handlersRef = useRef(handlers)
+
+    useEffect(() => {
+        handlersRef.current = handlers
+    })
+
+    useEffect(() => registerHandlers(key, handlersRef), [registerHandlers, key])
+}
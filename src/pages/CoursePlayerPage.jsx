@@ -1,16 +1,34 @@
 import { useState, useEffect, useRef } from 'react'
-import { useParams, Link, useNavigate } from 'react-router-dom'
-import { ChevronLeft, Menu } from 'lucide-react'
-import { getCourse, getModulesByCourse, getVideosByModule, updateCourse, getInstructorAvatar } from '../utils/db'
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { ChevronLeft, Menu, Download, CheckCircle, SkipForward } from 'lucide-react'
+import {
+    getCourse, getModulesByCourse, getVideosByModule, updateCourse, getInstructorAvatar,
+    getNotesByCourse, markModuleComplete, formatDuration
+} from '../utils/db'
 import { useSettings } from '../contexts/SettingsContext'
+import { useCommands } from '../contexts/CommandPaletteContext'
+import { useShortcutSettings } from '../contexts/ShortcutsContext'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 import VideoPlayer from '../components/player/VideoPlayer'
 import PlaylistSidebar from '../components/player/PlaylistSidebar'
 
+/**
+ * Read a link to a video and time from the page's search params
+ * @returns {{videoId: string, time: number|null}|null}
+ */
+function readVideoLink(searchParams) {
+    const videoId = searchParams.get('video')
+    if (!videoId) return null
+    const time = parseFloat(searchParams.get('t'))
+    return { videoId, time: time >= 0 ? time : null }
+}
+
 function CoursePlayerPage() {
     const { courseId } = useParams()
     const navigate = useNavigate()
+    const [searchParams, setSearchParams] = useSearchParams()
     const { settings } = useSettings()
+    const { getShortcutLabel } = useShortcutSettings()
     const [course, setCourse] = useState(null)
     const [modules, setModules] = useState([])
     const [currentVideo, setCurrentVideo] = useState(null)
@@ -19,6 +37,8 @@ function CoursePlayerPage() {
     const [sidebarCollapsed, setSidebarCollapsed] = useState(() => window.innerWidth < 1024)
     const [currentTime, setCurrentTime] = useState(0)
     const [instructorAvatar, setInstructorAvatar] = useState(null)
+    // Where a search result link starts playback (?video=<id>&t=<seconds>)
+    const [startAt, setStartAt] = useState(() => readVideoLink(searchParams))
     const videoRef = useRef(null)
 
     const sidebarOnLeft = false // Default to right side for video playlist
@@ -35,7 +55,7 @@ function CoursePlayerPage() {
         if (prevProgressModeRef.current !== settings.progressCalculationMode) {
             prevProgressModeRef.current = settings.progressCalculationMode
             // Wait for recalculation to complete in Settings, then refresh
-            // Small delay ensures IndexedDB has been updated by recalculateAllCoursesProgress
+            // Small delay ensures IndexedDB has been updated by applyProgressMode
             const timer = setTimeout(() => {
                 refreshCourseProgressOnly()
             }, 500)
@@ -55,6 +75,28 @@ function CoursePlayerPage() {
         }
     }
 
+    // Follow search result links, also when they point into the course already open
+    useEffect(() => {
+        const link = readVideoLink(searchParams)
+        if (!link || modules[0]?.courseId !== courseId) return
+
+        const video = modules.flatMap(m => m.videos).find(v => v.id === link.videoId)
+        if (video) {
+            setStartAt(link)
+            if (currentVideo?.id !== video.id) {
+                setCurrentVideo(video)
+            } else if (link.time !== null) {
+                videoRef.current?.seekTo(link.time)
+            }
+        }
+        setSearchParams({}, { replace: true })
+    }, [searchParams, modules, courseId, currentVideo?.id, setSearchParams])
+
+    // A link's start time only applies to the video it points to
+    useEffect(() => {
+        setStartAt(current => current && current.videoId !== currentVideo?.id ? null : current)
+    }, [currentVideo?.id])
+
     // Load instructor avatar
     useEffect(() => {
         if (course?.instructor) {
@@ -90,9 +132,11 @@ function CoursePlayerPage() {
             // Only set first video if no video is currently selected
             // This prevents auto-advancing when marking a video as complete
             if (!currentVideo && modulesWithVideos.length > 0 && modulesWithVideos[0].videos.length > 0) {
-                // Find first unwatched video or last watched video
-                let videoToPlay = null
+                // Open a linked video, else the first unwatched video or last watched video
+                const linkedVideoId = searchParams.get('video')
+                let videoToPlay = modulesWithVideos.flatMap(m => m.videos).find(v => v.id === linkedVideoId) || null
                 for (const module of modulesWithVideos) {
+                    if (videoToPlay) break
                     for (const video of module.videos) {
                         if (!video.isCompleted && !videoToPlay) {
                             videoToPlay = video
@@ -119,6 +163,18 @@ function CoursePlayerPage() {
         setCurrentVideo(video)
     }
 
+    // Chapters in the playlist seek the playing video, or start another one at the chapter
+    function handleChapterSelect(video, time) {
+        const isEmbedded = video.youtubeId || video.url?.startsWith('http')
+        if (video.id === currentVideo?.id && !isEmbedded) {
+            videoRef.current?.seekTo?.(time)
+            return
+        }
+        // Embeds can only be told where to start, so they reload at the chapter
+        setStartAt({ videoId: video.id, time })
+        if (video.id !== currentVideo?.id) setCurrentVideo(video)
+    }
+
     // Lightweight refresh - only updates modules/videos data without reloading video player
     async function refreshModulesOnly() {
         try {
@@ -195,6 +251,76 @@ function CoursePlayerPage() {
         }
     }
 
+    // Download every note of the course as Markdown, in playlist order
+    async function exportCourseNotes() {
+        const notes = await getNotesByCourse(courseId)
+        if (notes.length === 0) {
+            alert('This course has no notes yet.')
+            return
+        }
+
+        const sections = modules.map(module => {
+            const videoSections = module.videos.map(video => {
+                const videoNotes = notes.filter(note => note.videoId === video.id)
+                if (videoNotes.length === 0) return null
+                const lines = videoNotes.map(note => `**${formatDuration(note.timestamp)}** ${note.content}`)
+                return `### ${video.title}\n\n${lines.join('\n\n')}`
+            }).filter(Boolean)
+            return videoSections.length > 0 ? `## ${module.title}\n\n${videoSections.join('\n\n')}` : null
+        }).filter(Boolean)
+
+        const markdown = `# Notes for: ${course.title}\n\n${sections.join('\n\n---\n\n')}\n`
+        const blob = new Blob([markdown], { type: 'text/markdown' })
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${course.title.replace(/[^a-z0-9]/gi, '_')}_notes.md`
+        a.click()
+        URL.revokeObjectURL(url)
+    }
+
+    async function handleMarkModuleComplete(module) {
+        await markModuleComplete(module.id)
+        await refreshModulesOnly()
+    }
+
+    const currentModule = modules.find(m => m.id === currentVideo?.moduleId)
+
+    useCommands([
+        course && {
+            id: 'course:export-notes',
+            title: 'Export notes for this course',
+            group: 'This course',
+            icon: Download,
+            keywords: ['markdown', 'download notes'],
+            run: exportCourseNotes
+        },
+        currentModule && currentModule.videos.some(v => !v.isCompleted) && {
+            id: 'course:complete-module',
+            title: `Mark module complete: ${currentModule.title}`,
+            group: 'This course',
+            icon: CheckCircle,
+            keywords: ['finish module', 'mark watched'],
+            run: () => handleMarkModuleComplete(currentModule)
+        },
+        currentVideo && {
+            id: 'course:next-video',
+            title: 'Next video',
+            group: 'This course',
+            icon: SkipForward,
+            shortcut: getShortcutLabel('player.nextVideo'),
+            run: handleNextVideo
+        },
+        course && {
+            id: 'course:toggle-playlist',
+            title: sidebarCollapsed ? 'Show playlist' : 'Hide playlist',
+            group: 'This course',
+            icon: Menu,
+            shortcut: getShortcutLabel('playlist.toggle'),
+            run: () => setSidebarCollapsed(!sidebarCollapsed)
+        }
+    ])
+
     if (isLoading) {
         return <LoadingSpinner message="Loading course..." />
     }
@@ -226,10 +352,13 @@ function CoursePlayerPage() {
                                 <VideoPlayer
                                     ref={videoRef}
                                     video={currentVideo}
+                                    course={course}
                                     courseId={courseId}
                                     onComplete={handleVideoComplete}
                                     onNext={handleNextVideo}
                                     onTimeUpdate={setCurrentTime}
+                                    onVideoDataChange={refreshCurrentVideoOnly}
+                                    startTime={startAt?.videoId === currentVideo.id ? startAt.time : null}
                                 />
                             </div>
 
@@ -280,6 +409,7 @@ function CoursePlayerPage() {
                     modules={modules}
                     currentVideo={currentVideo}
                     onVideoSelect={handleVideoSelect}
+                    onChapterSelect={handleChapterSelect}
                     isCollapsed={sidebarCollapsed}
                     onToggle={() => setSidebarCollapsed(!sidebarCollapsed)}
                     onRefresh={refreshModulesOnly}
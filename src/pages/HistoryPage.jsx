@@ -1,7 +1,7 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Link } from 'react-router-dom'
 import { History, Play, Clock, Calendar, Trash2, Search, X } from 'lucide-react'
-import { getRecentlyWatchedVideos, getAllCourses, updateVideo } from '../utils/db'
+import { getRecentlyWatchedVideos, getAllCourses, clearVideoHistory } from '../utils/db'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 import { formatDuration } from '../utils/db'
 
@@ -88,11 +88,7 @@ function HistoryPage() {
     async function clearFromHistory(videoId) {
         try {
             // Clear watch progress to remove from history
-            await updateVideo(videoId, {
-                lastWatchedAt: null,
-                watchProgress: 0,
-                lastWatchedPosition: 0
-            })
+            await clearVideoHistory(videoId)
             await loadHistory()
         } catch (err) {
             console.error('Failed to clear from history:', err)
@@ -1,19 +1,22 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Grid, List, SortAsc, ChevronDown, FolderOpen, Search } from 'lucide-react'
-import { getAllCourses, addCourse, addModule, addVideo, setInstructorAvatar } from '../utils/db'
+import { getAllCourses, importCourseTree, setInstructorAvatar } from '../utils/db'
 import { useSettings } from '../contexts/SettingsContext'
 import { useSearch } from '../contexts/SearchContext'
 import CourseCard from '../components/course/CourseCard'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 import ImportPreviewModal from '../components/course/ImportPreviewModal'
 import EditCourseModal from '../components/course/EditCourseModal'
+import SyncCourseModal from '../components/course/SyncCourseModal'
 import { getDriveVideoUrl } from '../utils/googleDrive'
+import { importScannedCourse } from '../utils/libraryImport'
 
 function HomePage() {
     const [courses, setCourses] = useState([])
     const [isLoading, setIsLoading] = useState(true)
     const [importData, setImportData] = useState(null)
     const [editingCourse, setEditingCourse] = useState(null)
+    const [syncingCourse, setSyncingCourse] = useState(null)
     const { settings, updateSettings } = useSettings()
     const { searchQuery, setSearchQuery } = useSearch()
     const viewMode = settings.viewMode || 'grid'
@@ -125,43 +128,14 @@ function HomePage() {
         try {
             console.log('Saving course to database:', editedData)
 
-            const courseData = {
+            const { course: savedCourse, videos } = await importScannedCourse({
                 ...importData,
                 title: editedData.title,
                 instructor: editedData.instructor,
                 thumbnailData: editedData.thumbnailData,
-            }
-
-            const savedCourse = await addCourse(courseData)
-            console.log('Course saved:', savedCourse.id)
-
-            for (let i = 0; i < editedData.modules.length; i++) {
-                const module = editedData.modules[i]
-                const savedModule = await addModule({
-                    courseId: savedCourse.id,
-                    title: module.title,
-                    originalTitle: module.originalTitle,
-                    order: i,
-                    totalDuration: module.totalDuration,
-                    totalVideos: module.videos?.length || 0
-                })
-
-                const videos = module.videos || []
-                for (let j = 0; j < videos.length; j++) {
-                    const video = videos[j]
-                    await addVideo({
-                        courseId: savedCourse.id,
-                        moduleId: savedModule.id,
-                        title: video.title,
-                        originalTitle: video.originalTitle,
-                        fileName: video.fileName,
-                        relativePath: video.relativePath,
-                        duration: video.duration,
-                        order: j,
-                        fileHandle: video.fileHandle
-                    })
-                }
-            }
+                modules: editedData.modules
+            })
+            console.log(`Course saved: ${savedCourse.id} (${videos.length} videos)`)
 
             console.log('Import complete!')
             setImportData(null)
@@ -203,39 +177,30 @@ function HomePage() {
                     totalVideos = videos.length
                 }
 
-                const savedCourse = await addCourse({
-                    ...courseData,
-                    totalDuration,
-                    totalVideos
-                })
-
-                if (courseData.modules?.[0]) {
-                    const module = courseData.modules[0]
-                    const moduleDuration = module.videos.reduce((sum, v) => sum + (v.duration || 0), 0)
-
-                    const savedModule = await addModule({
-                        courseId: savedCourse.id,
+                const module = courseData.modules?.[0]
+                await importCourseTree(
+                    {
+                        ...courseData,
+                        source: 'youtube',
+                        totalDuration,
+                        totalVideos
+                    },
+                    module ? [{
                         title: module.title,
                         originalTitle: module.title,
                         order: 0,
-                        totalDuration: moduleDuration,
-                        totalVideos: module.videos.length
-                    })
-
-                    for (let i = 0; i < module.videos.length; i++) {
-                        const video = module.videos[i]
-                        await addVideo({
-                            courseId: savedCourse.id,
-                            moduleId: savedModule.id,
+                        totalDuration: module.videos.reduce((sum, v) => sum + (v.duration || 0), 0),
+                        totalVideos: module.videos.length,
+                        videos: module.videos.map((video, i) => ({
                             title: video.title,
                             originalTitle: video.title,
                             youtubeId: video.youtubeId,
                             url: video.url,
                             duration: video.duration || 0,
                             order: i
-                        })
-                    }
-                }
+                        }))
+                    }] : []
+                )
 
                 loadCourses()
             } catch (err) {
@@ -250,40 +215,32 @@ function HomePage() {
                     if (!confirm(`A course named "${courseData.title}" already exists. Import anyway?`)) return
                 }
 
-                const savedCourse = await addCourse({
-                    title: courseData.title,
-                    instructor: courseData.instructor || '',
-                    description: courseData.description || 'Imported from Google Drive',
-                    thumbnailData: courseData.thumbnailData,
-                    totalDuration: courseData.totalDuration,
-                    totalVideos: courseData.totalVideos
-                })
-
-                for (let i = 0; i < courseData.modules.length; i++) {
-                    const module = courseData.modules[i]
-                    const savedModule = await addModule({
-                        courseId: savedCourse.id,
+                await importCourseTree(
+                    {
+                        title: courseData.title,
+                        instructor: courseData.instructor || '',
+                        description: courseData.description || 'Imported from Google Drive',
+                        source: 'drive',
+                        thumbnailData: courseData.thumbnailData,
+                        totalDuration: courseData.totalDuration,
+                        totalVideos: courseData.totalVideos
+                    },
+                    courseData.modules.map((module, i) => ({
                         title: module.title,
                         originalTitle: module.originalTitle,
                         order: i,
                         totalDuration: module.totalDuration,
-                        totalVideos: module.totalVideos
-                    })
-
-                    for (let j = 0; j < module.videos.length; j++) {
-                        const video = module.videos[j]
-                        await addVideo({
-                            courseId: savedCourse.id,
-                            moduleId: savedModule.id,
+                        totalVideos: module.totalVideos,
+                        videos: module.videos.map((video, j) => ({
                             title: video.title,
                             originalTitle: video.originalTitle,
                             driveFileId: video.driveFileId,
                             url: getDriveVideoUrl(video.driveFileId),
                             duration: video.duration || 0,
                             order: j
-                        })
-                    }
-                }
+                        }))
+                    }))
+                )
 
                 loadCourses()
             } catch (err) {
@@ -405,6 +362,7 @@ function HomePage() {
                             viewMode={viewMode}
                             onRefresh={loadCourses}
                             onEdit={() => setEditingCourse(course)}
+                            onSync={() => setSyncingCourse(course)}
                         />
                     ))}
                 </div>
@@ -450,6 +408,14 @@ function HomePage() {
                 onClose={() => setEditingCourse(null)}
                 onSave={loadCourses}
             />
+
+            {/* Sync Course Modal */}
+            <SyncCourseModal
+                course={syncingCourse}
+                isOpen={!!syncingCourse}
+                onClose={() => setSyncingCourse(null)}
+                onSynced={loadCourses}
+            />
         </div>
     )
 }
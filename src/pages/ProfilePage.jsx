@@ -38,7 +38,7 @@ function ProfilePage() {
     const handleSave = async () => {
         setIsSaving(true)
         try {
-            localStorage.setItem('user_profile', JSON.stringify(profile))
+            localStorage.setItem('user_profile', JSON.stringify({ ...profile, updatedAt: new Date().toISOString() }))
             setSaveMessage('Profile saved successfully!')
             setTimeout(() => setSaveMessage(''), 3000)
         } catch (e) {
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import {
     Map, Plus, Save, Trash2, ZoomIn, ZoomOut,
     Move, Maximize2, BookOpen, Play, CheckCircle,
@@ -7,6 +7,7 @@ import {
 } from 'lucide-react'
 import { getAllCourses } from '../utils/db'
 import LoadingSpinner from '../components/common/LoadingSpinner'
+import { useShortcuts } from '../contexts/ShortcutsContext'
 
 // Generate unique ID
 const generateId = () => `node_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
@@ -19,6 +20,7 @@ function RoadmapPage() {
     const [showCoursePanel, setShowCoursePanel] = useState(true)
     const [showNewRoadmapModal, setShowNewRoadmapModal] = useState(false)
     const [newRoadmapTitle, setNewRoadmapTitle] = useState('')
+    const [searchParams, setSearchParams] = useSearchParams()
 
     // Canvas state
     const [nodes, setNodes] = useState([])
@@ -64,6 +66,16 @@ function RoadmapPage() {
         }
     }
 
+    // Open a roadmap linked from the command palette (?id=<roadmap id>)
+    useEffect(() => {
+        const linkedId = searchParams.get('id')
+        if (!linkedId || roadmaps.length === 0) return
+
+        const roadmap = roadmaps.find(r => r.id === linkedId)
+        if (roadmap) loadRoadmap(roadmap)
+        setSearchParams({}, { replace: true })
+    }, [searchParams, roadmaps, setSearchParams])
+
     function loadRoadmap(roadmap) {
         setCurrentRoadmap(roadmap)
         setNodes(roadmap.nodes || [])
@@ -247,6 +259,24 @@ function RoadmapPage() {
         setPan({ x: 0, y: 0 })
     }
 
+    // Canvas shortcuts, bound in Settings → Shortcuts
+    useShortcuts(currentRoadmap ? {
+        'roadmap.zoomIn': () => handleZoom(0.25),
+        'roadmap.zoomOut': () => handleZoom(-0.25),
+        'roadmap.resetView': resetView,
+        'roadmap.toggleCoursePanel': () => setShowCoursePanel(prev => !prev),
+        // Without a selection Delete and Backspace are left alone
+        'roadmap.deleteNode': () => {
+            if (!selectedNode) return false
+            removeNode(selectedNode)
+        },
+        'roadmap.cancel': () => {
+            if (!connectingFrom && !selectedNode) return false
+            setConnectingFrom(null)
+            setSelectedNode(null)
+        }
+    } : {})
+
     // Get course data for a node
     const getCourseForNode = (node) => {
         return courses.find(c => c.id === node.courseId)
@@ -1,12 +1,14 @@
 import { useState, useEffect, useMemo } from 'react'
 import { BarChart3, Clock, BookOpen, CheckCircle, Trophy, Flame, TrendingUp, Calendar } from 'lucide-react'
-import { getAllCourses, getRecentlyWatchedVideos, getInstructorAvatarAsync } from '../utils/db'
+import { getAllCourses, getRecentlyWatchedVideos, getInstructorAvatarAsync, getRecentAnalytics } from '../utils/db'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 import { formatDuration } from '../utils/db'
+import { getDateKey } from '../utils/timeUtils'
 
 function StatisticsPage() {
     const [courses, setCourses] = useState([])
     const [recentlyWatched, setRecentlyWatched] = useState([])
+    const [analytics, setAnalytics] = useState([])
     const [isLoading, setIsLoading] = useState(true)
     const [instructorAvatars, setInstructorAvatars] = useState({})
 
@@ -17,12 +19,14 @@ function StatisticsPage() {
     async function loadData() {
         try {
             setIsLoading(true)
-            const [allCourses, recent] = await Promise.all([
+            const [allCourses, recent, dailyAnalytics] = await Promise.all([
                 getAllCourses(),
-                getRecentlyWatchedVideos(100)
+                getRecentlyWatchedVideos(100),
+                getRecentAnalytics(365)
             ])
             setCourses(allCourses)
             setRecentlyWatched(recent)
+            setAnalytics(dailyAnalytics)
 
             // Load avatars for all unique instructors from instructors store
             const uniqueInstructors = [...new Set(allCourses.map(c => c.instructor).filter(Boolean))]
@@ -76,12 +80,20 @@ function StatisticsPage() {
             .sort((a, b) => b.completedVideos - a.completedVideos)
             .slice(0, 5)
 
+        // Daily analytics keyed by day, with videos watched per day
+        const analyticsByDay = new Map(analytics.map(entry => [entry.date, entry]))
+
         // Calculate learning streak (days with activity)
+        // Recorded analytics are the source of truth; lastWatchedAt covers days before recording began
         const activityDays = new Set()
+        analytics.forEach(entry => {
+            if (entry.secondsWatched > 0 || entry.videosCompleted > 0 || entry.notesWritten > 0) {
+                activityDays.add(entry.date)
+            }
+        })
         recentlyWatched.forEach(item => {
             if (item.video.lastWatchedAt) {
-                const date = new Date(item.video.lastWatchedAt).toDateString()
-                activityDays.add(date)
+                activityDays.add(getDateKey(item.video.lastWatchedAt))
             }
         })
 
@@ -91,7 +103,7 @@ function StatisticsPage() {
         for (let i = 0; i < 365; i++) {
             const checkDate = new Date(today)
             checkDate.setDate(checkDate.getDate() - i)
-            if (activityDays.has(checkDate.toDateString())) {
+            if (activityDays.has(getDateKey(checkDate))) {
                 streak++
             } else if (i > 0) { // Allow missing today
                 break
@@ -104,14 +116,16 @@ function StatisticsPage() {
         const weekActivity = Array.from({ length: 7 }, (_, i) => {
             const date = new Date(weekStart)
             date.setDate(date.getDate() + i)
-            const dateStr = date.toDateString()
-            const dayVideos = recentlyWatched.filter(item => {
-                if (!item.video.lastWatchedAt) return false
-                return new Date(item.video.lastWatchedAt).toDateString() === dateStr
+            const dateKey = getDateKey(date)
+            const dayVideos = new Set(analyticsByDay.get(dateKey)?.videosWatched || [])
+            recentlyWatched.forEach(item => {
+                if (item.video.lastWatchedAt && getDateKey(item.video.lastWatchedAt) === dateKey) {
+                    dayVideos.add(item.video.id)
+                }
             })
             return {
                 day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][i],
-                count: dayVideos.length,
+                count: dayVideos.size,
                 isToday: date.toDateString() === today.toDateString()
             }
         })
@@ -129,7 +143,7 @@ function StatisticsPage() {
             weekActivity,
             completionRate: totalVideos > 0 ? (completedVideos / totalVideos) * 100 : 0
         }
-    }, [courses, recentlyWatched, instructorAvatars])
+    }, [courses, recentlyWatched, analytics, instructorAvatars])
 
     if (isLoading) {
         return (
@@ -0,0 +1,359 @@
+/**
+ * AI Queue
+ *
+ * Transcribes and summarizes a whole module or course in the background, one
+ * video at a time. Jobs are stored in IndexedDB (aiJobs) and updated as they run,
+ * so the queue survives a reload: a job left 'running' by a closed tab is queued
+ * again and starts over. Pausing is saved to localStorage.
+ *
+ * Files are found the same way the player finds them (resolveVideoFileSource), but
+ * without permission prompts, which need a user gesture. A video whose folder needs
+ * access again is marked 'needs_access' and can be retried from the queue panel.
+ */
+
+import {
+    getCourse, getModulesByCourse, getVideo, getVideosByCourse, getVideosByModule,
+    addAIJobs, getAllAIJobs, updateAIJob, deleteAIJobs, generateId
+} from './db'
+import { resolveVideoFileSource, verifyPermission, hasStoredRootFolder, requestRootFolderPermission } from './fileSystem'
+import { processVideoForSummary, regenerateSummaryOnly } from './aiSummarization'
+
+const PAUSED_KEY = 'tutin_ai_queue_paused'
+
+// Jobs that still have work to do
+const ACTIVE_STATUSES = ['queued', 'running', 'needs_access']
+// Jobs that are finished, whatever the outcome
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled']
+
+let state = {
+    jobs: [],
+    isPaused: localStorage.getItem(PAUSED_KEY) === 'true',
+    isRunning: false,
+    progress: null // { jobId, stage, progress, message } of the running job
+}
+let initPromise = null
+let abortController = null
+const listeners = new Set()
+
+function emit() {
+    listeners.forEach(listener => listener(state))
+}
+
+function setState(changes) {
+    state = { ...state, ...changes }
+    emit()
+}
+
+/**
+ * Get the current queue state
+ * @returns {{jobs: Object[], isPaused: boolean, isRunning: boolean, progress: Object|null}}
+ */
+export function getAIQueueState() {
+    return state
+}
+
+/**
+ * Listen for queue changes
+ * @param {Function} listener - Called with the new state after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToAIQueue(listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+/**
+ * Update a job in the database and in the in-memory state
+ * A job whose record is gone (its course was deleted) is dropped.
+ */
+async function setJob(jobId, updates) {
+    try {
+        const updatedJob = await updateAIJob(jobId, updates)
+        setState({ jobs: state.jobs.map(job => job.id === jobId ? updatedJob : job) })
+    } catch (err) {
+        console.warn('Dropping AI job:', err.message)
+        setState({ jobs: state.jobs.filter(job => job.id !== jobId) })
+    }
+}
+
+/**
+ * Load the saved jobs and start working through them
+ * Jobs interrupted by a reload are queued again. Safe to call more than once.
+ */
+export function initAIQueue() {
+    if (!initPromise) {
+        initPromise = (async () => {
+            const jobs = await getAllAIJobs()
+            const interrupted = jobs.filter(job => job.status === 'running')
+            for (const job of interrupted) {
+                Object.assign(job, await updateAIJob(job.id, { status: 'queued' }))
+            }
+            setState({ jobs })
+            runQueue()
+        })().catch(err => {
+            initPromise = null
+            throw err
+        })
+    }
+    return initPromise
+}
+
+/**
+ * Check whether a video can be transcribed from a local file
+ */
+function isLocalVideo(video) {
+    return !video.youtubeId && !video.driveFileId && !video.url?.startsWith('http')
+}
+
+/**
+ * Add jobs for videos of a course, in playlist order
+ * Videos that already have a summary, are already queued, or aren't local files
+ * are skipped. Videos with a transcript are only summarized.
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+async function enqueueVideos(course, videos) {
+    await initAIQueue()
+
+    const pendingVideoIds = new Set(
+        state.jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).map(job => job.videoId)
+    )
+    const nextOrder = state.jobs.reduce((max, job) => Math.max(max, job.order), 0) + 1
+    const now = new Date().toISOString()
+
+    const jobs = videos
+        .filter(video => isLocalVideo(video) && !video.summary && !pendingVideoIds.has(video.id))
+        .map((video, i) => ({
+            id: generateId('aijob_'),
+            order: nextOrder + i,
+            videoId: video.id,
+            courseId: course.id,
+            moduleId: video.moduleId,
+            videoTitle: video.title,
+            courseTitle: course.title,
+            task: video.transcript ? 'summarize' : 'transcribe',
+            status: 'queued',
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        }))
+
+    if (jobs.length > 0) {
+        await addAIJobs(jobs)
+        setState({ jobs: [...state.jobs, ...jobs] })
+        runQueue()
+    }
+
+    return { added: jobs.length, skipped: videos.length - jobs.length }
+}
+
+/**
+ * Queue every video of a course
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+export async function enqueueCourse(courseId) {
+    const [course, modules, videos] = await Promise.all([
+        getCourse(courseId),
+        getModulesByCourse(courseId),
+        getVideosByCourse(courseId)
+    ])
+    if (!course) {
+        throw new Error('Course not found')
+    }
+
+    const moduleOrder = new Map(modules.map(module => [module.id, module.order]))
+    videos.sort((a, b) =>
+        (moduleOrder.get(a.moduleId) ?? 0) - (moduleOrder.get(b.moduleId) ?? 0) || a.order - b.order
+    )
+
+    return enqueueVideos(course, videos)
+}
+
+/**
+ * Queue every video of a module
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+export async function enqueueModule(courseId, moduleId) {
+    const [course, videos] = await Promise.all([
+        getCourse(courseId),
+        getVideosByModule(moduleId)
+    ])
+    if (!course) {
+        throw new Error('Course not found')
+    }
+
+    return enqueueVideos(course, videos)
+}
+
+/**
+ * Work through queued jobs until none are left or the queue is paused
+ */
+async function runQueue() {
+    if (state.isRunning || state.isPaused) return
+
+    setState({ isRunning: true })
+    try {
+        let job
+        while (!state.isPaused && (job = state.jobs.find(j => j.status === 'queued'))) {
+            await runJob(job)
+        }
+    } finally {
+        setState({ isRunning: false, progress: null })
+    }
+}
+
+/**
+ * Transcribe and/or summarize the video of a job
+ */
+async function runJob(job) {
+    abortController = new AbortController()
+    const { signal } = abortController
+
+    try {
+        await setJob(job.id, { status: 'running', error: null })
+        setState({ progress: { jobId: job.id, stage: 'starting', progress: 0, message: 'Starting...' } })
+
+        const onProgress = (progress) => setState({ progress: { jobId: job.id, ...progress } })
+
+        const video = await getVideo(job.videoId)
+        if (!video) {
+            throw new Error('Video no longer exists')
+        }
+
+        // Summarized from the player while the job waited
+        if (video.summary) {
+            await setJob(job.id, { status: 'done', error: null })
+            return
+        }
+
+        if (job.task === 'summarize' && video.transcript) {
+            await regenerateSummaryOnly(video.id, video.transcript, onProgress, video.captionChunks || [], undefined, signal)
+        } else {
+            const course = await getCourse(video.courseId)
+            const folderName = course?.originalTitle || video.relativePath?.split('/')[0]
+            const { fileSource, reason } = await resolveVideoFileSource(video, folderName, { requestAccess: false })
+
+            if (!fileSource) {
+                await setJob(job.id, {
+                    status: 'needs_access',
+                    error: reason === 'permission'
+                        ? 'Permission to read the file is needed'
+                        : 'Select the course folder to read this file'
+                })
+                return
+            }
+
+            await processVideoForSummary(video.id, fileSource, onProgress, signal)
+        }
+
+        await setJob(job.id, { status: 'done', error: null })
+    } catch (err) {
+        if (signal.aborted) {
+            // Paused jobs start over on resume, cancelled ones are dropped
+            await setJob(job.id, { status: signal.reason === 'pause' ? 'queued' : 'cancelled', error: null })
+        } else {
+            console.error(`AI job for "${job.videoTitle}" failed:`, err)
+            await setJob(job.id, { status: 'failed', error: err.message })
+        }
+    } finally {
+        abortController = null
+        setState({ progress: null })
+    }
+}
+
+/**
+ * Pause the queue
+ * The running job stops after its current step and is queued again.
+ */
+export function pauseAIQueue() {
+    localStorage.setItem(PAUSED_KEY, 'true')
+    setState({ isPaused: true })
+    abortController?.abort('pause')
+}
+
+/**
+ * Resume a paused queue
+ */
+export function resumeAIQueue() {
+    localStorage.removeItem(PAUSED_KEY)
+    setState({ isPaused: false })
+    runQueue()
+}
+
+/**
+ * Cancel a job; a running job stops after its current step
+ */
+export async function cancelAIJob(jobId) {
+    const job = state.jobs.find(j => j.id === jobId)
+    if (!job) return
+
+    if (job.status === 'running') {
+        abortController?.abort('cancel')
+    } else if (ACTIVE_STATUSES.includes(job.status)) {
+        await setJob(jobId, { status: 'cancelled', error: null })
+    }
+}
+
+/**
+ * Cancel every job that hasn't finished
+ */
+export async function cancelAllAIJobs() {
+    for (const job of state.jobs) {
+        if (job.status === 'queued' || job.status === 'needs_access') {
+            await setJob(job.id, { status: 'cancelled', error: null })
+        }
+    }
+    abortController?.abort('cancel')
+}
+
+/**
+ * Ask for the access a 'needs_access' job is missing
+ * Must be called from a click, permission prompts need a user gesture.
+ */
+async function requestJobAccess(job) {
+    const video = await getVideo(job.videoId)
+    if (video?.fileHandle) {
+        return verifyPermission(video.fileHandle)
+    }
+    if (hasStoredRootFolder()) {
+        return requestRootFolderPermission()
+    }
+    return false
+}
+
+/**
+ * Queue a failed, cancelled or 'needs_access' job again
+ */
+export async function retryAIJob(jobId) {
+    const job = state.jobs.find(j => j.id === jobId)
+    if (!job || !['failed', 'cancelled', 'needs_access'].includes(job.status)) return
+
+    if (job.status === 'needs_access') {
+        await requestJobAccess(job)
+    }
+
+    await setJob(jobId, { status: 'queued', error: null })
+    runQueue()
+}
+
+/**
+ * Remove finished jobs from the queue
+ */
+export async function clearFinishedAIJobs() {
+    const finishedIds = state.jobs.filter(job => FINISHED_STATUSES.includes(job.status)).map(job => job.id)
+    if (finishedIds.length === 0) return
+
+    await deleteAIJobs(finishedIds)
+    setState({ jobs: state.jobs.filter(job => !finishedIds.includes(job.id)) })
+}
+
+/**
+ * Forget the jobs of a deleted course (deleteCourse removes their records)
+ * A running job of the course stops after its current step.
+ */
+export function forgetCourseAIJobs(courseId) {
+    const runningJob = state.jobs.find(job => job.status === 'running')
+    if (runningJob?.courseId === courseId) {
+        abortController?.abort('cancel')
+    }
+    setState({ jobs: state.jobs.filter(job => job.courseId !== courseId || job === runningJob) })
+}
@@ -2,13 +2,25 @@
  * AI Summarization Utilities
  * 
  * Uses Transformers.js (Hugging Face) for Whisper transcription.
- * All processing happens in-browser, offline after initial model download.
+ * Transcription happens in-browser, offline after initial model download.
+ * Audio is decoded and transcribed in windows (see audioDecoding.js), so long
+ * recordings never sit in memory whole.
+ * Summaries come from the provider chosen in Settings (see summaryProviders.js).
  */
 
-import { updateVideo, getVideo } from './db'
-
-// Transformers.js pipeline (loaded on demand)
+import { updateVideo, getVideo, getCourse, getModulesByCourse, generateId } from './db'
+import { getActiveSummaryProvider, getProviderConfigError, generateWithProvider } from './summaryProviders'
+import { getPromptTemplate, getSelectedTemplateId, fillTemplate, getBriefInstruction, DEFAULT_TEMPLATE_ID } from './promptTemplates'
+import { decodeAudioWindows } from './audioDecoding'
+import { getTranscriptionOptions, getWhisperModelLabel } from './whisperSettings'
+import { isModelCacheSupported, isWhisperModelCached, createModelUnavailableError, importTransformers } from './modelCache'
+import { segmentTranscript } from './transcriptSegmentation'
+import { groupCaptionWords, applyVocabulary, applyVocabularyToText, chunksToText } from './transcriptEditing'
+import { segmentsToVTT } from './subtitles'
+
+// Transformers.js pipeline (loaded on demand, one model at a time)
 let transcriptionPipeline = null
+let transcriptionModel = null
 let isLoadingPipeline = false
 
 /**
@@ -21,29 +33,30 @@ export function isAIAvailable() {
 }
 
 /**
- * Load the Whisper transcription pipeline
+ * Load the Whisper transcription pipeline for a model
+ * A different model replaces the loaded one, no reload needed.
  */
-async function loadTranscriptionPipeline(onProgress) {
-    if (transcriptionPipeline) return transcriptionPipeline
+async function loadTranscriptionPipeline(model, onProgress) {
     if (isLoadingPipeline) {
         // Wait for existing load
         while (isLoadingPipeline) {
             await new Promise(resolve => setTimeout(resolve, 100))
         }
-        return transcriptionPipeline
     }
+    if (transcriptionPipeline && transcriptionModel === model) return transcriptionPipeline
 
     isLoadingPipeline = true
 
     try {
+        if (transcriptionPipeline) {
+            await transcriptionPipeline.dispose?.()
+            transcriptionPipeline = null
+            transcriptionModel = null
+        }
+
         onProgress?.({ stage: 'loading_model', progress: 0, message: 'Loading Whisper model...' })
 
-        // Use CDN import to avoid Vite bundling issues with ONNX runtime
-        const transformers = await import(
-            /* @vite-ignore */
-            'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/transformers.min.js'
-        )
-        const { pipeline, env } = transformers
+        const { pipeline, env } = await importTransformers()
 
         // CRITICAL: Disable local model check BEFORE any model loading
         // This prevents the "Unexpected token '<'" error when local server returns 404 HTML
@@ -51,11 +64,10 @@ async function loadTranscriptionPipeline(onProgress) {
         env.useBrowserCache = true
 
 
-        // Use whisper-tiny for faster loading and processing
-        // Model will be cached in browser after first download (~40MB)
+        // Model will be cached in browser after first download
         transcriptionPipeline = await pipeline(
             'automatic-speech-recognition',
-            'Xenova/whisper-tiny.en',
+            model,
             {
                 revision: 'main',
                 progress_callback: (progress) => {
@@ -70,6 +82,8 @@ async function loadTranscriptionPipeline(onProgress) {
             }
         )
 
+        transcriptionModel = model
+
         onProgress?.({ stage: 'loading_model', progress: 1, message: 'Model loaded!' })
         return transcriptionPipeline
     } catch (err) {
@@ -81,63 +95,72 @@ async function loadTranscriptionPipeline(onProgress) {
 }
 
 /**
- * Extract audio from a video file and convert to the format needed by Whisper
+ * Transcribe audio using Whisper via Web Worker (prevents UI freezing)
+ * Returns both plain text and timestamped chunks for CC support
  */
-async function extractAndProcessAudio(fileOrHandle, onProgress) {
-    onProgress?.({ stage: 'extracting_audio', progress: 0, message: 'Extracting audio...' })
-
-    let arrayBuffer
-    if (fileOrHandle.getFile) {
-        const file = await fileOrHandle.getFile()
-        arrayBuffer = await file.arrayBuffer()
-    } else if (fileOrHandle instanceof File) {
-        arrayBuffer = await fileOrHandle.arrayBuffer()
-    } else {
-        throw new Error('Invalid file input')
-    }
-
-    // Decode audio at 16kHz (Whisper requirement)
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: 16000
-    })
-
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer)
-
-    // Convert to mono Float32Array
-    const audioData = audioBuffer.getChannelData(0)
-
-    await audioContext.close()
+let whisperWorker = null
 
-    onProgress?.({ stage: 'extracting_audio', progress: 1, message: 'Audio extracted!' })
+// How long a cancelled worker gets to stop on its own before it is terminated
+const WORKER_CANCEL_TIMEOUT_MS = 3000
 
-    return audioData
-}
+// Must match the pipeline options: 30 s chunks overlapping by 5 s on each side
+const CHUNK_LENGTH_S = 30
+const STRIDE_LENGTH_S = 5
+const SAMPLING_RATE = 16000
 
 /**
- * Transcribe audio using Whisper via Web Worker (prevents UI freezing)
- * Returns both plain text and timestamped chunks for CC support
+ * @param {Object} options - { model, language, task } from getTranscriptionOptions,
+ *   defaults to the settings chosen in Settings → AI
+ * @param {AbortSignal} signal - Optional; aborting stops Whisper mid-transcription and
+ *   rejects with the signal's reason
+ * Progress while transcribing comes per 30 s chunk, with chunk, totalChunks and the
+ * chunk text so far as partialText.
+ * @returns {Promise<{text: string, chunks: Array, speakers: Array}>} speakers are the
+ *   speaker turns ({ start, end, speaker }) when options.diarize is set and the worker
+ *   could find them; the main-thread fallback doesn't label speakers
  */
-let whisperWorker = null
+export async function transcribeAudio(audioData, onProgress, options = getTranscriptionOptions(), signal) {
+    signal?.throwIfAborted()
 
-export async function transcribeAudio(audioData, onProgress) {
     // Try Web Worker first for non-blocking transcription
     if (typeof Worker !== 'undefined') {
         try {
-            return await transcribeWithWorker(audioData, onProgress)
+            return await transcribeWithWorker(audioData, onProgress, options, signal)
         } catch (err) {
+            if (signal?.aborted) throw err
             console.warn('Worker transcription failed, falling back to main thread:', err)
             // Fall through to main thread fallback
         }
     }
 
     // Fallback: Run on main thread (may freeze UI)
-    return await transcribeOnMainThread(audioData, onProgress)
+    return await transcribeOnMainThread(audioData, onProgress, options, signal)
+}
+
+// How many chunks the pipeline splits audio into (it steps by the chunk length minus both strides)
+function countChunks(sampleCount) {
+    const step = (CHUNK_LENGTH_S - 2 * STRIDE_LENGTH_S) * SAMPLING_RATE
+    return Math.max(1, Math.ceil(sampleCount / step))
+}
+
+// Text of one finished chunk for the live preview, without Whisper's special tokens
+function decodeChunkText(pipeline, chunk) {
+    try {
+        const tokens = Array.from(chunk.tokens || [], Number)
+        return pipeline.tokenizer
+            .decode(tokens, { skip_special_tokens: true })
+            .replace(/<\|[^|]*\|>/g, '')
+            .trim()
+    } catch (err) {
+        console.warn('Could not decode chunk text:', err)
+        return ''
+    }
 }
 
 /**
  * Transcribe using Web Worker (non-blocking)
  */
-async function transcribeWithWorker(audioData, onProgress) {
+async function transcribeWithWorker(audioData, onProgress, options, signal) {
     return new Promise((resolve, reject) => {
         console.log('[AI] Starting transcribeWithWorker, samples:', audioData.length)
 
@@ -145,28 +168,35 @@ async function transcribeWithWorker(audioData, onProgress) {
         if (!whisperWorker) {
             console.log('[AI] Creating new Whisper worker...')
 
-            // Use Vite's worker import syntax - creates a proper ES module worker
-            const workerUrl = new URL('./whisperWorker.js', import.meta.url)
-            whisperWorker = new Worker(workerUrl, {
+            // Vite only bundles the worker (and its imports) when the URL is written inline
+            whisperWorker = new Worker(new URL('./whisperWorker.js', import.meta.url), {
                 type: 'module',
                 name: 'whisper-worker'
             })
+        }
 
-            // Handle worker-level errors
-            whisperWorker.onerror = (err) => {
-                console.error('[AI] Worker error:', err)
-                reject(new Error('Worker failed to load: ' + (err.message || 'Unknown error')))
-            }
+        // Handle worker-level errors (set per request, the worker outlives this promise)
+        whisperWorker.onerror = (err) => {
+            console.error('[AI] Worker error:', err)
+            reject(new Error('Worker failed: ' + (err.message || 'Unknown error')))
         }
 
+        const worker = whisperWorker
         const requestId = Date.now().toString()
+        let cancelTimer = null
+
+        function finish() {
+            worker.removeEventListener('message', handleMessage)
+            signal?.removeEventListener('abort', handleAbort)
+            clearTimeout(cancelTimer)
+        }
 
         function handleMessage(e) {
-            const { type, id, stage, progress, message, text, chunks, error } = e.data
+            const { type, id, stage, progress, message, chunk, totalChunks, partialText, text, chunks, speakers, error } = e.data
 
-            // Progress updates (may not have id)
+            // Progress updates (model loading has no id)
             if (type === 'progress') {
-                onProgress?.({ stage, progress, message })
+                if (!id || id === requestId) onProgress?.({ stage, progress, message, chunk, totalChunks, partialText })
                 return
             }
 
@@ -174,21 +204,43 @@ async function transcribeWithWorker(audioData, onProgress) {
             if (id !== requestId) return
 
             if (type === 'result') {
-                whisperWorker.removeEventListener('message', handleMessage)
-                resolve({ text, chunks })
+                finish()
+                resolve({ text, chunks, speakers: speakers || [] })
             } else if (type === 'error') {
-                whisperWorker.removeEventListener('message', handleMessage)
+                finish()
                 reject(new Error(error))
+            } else if (type === 'cancelled') {
+                finish()
+                reject(signal.reason)
             }
         }
 
-        whisperWorker.addEventListener('message', handleMessage)
+        // Ask the worker to stop; one stuck in a model download or a long decode is terminated instead
+        function handleAbort() {
+            worker.postMessage({ type: 'cancel', id: requestId })
+            cancelTimer = setTimeout(() => {
+                console.warn('[AI] Worker did not stop in time, terminating it')
+                finish()
+                worker.terminate()
+                if (whisperWorker === worker) whisperWorker = null
+                reject(signal.reason)
+            }, WORKER_CANCEL_TIMEOUT_MS)
+        }
+
+        worker.addEventListener('message', handleMessage)
+        signal?.addEventListener('abort', handleAbort, { once: true })
 
         // Show progress while preparing data
         onProgress?.({ stage: 'preparing', progress: 0, message: 'Preparing audio data...' })
 
         // Use requestAnimationFrame to let UI update, then send data
         requestAnimationFrame(() => {
+            if (signal?.aborted) {
+                finish()
+                reject(signal.reason)
+                return
+            }
+
             console.log('[AI] Copying audio to transferable buffer...')
 
             // Create a copy of the audio data buffer for transfer
@@ -199,10 +251,11 @@ async function transcribeWithWorker(audioData, onProgress) {
 
             console.log('[AI] Posting to worker, buffer size:', audioBuffer.byteLength)
 
-            whisperWorker.postMessage({
+            worker.postMessage({
                 type: 'transcribe',
                 audioBuffer: audioBuffer,
-                id: requestId
+                id: requestId,
+                options
             }, [audioBuffer])  // Transfer ownership - no copy over to worker!
 
             console.log('[AI] Message posted to worker successfully')
@@ -213,215 +266,543 @@ async function transcribeWithWorker(audioData, onProgress) {
 /**
  * Fallback: Transcribe on main thread (may freeze UI)
  */
-async function transcribeOnMainThread(audioData, onProgress) {
-    const pipeline = await loadTranscriptionPipeline(onProgress)
+async function transcribeOnMainThread(audioData, onProgress, options, signal) {
+    const pipeline = await loadTranscriptionPipeline(options.model, onProgress)
+    signal?.throwIfAborted()
 
-    onProgress?.({ stage: 'transcribing', progress: 0, message: 'Transcribing audio...' })
+    const totalChunks = countChunks(audioData.length)
+    const chunkTexts = []
+
+    onProgress?.({ stage: 'transcribing', progress: 0, message: 'Transcribing audio...', chunk: 0, totalChunks, partialText: '' })
 
     try {
         // Run transcription with word-level timestamps for CC support
         const result = await pipeline(audioData, {
-            chunk_length_s: 30,
-            stride_length_s: 5,
+            chunk_length_s: CHUNK_LENGTH_S,
+            stride_length_s: STRIDE_LENGTH_S,
             return_timestamps: 'word',
+            // English-only models take no language or task
+            ...(options.language && { language: options.language }),
+            ...(options.task && { task: options.task }),
+            // Called for every generated token, throwing stops the pipeline
+            callback_function: () => signal?.throwIfAborted(),
+            chunk_callback: (chunk) => {
+                chunkTexts.push(decodeChunkText(pipeline, chunk))
+                const done = Math.min(chunkTexts.length, totalChunks)
+                onProgress?.({
+                    stage: 'transcribing',
+                    progress: done / totalChunks,
+                    message: `Transcribed chunk ${done} of ${totalChunks}`,
+                    chunk: done,
+                    totalChunks,
+                    partialText: chunkTexts.join(' ').trim()
+                })
+            }
         })
-
-        onProgress?.({ stage: 'transcribing', progress: 1, message: 'Transcription complete!' })
+        signal?.throwIfAborted()
 
         // Return both text and chunks for CC captions
         return {
             text: result.text.trim(),
-            chunks: result.chunks || []
+            chunks: result.chunks || [],
+            speakers: []
         }
     } catch (err) {
+        if (signal?.aborted) throw signal.reason
         console.error('Transcription failed:', err)
         throw new Error('Transcription failed: ' + err.message)
     }
 }
 
 /**
- * Generate a structured summary using Gemini 2.0 Flash via OpenRouter API
+ * Decode and transcribe a video file window by window
+ * The next window is decoded while Whisper works on the current one. Progress
+ * messages come per 30 s chunk and carry the transcript so far as partialTranscript,
+ * and the estimated seconds left as eta once there is enough to go on. The Whisper
+ * settings are read once, so every window is transcribed the same way.
+ * @param {FileSystemFileHandle|File} fileSource - Video or audio file
+ * @returns {Promise<{text: string, chunks: Array, speakerTurns: Array, options: Object}>} Chunk
+ *   and speaker turn timestamps are from the start of the recording; options is how it
+ *   was transcribed ({ model, language, task, diarize })
  */
-async function generateAISummary(transcript, onProgress) {
-    if (!transcript || transcript.length < 50) {
-        return transcript || 'No content to summarize.'
+async function transcribeFile(fileSource, onProgress, signal) {
+    let file
+    if (fileSource.getFile) {
+        file = await fileSource.getFile()
+    } else if (fileSource instanceof File) {
+        file = fileSource
+    } else {
+        throw new Error('Invalid file input')
     }
 
-    onProgress?.({ stage: 'summarizing', progress: 0.1, message: 'Connecting to AI...' })
+    onProgress?.({ stage: 'extracting_audio', progress: 0, message: 'Extracting audio...' })
 
-    // Get API key from environment variable (user must provide their own)
-    const OPENROUTER_API_KEY = import.meta.env.VITE_OPENROUTER_API_KEY
+    const options = getTranscriptionOptions()
+    const modelCached = isModelCacheSupported() ? await isWhisperModelCached(options.model) : null
 
-    if (!OPENROUTER_API_KEY) {
-        throw new Error('OpenRouter API key not configured. Please add VITE_OPENROUTER_API_KEY to your .env file.')
+    // Say so up front rather than failing on a fetch deep inside Transformers.js
+    if (modelCached === false && !navigator.onLine) {
+        throw createModelUnavailableError(getWhisperModelLabel(options.model))
     }
 
-    // Truncate transcript if too long (Gemini has token limits)
-    const maxChars = 15000
-    const truncatedTranscript = transcript.length > maxChars
-        ? transcript.slice(0, maxChars) + '... [truncated]'
-        : transcript
+    const windows = decodeAudioWindows(file, { signal })
+    const texts = []
+    const chunks = []
+    const speakerTurns = []
+    // Where and when transcription (not the model download) began, for the ETA
+    let timing = null
 
-    const prompt = `You are an expert note-taker who creates comprehensive study notes from video lectures. Your goal is to extract ALL important information and present it in a well-organized, visually clear format that's perfect for studying and quick reference.
+    let next = windows.next()
+    while (true) {
+        const { value: audioWindow, done } = await next
+        if (done) break
+        signal?.throwIfAborted()
 
-**Your Task:**
-Create detailed study notes from the transcript below. Write as if you're taking notes for someone who couldn't watch the video but needs to understand everything important.
+        // Decode ahead; a failure surfaces when this is awaited
+        next = windows.next()
+        next.catch(() => { })
 
-**Format Requirements:**
-- Use markdown formatting extensively (headers, bullet points, bold, code blocks)
-- Use horizontal dividers (---) between major sections
-- Use bullet points (•) for lists
-- Use **bold** for key terms, definitions, and important concepts
-- Use \`code blocks\` for technical terms, commands, or code snippets
-- Include numbered lists for step-by-step processes
-- Keep the notes scannable and easy to read
+        const { samples, start, end, duration } = audioWindow
+        const range = `${formatTimestamp(start)}–${formatTimestamp(end)} of ${formatTimestamp(duration)}`
+        const progressBefore = duration > 0 ? start / duration : 0
+        const partialTranscript = texts.join(' ')
 
-**Structure your notes like this:**
+        onProgress?.({ stage: 'transcribing', progress: progressBefore, message: `Transcribing ${range}...`, partialTranscript })
 
-## 📝 [Descriptive Title Based on Content]
+        let result
+        try {
+            result = await transcribeAudio(samples, (progress) => {
+                // Model downloads pass through
+                if (progress.stage !== 'transcribing') {
+                    onProgress?.(progress)
+                    return
+                }
 
-### 🎯 Quick Summary
-> [2-3 sentence summary of the main topic/lesson]
+                // Chunk progress is mapped onto the whole recording
+                const position = start + (end - start) * progress.progress
+                if (!timing) timing = { position, startedAt: Date.now() }
+
+                onProgress?.({
+                    stage: 'transcribing',
+                    progress: duration > 0 ? Math.min(position / duration, 1) : 0,
+                    message: progress.totalChunks
+                        ? `Transcribing ${range} (chunk ${Math.min(progress.chunk + 1, progress.totalChunks)} of ${progress.totalChunks})...`
+                        : `Transcribing ${range}...`,
+                    partialTranscript: [partialTranscript, progress.partialText].filter(Boolean).join(' '),
+                    eta: estimateSecondsLeft(timing, position, duration)
+                })
+            }, options, signal)
+        } catch (err) {
+            // A model or runtime that isn't cached failed to download, whether or not the browser thinks it's online
+            if (modelCached !== true && err.message.startsWith('Failed to load AI model')) {
+                throw createModelUnavailableError(getWhisperModelLabel(options.model))
+            }
+            throw err
+        }
 
----
+        if (result.text) texts.push(result.text)
+        for (const chunk of result.chunks) {
+            const [chunkStart, chunkEnd] = chunk.timestamp
+            chunks.push({
+                ...chunk,
+                timestamp: [chunkStart + start, chunkEnd == null ? null : chunkEnd + start]
+            })
+        }
+        for (const turn of result.speakers) {
+            speakerTurns.push({ ...turn, start: turn.start + start, end: turn.end + start })
+        }
 
-### 📌 Key Concepts
+        onProgress?.({
+            stage: 'transcribing',
+            progress: duration > 0 ? Math.min(end / duration, 1) : 1,
+            message: `Transcribed ${range}`,
+            partialTranscript: texts.join(' '),
+            eta: estimateSecondsLeft(timing, end, duration)
+        })
+    }
 
-**[Concept 1]:** [Clear explanation]
+    onProgress?.({ stage: 'transcribing', progress: 1, message: 'Transcription complete!' })
 
-**[Concept 2]:** [Clear explanation]
+    return { text: texts.join(' ').trim(), chunks, speakerTurns, options }
+}
 
----
+/**
+ * Seconds of transcription left, from the pace so far
+ * @returns {number|null} null until at least 30 s of audio are done
+ */
+function estimateSecondsLeft(timing, position, duration) {
+    if (!timing || !(duration > 0)) return null
+    const audioDone = position - timing.position
+    if (audioDone < CHUNK_LENGTH_S) return null
+    const secondsPerAudioSecond = (Date.now() - timing.startedAt) / 1000 / audioDone
+    return Math.max(0, Math.round((duration - position) * secondsPerAudioSecond))
+}
 
-### 📋 Main Points
+/**
+ * Prompt for a whole transcript, or for the merged notes on its parts
+ * Small in-browser models ('brief' providers) get the template's one-line instruction.
+ */
+function buildTemplatePrompt(content, job) {
+    const { active, template, variables } = job
+    if (active.provider.promptStyle === 'brief') {
+        return `${getBriefInstruction(template)}:\n\n${content}`
+    }
+    return fillTemplate(template.prompt, { ...variables, transcript: content })
+}
 
-• **[Point 1]** — [Detailed explanation]
+/**
+ * Prompt for the notes on one part of a transcript too long to summarize at once
+ */
+function buildPartPrompt(part, index, total, style) {
+    if (style === 'brief') {
+        return `Summarize the key points of this part of a lecture transcript:\n\n${part.text}`
+    }
 
-• **[Point 2]** — [Detailed explanation]
+    const range = part.start !== null ? ` (${formatTimestamp(part.start)} to ${formatTimestamp(part.end)})` : ''
+    return `Below is part ${index + 1} of ${total} of a video lecture transcript${range}. Write concise study notes for this part only: a short heading naming its topic, then markdown bullet points with every key concept, definition, step, command and warning. Use **bold** for key terms. Do not add an introduction or conclusion.
 
-• **[Point 3]** — [Detailed explanation]
+**Transcript (part ${index + 1} of ${total}):**
 
----
+${part.text}`
+}
 
-### 💡 Tips & Best Practices
-• [Tip 1]
-• [Tip 2]
+/**
+ * Prompt that combines the notes on consecutive parts into shorter notes,
+ * when there are too many to apply the template to at once
+ */
+function buildCombinePrompt(notes, style) {
+    const joined = notes.join('\n\n---\n\n')
+    if (style === 'brief') {
+        return `Combine these notes on consecutive parts of a lecture into one summary of its key points:\n\n${joined}`
+    }
+    return `Below are study notes on consecutive parts of a video lecture. Combine them into one set of concise notes in the same style, keeping every key concept, definition, step, command and warning and removing repetition.
 
----
+${joined}`
+}
 
-### ⚠️ Important Notes / Warnings
-• [Warning or important note]
+/**
+ * Format seconds as M:SS or H:MM:SS for prompts and progress messages
+ */
+function formatTimestamp(seconds) {
+    const h = Math.floor(seconds / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = Math.floor(seconds % 60)
+    return h > 0
+        ? `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`
+        : `${m}:${s.toString().padStart(2, '0')}`
+}
 
----
+/**
+ * Split a transcript into parts of at most maxChars
+ * With caption chunks (Whisper words or subtitle cues) every part keeps the time
+ * range it covers, and parts end at a sentence where possible. Without them the
+ * plain transcript is split at sentences and parts have no time range.
+ * @returns {Array<{text: string, start: number|null, end: number|null}>}
+ */
+export function splitTranscript(transcript, captionChunks, maxChars) {
+    const timed = (captionChunks || []).filter(chunk =>
+        chunk.text?.trim() && chunk.timestamp?.[0] != null
+    )
+    const pieces = timed.length > 0
+        ? timed.map(chunk => ({
+            text: chunk.text.trim(),
+            start: chunk.timestamp[0],
+            end: chunk.timestamp[1] ?? chunk.timestamp[0]
+        }))
+        : (transcript.match(/[^.!?]+[.!?]*/g) || [transcript]).map(text => ({ text: text.trim(), start: null, end: null }))
+
+    const parts = []
+    let current = null
+
+    for (const piece of pieces) {
+        if (!piece.text) continue
+
+        if (current && current.text.length + piece.text.length + 1 > maxChars) {
+            parts.push(current)
+            current = null
+        }
 
-### ✅ Action Items / Steps
-1. [Step 1]
-2. [Step 2]
-3. [Step 3]
+        if (!current) {
+            current = { text: piece.text, start: piece.start, end: piece.end }
+        } else {
+            current.text += ' ' + piece.text
+            current.end = piece.end
+        }
 
----
+        // Close a part at a sentence end once it's mostly full
+        if (current.text.length > maxChars * 0.8 && /[.!?]$/.test(piece.text)) {
+            parts.push(current)
+            current = null
+        }
+    }
 
-### 🔑 Key Takeaways
-• [Most important thing to remember]
-• [Second most important]
+    if (current) parts.push(current)
 
----
+    // A single piece longer than maxChars (e.g. a transcript without punctuation) is cut hard
+    return parts.flatMap(part => {
+        if (part.text.length <= maxChars) return [part]
+        const slices = []
+        for (let i = 0; i < part.text.length; i += maxChars) {
+            slices.push({ ...part, text: part.text.slice(i, i + maxChars) })
+        }
+        return slices
+    })
+}
 
-**Notes:**
-- Only include sections that are relevant to the content
-- Skip empty sections
-- Be thorough - capture all important details
-- Use emojis sparingly for section headers only
-- Make it easy to copy/paste into personal notes
+/**
+ * Merge the notes on every part into the final summary
+ * Notes that together are too long for the model are combined in groups first,
+ * then the template is applied to what remains.
+ */
+async function mergeNotes(notes, job, onProgress) {
+    const { active } = job
+    const { provider } = active
+    let level = notes
+
+    while (true) {
+        const groups = []
+        let group = []
+        let length = 0
+        for (const note of level) {
+            if (group.length > 0 && length + note.length > provider.maxInputChars) {
+                groups.push(group)
+                group = []
+                length = 0
+            }
+            group.push(note)
+            length += note.length
+        }
+        groups.push(group)
 
----
+        if (groups.length === 1) break
 
-**Transcript:**
+        // Every note is as long as the input allows; combine pairs so the loop still ends
+        if (groups.length === level.length) {
+            groups.splice(0, groups.length, ...Array.from(
+                { length: Math.ceil(level.length / 2) },
+                (_, i) => level.slice(i * 2, i * 2 + 2)
+            ))
+        }
 
-${truncatedTranscript}`
+        onProgress?.({
+            stage: 'summarizing',
+            progress: 0.9,
+            message: `Merging notes (${level.length} → ${groups.length})...`
+        })
 
-    try {
-        onProgress?.({ stage: 'summarizing', progress: 0.3, message: 'Generating summary...' })
-
-        // Retry logic for rate limiting (429 errors)
-        const maxRetries = 3
-        let lastError = null
-
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-                        'Content-Type': 'application/json',
-                        'HTTP-Referer': window.location.origin,
-                        'X-Title': 'TutIn Course Player'
-                    },
-                    body: JSON.stringify({
-                        model: 'google/gemini-2.0-flash-exp:free',
-                        messages: [
-                            {
-                                role: 'user',
-                                content: prompt
-                            }
-                        ],
-                        max_tokens: 2000,
-                        temperature: 0.3
-                    })
-                })
+        level = []
+        for (const notesGroup of groups) {
+            job.signal?.throwIfAborted()
+            level.push(notesGroup.length === 1
+                ? notesGroup[0]
+                : await generateWithProvider(buildCombinePrompt(notesGroup, provider.promptStyle), onProgress, active))
+        }
+    }
 
-                if (response.status === 429) {
-                    // Rate limited - wait and retry
-                    const waitTime = Math.pow(2, attempt) * 2000 // 4s, 8s, 16s
-                    onProgress?.({
-                        stage: 'summarizing',
-                        progress: 0.3,
-                        message: `Rate limited. Retrying in ${waitTime / 1000}s... (${attempt}/${maxRetries})`
-                    })
-                    await new Promise(resolve => setTimeout(resolve, waitTime))
-                    continue
-                }
+    job.signal?.throwIfAborted()
+    onProgress?.({ stage: 'summarizing', progress: 0.95, message: 'Writing final notes...' })
 
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}))
-                    throw new Error(`API error: ${response.status} - ${errorData.error?.message || response.statusText}`)
-                }
+    const content = 'Notes on each part of the lecture, in order (merge them, do not mention the parts):\n\n' +
+        level.join('\n\n---\n\n')
+    return generateWithProvider(buildTemplatePrompt(content, job), onProgress, active)
+}
+
+/**
+ * Generate a summary with the provider chosen in Settings → AI
+ * Transcripts longer than the provider reads at once are summarized part by part
+ * (map), then the notes on the parts are merged into the final summary (reduce).
+ * @param {string} transcript - Full transcript text
+ * @param {Array} captionChunks - Timestamped chunks, used to give every part a time range
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options
+ * @param {Object} options.template - Prompt template (from promptTemplates.js)
+ * @param {Object} options.variables - Template variables other than the transcript
+ * @param {AbortSignal} options.signal - Stops between requests when aborted
+ * @returns {Promise<{summary: string, sections: Array<{start: number|null, end: number|null, summary: string}>, provider: string, model: string}>}
+ *   sections holds the notes on each part, empty when the transcript was summarized in one go
+ */
+async function generateAISummary(transcript, captionChunks, onProgress, { template, variables, signal }) {
+    const active = getActiveSummaryProvider()
+    const { provider, settings } = active
+    const result = { sections: [], provider: provider.id, model: settings.model }
+
+    if (!transcript || transcript.length < 50) {
+        return { ...result, summary: transcript || 'No content to summarize.' }
+    }
 
-                const data = await response.json()
+    // A provider that isn't set up is an error to fix, not a reason to fall back
+    const configError = getProviderConfigError(provider, settings)
+    if (configError) {
+        throw new Error(configError)
+    }
 
-                onProgress?.({ stage: 'summarizing', progress: 1, message: 'Summary complete!' })
+    const job = { active, template, variables, signal }
 
-                const summary = data.choices?.[0]?.message?.content?.trim()
+    onProgress?.({ stage: 'summarizing', progress: 0.1, message: `Connecting to ${provider.label}...` })
 
-                if (!summary) {
-                    throw new Error('No summary content received from API')
-                }
+    try {
+        if (transcript.length <= provider.maxInputChars) {
+            onProgress?.({ stage: 'summarizing', progress: 0.3, message: `Generating ${template.name} with ${settings.model}...` })
 
-                return summary
-            } catch (err) {
-                lastError = err
-                if (attempt < maxRetries && err.message?.includes('429')) {
-                    const waitTime = Math.pow(2, attempt) * 2000
-                    onProgress?.({
-                        stage: 'summarizing',
-                        progress: 0.3,
-                        message: `Error, retrying in ${waitTime / 1000}s... (${attempt}/${maxRetries})`
-                    })
-                    await new Promise(resolve => setTimeout(resolve, waitTime))
-                } else {
-                    throw err
-                }
-            }
+            const summary = await generateWithProvider(buildTemplatePrompt(transcript, job), onProgress, active)
+
+            onProgress?.({ stage: 'summarizing', progress: 1, message: 'Summary complete!' })
+            return { ...result, summary }
+        }
+
+        const parts = splitTranscript(transcript, captionChunks, provider.maxInputChars)
+        const sections = []
+
+        for (const [i, part] of parts.entries()) {
+            signal?.throwIfAborted()
+            const range = part.start !== null ? ` (${formatTimestamp(part.start)}–${formatTimestamp(part.end)})` : ''
+            onProgress?.({
+                stage: 'summarizing',
+                progress: 0.1 + 0.8 * (i / parts.length),
+                message: `Summarizing part ${i + 1} of ${parts.length}${range}...`
+            })
+
+            const notes = await generateWithProvider(
+                buildPartPrompt(part, i, parts.length, provider.promptStyle),
+                onProgress,
+                active
+            )
+            sections.push({ start: part.start, end: part.end, summary: notes })
         }
 
-        throw lastError || new Error('Max retries exceeded')
+        const summary = await mergeNotes(sections.map(section => section.summary), job, onProgress)
+
+        onProgress?.({ stage: 'summarizing', progress: 1, message: 'Summary complete!' })
+        return { ...result, summary, sections }
     } catch (err) {
-        console.error('Gemini API summarization failed:', err)
-        // Fallback to simple summary if API fails
-        return generateFallbackSummary(transcript, err.message)
+        // Stopped on purpose, there is nothing to fall back to
+        if (signal?.aborted) throw err
+
+        console.error(`${provider.label} summarization failed:`, err)
+        // Fallback to simple summary if the provider fails
+        return { ...result, summary: generateFallbackSummary(transcript, err.message), model: null }
     }
 }
 
+/**
+ * Template variables describing a video: its title, module, course and instructor
+ */
+async function getSummaryVariables(videoId) {
+    const video = await getVideo(videoId)
+    if (!video) {
+        return { videoTitle: '', moduleTitle: '', courseTitle: '', instructor: '' }
+    }
+
+    const [course, modules] = await Promise.all([
+        getCourse(video.courseId),
+        getModulesByCourse(video.courseId)
+    ])
+    const module = modules.find(m => m.id === video.moduleId)
+
+    return {
+        videoTitle: video.title || '',
+        moduleTitle: module?.title || '',
+        courseTitle: course?.title || '',
+        instructor: course?.instructor || ''
+    }
+}
+
+/**
+ * Summarize a transcript with a template and save the result as a new version
+ * Every summary is kept in video.summaryVersions; video.summary and
+ * video.summarySections mirror the active version.
+ * @returns {Promise<Object>} The new version
+ */
+async function createSummaryVersion(videoId, transcript, captionChunks, templateId, onProgress, signal) {
+    const template = getPromptTemplate(templateId)
+    const variables = await getSummaryVariables(videoId)
+
+    const result = await generateAISummary(transcript, captionChunks, onProgress, { template, variables, signal })
+    signal?.throwIfAborted()
+
+    const version = {
+        id: generateId('summary_'),
+        templateId: template.id,
+        templateName: template.name,
+        summary: result.summary,
+        sections: result.sections,
+        provider: result.provider,
+        model: result.model,
+        createdAt: new Date().toISOString()
+    }
+
+    const video = await getVideo(videoId)
+    await updateVideo(videoId, {
+        summary: version.summary,
+        summarySections: version.sections,
+        summaryVersions: [...getSummaryVersions(video), version],
+        activeSummaryVersionId: version.id,
+        summaryGeneratedAt: version.createdAt
+    })
+
+    return version
+}
+
+/**
+ * Get every saved summary of a video, oldest first
+ * A summary saved before versions existed is returned as the first version.
+ * @param {Object} video - Video record
+ */
+export function getSummaryVersions(video) {
+    if (video?.summaryVersions?.length) return video.summaryVersions
+    if (!video?.summary) return []
+
+    return [{
+        id: 'legacy',
+        templateId: DEFAULT_TEMPLATE_ID,
+        templateName: getPromptTemplate(DEFAULT_TEMPLATE_ID).name,
+        summary: video.summary,
+        sections: video.summarySections || [],
+        provider: null,
+        model: null,
+        createdAt: video.summaryGeneratedAt || null
+    }]
+}
+
+/**
+ * Show a saved version as the video's summary
+ * @returns {Promise<Object>} The version
+ */
+export async function setActiveSummaryVersion(videoId, versionId) {
+    const video = await getVideo(videoId)
+    const versions = getSummaryVersions(video)
+    const version = versions.find(v => v.id === versionId)
+    if (!version) {
+        throw new Error('Summary version not found')
+    }
+
+    await updateVideo(videoId, {
+        summary: version.summary,
+        summarySections: version.sections,
+        summaryVersions: versions,
+        activeSummaryVersionId: version.id
+    })
+    return version
+}
+
+/**
+ * Delete a saved version; the newest remaining one becomes active
+ * @returns {Promise<Object|null>} The active version afterwards, null if none are left
+ */
+export async function deleteSummaryVersion(videoId, versionId) {
+    const video = await getVideo(videoId)
+    const versions = getSummaryVersions(video).filter(v => v.id !== versionId)
+    const active = versions.find(v => v.id === video.activeSummaryVersionId) || versions[versions.length - 1] || null
+
+    await updateVideo(videoId, {
+        summary: active?.summary || null,
+        summarySections: active?.sections || [],
+        summaryVersions: versions,
+        activeSummaryVersionId: active?.id || null
+    })
+    return active
+}
+
 /**
  * Fallback summary if API fails
  */
@@ -441,104 +822,86 @@ ${summary}
 
 /**
  * Convert timestamp chunks to WebVTT format for CC display
+ * Words are grouped into caption segments as the player shows them, following the
+ * segment boundaries of an edited transcript.
  */
 export function chunksToVTT(chunks) {
     if (!chunks || chunks.length === 0) return null
-
-    const formatTime = (seconds) => {
-        const h = Math.floor(seconds / 3600)
-        const m = Math.floor((seconds % 3600) / 60)
-        const s = Math.floor(seconds % 60)
-        const ms = Math.floor((seconds % 1) * 1000)
-        return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`
-    }
-
-    // Group words into caption segments (~5-8 words per segment for readability)
-    const segments = []
-    let currentSegment = { text: '', start: null, end: null }
-    let wordCount = 0
-
-    for (const chunk of chunks) {
-        if (!chunk.timestamp || chunk.timestamp.length < 2) continue
-
-        const [start, end] = chunk.timestamp
-        if (start === null || end === null) continue
-
-        if (currentSegment.start === null) {
-            currentSegment.start = start
-        }
-
-        currentSegment.text += (currentSegment.text ? ' ' : '') + chunk.text.trim()
-        currentSegment.end = end
-        wordCount++
-
-        // Create a new segment every 6-8 words or at sentence boundaries
-        const isPunctuation = /[.!?]$/.test(chunk.text.trim())
-        if (wordCount >= 6 || (wordCount >= 4 && isPunctuation)) {
-            segments.push({ ...currentSegment })
-            currentSegment = { text: '', start: null, end: null }
-            wordCount = 0
-        }
-    }
-
-    // Add remaining segment
-    if (currentSegment.text && currentSegment.start !== null) {
-        segments.push(currentSegment)
-    }
-
-    // Build VTT content
-    let vtt = 'WEBVTT\n\n'
-    segments.forEach((segment, index) => {
-        vtt += `${index + 1}\n`
-        vtt += `${formatTime(segment.start)} --> ${formatTime(segment.end)}\n`
-        vtt += `${segment.text}\n\n`
-    })
-
-    return vtt
+    return segmentsToVTT(groupCaptionWords(chunks))
 }
 
 /**
  * Process a video for transcription and summarization
+ * @param {AbortSignal} signal - Optional; aborting stops transcription mid-chunk, or the
+ *   summary after the current request, and nothing more is saved
  */
-export async function processVideoForSummary(videoId, fileSource, onProgress) {
+export async function processVideoForSummary(videoId, fileSource, onProgress, signal) {
     try {
-        // Step 1: Extract audio
-        const audioData = await extractAndProcessAudio(fileSource, onProgress)
-
-        // Step 2: Transcribe using Whisper (now returns { text, chunks })
-        const transcription = await transcribeAudio(audioData, onProgress)
-        const transcript = transcription.text
-        const captionChunks = transcription.chunks
-
-        // Save transcript and caption chunks to DB
+        // Step 1 & 2: Decode the audio in windows and transcribe each with Whisper
+        const transcription = await transcribeFile(fileSource, onProgress, signal)
+        signal?.throwIfAborted()
+        // Fix recurring mistakes with the custom vocabulary from Settings
+        const transcript = applyVocabularyToText(transcription.text)
+        const captionChunks = applyVocabulary(transcription.chunks)
+        const transcriptParagraphs = segmentTranscript(captionChunks, transcription.speakerTurns)
+
+        // Save transcript, caption chunks and paragraphs to DB
         await updateVideo(videoId, {
             transcript: transcript,
             captionChunks: captionChunks,
+            transcriptParagraphs,
+            transcriptOptions: transcription.options,
             transcriptGeneratedAt: new Date().toISOString()
         })
 
-        // Step 3: Generate summary using Gemini AI
-        const summary = await generateAISummary(transcript, onProgress)
-
-        // Save summary to DB
-        await updateVideo(videoId, {
-            summary: summary,
-            summaryGeneratedAt: new Date().toISOString()
-        })
+        // Step 3: Generate summary with the configured provider and template
+        const version = await createSummaryVersion(videoId, transcript, captionChunks, getSelectedTemplateId(), onProgress, signal)
 
         onProgress?.({ stage: 'complete', progress: 1, message: 'Done!' })
 
-        return { transcript, summary, captionChunks }
+        return { transcript, summary: version.summary, summarySections: version.sections, summaryVersion: version, captionChunks, transcriptParagraphs, transcriptOptions: transcription.options }
     } catch (err) {
-        console.error('AI processing failed:', err)
+        if (!signal?.aborted) console.error('AI processing failed:', err)
         throw err
     }
 }
 
+/**
+ * Save a corrected transcript
+ * The text and paragraphs are rebuilt from the edited word chunks; speakers stay
+ * with the paragraphs they were found in. Captions follow on their own, the player
+ * builds them from captionChunks.
+ * @param {Array} captionChunks - Edited word chunks
+ * @param {Array} previousParagraphs - Paragraphs before the edit, for their speakers
+ * @returns {Promise<{transcript: string, captionChunks: Array, transcriptParagraphs: Array}>}
+ */
+export async function saveTranscriptEdits(videoId, captionChunks, previousParagraphs = []) {
+    const speakerTurns = previousParagraphs
+        .filter(paragraph => paragraph.speaker !== null && paragraph.start !== null)
+        .map(({ start, end, speaker }) => ({ start, end, speaker }))
+
+    const transcript = chunksToText(captionChunks)
+    const transcriptParagraphs = segmentTranscript(captionChunks, speakerTurns)
+
+    await updateVideo(videoId, {
+        transcript,
+        captionChunks,
+        transcriptParagraphs,
+        transcriptEditedAt: new Date().toISOString()
+    })
+
+    return { transcript, captionChunks, transcriptParagraphs }
+}
+
 /**
  * Regenerate just the summary from existing transcript (no file needed)
+ * The result is saved as a new version next to the existing ones.
+ * @param {Array} captionChunks - Timestamped chunks of the transcript, for per-section time ranges
+ * @param {string} templateId - Prompt template, defaults to the one selected in Settings
+ * @param {AbortSignal} signal - Optional; aborting stops between requests without saving
+ * @returns {Promise<Object>} The new version ({ id, templateName, summary, sections, ... })
  */
-export async function regenerateSummaryOnly(videoId, existingTranscript, onProgress) {
+export async function regenerateSummaryOnly(videoId, existingTranscript, onProgress, captionChunks = [], templateId = getSelectedTemplateId(), signal) {
     if (!existingTranscript || existingTranscript.length < 50) {
         throw new Error('No transcript available to summarize')
     }
@@ -546,20 +909,14 @@ export async function regenerateSummaryOnly(videoId, existingTranscript, onProgr
     try {
         onProgress?.({ stage: 'summarizing', progress: 0.1, message: 'Regenerating summary...' })
 
-        // Generate new summary using Gemini AI
-        const summary = await generateAISummary(existingTranscript, onProgress)
-
-        // Save updated summary to DB
-        await updateVideo(videoId, {
-            summary: summary,
-            summaryGeneratedAt: new Date().toISOString()
-        })
+        // Generate new summary with the configured provider
+        const version = await createSummaryVersion(videoId, existingTranscript, captionChunks, templateId, onProgress, signal)
 
         onProgress?.({ stage: 'complete', progress: 1, message: 'Summary updated!' })
 
-        return summary
+        return version
     } catch (err) {
-        console.error('Summary regeneration failed:', err)
+        if (!signal?.aborted) console.error('Summary regeneration failed:', err)
         throw err
     }
 }
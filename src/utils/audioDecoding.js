@@ -0,0 +1,465 @@
+/**
+ * Audio Decoding
+ *
+ * Turns a video or audio file into 16 kHz mono windows for Whisper without holding
+ * the whole file in memory. MP4/MOV/M4A files are read in slices and demuxed with
+ * mp4box.js, MKV/WebM files with the Matroska demuxer, and their audio is decoded
+ * with WebCodecs (AudioDecoder); every window is resampled to 16 kHz on its own.
+ * Other formats, and browsers without WebCodecs, fall back to decodeAudioData on
+ * the whole file, which is only tried below a size limit.
+ */
+
+import { openMatroskaAudio, readMatroskaAudioFrames } from './matroska'
+
+// CDN import like Transformers.js: loaded only when something is transcribed
+const MP4BOX_CDN = 'https://cdn.jsdelivr.net/npm/mp4box@0.5.2/+esm'
+
+export const WHISPER_SAMPLE_RATE = 16000
+
+// Audio handed to Whisper at once
+const WINDOW_SECONDS = 120
+// Windows end at the quietest moment of their last seconds, so words aren't cut in half
+const BOUNDARY_SEARCH_SECONDS = 2
+// Bytes of the file read at a time when streaming
+const FILE_SLICE_BYTES = 8 * 1024 * 1024
+// decodeAudioData needs the whole file (and all of its audio) in memory at once
+const MAX_WHOLE_FILE_BYTES = 1024 * 1024 * 1024
+
+const STREAMABLE_EXTENSIONS = ['mp4', 'm4v', 'mov', 'm4a', '3gp']
+const MATROSKA_EXTENSIONS = ['mkv', 'mka', 'webm']
+
+let mp4boxModule = null
+
+async function loadMp4Box() {
+    if (!mp4boxModule) {
+        const module = await import(/* @vite-ignore */ MP4BOX_CDN)
+        mp4boxModule = module.default || module
+    }
+    return mp4boxModule
+}
+
+function formatSize(bytes) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+}
+
+/**
+ * Collects decoded audio and cuts it into windows
+ * @param {number} sampleRate - Rate of the pushed samples
+ * @param {number} duration - Length of the whole recording in seconds
+ */
+function createWindower(sampleRate, duration) {
+    const windowLength = WINDOW_SECONDS * sampleRate
+    let pieces = []
+    let head = 0 // Samples of pieces[0] already taken
+    let length = 0
+    let taken = 0
+
+    // Copy `count` samples off the front
+    function take(count) {
+        const samples = new Float32Array(count)
+        let filled = 0
+        while (filled < count) {
+            const piece = pieces[0]
+            const n = Math.min(count - filled, piece.length - head)
+            samples.set(piece.subarray(head, head + n), filled)
+            filled += n
+            head += n
+            if (head === piece.length) {
+                pieces.shift()
+                head = 0
+            }
+        }
+        length -= count
+        return samples
+    }
+
+    // Put samples back at the front
+    function putBack(samples) {
+        if (head > 0) {
+            pieces[0] = pieces[0].subarray(head)
+            head = 0
+        }
+        pieces.unshift(samples)
+        length += samples.length
+    }
+
+    return {
+        push(samples) {
+            if (samples.length === 0) return
+            pieces.push(samples)
+            length += samples.length
+        },
+
+        /**
+         * Yield every full window, and what is left when final
+         */
+        async *drain(final = false) {
+            while (length >= windowLength || (final && length > 0)) {
+                let samples = take(Math.min(length, windowLength))
+                if (samples.length === windowLength && (length > 0 || !final)) {
+                    const cut = findQuietCut(samples, sampleRate)
+                    putBack(samples.slice(cut))
+                    samples = samples.subarray(0, cut)
+                }
+
+                const start = taken / sampleRate
+                taken += samples.length
+                yield {
+                    samples: await resampleForWhisper(samples, sampleRate),
+                    start,
+                    end: taken / sampleRate,
+                    duration
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Find the quietest 50 ms in the last seconds of a window
+ * @returns {number} Index to end the window at
+ */
+function findQuietCut(samples, sampleRate) {
+    const frame = Math.round(sampleRate * 0.05)
+    const searchStart = Math.max(frame, samples.length - BOUNDARY_SEARCH_SECONDS * sampleRate)
+    let cut = samples.length
+    let lowestEnergy = Infinity
+
+    for (let pos = searchStart; pos + frame <= samples.length; pos += frame) {
+        let energy = 0
+        for (let i = pos; i < pos + frame; i++) {
+            energy += samples[i] * samples[i]
+        }
+        if (energy < lowestEnergy) {
+            lowestEnergy = energy
+            cut = pos + Math.floor(frame / 2)
+        }
+    }
+    return cut
+}
+
+/**
+ * Resample mono audio to 16 kHz with the browser's resampler
+ */
+async function resampleForWhisper(samples, sampleRate) {
+    if (sampleRate === WHISPER_SAMPLE_RATE) return samples
+
+    const length = Math.ceil(samples.length * WHISPER_SAMPLE_RATE / sampleRate)
+    const context = new OfflineAudioContext(1, length, WHISPER_SAMPLE_RATE)
+    const buffer = context.createBuffer(1, samples.length, sampleRate)
+    buffer.copyToChannel(samples, 0)
+
+    const source = context.createBufferSource()
+    source.buffer = buffer
+    source.connect(context.destination)
+    source.start()
+
+    const rendered = await context.startRendering()
+    return rendered.getChannelData(0)
+}
+
+/**
+ * Mix a decoded AudioData frame down to mono
+ */
+function audioDataToMono(audioData) {
+    const { numberOfFrames, numberOfChannels } = audioData
+    const mono = new Float32Array(numberOfFrames)
+    const channel = new Float32Array(numberOfFrames)
+
+    for (let c = 0; c < numberOfChannels; c++) {
+        audioData.copyTo(channel, { planeIndex: c, format: 'f32-planar' })
+        for (let i = 0; i < numberOfFrames; i++) {
+            mono[i] += channel[i] / numberOfChannels
+        }
+    }
+    return mono
+}
+
+/**
+ * An AudioDecoder whose output is mixed down to mono and cut into windows
+ * @param {Object} config - AudioDecoder configuration
+ * @param {number} duration - Length of the recording in seconds
+ */
+function createWindowedDecoder(config, duration) {
+    let decoderError = null
+    let windower = null
+
+    const decoder = new AudioDecoder({
+        output: (audioData) => {
+            // Opus decodes at 48 kHz whatever the container says, so go by the output
+            if (!windower) windower = createWindower(audioData.sampleRate, duration)
+            windower.push(audioDataToMono(audioData))
+            audioData.close()
+        },
+        error: (err) => { decoderError = err }
+    })
+    decoder.configure(config)
+
+    return {
+        decode(chunk) {
+            decoder.decode(chunk)
+        },
+
+        /**
+         * Decode what was queued and yield every full window, and what is left when final
+         */
+        async *drain(final = false) {
+            await decoder.flush()
+            if (decoderError) {
+                throw new Error('Could not decode audio: ' + decoderError.message)
+            }
+            if (windower) yield* windower.drain(final)
+        },
+
+        close() {
+            if (decoder.state !== 'closed') decoder.close()
+        }
+    }
+}
+
+/**
+ * Check WebCodecs can decode a track
+ */
+async function isDecoderSupported(config) {
+    const { supported } = await AudioDecoder.isConfigSupported(config).catch(() => ({ supported: false }))
+    return supported
+}
+
+/**
+ * Feed the next slice of the file to mp4box
+ * @returns {Promise<number>} Offset of the next slice mp4box wants
+ */
+async function appendSlice(mp4, file, offset) {
+    const buffer = await file.slice(offset, offset + FILE_SLICE_BYTES).arrayBuffer()
+    buffer.fileStart = offset
+    const next = mp4.appendBuffer(buffer)
+    const end = offset + buffer.byteLength
+    if (end >= file.size) {
+        mp4.flush()
+    }
+    // mp4box jumps ahead to find the movie header when it's at the end of the file
+    return next > offset ? next : end
+}
+
+/**
+ * The AudioSpecificConfig AAC decoders need, from the track's esds box
+ */
+function getDecoderDescription(mp4, trackId) {
+    const entry = mp4.getTrackById(trackId)?.mdia?.minf?.stbl?.stsd?.entries?.[0]
+    return entry?.esds?.esd?.descs?.[0]?.descs?.[0]?.data
+}
+
+/**
+ * Read an MP4's movie header and check its audio can be decoded with WebCodecs
+ * @returns {Promise<Object|null>} { mp4, track, config, duration }, null when the file
+ *   has to be decoded another way
+ */
+async function openMp4Audio(file) {
+    const extension = file.name?.split('.').pop().toLowerCase()
+    if (!STREAMABLE_EXTENSIONS.includes(extension) || typeof AudioDecoder === 'undefined') {
+        return null
+    }
+
+    let MP4Box
+    try {
+        MP4Box = await loadMp4Box()
+    } catch (err) {
+        console.warn('[Audio] Could not load mp4box.js, decoding the whole file:', err)
+        return null
+    }
+
+    const mp4 = MP4Box.createFile()
+    let info = null
+    let demuxError = null
+    mp4.onReady = (movieInfo) => { info = movieInfo }
+    mp4.onError = (err) => { demuxError = err }
+
+    let offset = 0
+    while (!info && !demuxError && offset < file.size) {
+        offset = await appendSlice(mp4, file, offset)
+    }
+    if (!info) {
+        console.warn('[Audio] Could not read the MP4 header, decoding the whole file:', demuxError)
+        return null
+    }
+
+    const track = info.audioTracks[0]
+    if (!track) {
+        throw new Error('This video has no audio track to transcribe')
+    }
+
+    const config = {
+        codec: track.codec,
+        sampleRate: track.audio.sample_rate,
+        numberOfChannels: track.audio.channel_count
+    }
+    const description = getDecoderDescription(mp4, track.id)
+    if (description) {
+        config.description = description
+    }
+
+    if (!await isDecoderSupported(config)) {
+        console.warn(`[Audio] ${track.codec} can't be decoded with WebCodecs, decoding the whole file`)
+        return null
+    }
+
+    return { mp4, track, config, duration: info.duration / info.timescale }
+}
+
+/**
+ * Stream an MP4's audio track through an AudioDecoder
+ */
+async function* decodeMp4Windows({ mp4, track, config, duration }, file, signal) {
+    const decoder = createWindowedDecoder(config, duration)
+
+    mp4.onSamples = (trackId, user, samples) => {
+        for (const sample of samples) {
+            decoder.decode(new EncodedAudioChunk({
+                type: sample.is_sync ? 'key' : 'delta',
+                timestamp: 1e6 * sample.cts / sample.timescale,
+                duration: 1e6 * sample.duration / sample.timescale,
+                data: sample.data
+            }))
+        }
+        mp4.releaseUsedSamples(trackId, samples[samples.length - 1].number + 1)
+    }
+    mp4.setExtractionOptions(track.id, null, { nbSamples: 500 })
+    mp4.start()
+
+    try {
+        // Samples are read from where the track's audio starts
+        let offset = mp4.seek(0, true).offset
+        while (offset < file.size) {
+            signal?.throwIfAborted()
+            offset = await appendSlice(mp4, file, offset)
+            yield* decoder.drain()
+        }
+
+        yield* decoder.drain(true)
+    } finally {
+        mp4.stop()
+        decoder.close()
+    }
+}
+
+/**
+ * Read an MKV or WebM file's header and check its audio can be decoded with WebCodecs
+ * @returns {Promise<Object|null>} { matroska, config, duration }, null when the file
+ *   has to be decoded another way
+ */
+async function openMatroskaFileAudio(file) {
+    const extension = file.name?.split('.').pop().toLowerCase()
+    if (!MATROSKA_EXTENSIONS.includes(extension) || typeof AudioDecoder === 'undefined') {
+        return null
+    }
+
+    let matroska
+    try {
+        matroska = await openMatroskaAudio(file, FILE_SLICE_BYTES)
+    } catch (err) {
+        console.warn('[Audio] Could not read the Matroska header, decoding the whole file:', err)
+        return null
+    }
+    if (!matroska) {
+        console.warn('[Audio] Could not read the Matroska header, decoding the whole file')
+        return null
+    }
+    if (!matroska.track) {
+        throw new Error('This video has no audio track to transcribe')
+    }
+
+    const config = matroska.codec && {
+        ...matroska.codec,
+        sampleRate: Math.round(matroska.track.sampleRate),
+        numberOfChannels: matroska.track.numberOfChannels
+    }
+    if (!config || !await isDecoderSupported(config)) {
+        console.warn(`[Audio] ${matroska.track.codecId} can't be decoded with WebCodecs, decoding the whole file`)
+        return null
+    }
+
+    return { matroska, config, duration: matroska.duration }
+}
+
+/**
+ * Stream an MKV or WebM file's audio track through an AudioDecoder
+ */
+async function* decodeMatroskaWindows({ matroska, config, duration }, signal) {
+    const decoder = createWindowedDecoder(config, duration)
+    let drainedAt = matroska.offset
+
+    try {
+        for await (const { timestamp, frames, offset } of readMatroskaAudioFrames(matroska)) {
+            signal?.throwIfAborted()
+            for (const frame of frames) {
+                decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp, data: frame }))
+            }
+
+            // Drain about once per slice read, like the MP4 path
+            if (offset - drainedAt >= FILE_SLICE_BYTES) {
+                drainedAt = offset
+                yield* decoder.drain()
+            }
+        }
+
+        yield* decoder.drain(true)
+    } finally {
+        decoder.close()
+    }
+}
+
+/**
+ * Decode the whole file at once with decodeAudioData
+ */
+async function* decodeWholeFileWindows(file) {
+    if (file.size > MAX_WHOLE_FILE_BYTES) {
+        throw new Error(
+            `This file is too large to decode in one piece (${formatSize(file.size)}). ` +
+            'Only MP4, MOV, M4A, MKV and WebM files can be decoded in parts; convert it to MP4 to transcribe it.'
+        )
+    }
+
+    const arrayBuffer = await file.arrayBuffer()
+
+    // Decode audio at 16kHz (Whisper requirement)
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
+        sampleRate: WHISPER_SAMPLE_RATE
+    })
+
+    let audioData
+    try {
+        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer)
+        audioData = audioBuffer.getChannelData(0)
+    } catch (err) {
+        throw new Error('Could not decode audio: ' + (err.message || 'unsupported format'))
+    } finally {
+        await audioContext.close()
+    }
+
+    const windower = createWindower(WHISPER_SAMPLE_RATE, audioData.length / WHISPER_SAMPLE_RATE)
+    windower.push(audioData)
+    yield* windower.drain(true)
+}
+
+/**
+ * Decode a file's audio into 16 kHz mono windows, in order
+ * @param {File} file - Video or audio file
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops reading the file when aborted
+ * @yields {{samples: Float32Array, start: number, end: number, duration: number}}
+ *   start/end place the window in the recording, in seconds
+ */
+export async function* decodeAudioWindows(file, { signal } = {}) {
+    const mp4Audio = await openMp4Audio(file)
+    if (mp4Audio) {
+        yield* decodeMp4Windows(mp4Audio, file, signal)
+        return
+    }
+
+    const matroskaAudio = await openMatroskaFileAudio(file)
+    if (matroskaAudio) {
+        yield* decodeMatroskaWindows(matroskaAudio, signal)
+    } else {
+        yield* decodeWholeFileWindows(file)
+    }
+}
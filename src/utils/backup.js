@@ -0,0 +1,552 @@
+/**
+ * TutIn Backup - Versioned full backup and restore
+ *
+ * Backup file format (version 1):
+ * {
+ *   format: 'tutin-backup',
+ *   version: 1,
+ *   dbVersion: number,          // IndexedDB schema version at export time
+ *   exportDate: ISO string,
+ *   stores: { courses, modules, videos, resources, notes, aiJobs, analytics, instructors, handles },
+ *   localStorage: { [key]: raw string value }
+ * }
+ *
+ * File and folder handles cannot be serialized, so they are stripped on export,
+ * listed by name only, and kept from the local record when restoring a match.
+ */
+
+import { initDatabase, DB_VERSION, recalculateAllCoursesProgress, rebuildSearchIndex } from './db'
+
+export const BACKUP_FORMAT = 'tutin-backup'
+export const BACKUP_VERSION = 1
+
+/**
+ * Restore strategies that can be picked per entity type
+ */
+export const RESTORE_STRATEGIES = [
+    { value: 'merge-newest', label: 'Merge, keep newest', description: 'Add new records, conflicts keep the most recently modified copy' },
+    { value: 'merge-local', label: 'Merge, keep local', description: 'Add new records, conflicts keep what is on this machine' },
+    { value: 'replace', label: 'Replace', description: 'Discard local records and use the backup' },
+    { value: 'skip', label: 'Skip', description: 'Do not restore this type' }
+]
+
+/**
+ * IndexedDB stores included in backups, with their required string fields
+ */
+const STORE_SCHEMAS = {
+    courses: { label: 'Courses', required: ['id', 'title'] },
+    modules: { label: 'Modules', required: ['id', 'courseId'] },
+    videos: { label: 'Videos', required: ['id', 'courseId', 'moduleId'] },
+    resources: { label: 'Resources', required: ['id', 'courseId', 'moduleId'] },
+    notes: { label: 'Notes', required: ['id', 'videoId'] },
+    aiJobs: { label: 'AI Jobs', required: ['id', 'courseId', 'videoId'] },
+    analytics: { label: 'Learning History', required: ['id', 'date'] },
+    instructors: { label: 'Instructors', required: ['id', 'name'] }
+}
+
+/**
+ * localStorage keys included in backups, grouped by restorable entity type.
+ * Any new localStorage key the app persists should be registered here.
+ */
+const STORAGE_ENTITIES = {
+    roadmaps: {
+        label: 'Roadmaps',
+        kind: 'list',
+        key: 'learning_roadmaps',
+        extraKeys: ['last_roadmap_id']
+    },
+    profile: {
+        label: 'Profile',
+        kind: 'object',
+        key: 'user_profile'
+    },
+    settings: {
+        label: 'Settings',
+        kind: 'fields',
+        key: 'mearn_settings'
+    },
+    preferences: {
+        label: 'Preferences & API Keys',
+        kind: 'keys',
+        keys: [
+            'mearn_theme',
+            'mearn_sort',
+            'sidebar_expanded',
+            'sidebarPanelWidth',
+            'mearn_volume',
+            'tutin_captions_enabled',
+            'tutin_caption_position',
+            'tutin_caption_track',
+            'mearn_root_folder_name',
+            'youtube_api_key',
+            'google_drive_api_key',
+            'tutin_summary_providers',
+            'tutin_prompt_templates',
+            'tutin_whisper_settings',
+            'tutin_transcript_vocabulary'
+        ]
+    }
+}
+
+// Record fields holding FileSystem handles (not JSON serializable)
+const HANDLE_FIELDS = ['folderHandle', 'fileHandle']
+
+// Timestamp fields used to decide which copy of a record is newest
+const TIMESTAMP_FIELDS = [
+    'updatedAt', 'dateModified', 'lastActivityAt', 'lastWatchedAt',
+    'completedAt', 'lastAccessed', 'createdAt', 'dateAdded', 'storedAt'
+]
+
+/**
+ * Get all restorable entity types in display order
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function getBackupEntityTypes() {
+    return [
+        ...Object.entries(STORE_SCHEMAS).map(([id, schema]) => ({ id, label: schema.label })),
+        ...Object.entries(STORAGE_ENTITIES).map(([id, entity]) => ({ id, label: entity.label }))
+    ]
+}
+
+/**
+ * Get every localStorage key covered by backups
+ */
+export function getBackupStorageKeys() {
+    return Object.values(STORAGE_ENTITIES).flatMap(entity => [
+        ...(entity.key ? [entity.key] : []),
+        ...(entity.extraKeys || []),
+        ...(entity.keys || [])
+    ])
+}
+
+// ============= EXPORT =============
+
+/**
+ * Read every record from an object store
+ */
+async function getAllFromStore(storeName) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly')
+        const store = transaction.objectStore(storeName)
+        const request = store.getAll()
+
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => reject(new Error(`Failed to read ${storeName}: ` + request.error))
+    })
+}
+
+/**
+ * Remove non-serializable handle fields from a record
+ */
+function stripHandles(record) {
+    const stripped = { ...record }
+    for (const field of HANDLE_FIELDS) {
+        if (field in stripped) {
+            stripped[field] = null
+        }
+    }
+    return stripped
+}
+
+/**
+ * Create a full backup of every store and localStorage key the app uses
+ * @returns {Promise<Object>} Backup object ready for JSON serialization
+ */
+export async function createBackup() {
+    const stores = {}
+    for (const storeName of Object.keys(STORE_SCHEMAS)) {
+        const records = await getAllFromStore(storeName)
+        stores[storeName] = records.map(stripHandles)
+    }
+
+    // Handles are listed by name only so the user knows which folders to re-grant
+    const handles = await getAllFromStore('handles')
+    stores.handles = handles.map(({ id, name, storedAt }) => ({ id, name, storedAt }))
+
+    const storage = {}
+    for (const key of getBackupStorageKeys()) {
+        const value = localStorage.getItem(key)
+        if (value !== null) {
+            storage[key] = value
+        }
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        dbVersion: DB_VERSION,
+        exportDate: new Date().toISOString(),
+        stores,
+        localStorage: storage
+    }
+}
+
+// ============= VALIDATION =============
+
+function parseJSON(value) {
+    try {
+        return { ok: true, value: JSON.parse(value) }
+    } catch {
+        return { ok: false, value: null }
+    }
+}
+
+/**
+ * Convert a pre-versioned export (courses/modules/videos/notes at the top level)
+ * into the current backup structure
+ */
+function upgradeLegacyBackup(data) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        dbVersion: data.version || null,
+        exportDate: data.exportDate || null,
+        legacy: true,
+        stores: {
+            courses: data.courses || [],
+            modules: data.modules || [],
+            videos: data.videos || [],
+            notes: data.notes || []
+        },
+        localStorage: {}
+    }
+}
+
+/**
+ * Validate a parsed backup file before anything is written
+ * @param {Object} data - Parsed JSON from the backup file
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], backup: Object|null, counts: Object }}
+ */
+export function validateBackup(data) {
+    const errors = []
+    const warnings = []
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['Invalid backup: must be a JSON object'], warnings, backup: null, counts: {} }
+    }
+
+    let backup = data
+    if (data.format !== BACKUP_FORMAT) {
+        if (Array.isArray(data.courses)) {
+            backup = upgradeLegacyBackup(data)
+            warnings.push('This is an older backup format. It only contains courses, modules, videos and notes.')
+        } else {
+            return { valid: false, errors: ['Not a TutIn backup file'], warnings, backup: null, counts: {} }
+        }
+    }
+
+    if (typeof backup.version !== 'number') {
+        errors.push('Missing backup version')
+    } else if (backup.version > BACKUP_VERSION) {
+        errors.push(`Backup version ${backup.version} was created by a newer version of the app`)
+    }
+
+    if (!backup.stores || typeof backup.stores !== 'object') {
+        errors.push('Missing stores section')
+    }
+    if (backup.localStorage && typeof backup.localStorage !== 'object') {
+        errors.push('localStorage section must be an object')
+    }
+
+    const counts = {}
+    const stores = backup.stores || {}
+
+    for (const [storeName, schema] of Object.entries(STORE_SCHEMAS)) {
+        const records = stores[storeName]
+        if (records === undefined) continue
+
+        if (!Array.isArray(records)) {
+            errors.push(`${schema.label}: must be an array`)
+            continue
+        }
+
+        const seenIds = new Set()
+        records.forEach((record, i) => {
+            if (!record || typeof record !== 'object') {
+                errors.push(`${schema.label} #${i + 1}: not an object`)
+                return
+            }
+            for (const field of schema.required) {
+                if (typeof record[field] !== 'string' || !record[field]) {
+                    errors.push(`${schema.label} #${i + 1}: missing or invalid "${field}"`)
+                }
+            }
+            if (seenIds.has(record.id)) {
+                errors.push(`${schema.label}: duplicate id "${record.id}"`)
+            }
+            seenIds.add(record.id)
+        })
+        counts[storeName] = records.length
+    }
+
+    // Referential integrity is only a warning; the user may restore types selectively
+    const courseIds = new Set((stores.courses || []).map(c => c?.id))
+    const orphanModules = (stores.modules || []).filter(m => m && !courseIds.has(m.courseId)).length
+    if (orphanModules > 0) {
+        warnings.push(`${orphanModules} module(s) reference courses that are not in this backup`)
+    }
+
+    if (Array.isArray(stores.handles) && stores.handles.length > 0) {
+        warnings.push(`Folder access must be granted again for: ${stores.handles.map(h => h.name || h.id).join(', ')}`)
+    }
+
+    const storage = backup.localStorage || {}
+    for (const [entityId, entity] of Object.entries(STORAGE_ENTITIES)) {
+        if (entity.kind === 'keys') {
+            const present = entity.keys.filter(key => key in storage)
+            if (present.length > 0) counts[entityId] = present.length
+            continue
+        }
+
+        if (!(entity.key in storage)) continue
+        if (typeof storage[entity.key] !== 'string') {
+            errors.push(`${entity.label}: value must be a string`)
+            continue
+        }
+
+        const parsed = parseJSON(storage[entity.key])
+        if (!parsed.ok) {
+            errors.push(`${entity.label}: value is not valid JSON`)
+        } else if (entity.kind === 'list') {
+            if (!Array.isArray(parsed.value) || parsed.value.some(item => !item || typeof item.id !== 'string')) {
+                errors.push(`${entity.label}: must be an array of objects with an id`)
+            } else {
+                counts[entityId] = parsed.value.length
+            }
+        } else if (!parsed.value || typeof parsed.value !== 'object' || Array.isArray(parsed.value)) {
+            errors.push(`${entity.label}: must be an object`)
+        } else {
+            counts[entityId] = 1
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings, backup, counts }
+}
+
+// ============= RESTORE =============
+
+/**
+ * Get the most recent timestamp found on a record (0 if none)
+ */
+function getRecordTime(record) {
+    let latest = 0
+    for (const field of TIMESTAMP_FIELDS) {
+        const time = record?.[field] ? new Date(record[field]).getTime() : 0
+        if (time > latest) latest = time
+    }
+    return latest
+}
+
+function isSameRecord(a, b) {
+    return JSON.stringify(stripHandles(a)) === JSON.stringify(stripHandles(b))
+}
+
+/**
+ * Keep local handles on an incoming record that matches a local one
+ */
+function withLocalHandles(incoming, local) {
+    if (!local) return incoming
+    const merged = { ...incoming }
+    for (const field of HANDLE_FIELDS) {
+        if (local[field]) merged[field] = local[field]
+    }
+    return merged
+}
+
+/**
+ * Merge two collections of records keyed by id
+ * @param {Array} localRecords - Records currently on this machine
+ * @param {Array} incomingRecords - Records from the backup
+ * @param {string} strategy - One of RESTORE_STRATEGIES values
+ * @param {number} backupTime - Backup export time, used for records without timestamps
+ * @returns {{ records: Array, removedIds: string[], report: Object }}
+ */
+function mergeRecords(localRecords, incomingRecords, strategy, backupTime) {
+    const report = { added: 0, updated: 0, removed: 0, unchanged: 0, kept: 0 }
+    const localById = new Map(localRecords.map(r => [r.id, r]))
+    const incomingIds = new Set()
+    const records = []
+
+    for (const incoming of incomingRecords) {
+        incomingIds.add(incoming.id)
+        const local = localById.get(incoming.id)
+
+        if (!local) {
+            records.push(incoming)
+            report.added++
+            continue
+        }
+
+        if (isSameRecord(local, incoming)) {
+            report.unchanged++
+            continue
+        }
+
+        const preferIncoming = strategy === 'replace' ||
+            (strategy === 'merge-newest' && (getRecordTime(incoming) || backupTime) >= getRecordTime(local))
+
+        if (preferIncoming) {
+            records.push(withLocalHandles(incoming, local))
+            report.updated++
+        } else {
+            report.kept++
+        }
+    }
+
+    const removedIds = strategy === 'replace'
+        ? localRecords.filter(r => !incomingIds.has(r.id)).map(r => r.id)
+        : []
+    report.removed = removedIds.length
+
+    return { records, removedIds, report }
+}
+
+/**
+ * Restore a validated backup
+ * All IndexedDB writes happen in one transaction, so a failure leaves local data untouched.
+ * @param {Object} backup - The `backup` returned by validateBackup
+ * @param {Object<string, string>} strategies - Strategy per entity type id (default: merge-newest)
+ * @returns {Promise<Object<string, {added: number, updated: number, removed: number, unchanged: number, kept: number}>>}
+ */
+export async function restoreBackup(backup, strategies = {}) {
+    const { valid, errors, counts } = validateBackup(backup)
+    if (!valid) {
+        throw new Error('Invalid backup: ' + errors[0])
+    }
+
+    const db = await initDatabase()
+    const backupTime = backup.exportDate ? new Date(backup.exportDate).getTime() : 0
+    const report = {}
+    const writes = []
+
+    // Plan IndexedDB changes
+    for (const storeName of Object.keys(STORE_SCHEMAS)) {
+        const strategy = strategies[storeName] || 'merge-newest'
+        const incoming = backup.stores[storeName]
+        if (strategy === 'skip' || counts[storeName] === undefined) continue
+
+        const local = await getAllFromStore(storeName)
+        const result = mergeRecords(local, incoming, strategy, backupTime)
+        writes.push({ storeName, ...result })
+        report[storeName] = result.report
+    }
+
+    // Apply IndexedDB changes atomically
+    if (writes.length > 0) {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(writes.map(w => w.storeName), 'readwrite')
+            transaction.oncomplete = () => resolve()
+            transaction.onerror = () => reject(new Error('Failed to restore backup: ' + transaction.error))
+            transaction.onabort = () => reject(new Error('Restore aborted: ' + transaction.error))
+
+            for (const { storeName, records, removedIds } of writes) {
+                const store = transaction.objectStore(storeName)
+                removedIds.forEach(id => store.delete(id))
+                records.forEach(record => store.put(record))
+            }
+        })
+
+        // Merged records can mix local and backup progress, so rebuild the aggregates
+        if (writes.some(w => ['courses', 'modules', 'videos'].includes(w.storeName))) {
+            await recalculateAllCoursesProgress()
+        }
+
+        // Restored videos and notes bypass the write hooks that keep search up to date
+        if (writes.some(w => ['videos', 'notes'].includes(w.storeName))) {
+            await rebuildSearchIndex()
+        }
+    }
+
+    // Apply localStorage changes once the database restore has succeeded
+    const storage = backup.localStorage || {}
+    for (const [entityId, entity] of Object.entries(STORAGE_ENTITIES)) {
+        const strategy = strategies[entityId] || 'merge-newest'
+        if (strategy === 'skip' || counts[entityId] === undefined) continue
+
+        if (entity.kind === 'keys') {
+            const entityReport = { added: 0, updated: 0, removed: 0, unchanged: 0, kept: 0 }
+            for (const key of entity.keys) {
+                const incoming = storage[key]
+                const local = localStorage.getItem(key)
+                if (incoming === undefined) {
+                    if (strategy === 'replace' && local !== null) {
+                        localStorage.removeItem(key)
+                        entityReport.removed++
+                    }
+                    continue
+                }
+                if (local === null) {
+                    localStorage.setItem(key, incoming)
+                    entityReport.added++
+                } else if (local === incoming) {
+                    entityReport.unchanged++
+                } else if (strategy === 'merge-local') {
+                    entityReport.kept++
+                } else {
+                    localStorage.setItem(key, incoming)
+                    entityReport.updated++
+                }
+            }
+            report[entityId] = entityReport
+            continue
+        }
+
+        const incomingValue = JSON.parse(storage[entity.key])
+        const localParsed = parseJSON(localStorage.getItem(entity.key))
+        const localValue = localParsed.ok ? localParsed.value : null
+
+        if (entity.kind === 'list') {
+            const localList = Array.isArray(localValue) ? localValue : []
+            const result = mergeRecords(localList, incomingValue, strategy, backupTime)
+            const removed = new Set(result.removedIds)
+            const replacedById = new Map(result.records.map(r => [r.id, r]))
+            const merged = [
+                ...localList.filter(r => !removed.has(r.id)).map(r => replacedById.get(r.id) || r),
+                ...result.records.filter(r => !localList.some(l => l.id === r.id))
+            ]
+            localStorage.setItem(entity.key, JSON.stringify(merged))
+            for (const extraKey of entity.extraKeys || []) {
+                if (storage[extraKey] !== undefined && (strategy === 'replace' || localStorage.getItem(extraKey) === null)) {
+                    localStorage.setItem(extraKey, storage[extraKey])
+                }
+            }
+            report[entityId] = result.report
+        } else if (entity.kind === 'object') {
+            const result = mergeRecords(
+                localValue ? [{ ...localValue, id: entity.key }] : [],
+                [{ ...incomingValue, id: entity.key }],
+                strategy,
+                backupTime
+            )
+            if (result.records.length > 0) {
+                // The id only keyed the merge
+                const value = { ...result.records[0] }
+                delete value.id
+                localStorage.setItem(entity.key, JSON.stringify(value))
+            }
+            report[entityId] = result.report
+        } else if (entity.kind === 'fields') {
+            // Field-level merge: settings carry no timestamps, so "newest" prefers the backup
+            const localFields = localValue && typeof localValue === 'object' ? localValue : {}
+            const value = strategy === 'replace'
+                ? incomingValue
+                : strategy === 'merge-local'
+                    ? { ...incomingValue, ...localFields }
+                    : { ...localFields, ...incomingValue }
+            const changed = Object.keys({ ...localFields, ...value })
+                .filter(key => JSON.stringify(localFields[key]) !== JSON.stringify(value[key]))
+            localStorage.setItem(entity.key, JSON.stringify(value))
+            report[entityId] = {
+                added: changed.filter(key => !(key in localFields)).length,
+                updated: changed.filter(key => key in localFields && key in value).length,
+                removed: changed.filter(key => !(key in value)).length,
+                unchanged: Object.keys(value).length - changed.filter(key => key in value).length,
+                kept: 0
+            }
+        }
+    }
+
+    return report
+}
@@ -0,0 +1,410 @@
+/**
+ * Video Chapters
+ *
+ * Chapters come from three places, in order of preference:
+ * - chapter metadata embedded in the video file (MP4 Nero `chpl` or Matroska
+ *   Chapters), read once when a local video first plays
+ * - topic boundaries the summary provider finds in the video's captions, on request
+ * - timestamp lists in the video's description, as YouTube writes them
+ *
+ * Embedded and detected chapters are saved on the video record as `chapters`
+ * ([{start, title}], start in seconds) with `chaptersSource`; an empty list marks
+ * a file that has been read and has none. Description chapters are parsed on the fly.
+ */
+
+import { getVideo, updateVideo } from './db'
+import { getActiveSummaryProvider, getProviderConfigError, generateWithProvider } from './summaryProviders'
+import { segmentTranscript } from './transcriptSegmentation'
+
+// "1:02:03" or "12:30", optionally in brackets
+const TIMESTAMP = String.raw`[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?`
+// "0:00 Intro", "- 12:30 - Setup", "(1:02:03) Wrap up"
+const TIMESTAMP_FIRST = new RegExp(String.raw`^\s*(?:[-*•▶►]\s*)?${TIMESTAMP}\s*(?:[-–—:|.]\s*)?(.+?)\s*$`)
+// "Intro - 0:00"
+const TIMESTAMP_LAST = new RegExp(String.raw`^\s*(?:[-*•▶►]\s*)?(.+?)\s*(?:[-–—:|]\s*)?${TIMESTAMP}\s*$`)
+
+// YouTube only shows description chapters when there are at least this many
+const MIN_DESCRIPTION_CHAPTERS = 3
+// Longest moov box read looking for MP4 chapters
+const MAX_MP4_HEADER_BYTES = 64 * 1024 * 1024
+// Top-level Matroska elements checked for Chapters when there is no SeekHead entry
+const MAX_MKV_SCAN_ELEMENTS = 64
+// Characters of each transcript line sent when detecting topics
+const MIN_LINE_CHARS = 80
+
+const MKV = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    CHAPTERS: 0x1043A770,
+    CLUSTER: 0x1F43B675,
+    EDITION_ENTRY: 0x45B9,
+    CHAPTER_ATOM: 0xB6,
+    CHAPTER_TIME_START: 0x91,
+    CHAPTER_FLAG_HIDDEN: 0x98,
+    CHAPTER_DISPLAY: 0x80,
+    CHAP_STRING: 0x85
+}
+
+/**
+ * Seconds in a "H:MM:SS" or "M:SS" timestamp
+ */
+function parseTimestamp(timestamp) {
+    return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+}
+
+/**
+ * Chapters listed one per line as a timestamp and a title, in the order written
+ * @param {string} text - A description or a model's reply
+ * @returns {Array<{start: number, title: string}>}
+ */
+export function parseChapterLines(text) {
+    if (!text) return []
+
+    const chapters = []
+    for (const line of text.replace(/\*\*/g, '').split('\n')) {
+        let match = TIMESTAMP_FIRST.exec(line)
+        let timestamp = match?.[1]
+        let title = match?.[2]
+        if (!match) {
+            match = TIMESTAMP_LAST.exec(line)
+            timestamp = match?.[2]
+            title = match?.[1]
+        }
+        title = title?.replace(/^[-–—:|.\s]+|[-–—:|\s]+$/g, '')
+        if (match && title) {
+            chapters.push({ start: parseTimestamp(timestamp), title })
+        }
+    }
+    return chapters
+}
+
+/**
+ * Chapters in a video description, by YouTube's rules: at least three
+ * timestamps, in order, the first at 0:00
+ * @returns {Array<{start: number, title: string}>}
+ */
+export function parseDescriptionChapters(description) {
+    const chapters = parseChapterLines(description)
+    if (chapters.length < MIN_DESCRIPTION_CHAPTERS || chapters[0].start !== 0) return []
+    const inOrder = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start)
+    return inOrder ? chapters : []
+}
+
+/**
+ * Sort chapters, dropping duplicates, untitled ones and any past the end
+ * @param {number} duration - Video length in seconds, 0 while unknown
+ */
+export function normalizeChapters(chapters, duration = 0) {
+    const sorted = chapters
+        .filter(chapter => chapter.title?.trim() && chapter.start >= 0 && (!duration || chapter.start < duration))
+        .map(chapter => ({ start: Math.round(chapter.start * 1000) / 1000, title: chapter.title.trim() }))
+        .sort((a, b) => a.start - b.start)
+    return sorted.filter((chapter, i) => i === 0 || chapter.start - sorted[i - 1].start >= 1)
+}
+
+/**
+ * Chapters to show for a video: saved ones, else its description's
+ * @param {Object} video - Video record
+ * @returns {{chapters: Array<{start: number, title: string}>, source: 'embedded'|'ai'|'description'|null}}
+ */
+export function getVideoChapters(video) {
+    if (video?.chapters?.length > 0) {
+        return { chapters: video.chapters, source: video.chaptersSource || null }
+    }
+    const chapters = parseDescriptionChapters(video?.description)
+    return { chapters, source: chapters.length > 0 ? 'description' : null }
+}
+
+/**
+ * Index of the chapter playing at a time
+ * @returns {number} -1 before the first chapter
+ */
+export function findChapterIndex(chapters, time) {
+    let index = -1
+    for (let i = 0; i < chapters.length && chapters[i].start <= time + 0.25; i++) index = i
+    return index
+}
+
+// ============= EMBEDDED CHAPTERS =============
+
+async function readBytes(file, start, length) {
+    const end = Math.min(file.size, start + length)
+    if (start >= end) return new Uint8Array(0)
+    return new Uint8Array(await file.slice(start, end).arrayBuffer())
+}
+
+function readUint(bytes, offset, length) {
+    let value = 0
+    for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i]
+    return value
+}
+
+/**
+ * Chapters stored in a video file's metadata
+ * Only the container formats' own chapter lists are read; MP4 chapters stored
+ * as a QuickTime text track are not.
+ * @param {File} file
+ * @returns {Promise<Array<{start: number, title: string}>>} Empty when the file has none
+ */
+export async function readEmbeddedChapters(file) {
+    const extension = file.name?.split('.').pop().toLowerCase()
+    if (['mkv', 'webm', 'mka'].includes(extension)) return readMatroskaChapters(file)
+    if (['mp4', 'm4v', 'mov', 'm4a'].includes(extension)) return readMp4Chapters(file)
+
+    // Unknown extension: tell the formats apart by their signature
+    const header = await readBytes(file, 0, 8)
+    if (readUint(header, 0, 4) === MKV.EBML) return readMatroskaChapters(file)
+    if (String.fromCharCode(...header.subarray(4, 8)) === 'ftyp') return readMp4Chapters(file)
+    return []
+}
+
+/**
+ * Child boxes of an MP4 box's payload
+ * @returns {Array<{type: string, start: number, end: number}>} Payload ranges within bytes
+ */
+function listMp4Boxes(bytes, start, end) {
+    const boxes = []
+    let offset = start
+    while (offset + 8 <= end) {
+        let size = readUint(bytes, offset, 4)
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+        let headerSize = 8
+        if (size === 1) {
+            size = readUint(bytes, offset + 8, 8)
+            headerSize = 16
+        } else if (size === 0) {
+            size = end - offset
+        }
+        if (size < headerSize || offset + size > end) break
+        boxes.push({ type, start: offset + headerSize, end: offset + size })
+        offset += size
+    }
+    return boxes
+}
+
+async function readMp4Chapters(file) {
+    // Find moov among the top-level boxes, reading only their headers
+    let offset = 0
+    let moov = null
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 16)
+        let size = readUint(header, 0, 4)
+        const type = String.fromCharCode(...header.subarray(4, 8))
+        let headerSize = 8
+        if (size === 1) {
+            size = readUint(header, 8, 8)
+            headerSize = 16
+        } else if (size === 0) {
+            size = file.size - offset
+        }
+        if (size < headerSize) return []
+        if (type === 'moov') {
+            moov = { start: offset + headerSize, size: size - headerSize }
+            break
+        }
+        offset += size
+    }
+    if (!moov || moov.size > MAX_MP4_HEADER_BYTES) return []
+
+    const bytes = await readBytes(file, moov.start, moov.size)
+    const udta = listMp4Boxes(bytes, 0, bytes.length).find(box => box.type === 'udta')
+    const chpl = udta && listMp4Boxes(bytes, udta.start, udta.end).find(box => box.type === 'chpl')
+    if (!chpl) return []
+
+    // Nero chapter list: version, flags, [reserved], count, then start (100ns units), title length, title
+    const version = bytes[chpl.start]
+    let position = chpl.start + 4 + (version ? 4 : 0)
+    const count = bytes[position++]
+    const decoder = new TextDecoder()
+    const chapters = []
+    for (let i = 0; i < count && position + 9 <= chpl.end; i++) {
+        const start = readUint(bytes, position, 8) / 1e7
+        const length = bytes[position + 8]
+        const title = decoder.decode(bytes.subarray(position + 9, Math.min(chpl.end, position + 9 + length)))
+        chapters.push({ start, title })
+        position += 9 + length
+    }
+    return normalizeChapters(chapters)
+}
+
+/**
+ * Read a Matroska variable-length integer
+ * @param {boolean} keepMarker - Element IDs keep their length marker, sizes drop it
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(bytes, offset, keepMarker) {
+    const first = bytes[offset]
+    if (!first) return null
+    let length = 1
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++
+    if (length > 8 || offset + length > bytes.length) return null
+
+    let value = keepMarker ? first : first & (0xFF >> length)
+    let allOnes = value === (0xFF >> length)
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i]
+        allOnes = allOnes && bytes[offset + i] === 0xFF
+    }
+    return { value, length, unknown: !keepMarker && allOnes }
+}
+
+/**
+ * Elements in a range of Matroska data
+ * @returns {Array<{id: number, start: number, end: number}>} Data ranges within bytes
+ */
+function listMatroskaElements(bytes, start, end) {
+    const elements = []
+    let offset = start
+    while (offset < end) {
+        const id = readVint(bytes, offset, true)
+        const size = id && readVint(bytes, offset + id.length, false)
+        if (!size || size.unknown) break
+        const dataStart = offset + id.length + size.length
+        elements.push({ id: id.value, start: dataStart, end: Math.min(end, dataStart + size.value) })
+        offset = dataStart + size.value
+    }
+    return elements
+}
+
+/**
+ * Read one element header straight from the file
+ * @returns {Promise<{id: number, dataStart: number, size: number|null}|null>} size is null when unknown
+ */
+async function readMatroskaHeader(file, offset) {
+    const bytes = await readBytes(file, offset, 12)
+    const id = readVint(bytes, 0, true)
+    const size = id && readVint(bytes, id.length, false)
+    if (!size) return null
+    return { id: id.value, dataStart: offset + id.length + size.length, size: size.unknown ? null : size.value }
+}
+
+async function readMatroskaChapters(file) {
+    const ebml = await readMatroskaHeader(file, 0)
+    if (ebml?.id !== MKV.EBML || ebml.size === null) return []
+    const segment = await readMatroskaHeader(file, ebml.dataStart + ebml.size)
+    if (segment?.id !== MKV.SEGMENT) return []
+    const segmentEnd = segment.size === null ? file.size : segment.dataStart + segment.size
+
+    // Chapters are usually listed in the SeekHead; otherwise look before the first cluster
+    let chaptersOffset = null
+    let offset = segment.dataStart
+    for (let i = 0; i < MAX_MKV_SCAN_ELEMENTS && offset < segmentEnd; i++) {
+        const header = await readMatroskaHeader(file, offset)
+        if (!header || header.size === null || header.id === MKV.CLUSTER) break
+        if (header.id === MKV.CHAPTERS) {
+            chaptersOffset = offset
+            break
+        }
+        if (header.id === MKV.SEEK_HEAD && chaptersOffset === null) {
+            const seekHead = await readBytes(file, header.dataStart, header.size)
+            for (const seek of listMatroskaElements(seekHead, 0, seekHead.length).filter(e => e.id === MKV.SEEK)) {
+                const fields = listMatroskaElements(seekHead, seek.start, seek.end)
+                const seekId = fields.find(e => e.id === MKV.SEEK_ID)
+                const position = fields.find(e => e.id === MKV.SEEK_POSITION)
+                if (seekId && position && readUint(seekHead, seekId.start, seekId.end - seekId.start) === MKV.CHAPTERS) {
+                    chaptersOffset = segment.dataStart + readUint(seekHead, position.start, position.end - position.start)
+                }
+            }
+            if (chaptersOffset !== null) break
+        }
+        offset = header.dataStart + header.size
+    }
+    if (chaptersOffset === null) return []
+
+    const header = await readMatroskaHeader(file, chaptersOffset)
+    if (header?.id !== MKV.CHAPTERS || header.size === null) return []
+    const bytes = await readBytes(file, header.dataStart, header.size)
+
+    // The first edition's visible top-level chapters
+    const edition = listMatroskaElements(bytes, 0, bytes.length).find(e => e.id === MKV.EDITION_ENTRY)
+    if (!edition) return []
+    const decoder = new TextDecoder()
+    const chapters = []
+    for (const atom of listMatroskaElements(bytes, edition.start, edition.end).filter(e => e.id === MKV.CHAPTER_ATOM)) {
+        const fields = listMatroskaElements(bytes, atom.start, atom.end)
+        const start = fields.find(e => e.id === MKV.CHAPTER_TIME_START)
+        const hidden = fields.find(e => e.id === MKV.CHAPTER_FLAG_HIDDEN)
+        if (!start || (hidden && readUint(bytes, hidden.start, hidden.end - hidden.start))) continue
+
+        const display = fields.find(e => e.id === MKV.CHAPTER_DISPLAY)
+        const title = display && listMatroskaElements(bytes, display.start, display.end).find(e => e.id === MKV.CHAP_STRING)
+        chapters.push({
+            start: readUint(bytes, start.start, start.end - start.start) / 1e9,
+            title: title ? decoder.decode(bytes.subarray(title.start, title.end)) : `Chapter ${chapters.length + 1}`
+        })
+    }
+    return normalizeChapters(chapters)
+}
+
+// ============= DETECTED CHAPTERS =============
+
+function formatTimestamp(seconds) {
+    const h = Math.floor(seconds / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = Math.floor(seconds % 60)
+    return h > 0
+        ? `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`
+        : `${m}:${s.toString().padStart(2, '0')}`
+}
+
+/**
+ * Prompt listing the transcript as timestamped lines, fitted to the provider's input limit
+ * Paragraphs are merged and shortened until every part of the video is represented.
+ */
+function buildChapterPrompt(paragraphs, maxInputChars) {
+    const instructions = `Below is a timestamped video lecture transcript. Split the lecture into chapters where the topic changes. Reply with one chapter per line as "M:SS Title" (or "H:MM:SS Title"), using the timestamp of the line where the topic starts and a short title of at most six words. The first chapter starts at 0:00. Reply with the chapter list only.
+
+**Transcript:**
+
+`
+    const available = Math.max(MIN_LINE_CHARS, maxInputChars - instructions.length)
+    const perGroup = Math.max(1, Math.ceil(paragraphs.length * MIN_LINE_CHARS / available))
+
+    const lines = []
+    for (let i = 0; i < paragraphs.length; i += perGroup) {
+        const group = paragraphs.slice(i, i + perGroup)
+        lines.push({ start: group[0].start, text: group.map(p => p.text).join(' ') })
+    }
+    const lineChars = Math.floor(available / lines.length) - 10
+    return instructions + lines
+        .map(line => `${formatTimestamp(line.start)} ${line.text.slice(0, lineChars)}`)
+        .join('\n')
+}
+
+/**
+ * Find topic changes in a video's captions with the summary provider and save them as its chapters
+ * @param {string} videoId
+ * @param {Function} onProgress - Progress callback, as for summaries
+ * @returns {Promise<Array<{start: number, title: string}>>}
+ */
+export async function detectTopicChapters(videoId, onProgress) {
+    const video = await getVideo(videoId)
+    if (!video?.captionChunks?.length) {
+        throw new Error('Transcribe this video first: chapters are detected from its captions.')
+    }
+
+    const active = getActiveSummaryProvider()
+    const configError = getProviderConfigError(active.provider, active.settings)
+    if (configError) {
+        throw new Error(configError)
+    }
+
+    const paragraphs = video.transcriptParagraphs?.length > 0
+        ? video.transcriptParagraphs
+        : segmentTranscript(video.captionChunks)
+    const prompt = buildChapterPrompt(paragraphs, active.provider.maxInputChars)
+    const reply = await generateWithProvider(prompt, onProgress, active)
+
+    const chapters = normalizeChapters(parseChapterLines(reply), video.duration)
+    if (chapters.length < 2) {
+        throw new Error('No topic changes were found in the transcript.')
+    }
+    chapters[0].start = 0
+
+    await updateVideo(videoId, { chapters, chaptersSource: 'ai' })
+    return chapters
+}
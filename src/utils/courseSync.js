@@ -0,0 +1,235 @@
+/**
+ * Course Folder Sync
+ *
+ * Compares a fresh scan of a course folder (scanCourseFolder / scanFolderFromFiles)
+ * with the stored modules and videos and builds a sync plan:
+ * - videos are matched by their path relative to the course folder
+ * - leftover videos with the same size and duration are treated as renamed or moved
+ * - anything still unmatched is added or removed
+ *
+ * Matched videos keep their ids, so progress, notes, favorites and transcripts
+ * stay attached. The plan is applied with applyCourseSync in db.js.
+ */
+
+import { cleanModuleTitle, getVideoTitleFromPath } from './fileSystem'
+
+// Durations are read from metadata and floored, allow for rounding differences
+const DURATION_TOLERANCE = 1
+
+/**
+ * Remove the course folder name from a relative path
+ * The course folder itself may have been renamed, so it is not part of the match.
+ */
+function stripCourseFolder(relativePath) {
+    return relativePath.split('/').slice(1).join('/')
+}
+
+/**
+ * Directory part of a path ('' for files at the course root)
+ */
+function getDirectory(path) {
+    const index = path.lastIndexOf('/')
+    return index === -1 ? '' : path.slice(0, index)
+}
+
+/**
+ * Folder of a stored module, relative to the course folder
+ */
+function getStoredModuleDirectory(module, course) {
+    if (typeof module.folderPath === 'string') return module.folderPath
+
+    // Imported before nested folders were scanned: one folder per module
+    const name = module.originalTitle
+    // Root videos were imported as a "Main Content" module
+    if (!name || name === course.originalTitle || name === 'Main Content') return ''
+    return name
+}
+
+/**
+ * Path of a stored video, relative to the course folder
+ * Imports made with the File System Access API had no relativePath, so it is
+ * rebuilt from the module folder and file name.
+ */
+function getStoredVideoPath(video, moduleDirectory) {
+    if (video.relativePath) return stripCourseFolder(video.relativePath)
+    const fileName = video.fileName || video.originalTitle || ''
+    return moduleDirectory ? `${moduleDirectory}/${fileName}` : fileName
+}
+
+/**
+ * Check whether two videos are likely the same file under another name
+ */
+function isSameFile(stored, scanned) {
+    const hasSizes = stored.fileSize > 0 && scanned.fileSize > 0
+    const hasDurations = stored.duration > 0 && scanned.duration > 0
+    if (!hasSizes && !hasDurations) return false
+
+    if (hasSizes && stored.fileSize !== scanned.fileSize) return false
+    if (hasDurations && Math.abs(stored.duration - scanned.duration) > DURATION_TOLERANCE) return false
+    return true
+}
+
+/**
+ * Check whether a file at the same path has different contents
+ */
+function hasFileChanged(stored, scanned) {
+    if (stored.fileSize > 0 && scanned.fileSize > 0 && stored.fileSize !== scanned.fileSize) return true
+    if (stored.duration > 0 && scanned.duration > 0 && Math.abs(stored.duration - scanned.duration) > DURATION_TOLERANCE) return true
+    return false
+}
+
+/**
+ * Keep titles the user edited; only follow the file or folder name when
+ * the stored title is still the one generated from the old name
+ */
+function getSyncedTitle(stored, storedTitleFromName, scannedTitle) {
+    return stored.title === storedTitleFromName ? scannedTitle : stored.title
+}
+
+/**
+ * Compare a stored course with a fresh scan of its folder
+ * @param {Object} stored
+ * @param {Object} stored.course - Course record
+ * @param {Array} stored.modules - Module records of the course
+ * @param {Array} stored.videos - Video records of the course
+ * @param {Object} scanned - Course structure from scanCourseFolder or scanFolderFromFiles
+ * @returns {Object} Sync plan with modules, videos, removed records and a summary
+ */
+export function diffCourseFolder({ course, modules, videos }, scanned) {
+    const moduleDirectories = new Map(modules.map(m => [m.id, getStoredModuleDirectory(m, course)]))
+    const storedPaths = new Map(videos.map(v => [v, getStoredVideoPath(v, moduleDirectories.get(v.moduleId) || '')]))
+    const getStoredVideoTitle = video =>
+        getVideoTitleFromPath(storedPaths.get(video), moduleDirectories.get(video.moduleId) || '')
+    const storedByPath = new Map()
+    videos.forEach(video => {
+        const path = storedPaths.get(video)
+        if (!storedByPath.has(path)) storedByPath.set(path, video)
+    })
+
+    const entries = scanned.modules.flatMap((module, moduleIndex) =>
+        (module.videos || []).map((video, order) => ({
+            video,
+            moduleIndex,
+            order,
+            path: stripCourseFolder(video.relativePath || `${scanned.originalTitle}/${video.fileName}`),
+            stored: null,
+            status: 'added'
+        }))
+    )
+    const unmatched = new Set(videos)
+
+    // Same path: the same video, possibly re-encoded
+    for (const entry of entries) {
+        const stored = storedByPath.get(entry.path)
+        if (stored && unmatched.has(stored)) {
+            unmatched.delete(stored)
+            entry.stored = stored
+            entry.status = hasFileChanged(stored, entry.video) ? 'changed' : 'unchanged'
+        }
+    }
+
+    // Same size and duration at another path: renamed or moved
+    for (const entry of entries.filter(e => !e.stored)) {
+        const candidates = [...unmatched].filter(stored => isSameFile(stored, entry.video))
+        if (candidates.length === 0) continue
+
+        const directory = getDirectory(entry.path)
+        const stored = candidates.find(c => getDirectory(storedPaths.get(c)) === directory) || candidates[0]
+        unmatched.delete(stored)
+        entry.stored = stored
+        entry.status = 'renamed'
+    }
+
+    // Modules are matched by folder; a renamed folder keeps the module its videos came from
+    const scannedDirectories = scanned.modules.map(module => module.folderPath)
+    const storedByDirectory = new Map(modules.map(m => [moduleDirectories.get(m.id), m]))
+    const usedModules = new Set()
+
+    const planModules = scanned.modules.map((module, moduleIndex) => {
+        let stored = storedByDirectory.get(scannedDirectories[moduleIndex])
+        let status = 'unchanged'
+
+        if (!stored || usedModules.has(stored)) {
+            const counts = new Map()
+            entries
+                .filter(e => e.moduleIndex === moduleIndex && e.stored)
+                .forEach(e => counts.set(e.stored.moduleId, (counts.get(e.stored.moduleId) || 0) + 1))
+
+            const sources = [...counts.entries()]
+                .map(([id, count]) => ({ module: modules.find(m => m.id === id), count }))
+                .filter(({ module }) => module && !usedModules.has(module) &&
+                    !scannedDirectories.includes(moduleDirectories.get(module.id)))
+                .sort((a, b) => b.count - a.count)
+
+            stored = sources[0]?.module || null
+            status = stored ? 'renamed' : 'added'
+        }
+        if (stored) usedModules.add(stored)
+
+        return {
+            id: stored?.id || null,
+            status,
+            title: stored
+                ? getSyncedTitle(stored, cleanModuleTitle(stored.originalTitle), module.title)
+                : module.title,
+            originalTitle: module.originalTitle,
+            folderPath: module.folderPath,
+            sectionPath: module.sectionPath || [],
+            previousOriginalTitle: stored?.originalTitle || null,
+            order: moduleIndex,
+            folderHandle: module.folderHandle || null,
+            resources: module.resources || []
+        }
+    })
+
+    const planVideos = entries.map(entry => ({
+        id: entry.stored?.id || null,
+        status: entry.status,
+        moduleIndex: entry.moduleIndex,
+        order: entry.order,
+        title: entry.stored
+            ? getSyncedTitle(entry.stored, getStoredVideoTitle(entry.stored), entry.video.title)
+            : entry.video.title,
+        path: entry.path,
+        previousPath: entry.stored ? storedPaths.get(entry.stored) : null,
+        file: {
+            fileName: entry.video.fileName,
+            originalTitle: entry.video.originalTitle,
+            relativePath: entry.video.relativePath,
+            fileSize: entry.video.fileSize || 0,
+            duration: entry.video.duration || 0,
+            fileHandle: entry.video.fileHandle || null,
+            subtitleTracks: entry.video.subtitleTracks || []
+        },
+        resources: entry.video.resources || []
+    }))
+
+    const removedVideos = [...unmatched].map(video => ({ ...video, path: storedPaths.get(video) }))
+    const removedModules = modules.filter(m => !usedModules.has(m))
+
+    const countVideos = status => planVideos.filter(v => v.status === status).length
+    const countModules = status => planModules.filter(m => m.status === status).length
+    const summary = {
+        added: countVideos('added'),
+        renamed: countVideos('renamed'),
+        changed: countVideos('changed'),
+        unchanged: countVideos('unchanged'),
+        removed: removedVideos.length,
+        modulesAdded: countModules('added'),
+        modulesRenamed: countModules('renamed'),
+        modulesRemoved: removedModules.length
+    }
+    summary.hasChanges = summary.added + summary.renamed + summary.changed + summary.removed +
+        summary.modulesAdded + summary.modulesRenamed + summary.modulesRemoved > 0
+
+    return {
+        folderName: scanned.originalTitle,
+        folderLayout: scanned.folderLayout,
+        folderHandle: scanned.folderHandle || null,
+        modules: planModules,
+        videos: planVideos,
+        removedVideos,
+        removedModules,
+        summary
+    }
+}
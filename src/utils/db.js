@@ -7,94 +7,53 @@
  * - videos: Video information with progress tracking
  * - notes: Timestamped notes for videos
  * - analytics: Daily learning statistics
- * - settings: User preferences (fallback to localStorage)
+ * - instructors: Deduplicated instructor avatars
+ * - handles: Persisted FileSystemDirectoryHandles
+ * - migrations: Log of applied schema migrations
+ * - resources: Companion files (slides, subtitles...) of modules and videos
+ * - aiJobs: Background transcription and summary queue
+ * - searchIndex: Full-text search documents for transcripts, summaries and notes
  */
 
+import { getDateKey } from './timeUtils'
+import { getProgressMode, summarizeVideos, calculateCompletionPercentage, applyVideoChange } from './progress'
+import { openMigratedDatabase, getLatestVersion, MIGRATION_LOG_STORE } from './migrations'
+import {
+    SEARCH_INDEX_STORE, INDEXED_VIDEO_FIELDS, buildVideoDocuments, buildNoteDocuments,
+    parseSearchQuery, rankDocuments, buildSnippet
+} from './searchIndex'
+
 const DB_NAME = 'mearn_db'
-const DB_VERSION = 4  // Upgraded to add handles store for persistent folder access
+export const DB_VERSION = getLatestVersion()  // Schema version comes from the migrations list
 
 // Database instance singleton
 let dbInstance = null
 
 /**
  * Initialize and return the database connection
+ * Pending migrations run inside the upgrade transaction (see migrations.js)
  */
 export async function initDatabase() {
     if (dbInstance) return dbInstance
 
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION)
-
-        request.onerror = () => {
-            reject(new Error('Failed to open database: ' + request.error))
-        }
-
-        request.onsuccess = () => {
-            dbInstance = request.result
-            resolve(dbInstance)
-        }
-
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result
-
-            // Courses store
-            if (!db.objectStoreNames.contains('courses')) {
-                const coursesStore = db.createObjectStore('courses', { keyPath: 'id' })
-                coursesStore.createIndex('title', 'title', { unique: false })
-                coursesStore.createIndex('lastAccessed', 'lastAccessed', { unique: false })
-                coursesStore.createIndex('dateAdded', 'dateAdded', { unique: false })
-                coursesStore.createIndex('order', 'order', { unique: false })
-            } else {
-                // Version 3 upgrade: Add order index to existing store
-                const txn = event.target.transaction
-                const coursesStore = txn.objectStore('courses')
-                if (!coursesStore.indexNames.contains('order')) {
-                    coursesStore.createIndex('order', 'order', { unique: false })
-                }
-            }
-
-            // Modules store
-            if (!db.objectStoreNames.contains('modules')) {
-                const modulesStore = db.createObjectStore('modules', { keyPath: 'id' })
-                modulesStore.createIndex('courseId', 'courseId', { unique: false })
-                modulesStore.createIndex('order', 'order', { unique: false })
-            }
-
-            // Videos store
-            if (!db.objectStoreNames.contains('videos')) {
-                const videosStore = db.createObjectStore('videos', { keyPath: 'id' })
-                videosStore.createIndex('courseId', 'courseId', { unique: false })
-                videosStore.createIndex('moduleId', 'moduleId', { unique: false })
-                videosStore.createIndex('isCompleted', 'isCompleted', { unique: false })
-                videosStore.createIndex('lastWatchedAt', 'lastWatchedAt', { unique: false })
-            }
-
-            // Notes store
-            if (!db.objectStoreNames.contains('notes')) {
-                const notesStore = db.createObjectStore('notes', { keyPath: 'id' })
-                notesStore.createIndex('videoId', 'videoId', { unique: false })
-                notesStore.createIndex('courseId', 'courseId', { unique: false })
-                notesStore.createIndex('timestamp', 'timestamp', { unique: false })
-            }
+    dbInstance = await openMigratedDatabase(DB_NAME, { version: DB_VERSION })
+    return dbInstance
+}
 
-            // Analytics store
-            if (!db.objectStoreNames.contains('analytics')) {
-                const analyticsStore = db.createObjectStore('analytics', { keyPath: 'id' })
-                analyticsStore.createIndex('date', 'date', { unique: true })
-            }
+/**
+ * Get the log of applied database migrations, oldest first
+ * @returns {Promise<Array<{version: number, description: string, fromVersion: number, appliedAt: string, durationMs: number, recordsChanged: number}>>}
+ */
+export async function getMigrationLog() {
+    const db = await initDatabase()
 
-            // Instructors store (for avatar storage)
-            if (!db.objectStoreNames.contains('instructors')) {
-                const instructorsStore = db.createObjectStore('instructors', { keyPath: 'id' })
-                instructorsStore.createIndex('name', 'name', { unique: true })
-            }
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([MIGRATION_LOG_STORE], 'readonly')
+        const store = transaction.objectStore(MIGRATION_LOG_STORE)
+        const request = store.getAll()
 
-            // Handles store (for persisting FileSystemDirectoryHandle across sessions)
-            // Version 4 upgrade
-            if (!db.objectStoreNames.contains('handles')) {
-                db.createObjectStore('handles', { keyPath: 'id' })
-            }
-        }
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => reject(new Error('Failed to get migration log: ' + request.error))
     })
 }
 
@@ -112,7 +71,23 @@ export function generateId(prefix = '') {
  */
 export async function addCourse(courseData) {
     const db = await initDatabase()
-    const course = {
+    const course = buildCourseRecord(courseData)
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['courses'], 'readwrite')
+        const store = transaction.objectStore('courses')
+        const request = store.add(course)
+
+        request.onsuccess = () => resolve(course)
+        request.onerror = () => reject(new Error('Failed to add course: ' + request.error))
+    })
+}
+
+/**
+ * Build a new course record with defaults
+ */
+function buildCourseRecord(courseData) {
+    return {
         id: generateId('course_'),
         title: courseData.title || 'Untitled Course',
         originalTitle: courseData.originalTitle || courseData.title,
@@ -123,12 +98,15 @@ export async function addCourse(courseData) {
         tags: courseData.tags || [],
         thumbnailData: courseData.thumbnailData || null,
         folderHandle: courseData.folderHandle || null,
+        source: courseData.source || 'local', // 'local', 'youtube' or 'drive'
+        folderLayout: courseData.folderLayout || null, // 'sections' or 'flatten' for scanned folders
         dateAdded: new Date().toISOString(),
         dateModified: new Date().toISOString(),
         lastAccessed: new Date().toISOString(),
         totalDuration: courseData.totalDuration || 0,
         totalVideos: courseData.totalVideos || 0,
         completedVideos: 0,
+        watchedDuration: 0,
         completionPercentage: 0,
         customMetadata: courseData.customMetadata || {},
         settings: {
@@ -137,15 +115,6 @@ export async function addCourse(courseData) {
             ...courseData.settings
         }
     }
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['courses'], 'readwrite')
-        const store = transaction.objectStore('courses')
-        const request = store.add(course)
-
-        request.onsuccess = () => resolve(course)
-        request.onerror = () => reject(new Error('Failed to add course: ' + request.error))
-    })
 }
 
 /**
@@ -225,6 +194,9 @@ export async function deleteCourse(courseId) {
         await deleteModule(module.id)
     }
 
+    await deleteResourcesByCourse(courseId)
+    await deleteAIJobsByCourse(courseId)
+
     // Delete the course
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(['courses'], 'readwrite')
@@ -243,7 +215,23 @@ export async function deleteCourse(courseId) {
  */
 export async function addModule(moduleData) {
     const db = await initDatabase()
-    const module = {
+    const module = buildModuleRecord(moduleData)
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['modules'], 'readwrite')
+        const store = transaction.objectStore('modules')
+        const request = store.add(module)
+
+        request.onsuccess = () => resolve(module)
+        request.onerror = () => reject(new Error('Failed to add module: ' + request.error))
+    })
+}
+
+/**
+ * Build a new module record with defaults
+ */
+function buildModuleRecord(moduleData) {
+    return {
         id: generateId('module_'),
         courseId: moduleData.courseId,
         title: moduleData.title || 'Untitled Module',
@@ -252,20 +240,15 @@ export async function addModule(moduleData) {
         thumbnailData: moduleData.thumbnailData || null,
         order: moduleData.order || 0,
         folderHandle: moduleData.folderHandle || null,
+        folderPath: moduleData.folderPath ?? null, // relative to the course folder
+        sectionPath: moduleData.sectionPath || [], // titles of the parent sections
         totalDuration: moduleData.totalDuration || 0,
         totalVideos: moduleData.totalVideos || 0,
         completedVideos: 0,
+        watchedDuration: 0,
+        completionPercentage: 0,
         dateAdded: new Date().toISOString()
     }
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['modules'], 'readwrite')
-        const store = transaction.objectStore('modules')
-        const request = store.add(module)
-
-        request.onsuccess = () => resolve(module)
-        request.onerror = () => reject(new Error('Failed to add module: ' + request.error))
-    })
 }
 
 /**
@@ -341,7 +324,23 @@ export async function deleteModule(moduleId) {
  */
 export async function addVideo(videoData) {
     const db = await initDatabase()
-    const video = {
+    const video = buildVideoRecord(videoData)
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['videos'], 'readwrite')
+        const store = transaction.objectStore('videos')
+        const request = store.add(video)
+
+        request.onsuccess = () => resolve(video)
+        request.onerror = () => reject(new Error('Failed to add video: ' + request.error))
+    })
+}
+
+/**
+ * Build a new video record with defaults
+ */
+function buildVideoRecord(videoData) {
+    return {
         id: generateId('video_'),
         courseId: videoData.courseId,
         moduleId: videoData.moduleId,
@@ -349,6 +348,7 @@ export async function addVideo(videoData) {
         originalTitle: videoData.originalTitle || videoData.title,
         description: videoData.description || '',
         fileName: videoData.fileName || '',
+        relativePath: videoData.relativePath || null,
         fileHandle: videoData.fileHandle || null,
         fileSize: videoData.fileSize || 0,
         duration: videoData.duration || 0,
@@ -363,18 +363,11 @@ export async function addVideo(videoData) {
         watchCount: 0,
         tags: videoData.tags || [],
         bookmarks: [],
+        subtitleTracks: videoData.subtitleTracks || [], // parsed .srt/.vtt files, see subtitles.js
         youtubeId: videoData.youtubeId || null,
+        driveFileId: videoData.driveFileId || null,
         url: videoData.url || null
     }
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['videos'], 'readwrite')
-        const store = transaction.objectStore('videos')
-        const request = store.add(video)
-
-        request.onsuccess = () => resolve(video)
-        request.onerror = () => reject(new Error('Failed to add video: ' + request.error))
-    })
 }
 
 /**
@@ -410,6 +403,22 @@ export async function getVideosByCourse(courseId) {
     })
 }
 
+/**
+ * Get every video in the library
+ */
+export async function getAllVideos() {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['videos'], 'readonly')
+        const store = transaction.objectStore('videos')
+        const request = store.getAll()
+
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => reject(new Error('Failed to get videos: ' + request.error))
+    })
+}
+
 /**
  * Get videos by module ID
  */
@@ -434,65 +443,152 @@ export async function getVideosByModule(moduleId) {
 
 /**
  * Update video progress
+ * The course and module progress aggregates are updated in the same transaction.
  */
 export async function updateVideoProgress(videoId, currentTime, duration) {
-    const video = await getVideo(videoId)
-    if (!video) {
-        throw new Error('Video not found')
-    }
-
     const watchProgress = duration > 0 ? currentTime / duration : 0
 
-    const updates = {
+    const { video } = await updateVideoWithProgress(videoId, previous => ({
         watchProgress,
         lastWatchedPosition: currentTime,
         lastWatchedAt: new Date().toISOString(),
-        watchCount: video.watchCount + (video.lastWatchedPosition === 0 ? 1 : 0)
-    }
+        watchCount: previous.watchCount + (previous.lastWatchedPosition === 0 ? 1 : 0)
+    }))
 
-    return updateVideo(videoId, updates)
+    return video
 }
 
 /**
  * Mark video as complete
+ * The course and module progress aggregates are updated in the same transaction.
  */
 export async function markVideoComplete(videoId, isCompleted = true) {
-    const updates = {
+    const { previous, video } = await updateVideoWithProgress(videoId, () => ({
         isCompleted,
         completedAt: isCompleted ? new Date().toISOString() : null,
         watchProgress: isCompleted ? 1 : undefined
+    }))
+
+    // Count newly completed videos towards today's analytics
+    if (isCompleted && !previous.isCompleted) {
+        await recordLearningActivity({
+            videosCompleted: 1,
+            courseId: video.courseId,
+            videoId
+        }).catch(err => console.error('Failed to record completion:', err))
     }
 
-    const video = await updateVideo(videoId, updates)
+    return video
+}
 
-    // Get progress calculation mode from settings
-    let progressMode = 'videos'
-    try {
-        const savedSettings = localStorage.getItem('mearn_settings')
-        if (savedSettings) {
-            const settings = JSON.parse(savedSettings)
-            progressMode = settings.progressCalculationMode || 'videos'
+/**
+ * Mark every video of a module as complete
+ * The module and course progress aggregates are rebuilt in the same transaction.
+ * @returns {Promise<number>} Number of videos that were not complete yet
+ */
+export async function markModuleComplete(moduleId) {
+    const progressMode = getProgressMode()
+
+    const result = await runBatch(['videos', 'modules', 'courses'], 'mark module complete', (transaction, fail) => {
+        const changed = { count: 0, courseId: null }
+        const videoStore = transaction.objectStore('videos')
+        const moduleRequest = transaction.objectStore('modules').get(moduleId)
+
+        moduleRequest.onsuccess = () => {
+            const module = moduleRequest.result
+            if (!module) {
+                fail('Module not found')
+                return
+            }
+            changed.courseId = module.courseId
+
+            whenLoaded({
+                course: transaction.objectStore('courses').get(module.courseId),
+                videos: videoStore.index('courseId').getAll(module.courseId)
+            }, ({ course, videos }) => {
+                const completedAt = new Date().toISOString()
+                const updated = videos.map(video => {
+                    if (video.moduleId !== moduleId || video.isCompleted) return video
+                    const completed = { ...video, isCompleted: true, completedAt, watchProgress: 1 }
+                    videoStore.put(completed)
+                    changed.count++
+                    return completed
+                })
+                writeProgressAggregates(transaction, course ? [{ ...course, dateModified: completedAt }] : [], [module], updated, progressMode)
+            })
         }
-    } catch (e) {
-        // Ignore parsing errors, use default
+
+        return changed
+    })
+
+    if (result.count > 0) {
+        await recordLearningActivity({
+            videosCompleted: result.count,
+            courseId: result.courseId
+        }).catch(err => console.error('Failed to record completion:', err))
     }
 
-    // Update course and module completion counts
-    await recalculateCourseProgress(video.courseId, progressMode)
+    return result.count
+}
 
-    return video
+/**
+ * Update a video and apply the change to its module and course progress atomically
+ * @param {string} videoId - Video to update
+ * @param {Function} getUpdates - (previousVideo) => fields to update
+ * @returns {Promise<{previous: Object, video: Object}>}
+ */
+async function updateVideoWithProgress(videoId, getUpdates) {
+    const progressMode = getProgressMode()
+
+    return runBatch(['videos', 'modules', 'courses'], 'update video', (transaction, fail) => {
+        const result = {}
+        const videoStore = transaction.objectStore('videos')
+        const getRequest = videoStore.get(videoId)
+
+        getRequest.onsuccess = () => {
+            const previous = getRequest.result
+            if (!previous) {
+                fail('Video not found')
+                return
+            }
+
+            const video = { ...previous, ...getUpdates(previous) }
+            videoStore.put(video)
+            result.previous = previous
+            result.video = video
+
+            const moduleStore = transaction.objectStore('modules')
+            const moduleRequest = moduleStore.get(video.moduleId)
+            moduleRequest.onsuccess = () => {
+                const module = moduleRequest.result && applyVideoChange(moduleRequest.result, previous, video, progressMode)
+                if (module) moduleStore.put(module)
+            }
+
+            const courseStore = transaction.objectStore('courses')
+            const courseRequest = courseStore.get(video.courseId)
+            courseRequest.onsuccess = () => {
+                const course = courseRequest.result && applyVideoChange(courseRequest.result, previous, video, progressMode)
+                if (course) courseStore.put({ ...course, dateModified: new Date().toISOString() })
+            }
+        }
+
+        return result
+    })
 }
 
 /**
  * Update a video
+ * Updates to its transcript or summary re-index it for search in the same transaction.
  */
 export async function updateVideo(videoId, updates) {
     const db = await initDatabase()
+    const reindex = INDEXED_VIDEO_FIELDS.some(field => field in updates)
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['videos'], 'readwrite')
+        const transaction = db.transaction(reindex ? ['videos', SEARCH_INDEX_STORE] : ['videos'], 'readwrite')
         const store = transaction.objectStore('videos')
         const getRequest = store.get(videoId)
+        let updatedVideo = null
 
         getRequest.onsuccess = () => {
             const video = getRequest.result
@@ -501,117 +597,717 @@ export async function updateVideo(videoId, updates) {
                 return
             }
 
-            const updatedVideo = { ...video, ...updates }
+            updatedVideo = { ...video, ...updates }
             const putRequest = store.put(updatedVideo)
-
-            putRequest.onsuccess = () => resolve(updatedVideo)
             putRequest.onerror = () => reject(new Error('Failed to update video: ' + putRequest.error))
+
+            if (reindex) writeSearchDocuments(transaction, videoId, buildVideoDocuments(updatedVideo))
         }
         getRequest.onerror = () => reject(new Error('Failed to get video: ' + getRequest.error))
+        transaction.oncomplete = () => resolve(updatedVideo)
+        transaction.onabort = () => reject(new Error('Failed to update video: ' + transaction.error))
     })
 }
 
 /**
- * Delete a video
+ * Delete a video and its search documents
  */
 export async function deleteVideo(videoId) {
     const db = await initDatabase()
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['videos'], 'readwrite')
+        const transaction = db.transaction(['videos', SEARCH_INDEX_STORE], 'readwrite')
         const store = transaction.objectStore('videos')
         const request = store.delete(videoId)
+        writeSearchDocuments(transaction, videoId, [])
 
-        request.onsuccess = () => resolve(true)
         request.onerror = () => reject(new Error('Failed to delete video: ' + request.error))
+        transaction.oncomplete = () => resolve(true)
     })
 }
 
 /**
- * Recalculate course progress based on video completion
+ * Rebuild a course's progress aggregates from its videos
+ * Progress is normally kept up to date incrementally; this is the repair path.
  * @param {string} courseId - Course ID to recalculate
  * @param {string} progressMode - 'videos' for completed count, 'duration' for time-based
  */
-export async function recalculateCourseProgress(courseId, progressMode = 'videos') {
-    const videos = await getVideosByCourse(courseId)
-    const modules = await getModulesByCourse(courseId)
+export async function recalculateCourseProgress(courseId, progressMode = getProgressMode()) {
+    return runBatch(['courses', 'modules', 'videos'], 'recalculate course progress', (transaction) => {
+        whenLoaded({
+            course: transaction.objectStore('courses').get(courseId),
+            modules: transaction.objectStore('modules').index('courseId').getAll(courseId),
+            videos: transaction.objectStore('videos').index('courseId').getAll(courseId)
+        }, ({ course, modules, videos }) => {
+            writeProgressAggregates(transaction, course ? [course] : [], modules, videos, progressMode)
+        })
+    })
+}
+
+/**
+ * Rebuild progress aggregates for ALL courses in one transaction
+ * Repair command for aggregates that drifted out of sync with the videos
+ * @param {string} progressMode - 'videos' for completed count, 'duration' for time-based
+ * @returns {Promise<number>} Number of courses recalculated
+ */
+export async function recalculateAllCoursesProgress(progressMode = getProgressMode()) {
+    const stats = await runBatch(['courses', 'modules', 'videos'], 'recalculate progress', (transaction) => {
+        const stats = { courses: 0 }
+        whenLoaded({
+            courses: transaction.objectStore('courses').getAll(),
+            modules: transaction.objectStore('modules').getAll(),
+            videos: transaction.objectStore('videos').getAll()
+        }, ({ courses, modules, videos }) => {
+            writeProgressAggregates(transaction, courses, modules, videos, progressMode)
+            stats.courses = courses.length
+        })
+        return stats
+    })
+
+    return stats.courses
+}
 
-    const totalVideos = videos.length
-    const completedVideos = videos.filter(v => v.isCompleted).length
-    const totalDuration = videos.reduce((sum, v) => sum + (v.duration || 0), 0)
-
-    // Calculate completion percentage based on mode
-    let completionPercentage = 0
-    if (progressMode === 'duration') {
-        // Duration mode: calculate by actual time watched
-        // For completed videos, count full duration even if watchProgress wasn't set
-        const totalWatched = videos.reduce((sum, v) => {
-            const videoDuration = v.duration || 0
-            // If video is completed, count full duration; otherwise use watchProgress
-            const watchedTime = v.isCompleted
-                ? videoDuration
-                : videoDuration * (v.watchProgress || 0)
-            return sum + watchedTime
-        }, 0)
-        completionPercentage = totalDuration > 0 ? (totalWatched / totalDuration) * 100 : 0
-    } else {
-        // Videos mode (default): count completed videos
-        completionPercentage = totalVideos > 0 ? (completedVideos / totalVideos) * 100 : 0
+/**
+ * Switch every course and module to another progress calculation mode
+ * Only the stored aggregates are read, so no videos are loaded.
+ * @param {string} progressMode - 'videos' for completed count, 'duration' for time-based
+ * @returns {Promise<number>} Number of courses updated
+ */
+export async function applyProgressMode(progressMode) {
+    const stats = await runBatch(['courses', 'modules'], 'apply progress mode', (transaction) => {
+        const stats = { courses: 0 }
+        const courseStore = transaction.objectStore('courses')
+        const moduleStore = transaction.objectStore('modules')
+
+        whenLoaded({
+            courses: courseStore.getAll(),
+            modules: moduleStore.getAll()
+        }, ({ courses, modules }) => {
+            courses.forEach(course => {
+                courseStore.put({ ...course, completionPercentage: calculateCompletionPercentage(course, progressMode) })
+            })
+            modules.forEach(module => {
+                moduleStore.put({ ...module, completionPercentage: calculateCompletionPercentage(module, progressMode) })
+            })
+            stats.courses = courses.length
+        })
+        return stats
+    })
+
+    return stats.courses
+}
+
+/**
+ * Write freshly computed aggregates for courses and their modules
+ * Runs inside a readwrite transaction on courses and modules.
+ */
+function writeProgressAggregates(transaction, courses, modules, videos, progressMode) {
+    const videosByModule = new Map()
+    const videosByCourse = new Map()
+    for (const video of videos) {
+        if (!videosByModule.has(video.moduleId)) videosByModule.set(video.moduleId, [])
+        if (!videosByCourse.has(video.courseId)) videosByCourse.set(video.courseId, [])
+        videosByModule.get(video.moduleId).push(video)
+        videosByCourse.get(video.courseId).push(video)
     }
 
-    // Update course
-    await updateCourse(courseId, {
-        totalVideos,
-        completedVideos,
-        completionPercentage,
-        totalDuration
+    const moduleStore = transaction.objectStore('modules')
+    modules.forEach(module => {
+        const totals = summarizeVideos(videosByModule.get(module.id) || [])
+        moduleStore.put({ ...module, ...totals, completionPercentage: calculateCompletionPercentage(totals, progressMode) })
     })
 
-    // Update each module
-    for (const module of modules) {
-        const moduleVideos = videos.filter(v => v.moduleId === module.id)
-        const moduleTotalVideos = moduleVideos.length
-        const moduleCompletedVideos = moduleVideos.filter(v => v.isCompleted).length
-        const moduleTotalDuration = moduleVideos.reduce((sum, v) => sum + (v.duration || 0), 0)
-
-        // Calculate module completion percentage based on mode
-        let moduleCompletionPercentage = 0
-        if (progressMode === 'duration') {
-            const moduleWatched = moduleVideos.reduce((sum, v) => {
-                const videoDuration = v.duration || 0
-                // If video is completed, count full duration; otherwise use watchProgress
-                const watchedTime = v.isCompleted
-                    ? videoDuration
-                    : videoDuration * (v.watchProgress || 0)
-                return sum + watchedTime
-            }, 0)
-            moduleCompletionPercentage = moduleTotalDuration > 0 ? (moduleWatched / moduleTotalDuration) * 100 : 0
-        } else {
-            moduleCompletionPercentage = moduleTotalVideos > 0 ? (moduleCompletedVideos / moduleTotalVideos) * 100 : 0
+    const courseStore = transaction.objectStore('courses')
+    courses.forEach(course => {
+        const totals = summarizeVideos(videosByCourse.get(course.id) || [])
+        courseStore.put({ ...course, ...totals, completionPercentage: calculateCompletionPercentage(totals, progressMode) })
+    })
+}
+
+/**
+ * Call back once every request of a transaction has succeeded
+ * With no requests it calls back straight away. Failures abort the transaction, which the surrounding runBatch reports.
+ * @param {Object<string, IDBRequest>} requests
+ * @param {Function} callback - Receives the results keyed like the requests
+ */
+function whenLoaded(requests, callback) {
+    const entries = Object.entries(requests)
+    const results = {}
+    let pending = entries.length
+    if (pending === 0) {
+        callback(results)
+        return
+    }
+
+    entries.forEach(([key, request]) => {
+        request.onsuccess = () => {
+            results[key] = request.result
+            if (--pending === 0) callback(results)
+        }
+    })
+}
+
+// ============= BATCH WRITES =============
+
+/**
+ * Run a group of writes in one readwrite transaction
+ * Resolves with the writer's result once the transaction commits. A failed request,
+ * a thrown error or a call to fail() aborts the transaction, so nothing is kept.
+ * @param {string[]} storeNames - Stores the writer touches
+ * @param {string} action - Used in the error message ("Failed to <action>")
+ * @param {Function} write - (transaction, fail) => result
+ */
+async function runBatch(storeNames, action, write) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readwrite')
+        let result
+        let failure = null
+
+        function fail(message) {
+            failure = message
+            try {
+                transaction.abort()
+            } catch {
+                // Transaction already finished
+            }
         }
 
-        await updateModule(module.id, {
-            totalVideos: moduleTotalVideos,
-            completedVideos: moduleCompletedVideos,
-            totalDuration: moduleTotalDuration,
-            completionPercentage: moduleCompletionPercentage
+        transaction.oncomplete = () => resolve(result)
+        transaction.onabort = () => reject(new Error(`Failed to ${action}: ` + (failure || transaction.error)))
+
+        try {
+            result = write(transaction, fail)
+        } catch (err) {
+            fail(err.message)
+        }
+    })
+}
+
+/**
+ * Import a whole course tree (course, modules, videos and resources) atomically
+ * Either every record is written or, on any error, none are.
+ * @param {Object} courseData - Course fields, as for addCourse
+ * @param {Array} modules - Module fields, as for addModule, each with a `videos` array
+ *   of video fields as for addVideo. Modules and videos may carry a `resources`
+ *   array of resource fields. Ids and parent ids are assigned here.
+ * @returns {Promise<{course: Object, modules: Object[], videos: Object[], resources: Object[]}>}
+ */
+export async function importCourseTree(courseData, modules = []) {
+    const course = buildCourseRecord(courseData)
+    const moduleRecords = []
+    const videoRecords = []
+    const resourceRecords = []
+
+    modules.forEach((moduleData, moduleIndex) => {
+        const { videos = [], resources = [], ...fields } = moduleData
+        const module = buildModuleRecord({
+            order: moduleIndex,
+            ...fields,
+            courseId: course.id
         })
-    }
+        moduleRecords.push(module)
+        resourceRecords.push(...buildResourceRecords(resources, course.id, module.id))
+
+        videos.forEach((videoData, videoIndex) => {
+            const { resources: videoResources = [], ...videoFields } = videoData
+            const video = buildVideoRecord({
+                order: videoIndex,
+                ...videoFields,
+                courseId: course.id,
+                moduleId: module.id
+            })
+            videoRecords.push(video)
+            resourceRecords.push(...buildResourceRecords(videoResources, course.id, module.id, video.id))
+        })
+    })
+
+    return runBatch(['courses', 'modules', 'videos', 'resources'], 'import course', (transaction) => {
+        transaction.objectStore('courses').add(course)
+
+        const moduleStore = transaction.objectStore('modules')
+        moduleRecords.forEach(module => moduleStore.add(module))
+
+        const videoStore = transaction.objectStore('videos')
+        videoRecords.forEach(video => videoStore.add(video))
+
+        const resourceStore = transaction.objectStore('resources')
+        resourceRecords.forEach(resource => resourceStore.add(resource))
+
+        return { course, modules: moduleRecords, videos: videoRecords, resources: resourceRecords }
+    })
 }
 
 /**
- * Recalculate progress for ALL courses
- * Used when the progress calculation mode setting changes
- * @param {string} progressMode - 'videos' for completed count, 'duration' for time-based
+ * Apply partial updates to many records across stores atomically
+ * Every record must exist; a missing one rolls back the whole batch.
+ * @param {Object<string, Array<{id: string}>>} changes - Store name to list of
+ *   `{ id, ...updates }`, e.g. `{ modules: [{ id, order: 0 }], videos: [...] }`
+ * @returns {Promise<Object<string, number>>} Number of records updated per store
  */
-export async function recalculateAllCoursesProgress(progressMode = 'videos') {
-    const courses = await getAllCourses()
+export async function bulkUpdate(changes) {
+    const storeNames = Object.keys(changes).filter(name => changes[name]?.length > 0)
+    if (storeNames.length === 0) return {}
+
+    return runBatch(storeNames, 'save changes', (transaction, fail) => {
+        const counts = {}
+
+        for (const storeName of storeNames) {
+            const store = transaction.objectStore(storeName)
+            counts[storeName] = changes[storeName].length
+
+            for (const { id, ...updates } of changes[storeName]) {
+                const getRequest = store.get(id)
+                getRequest.onsuccess = () => {
+                    if (!getRequest.result) {
+                        fail(`${storeName} record ${id} not found`)
+                        return
+                    }
+                    store.put({ ...getRequest.result, ...updates })
+                }
+            }
+        }
+
+        return counts
+    })
+}
 
-    for (const course of courses) {
-        await recalculateCourseProgress(course.id, progressMode)
+/**
+ * Apply a folder sync plan (see diffCourseFolder) to a course atomically
+ * Matched videos keep their records, so progress, notes, favorites and transcripts
+ * are preserved; only file fields, titles and positions change. Removed videos are
+ * deleted with their notes and AI jobs, resources are replaced with the scanned ones, and progress
+ * totals are rebuilt in the same transaction.
+ * @param {string} courseId - Course being synced
+ * @param {Object} plan - Sync plan from diffCourseFolder
+ * @returns {Promise<Object>} The plan summary
+ */
+export async function applyCourseSync(courseId, plan) {
+    const progressMode = getProgressMode()
+
+    return runBatch(['courses', 'modules', 'videos', 'notes', 'resources', 'aiJobs', SEARCH_INDEX_STORE], 'sync course', (transaction, fail) => {
+        const moduleStore = transaction.objectStore('modules')
+        const videoStore = transaction.objectStore('videos')
+        const noteStore = transaction.objectStore('notes')
+        const resourceStore = transaction.objectStore('resources')
+        const jobStore = transaction.objectStore('aiJobs')
+
+        whenLoaded({
+            course: transaction.objectStore('courses').get(courseId),
+            modules: moduleStore.index('courseId').getAll(courseId),
+            videos: videoStore.index('courseId').getAll(courseId)
+        }, ({ course, modules, videos }) => {
+            if (!course) {
+                fail('Course not found')
+                return
+            }
+
+            const modulesById = new Map(modules.map(m => [m.id, m]))
+            const videosById = new Map(videos.map(v => [v.id, v]))
+            const missing = [...plan.modules, ...plan.videos].find(item =>
+                item.id && !modulesById.has(item.id) && !videosById.has(item.id))
+            if (missing) {
+                fail('The course changed while syncing, please scan again')
+                return
+            }
+
+            const finalModules = plan.modules.map(planModule => {
+                const existing = modulesById.get(planModule.id)
+                const fields = {
+                    title: planModule.title,
+                    originalTitle: planModule.originalTitle,
+                    folderPath: planModule.folderPath,
+                    sectionPath: planModule.sectionPath,
+                    order: planModule.order
+                }
+                return existing
+                    ? { ...existing, ...fields, folderHandle: planModule.folderHandle || existing.folderHandle }
+                    : buildModuleRecord({ ...fields, courseId, folderHandle: planModule.folderHandle })
+            })
+
+            const syncedIds = new Set()
+            const finalVideos = plan.videos.map(planVideo => {
+                const moduleId = finalModules[planVideo.moduleIndex].id
+                const existing = videosById.get(planVideo.id)
+                let video
+
+                if (existing) {
+                    video = {
+                        ...existing,
+                        ...planVideo.file,
+                        // A renamed file's old handle points at the old name
+                        fileHandle: planVideo.file.fileHandle ||
+                            (planVideo.status === 'renamed' ? null : existing.fileHandle),
+                        // A changed file's own chapters are read again when it next plays
+                        ...(planVideo.status === 'changed' && existing.chaptersSource !== 'ai'
+                            ? { chapters: undefined, chaptersSource: null }
+                            : {}),
+                        title: planVideo.title,
+                        moduleId,
+                        order: planVideo.order
+                    }
+                    // The scanned path is exact, not one guessed by a migration
+                    delete video.relativePathDerived
+                    syncedIds.add(existing.id)
+                } else {
+                    video = buildVideoRecord({
+                        ...planVideo.file,
+                        title: planVideo.title,
+                        courseId,
+                        moduleId,
+                        order: planVideo.order
+                    })
+                }
+
+                videoStore.put(video)
+                return video
+            })
+
+            // Removed videos go with their notes and AI jobs
+            plan.removedVideos.forEach(({ id }) => {
+                if (!videosById.has(id)) return
+                videoStore.delete(id)
+                writeSearchDocuments(transaction, id, [])
+                syncedIds.add(id)
+                const keysRequest = noteStore.index('videoId').getAllKeys(id)
+                keysRequest.onsuccess = () => keysRequest.result.forEach(key => {
+                    noteStore.delete(key)
+                    writeSearchDocuments(transaction, key, [])
+                })
+                const jobKeysRequest = jobStore.index('videoId').getAllKeys(id)
+                jobKeysRequest.onsuccess = () => jobKeysRequest.result.forEach(key => jobStore.delete(key))
+            })
+            plan.removedModules.forEach(({ id }) => moduleStore.delete(id))
+
+            // Resources hold no progress, so they are replaced with the scanned ones
+            const resourceKeys = resourceStore.index('courseId').getAllKeys(courseId)
+            resourceKeys.onsuccess = () => {
+                resourceKeys.result.forEach(key => resourceStore.delete(key))
+                plan.modules.forEach((planModule, i) => {
+                    buildResourceRecords(planModule.resources || [], courseId, finalModules[i].id)
+                        .forEach(resource => resourceStore.put(resource))
+                })
+                plan.videos.forEach((planVideo, i) => {
+                    buildResourceRecords(planVideo.resources || [], courseId, finalVideos[i].moduleId, finalVideos[i].id)
+                        .forEach(resource => resourceStore.put(resource))
+                })
+            }
+
+            // Videos added since the scan stay where they are
+            const untouched = videos.filter(v => !syncedIds.has(v.id))
+            const keptModules = modules.filter(m =>
+                !finalModules.some(f => f.id === m.id) && untouched.some(v => v.moduleId === m.id))
+
+            writeProgressAggregates(
+                transaction,
+                [{
+                    ...course,
+                    originalTitle: plan.folderName || course.originalTitle,
+                    folderHandle: plan.folderHandle || course.folderHandle,
+                    folderLayout: plan.folderLayout || course.folderLayout || null,
+                    dateModified: new Date().toISOString()
+                }],
+                [...finalModules, ...keptModules],
+                [...finalVideos, ...untouched],
+                progressMode
+            )
+        })
+
+        return plan.summary
+    })
+}
+
+// ============= RESOURCES =============
+
+/**
+ * Build resource records (slides, subtitles, exercise files...) for a module or video
+ */
+function buildResourceRecords(resources, courseId, moduleId, videoId = null) {
+    return resources.map((resourceData, index) => ({
+        id: generateId('resource_'),
+        courseId,
+        moduleId,
+        videoId,
+        title: resourceData.title || resourceData.fileName,
+        fileName: resourceData.fileName,
+        type: resourceData.type || 'file', // 'pdf', 'subtitles', 'archive', 'html', 'markdown'
+        relativePath: resourceData.relativePath || null,
+        fileHandle: resourceData.fileHandle || null,
+        fileSize: resourceData.fileSize || 0,
+        order: resourceData.order ?? index,
+        dateAdded: new Date().toISOString()
+    }))
+}
+
+/**
+ * Get all resources for a course
+ */
+export async function getResourcesByCourse(courseId) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['resources'], 'readonly')
+        const store = transaction.objectStore('resources')
+        const index = store.index('courseId')
+        const request = index.getAll(courseId)
+
+        request.onsuccess = () => {
+            const resources = request.result || []
+            resources.sort((a, b) => a.order - b.order)
+            resolve(resources)
+        }
+        request.onerror = () => reject(new Error('Failed to get resources: ' + request.error))
+    })
+}
+
+/**
+ * Delete all resources of a course
+ */
+export async function deleteResourcesByCourse(courseId) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['resources'], 'readwrite')
+        const store = transaction.objectStore('resources')
+        const request = store.index('courseId').getAllKeys(courseId)
+
+        request.onsuccess = () => request.result.forEach(key => store.delete(key))
+        request.onerror = () => reject(new Error('Failed to delete resources: ' + request.error))
+        transaction.oncomplete = () => resolve(true)
+    })
+}
+
+// ============= AI JOBS =============
+
+/**
+ * Add jobs to the background transcription queue
+ * @param {Object[]} jobs - Job records (see aiQueue.js)
+ */
+export async function addAIJobs(jobs) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['aiJobs'], 'readwrite')
+        const store = transaction.objectStore('aiJobs')
+        jobs.forEach(job => store.put(job))
+
+        transaction.oncomplete = () => resolve(jobs)
+        transaction.onerror = () => reject(new Error('Failed to add AI jobs: ' + transaction.error))
+    })
+}
+
+/**
+ * Get every queued, running and finished job, oldest first
+ */
+export async function getAllAIJobs() {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['aiJobs'], 'readonly')
+        const store = transaction.objectStore('aiJobs')
+        const request = store.getAll()
+
+        request.onsuccess = () => {
+            const jobs = request.result || []
+            jobs.sort((a, b) => a.order - b.order)
+            resolve(jobs)
+        }
+        request.onerror = () => reject(new Error('Failed to get AI jobs: ' + request.error))
+    })
+}
+
+/**
+ * Update a job
+ */
+export async function updateAIJob(jobId, updates) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['aiJobs'], 'readwrite')
+        const store = transaction.objectStore('aiJobs')
+        const getRequest = store.get(jobId)
+
+        getRequest.onsuccess = () => {
+            const job = getRequest.result
+            if (!job) {
+                reject(new Error('AI job not found'))
+                return
+            }
+
+            const updatedJob = { ...job, ...updates, updatedAt: new Date().toISOString() }
+            const putRequest = store.put(updatedJob)
+            putRequest.onsuccess = () => resolve(updatedJob)
+            putRequest.onerror = () => reject(new Error('Failed to update AI job: ' + putRequest.error))
+        }
+        getRequest.onerror = () => reject(new Error('Failed to get AI job: ' + getRequest.error))
+    })
+}
+
+/**
+ * Delete jobs by id
+ */
+export async function deleteAIJobs(jobIds) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['aiJobs'], 'readwrite')
+        const store = transaction.objectStore('aiJobs')
+        jobIds.forEach(id => store.delete(id))
+
+        transaction.oncomplete = () => resolve(true)
+        transaction.onerror = () => reject(new Error('Failed to delete AI jobs: ' + transaction.error))
+    })
+}
+
+/**
+ * Delete all jobs of a course
+ */
+export async function deleteAIJobsByCourse(courseId) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['aiJobs'], 'readwrite')
+        const store = transaction.objectStore('aiJobs')
+        const request = store.index('courseId').getAllKeys(courseId)
+
+        request.onsuccess = () => request.result.forEach(key => store.delete(key))
+        request.onerror = () => reject(new Error('Failed to delete AI jobs: ' + request.error))
+        transaction.oncomplete = () => resolve(true)
+    })
+}
+
+// ============= SEARCH =============
+
+// Candidates ranked per query; a few very common terms can match most documents, so
+// those matching the most distinct terms are kept
+const MAX_SEARCH_CANDIDATES = 2000
+
+/**
+ * Replace the search documents built from one record (a video or a note)
+ * Runs inside a readwrite transaction on the searchIndex store.
+ */
+function writeSearchDocuments(transaction, sourceId, documents) {
+    const store = transaction.objectStore(SEARCH_INDEX_STORE)
+    const keysRequest = store.index('sourceId').getAllKeys(sourceId)
+    keysRequest.onsuccess = () => {
+        keysRequest.result.forEach(key => store.delete(key))
+        documents.forEach(document => store.put(document))
     }
+}
+
+/**
+ * Search transcripts, summaries and notes across the library
+ * Every query term must match, the last one as a prefix. Hits whose video no longer
+ * exists are dropped.
+ * @param {string} query - Text as typed
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum hits
+ * @returns {Promise<Array<{id: string, kind: 'transcript'|'summary'|'note', courseId: string, courseTitle: string,
+ *   videoId: string, videoTitle: string, noteId?: string, timestamp: number|null, score: number,
+ *   snippet: Array<{text: string, highlight: boolean}>}>} Best first
+ */
+export async function searchLibrary(query, { limit = 30 } = {}) {
+    const queryTerms = parseSearchQuery(query)
+    if (queryTerms.length === 0) return []
+
+    const db = await initDatabase()
 
-    return courses.length
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SEARCH_INDEX_STORE, 'videos', 'courses'], 'readonly')
+        const store = transaction.objectStore(SEARCH_INDEX_STORE)
+        const termIndex = store.index('terms')
+        transaction.onerror = () => reject(new Error('Failed to search: ' + transaction.error))
+
+        const termRequests = {}
+        queryTerms.forEach(({ term, prefix }, i) => {
+            termRequests[i] = termIndex.getAllKeys(prefix ? IDBKeyRange.bound(term, term + '\uffff') : term)
+        })
+
+        whenLoaded({ total: store.count(), ...termRequests }, ({ total, ...termKeys }) => {
+            // A prefix can match several terms of one document
+            const matches = queryTerms.map((_, i) => new Set(termKeys[i]))
+            const [smallest, ...others] = [...matches].sort((a, b) => a.size - b.size)
+            // A prefix term lists a document once per term of it that matches
+            const matchCounts = new Map()
+            Object.values(termKeys).flat().forEach(id => matchCounts.set(id, (matchCounts.get(id) || 0) + 1))
+            const candidates = [...smallest]
+                .filter(id => others.every(set => set.has(id)))
+                .sort((a, b) => matchCounts.get(b) - matchCounts.get(a))
+                .slice(0, MAX_SEARCH_CANDIDATES)
+            if (candidates.length === 0) {
+                resolve([])
+                return
+            }
+
+            const documentRequests = {}
+            candidates.forEach(id => {
+                documentRequests[id] = store.get(id)
+            })
+            whenLoaded(documentRequests, (documents) => {
+                const ranked = rankDocuments(Object.values(documents).filter(Boolean), queryTerms, {
+                    totalDocuments: total,
+                    documentFrequencies: matches.map(set => set.size),
+                    phrase: query
+                })
+
+                // Join titles, over-fetching a little to make up for orphaned documents
+                const top = ranked.slice(0, limit * 2)
+                const recordRequests = {}
+                top.forEach(({ document }) => {
+                    if (!recordRequests['video:' + document.videoId]) {
+                        recordRequests['video:' + document.videoId] = transaction.objectStore('videos').get(document.videoId)
+                    }
+                    if (!recordRequests['course:' + document.courseId]) {
+                        recordRequests['course:' + document.courseId] = transaction.objectStore('courses').get(document.courseId)
+                    }
+                })
+                whenLoaded(recordRequests, (records) => {
+                    const hits = top
+                        .filter(({ document }) => records['video:' + document.videoId] && records['course:' + document.courseId])
+                        .slice(0, limit)
+                        .map(({ document, score }) => ({
+                            id: document.id,
+                            kind: document.kind,
+                            courseId: document.courseId,
+                            videoId: document.videoId,
+                            noteId: document.noteId,
+                            timestamp: document.timestamp,
+                            courseTitle: records['course:' + document.courseId].title,
+                            videoTitle: records['video:' + document.videoId].title,
+                            score,
+                            snippet: buildSnippet(document.text, queryTerms)
+                        }))
+                    resolve(hits)
+                })
+            })
+        })
+    })
+}
+
+/**
+ * Rebuild the search index from every video and note
+ * Used after a backup restore, which writes records directly.
+ * @returns {Promise<number>} Number of documents indexed
+ */
+export async function rebuildSearchIndex() {
+    const result = await runBatch(['videos', 'notes', SEARCH_INDEX_STORE], 'rebuild search index', (transaction) => {
+        const store = transaction.objectStore(SEARCH_INDEX_STORE)
+        const indexed = { count: 0 }
+        store.clear()
+
+        whenLoaded({
+            videos: transaction.objectStore('videos').getAll(),
+            notes: transaction.objectStore('notes').getAll()
+        }, ({ videos, notes }) => {
+            const documents = [...videos.flatMap(buildVideoDocuments), ...notes.flatMap(buildNoteDocuments)]
+            documents.forEach(document => store.put(document))
+            indexed.count = documents.length
+        })
+
+        return indexed
+    })
+    return result.count
 }
 
 // ============= RECENTLY WATCHED =============
@@ -666,6 +1362,139 @@ export async function getRecentlyWatchedVideos(limit = 10) {
     })
 }
 
+/**
+ * Remove a video from the watch history by clearing its progress
+ * Course and module progress totals are updated in the same transaction.
+ */
+export async function clearVideoHistory(videoId) {
+    const { video } = await updateVideoWithProgress(videoId, () => ({
+        lastWatchedAt: null,
+        watchProgress: 0,
+        lastWatchedPosition: 0
+    }))
+    return video
+}
+
+// ============= LEARNING ANALYTICS =============
+
+/**
+ * Record learning activity into today's analytics entry
+ * One record per local day, merged on every call
+ * @param {Object} activity
+ * @param {number} [activity.secondsWatched] - Seconds of playback to add
+ * @param {number} [activity.videosCompleted] - Completed videos to add
+ * @param {number} [activity.notesWritten] - Notes written to add
+ * @param {string} [activity.courseId] - Course the activity belongs to
+ * @param {string} [activity.videoId] - Video the activity belongs to
+ * @param {string|Date|number} [activity.timestamp] - When it happened (defaults to now)
+ */
+export async function recordLearningActivity(activity = {}) {
+    const db = await initDatabase()
+    const date = getDateKey(activity.timestamp)
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['analytics'], 'readwrite')
+        const store = transaction.objectStore('analytics')
+        const getRequest = store.index('date').get(date)
+
+        getRequest.onsuccess = () => {
+            const existing = getRequest.result || {
+                id: `analytics_${date}`,
+                date,
+                secondsWatched: 0,
+                videosCompleted: 0,
+                notesWritten: 0,
+                coursesTouched: [],
+                videosWatched: [],
+                firstActivityAt: new Date().toISOString()
+            }
+
+            const entry = {
+                ...existing,
+                secondsWatched: existing.secondsWatched + Math.max(0, activity.secondsWatched || 0),
+                videosCompleted: existing.videosCompleted + Math.max(0, activity.videosCompleted || 0),
+                notesWritten: existing.notesWritten + Math.max(0, activity.notesWritten || 0),
+                lastActivityAt: new Date().toISOString()
+            }
+
+            if (activity.courseId && !entry.coursesTouched.includes(activity.courseId)) {
+                entry.coursesTouched = [...entry.coursesTouched, activity.courseId]
+            }
+            if (activity.videoId && !entry.videosWatched.includes(activity.videoId)) {
+                entry.videosWatched = [...entry.videosWatched, activity.videoId]
+            }
+
+            const putRequest = store.put(entry)
+            putRequest.onsuccess = () => resolve(entry)
+            putRequest.onerror = () => reject(new Error('Failed to record activity: ' + putRequest.error))
+        }
+        getRequest.onerror = () => reject(new Error('Failed to get analytics: ' + getRequest.error))
+    })
+}
+
+/**
+ * Get the analytics entry for a single day
+ * @param {string} date - Day key (YYYY-MM-DD)
+ */
+export async function getDailyAnalytics(date) {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['analytics'], 'readonly')
+        const store = transaction.objectStore('analytics')
+        const request = store.index('date').get(date)
+
+        request.onsuccess = () => resolve(request.result || null)
+        request.onerror = () => reject(new Error('Failed to get analytics: ' + request.error))
+    })
+}
+
+/**
+ * Get analytics entries for an inclusive date range, sorted by date
+ * @param {string|Date} startDate - Day key or date of the first day
+ * @param {string|Date} endDate - Day key or date of the last day
+ */
+export async function getAnalyticsRange(startDate, endDate) {
+    const db = await initDatabase()
+    const start = typeof startDate === 'string' ? startDate : getDateKey(startDate)
+    const end = typeof endDate === 'string' ? endDate : getDateKey(endDate)
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['analytics'], 'readonly')
+        const store = transaction.objectStore('analytics')
+        const request = store.index('date').getAll(IDBKeyRange.bound(start, end))
+
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => reject(new Error('Failed to get analytics: ' + request.error))
+    })
+}
+
+/**
+ * Get analytics for the last N days (including today), sorted by date
+ * @param {number} days - Number of days to look back
+ */
+export async function getRecentAnalytics(days = 7) {
+    const start = new Date()
+    start.setDate(start.getDate() - (days - 1))
+    return getAnalyticsRange(start, new Date())
+}
+
+/**
+ * Get every analytics entry, sorted by date
+ */
+export async function getAllAnalytics() {
+    const db = await initDatabase()
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['analytics'], 'readonly')
+        const store = transaction.objectStore('analytics')
+        const request = store.index('date').getAll()
+
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => reject(new Error('Failed to get analytics: ' + request.error))
+    })
+}
+
 // ============= UTILITY FUNCTIONS =============
 
 /**
@@ -699,46 +1528,12 @@ export function parseISODuration(duration) {
     return hours * 3600 + minutes * 60 + seconds
 }
 
-/**
- * Export all database data
- */
-export async function exportAllData() {
-    const courses = await getAllCourses()
-    const allModules = []
-    const allVideos = []
-    const allNotes = []
-
-    for (const course of courses) {
-        const modules = await getModulesByCourse(course.id)
-        allModules.push(...modules)
-
-        const videos = await getVideosByCourse(course.id)
-        allVideos.push(...videos)
-
-        // Get notes for each video in this course
-        for (const video of videos) {
-            const notes = await getNotesByVideo(video.id)
-            allNotes.push(...notes)
-        }
-    }
-
-    return {
-        version: DB_VERSION,
-        exportDate: new Date().toISOString(),
-        courses,
-        modules: allModules,
-        videos: allVideos,
-        notes: allNotes
-    }
-}
-
-
 /**
  * Clear all data from database
  */
 export async function clearAllData() {
     const db = await initDatabase()
-    const storeNames = ['courses', 'modules', 'videos', 'notes', 'analytics']
+    const storeNames = ['courses', 'modules', 'videos', 'resources', 'aiJobs', 'notes', 'analytics', SEARCH_INDEX_STORE]
 
     for (const storeName of storeNames) {
         await new Promise((resolve, reject) => {
@@ -754,72 +1549,6 @@ export async function clearAllData() {
     return true
 }
 
-/**
- * Import data from backup file
- */
-export async function importData(data) {
-    const db = await initDatabase()
-
-    if (!data || typeof data !== 'object') {
-        throw new Error('Invalid backup file format')
-    }
-
-    // Import courses
-    if (data.courses && Array.isArray(data.courses)) {
-        for (const course of data.courses) {
-            await new Promise((resolve, reject) => {
-                const transaction = db.transaction(['courses'], 'readwrite')
-                const store = transaction.objectStore('courses')
-                const request = store.put(course)
-                request.onsuccess = () => resolve()
-                request.onerror = () => reject(new Error('Failed to import course'))
-            })
-        }
-    }
-
-    // Import modules
-    if (data.modules && Array.isArray(data.modules)) {
-        for (const module of data.modules) {
-            await new Promise((resolve, reject) => {
-                const transaction = db.transaction(['modules'], 'readwrite')
-                const store = transaction.objectStore('modules')
-                const request = store.put(module)
-                request.onsuccess = () => resolve()
-                request.onerror = () => reject(new Error('Failed to import module'))
-            })
-        }
-    }
-
-    // Import videos
-    if (data.videos && Array.isArray(data.videos)) {
-        for (const video of data.videos) {
-            await new Promise((resolve, reject) => {
-                const transaction = db.transaction(['videos'], 'readwrite')
-                const store = transaction.objectStore('videos')
-                const request = store.put(video)
-                request.onsuccess = () => resolve()
-                request.onerror = () => reject(new Error('Failed to import video'))
-            })
-        }
-    }
-
-    // Import notes
-    if (data.notes && Array.isArray(data.notes)) {
-        for (const note of data.notes) {
-            await new Promise((resolve, reject) => {
-                const transaction = db.transaction(['notes'], 'readwrite')
-                const store = transaction.objectStore('notes')
-                const request = store.put(note)
-                request.onsuccess = () => resolve()
-                request.onerror = () => reject(new Error('Failed to import note'))
-            })
-        }
-    }
-
-    return true
-}
-
-
 // ============================================
 // NOTES OPERATIONS
 // ============================================
@@ -842,12 +1571,20 @@ export async function addNote(noteData) {
     }
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['notes'], 'readwrite')
+        const transaction = db.transaction(['notes', SEARCH_INDEX_STORE], 'readwrite')
         const store = transaction.objectStore('notes')
         const request = store.add(note)
+        writeSearchDocuments(transaction, note.id, buildNoteDocuments(note))
 
-        request.onsuccess = () => resolve(note)
         request.onerror = () => reject(new Error('Failed to add note: ' + request.error))
+        transaction.oncomplete = () => {
+            recordLearningActivity({
+                notesWritten: 1,
+                courseId: note.courseId,
+                videoId: note.videoId
+            }).catch(err => console.error('Failed to record note activity:', err))
+            resolve(note)
+        }
     })
 }
 
@@ -901,9 +1638,10 @@ export async function updateNote(noteId, updates) {
     const db = await initDatabase()
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['notes'], 'readwrite')
+        const transaction = db.transaction(['notes', SEARCH_INDEX_STORE], 'readwrite')
         const store = transaction.objectStore('notes')
         const getRequest = store.get(noteId)
+        let updatedNote = null
 
         getRequest.onsuccess = () => {
             const note = getRequest.result
@@ -912,17 +1650,18 @@ export async function updateNote(noteId, updates) {
                 return
             }
 
-            const updatedNote = {
+            updatedNote = {
                 ...note,
                 ...updates,
                 updatedAt: new Date().toISOString()
             }
 
             const putRequest = store.put(updatedNote)
-            putRequest.onsuccess = () => resolve(updatedNote)
             putRequest.onerror = () => reject(new Error('Failed to update note: ' + putRequest.error))
+            writeSearchDocuments(transaction, noteId, buildNoteDocuments(updatedNote))
         }
         getRequest.onerror = () => reject(new Error('Failed to find note: ' + getRequest.error))
+        transaction.oncomplete = () => resolve(updatedNote)
     })
 }
 
@@ -933,12 +1672,13 @@ export async function deleteNote(noteId) {
     const db = await initDatabase()
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['notes'], 'readwrite')
+        const transaction = db.transaction(['notes', SEARCH_INDEX_STORE], 'readwrite')
         const store = transaction.objectStore('notes')
         const request = store.delete(noteId)
+        writeSearchDocuments(transaction, noteId, [])
 
-        request.onsuccess = () => resolve(true)
         request.onerror = () => reject(new Error('Failed to delete note: ' + request.error))
+        transaction.oncomplete = () => resolve(true)
     })
 }
 
@@ -1107,49 +1847,6 @@ export async function removeInstructorAvatar(instructorName) {
     })
 }
 
-/**
- * Migrate legacy instructor avatars from courses to instructors store.
- * This handles courses that were imported before the avatar deduplication change.
- * Should be called once on app initialization.
- */
-export async function migrateInstructorAvatars() {
-    try {
-        const db = await initDatabase()
-
-        // Check if migration already ran
-        const migrationKey = 'instructor_avatar_migration_v1'
-        if (localStorage.getItem(migrationKey)) {
-            return // Already migrated
-        }
-
-        // Get all courses
-        const courses = await getAllCourses()
-        let migratedCount = 0
-
-        for (const course of courses) {
-            // Check if course has legacy instructorAvatar data
-            if (course.instructor && course.instructorAvatar) {
-                // Check if instructor already exists in store
-                const existingAvatar = await getInstructorAvatarAsync(course.instructor)
-                if (!existingAvatar) {
-                    // Migrate avatar to instructors store
-                    await setInstructorAvatar(course.instructor, course.instructorAvatar)
-                    migratedCount++
-                }
-            }
-        }
-
-        // Mark migration as complete
-        localStorage.setItem(migrationKey, 'true')
-
-        if (migratedCount > 0) {
-            console.log(`Migrated ${migratedCount} instructor avatars from courses to instructors store`)
-        }
-    } catch (err) {
-        console.error('Failed to migrate instructor avatars:', err)
-    }
-}
-
 /**
  * Get all courses by a specific instructor
  */
@@ -1164,30 +1861,12 @@ export async function getCoursesByInstructor(instructorName) {
 
 
 /**
- * Batch update course orders
+ * Batch update course orders in a single transaction
  * @param {Array<{id: string, order: number}>} updates 
  */
 export async function updateCoursesOrder(updates) {
-    const db = await initDatabase()
-
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['courses'], 'readwrite')
-        const store = transaction.objectStore('courses')
-
-        transaction.oncomplete = () => resolve(true)
-        transaction.onerror = () => reject(transaction.error)
-
-        updates.forEach(({ id, order }) => {
-            const getRequest = store.get(id)
-            getRequest.onsuccess = () => {
-                const course = getRequest.result
-                if (course) {
-                    course.order = order
-                    store.put(course)
-                }
-            }
-        })
-    })
+    await bulkUpdate({ courses: updates.map(({ id, order }) => ({ id, order })) })
+    return true
 }
 
 // ============= FILE HANDLE PERSISTENCE =============
@@ -11,6 +11,17 @@
 // Supported video formats
 const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'ogg', 'avi', 'mkv']
 
+// Companion files imported as resources, by extension
+const RESOURCE_TYPES = {
+    pdf: 'pdf',
+    srt: 'subtitles',
+    vtt: 'subtitles',
+    zip: 'archive',
+    html: 'html',
+    htm: 'html',
+    md: 'markdown'
+}
+
 /**
  * Check if File System Access API is supported
  */
@@ -115,6 +126,7 @@ let rootFolderName = null
 
 // Import IndexedDB handle storage functions
 import { storeHandle, getStoredHandle, deleteStoredHandle } from './db'
+import { readSubtitleTrack } from './subtitles'
 
 /**
  * Store files in memory cache for current session
@@ -308,6 +320,122 @@ export async function pickRootFolder() {
     return null
 }
 
+/**
+ * Resolve a folder inside the root courses folder from a path like "Category/Course"
+ */
+export async function getRootSubfolder(path) {
+    if (!rootFolderHandle) return null
+
+    try {
+        let handle = rootFolderHandle
+        for (const name of path.split('/').filter(Boolean)) {
+            handle = await handle.getDirectoryHandle(name, { create: false })
+        }
+        return handle
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Find every course folder under a library folder
+ * Any folder with videos below it is a course, however deeply they're nested.
+ * Only a folder that clearly holds several courses is treated as a category and
+ * searched further, up to maxDepth levels: see isCategoryFolder.
+ * @param {FileSystemDirectoryHandle} rootHandle - Library folder
+ * @param {Function} onProgress - Called with the number of folders inspected
+ * @param {number} maxDepth - How many category levels to descend
+ * @returns {Promise<Array<{name: string, path: string, handle: FileSystemDirectoryHandle, moduleCount: number, videoCount: number}>>}
+ */
+export async function scanLibraryFolder(rootHandle, onProgress = () => { }, maxDepth = 3) {
+    const folderHandles = new Map()
+    const filePaths = []
+    const layout = getFolderLayout()
+    const courses = []
+    let inspected = 0
+
+    // Walk the library once; folders are classified from the collected paths
+    async function walk(directoryHandle, path) {
+        for await (const entry of directoryHandle.values()) {
+            const entryPath = path ? `${path}/${entry.name}` : entry.name
+            if (entry.kind === 'file' && (isVideoFile(entry.name) || isResourceFile(entry.name))) {
+                filePaths.push(entryPath)
+            } else if (entry.kind === 'directory') {
+                folderHandles.set(entryPath, entry)
+                await walk(entry, entryPath)
+                onProgress(++inspected)
+            }
+        }
+    }
+
+    function visit(paths, path, depth) {
+        for (const [name, childPaths] of groupPathsByFolder(paths)) {
+            const folderPath = path ? `${path}/${name}` : name
+            const videoPaths = childPaths.filter(childPath => isVideoFile(childPath))
+            if (videoPaths.length === 0) continue
+
+            if (!isCategoryFolder(childPaths)) {
+                courses.push({
+                    name,
+                    path: folderPath,
+                    handle: folderHandles.get(folderPath),
+                    moduleCount: groupVideosIntoModules(videoPaths, layout).length,
+                    videoCount: videoPaths.length
+                })
+            } else if (depth < maxDepth) {
+                visit(childPaths, folderPath, depth + 1)
+            }
+        }
+    }
+
+    await walk(rootHandle, '')
+    visit(filePaths, '', 1)
+    return courses
+}
+
+// Names like "01 Intro", "Section 2", "Week 3" or "Advanced Topics" belong to the parts of one course
+const SECTION_FOLDER_PATTERNS = [
+    /^(?:(?:section|part|module|chapter|unit|week|day|lesson|lecture)\s*)?\d+/i,
+    /^(?:intro|introduction|overview|getting started|basics|fundamentals|essentials|advanced|conclusion|summary|wrap[\s-]?up|bonus|extras?|appendix|resources|exercises|projects?|final)\b/i
+]
+
+/**
+ * Group file paths by their top-level folder, in natural order
+ * Files directly inside the folder have no top-level folder and are left out.
+ * @returns {Array<[string, string[]]>} Folder name and the paths relative to it
+ */
+function groupPathsByFolder(paths) {
+    const groups = new Map()
+    for (const path of paths) {
+        const slash = path.indexOf('/')
+        if (slash === -1) continue
+        const name = path.slice(0, slash)
+        if (!groups.has(name)) groups.set(name, [])
+        groups.get(name).push(path.slice(slash + 1))
+    }
+    return [...groups].sort(([a], [b]) => naturalSort(a, b))
+}
+
+/**
+ * Whether a folder holds several courses rather than being one
+ * It does when it has no files of its own, none of its folders is named like a
+ * section, and at least two folders hold videos, every one of them in
+ * sub-folders of its own.
+ * @param {string[]} paths - Video and resource paths relative to the folder
+ */
+function isCategoryFolder(paths) {
+    // Loose videos and resources belong to the course itself
+    if (paths.some(path => !path.includes('/'))) return false
+
+    const children = groupPathsByFolder(paths)
+    if (children.some(([name]) => SECTION_FOLDER_PATTERNS.some(pattern => pattern.test(name)))) return false
+
+    const withVideos = children.filter(([, childPaths]) => childPaths.some(path => isVideoFile(path)))
+    // A folder of loose videos is a module next to its sibling sections
+    const courseShaped = withVideos.filter(([, childPaths]) => childPaths.some(path => path.includes('/') && isVideoFile(path)))
+    return withVideos.length >= 2 && courseShaped.length === withVideos.length
+}
+
 /**
  * Find a file in the fallback cache by relative path
  */
@@ -327,13 +455,107 @@ export function findFileByFileName(folderName, fileName) {
     return files.find(f => f.name === fileName || f.webkitRelativePath.endsWith('/' + fileName)) || null
 }
 
+/**
+ * Get a file handle inside a course folder of the root library folder
+ * @param {string} folderName - Course folder name
+ * @param {string} relativePath - Path starting with the course folder name
+ * @returns {Promise<FileSystemFileHandle|null>}
+ */
+async function getFileHandleInRoot(folderName, relativePath) {
+    if (!hasRootFolderAccess()) return null
+
+    try {
+        const courseHandle = await findCourseFolderInRoot(folderName)
+        if (!courseHandle) return null
+
+        const pathParts = relativePath.split('/').slice(1) // Remove folder name
+        let currentHandle = courseHandle
+        for (const name of pathParts.slice(0, -1)) {
+            currentHandle = await currentHandle.getDirectoryHandle(name)
+        }
+        return await currentHandle.getFileHandle(pathParts[pathParts.length - 1])
+    } catch (err) {
+        console.log('Could not access file through root folder:', err)
+        return null
+    }
+}
+
+/**
+ * Get a stored local file (video or resource) for reading
+ * Tries the stored file handle, the files cached from the fallback picker in
+ * this session, then the root courses folder.
+ * @param {Object} record - Record with a fileHandle and/or relativePath
+ * @param {string} folderName - Course folder name
+ * @returns {Promise<File|null>} null if the course folder has to be picked again
+ */
+export async function getLocalFile(record, folderName) {
+    if (record.fileHandle && typeof record.fileHandle.getFile === 'function') {
+        if (await verifyPermission(record.fileHandle)) {
+            return record.fileHandle.getFile()
+        }
+    }
+
+    if (!record.relativePath) return null
+
+    const cachedFile = findFileByPath(folderName, record.relativePath)
+    if (cachedFile) return cachedFile
+
+    const fileHandle = await getFileHandleInRoot(folderName, record.relativePath)
+    return fileHandle ? fileHandle.getFile() : null
+}
+
+/**
+ * Find the file to play or transcribe for a local video
+ * Uses the stored file handle, otherwise looks the relative path up in the
+ * fallback cache, then in the root library folder.
+ * @param {Object} video - Video record
+ * @param {string} folderName - Course folder name (course.originalTitle)
+ * @param {Object} options
+ * @param {boolean} options.requestAccess - Prompt for permission if needed. Prompts need a
+ *   user gesture, so background work passes false and only uses access already granted.
+ * @returns {Promise<{fileSource: FileSystemFileHandle|File|null, reason: 'permission'|'folder'|null}>}
+ *   reason says why there is no file: the handle's permission was denied, or the folder must be selected
+ */
+export async function resolveVideoFileSource(video, folderName, { requestAccess = true } = {}) {
+    // Modern API: use fileHandle
+    if (video.fileHandle) {
+        if (typeof video.fileHandle.queryPermission === 'function') {
+            const hasPermission = requestAccess
+                ? await verifyPermission(video.fileHandle)
+                : await hasReadPermission(video.fileHandle)
+            if (!hasPermission) {
+                return { fileSource: null, reason: 'permission' }
+            }
+        }
+        return { fileSource: video.fileHandle, reason: null }
+    }
+
+    // Fallback mode: look up file from cache using relativePath
+    if (video.relativePath) {
+        // Paths derived by migration for legacy imports are a best guess, so also match by file name
+        const cachedFile = findFileByPath(folderName, video.relativePath) ||
+            (video.relativePathDerived ? findFileByFileName(folderName, video.fileName) : null)
+        if (cachedFile) {
+            return { fileSource: cachedFile, reason: null }
+        }
+
+        const fileHandle = await getFileHandleInRoot(folderName, video.relativePath)
+        if (fileHandle) {
+            return { fileSource: fileHandle, reason: null }
+        }
+    }
+
+    return { fileSource: null, reason: 'folder' }
+}
+
 /**
  * Scan files from fallback picker and build course structure
  * @param {File[]} files - Array of files from input
  * @param {string} folderName - Root folder name
  * @param {Function} onProgress - Progress callback
+ * @param {'sections'|'flatten'} layout - How nested folders map to modules
  */
-export async function scanFolderFromFiles(files, folderName, onProgress = () => { }) {
+export async function scanFolderFromFiles(files, folderName, onProgress = () => { }, layout = getFolderLayout()) {
     const videoFiles = files.filter(f => isVideoFile(f.name))
 
     // Find unsupported media files for better error messages
@@ -369,77 +591,19 @@ export async function scanFolderFromFiles(files, folderName, onProgress = () =>
     // Cache files for this session
     cacheFallbackFiles(files, folderName)
 
-    // Group videos by subfolder
-    const moduleMap = new Map()
-
-    for (const file of videoFiles) {
-        const pathParts = file.webkitRelativePath.split('/')
-        // Remove root folder name and filename
-        const relativePath = pathParts.slice(1)
-
-        let moduleName = 'Main Content'
-        if (relativePath.length > 1) {
-            // Has subfolder - use it as module name
-            moduleName = relativePath[0]
-        }
-
-        if (!moduleMap.has(moduleName)) {
-            moduleMap.set(moduleName, [])
-        }
-        moduleMap.get(moduleName).push(file)
-    }
-
-    // Build course structure
-    const modules = []
-    let totalProcessed = 0
-    const totalItems = videoFiles.length
-
-    let moduleOrder = 0
-    for (const [moduleName, moduleFiles] of moduleMap.entries()) {
-        // Sort files naturally
-        moduleFiles.sort((a, b) => naturalSort(a.name, b.name))
-
-        const moduleVideos = []
-        let videoOrder = 0
-
-        for (const file of moduleFiles) {
-            onProgress(++totalProcessed, totalItems)
-
-            const duration = await getVideoDurationFromFile(file)
-
-            moduleVideos.push({
-                title: cleanVideoTitle(file.name),
-                originalTitle: file.name,
-                fileName: file.name,
-                // Store path for persistence instead of File object
-                relativePath: file.webkitRelativePath,
-                fileSize: file.size,
-                duration,
-                order: videoOrder++
-            })
-        }
-
-        modules.push({
-            title: cleanModuleTitle(moduleName),
-            originalTitle: moduleName,
-            order: moduleOrder++,
-            totalDuration: moduleVideos.reduce((sum, v) => sum + v.duration, 0),
-            totalVideos: moduleVideos.length,
-            videos: moduleVideos
-        })
-    }
-
-    // Sort modules naturally
-    modules.sort((a, b) => naturalSort(a.originalTitle, b.originalTitle))
-
-    const totalDuration = modules.reduce((sum, m) => sum + m.totalDuration, 0)
+    const structure = await buildCourseStructure(
+        folderName,
+        files.filter(f => isVideoFile(f.name) || isResourceFile(f.name)).map(file => ({
+            // Remove the root folder name
+            path: file.webkitRelativePath.split('/').slice(1).join('/'),
+            getFile: async () => file
+        })),
+        layout,
+        onProgress
+    )
 
     return {
-        title: cleanCourseTitle(folderName),
-        originalTitle: folderName,
-        totalDuration,
-        totalVideos: videoFiles.length,
-        modules,
+        ...structure,
         useFallback: true // Flag to indicate fallback mode
     }
 }
@@ -490,6 +654,17 @@ export async function requestPersistentPermission(handle) {
     }
 }
 
+/**
+ * Check for read permission without prompting
+ */
+async function hasReadPermission(handle) {
+    try {
+        return await handle.queryPermission({ mode: 'read' }) === 'granted'
+    } catch {
+        return false
+    }
+}
+
 /**
  * Verify if we still have permission for a directory handle
  */
@@ -515,6 +690,21 @@ export function isVideoFile(fileName) {
     return VIDEO_EXTENSIONS.includes(ext)
 }
 
+/**
+ * Check if a filename is a companion resource (slides, subtitles, exercise files...)
+ */
+export function isResourceFile(fileName) {
+    return getResourceType(fileName) !== null
+}
+
+/**
+ * Get the resource type of a file: 'pdf', 'subtitles', 'archive', 'html', 'markdown' or null
+ */
+export function getResourceType(fileName) {
+    const ext = fileName.split('.').pop()?.toLowerCase()
+    return RESOURCE_TYPES[ext] || null
+}
+
 /**
  * Get video duration from a file
  */
@@ -563,147 +753,325 @@ function naturalSort(a, b) {
  * Scan a directory recursively and build course structure
  * @param {FileSystemDirectoryHandle} directoryHandle - Root directory handle
  * @param {Function} onProgress - Progress callback (current, total)
+ * @param {'sections'|'flatten'} layout - How nested folders map to modules
  * @returns {Object} Course structure with modules and videos
  */
-export async function scanCourseFolder(directoryHandle, onProgress = () => { }) {
-    const courseName = directoryHandle.name
-    const modules = []
-    const videos = []
+export async function scanCourseFolder(directoryHandle, onProgress = () => { }, layout = getFolderLayout()) {
+    const folderHandles = new Map([['', directoryHandle]])
+    const fileHandles = await collectFileHandles(directoryHandle, '', folderHandles)
+
+    const structure = await buildCourseStructure(
+        directoryHandle.name,
+        fileHandles.map(({ path, fileHandle }) => ({ path, fileHandle, getFile: () => fileHandle.getFile() })),
+        layout,
+        onProgress,
+        folderHandles
+    )
 
-    // First pass: collect all entries
-    const entries = []
-    for await (const entry of directoryHandle.values()) {
-        entries.push(entry)
+    return {
+        ...structure,
+        folderHandle: directoryHandle
     }
+}
 
-    // Sort entries naturally
-    entries.sort((a, b) => naturalSort(a.name, b.name))
-
-    let totalItems = entries.length
-    let processedItems = 0
-
-    // Check for videos directly in root (single-module course)
-    const rootVideos = []
-    const subfolders = []
+/**
+ * Collect every video and resource file below a directory, at any depth
+ * @param {FileSystemDirectoryHandle} directoryHandle
+ * @param {string} path - Path of the directory relative to the course folder
+ * @param {Map} folderHandles - Filled with the handle of every subfolder by path
+ * @returns {Promise<Array<{path: string, fileHandle: FileSystemFileHandle}>>}
+ */
+async function collectFileHandles(directoryHandle, path = '', folderHandles = null) {
+    const files = []
 
-    for (const entry of entries) {
-        if (entry.kind === 'file' && isVideoFile(entry.name)) {
-            rootVideos.push(entry)
+    for await (const entry of directoryHandle.values()) {
+        const entryPath = path ? `${path}/${entry.name}` : entry.name
+        if (entry.kind === 'file' && (isVideoFile(entry.name) || isResourceFile(entry.name))) {
+            files.push({ path: entryPath, fileHandle: entry })
         } else if (entry.kind === 'directory') {
-            subfolders.push(entry)
+            folderHandles?.set(entryPath, entry)
+            files.push(...await collectFileHandles(entry, entryPath, folderHandles))
         }
     }
 
-    // If there are subfolders, treat them as modules
-    if (subfolders.length > 0) {
-        let moduleOrder = 0
-
-        for (const folder of subfolders) {
-            const moduleVideos = []
-            const moduleEntries = []
-
-            // Collect folder contents
-            for await (const entry of folder.values()) {
-                if (entry.kind === 'file' && isVideoFile(entry.name)) {
-                    moduleEntries.push(entry)
-                }
-            }
-
-            // Sort videos naturally
-            moduleEntries.sort((a, b) => naturalSort(a.name, b.name))
-            totalItems += moduleEntries.length
-
-            // Process each video in the module
-            let videoOrder = 0
-            for (const videoEntry of moduleEntries) {
-                onProgress(++processedItems, totalItems)
-
-                const file = await videoEntry.getFile()
-                const duration = await getVideoDuration(videoEntry)
-
-                const videoData = {
-                    title: cleanVideoTitle(videoEntry.name),
-                    originalTitle: videoEntry.name,
-                    fileName: videoEntry.name,
-                    fileHandle: videoEntry,
-                    fileSize: file.size,
-                    duration,
-                    order: videoOrder++
-                }
-
-                moduleVideos.push(videoData)
-                videos.push(videoData)
-            }
-
-            if (moduleVideos.length > 0) {
-                const moduleDuration = moduleVideos.reduce((sum, v) => sum + v.duration, 0)
-
-                modules.push({
-                    title: cleanModuleTitle(folder.name),
-                    originalTitle: folder.name,
-                    folderHandle: folder,
-                    order: moduleOrder++,
-                    totalDuration: moduleDuration,
-                    totalVideos: moduleVideos.length,
-                    videos: moduleVideos
-                })
-            }
+    return files
+}
 
-            processedItems++
-            onProgress(processedItems, totalItems)
-        }
-    }
+/**
+ * Read the metadata of every video and build the course structure
+ * Both scanners end up here, so a folder gives the same structure whether it was
+ * picked with the File System Access API or the webkitdirectory fallback.
+ * @param {string} courseName - Course folder name
+ * @param {Array<{path: string, getFile: Function, fileHandle?: FileSystemFileHandle}>} files - Videos and resources, paths relative to the course folder
+ * @param {'sections'|'flatten'} layout - How nested folders map to modules
+ * @param {Function} onProgress - Progress callback (current, total)
+ * @param {Map} folderHandles - Directory handles by path, if available
+ */
+async function buildCourseStructure(courseName, files, layout, onProgress, folderHandles = null) {
+    const videosByPath = new Map(files.filter(f => isVideoFile(f.path)).map(video => [video.path, video]))
+    const groups = groupVideosIntoModules([...videosByPath.keys()], layout)
+    const modules = []
+    let processed = 0
 
-    // Handle root-level videos (no sub-folders or videos at root)
-    if (rootVideos.length > 0) {
+    for (const group of groups) {
         const moduleVideos = []
-        let videoOrder = 0
 
-        for (const videoEntry of rootVideos) {
-            onProgress(++processedItems, totalItems)
+        for (const { path, title } of group.videos) {
+            onProgress(++processed, videosByPath.size)
 
-            const file = await videoEntry.getFile()
-            const duration = await getVideoDuration(videoEntry)
+            const video = videosByPath.get(path)
+            const file = await video.getFile()
+            const duration = await getVideoDurationFromFile(file)
 
-            const videoData = {
-                title: cleanVideoTitle(videoEntry.name),
-                originalTitle: videoEntry.name,
-                fileName: videoEntry.name,
-                fileHandle: videoEntry,
+            moduleVideos.push({
+                title,
+                originalTitle: file.name,
+                fileName: file.name,
+                // Same format as webkitRelativePath in fallback mode
+                relativePath: `${courseName}/${path}`,
+                ...(video.fileHandle && { fileHandle: video.fileHandle }),
                 fileSize: file.size,
                 duration,
-                order: videoOrder++
-            }
-
-            moduleVideos.push(videoData)
-            videos.push(videoData)
+                order: moduleVideos.length,
+                resources: [],
+                subtitleTracks: []
+            })
         }
 
-        // Create a single "Main Content" module for root videos
         modules.push({
-            title: 'Main Content',
-            originalTitle: courseName,
-            folderHandle: directoryHandle,
-            order: 0,
+            title: group.title,
+            originalTitle: group.originalTitle,
+            folderPath: group.folderPath,
+            sectionPath: group.sectionPath,
+            ...(folderHandles?.has(group.folderPath) && { folderHandle: folderHandles.get(group.folderPath) }),
+            order: modules.length,
             totalDuration: moduleVideos.reduce((sum, v) => sum + v.duration, 0),
             totalVideos: moduleVideos.length,
-            videos: moduleVideos
+            videos: moduleVideos,
+            resources: []
         })
     }
 
-    // Calculate total course duration
-    const totalDuration = videos.reduce((sum, v) => sum + v.duration, 0)
+    await attachResources(courseName, modules, files.filter(f => isResourceFile(f.path)), layout)
 
     return {
         title: cleanCourseTitle(courseName),
         originalTitle: courseName,
-        folderHandle: directoryHandle,
-        totalDuration,
-        totalVideos: videos.length,
+        folderLayout: layout,
+        totalDuration: modules.reduce((sum, m) => sum + m.totalDuration, 0),
+        totalVideos: videosByPath.size,
         modules
     }
 }
 
+/**
+ * Attach resource files to the videos and modules of a scanned course
+ * A resource goes to the video in its folder whose file name it starts with
+ * ("01 Intro.pdf", "01 Intro.en.srt" → "01 Intro.mp4"), and subtitles matched this
+ * way are also read as caption tracks. Otherwise a resource goes to the module of
+ * its folder, the closest parent module, or the first module.
+ */
+async function attachResources(courseName, modules, resources, layout) {
+    if (modules.length === 0) return
+
+    const videosByFolder = new Map()
+    for (const module of modules) {
+        for (const video of module.videos) {
+            const folder = getParentPath(video.relativePath.slice(courseName.length + 1))
+            if (!videosByFolder.has(folder)) videosByFolder.set(folder, [])
+            videosByFolder.get(folder).push(video)
+        }
+    }
+    const modulesByFolder = new Map(modules.map(module => [module.folderPath, module]))
+
+    for (const resource of [...resources].sort((a, b) => compareVideoPaths(a.path, b.path))) {
+        const file = await resource.getFile()
+        const folder = getParentPath(resource.path)
+        const stem = getFileStem(file.name)
+
+        const resourceData = {
+            title: file.name,
+            fileName: file.name,
+            type: getResourceType(file.name),
+            relativePath: `${courseName}/${resource.path}`,
+            ...(resource.fileHandle && { fileHandle: resource.fileHandle }),
+            fileSize: file.size
+        }
+
+        const video = (videosByFolder.get(folder) || [])
+            .filter(v => isStemMatch(stem, getFileStem(v.fileName)))
+            .sort((a, b) => getFileStem(b.fileName).length - getFileStem(a.fileName).length)[0]
+        if (video) {
+            video.resources.push({ ...resourceData, order: video.resources.length })
+            if (resourceData.type === 'subtitles') {
+                const track = await readSubtitleTrack(file, video.fileName)
+                if (track) video.subtitleTracks.push(track)
+            }
+            continue
+        }
+
+        let moduleFolder = layout === 'flatten' ? folder.split('/')[0] : folder
+        while (moduleFolder && !modulesByFolder.has(moduleFolder)) {
+            moduleFolder = getParentPath(moduleFolder)
+        }
+        const module = modulesByFolder.get(moduleFolder) || modules[0]
+        module.resources.push({ ...resourceData, order: module.resources.length })
+    }
+}
+
+/**
+ * Check whether a resource file name belongs to a video file name (both without extension)
+ */
+function isStemMatch(resourceStem, videoStem) {
+    const resource = resourceStem.toLowerCase()
+    const video = videoStem.toLowerCase()
+    return resource === video || (resource.startsWith(video) && /^[\s._-]/.test(resource.slice(video.length)))
+}
+
+/**
+ * File name without its extension
+ */
+function getFileStem(fileName) {
+    const index = fileName.lastIndexOf('.')
+    return index > 0 ? fileName.slice(0, index) : fileName
+}
+
+/**
+ * Folder part of a relative path ('' for the course folder itself)
+ */
+function getParentPath(path) {
+    const index = path.lastIndexOf('/')
+    return index === -1 ? '' : path.slice(0, index)
+}
+
+/**
+ * Group video paths (relative to the course folder) into modules
+ * - 'sections': every folder with videos is a module; the folders above it are
+ *   its sections, e.g. "Section/Chapter" is the "Chapter" module in "Section"
+ * - 'flatten': top-level folders are modules and videos in deeper folders get
+ *   titles derived from their path, e.g. "Chapter › Lesson"
+ * Videos directly in the course folder go to a "Main Content" module, which comes first.
+ * @param {string[]} paths
+ * @param {'sections'|'flatten'} layout
+ * @returns {Array<{folderPath: string, title: string, originalTitle: string, sectionPath: string[], videos: Array<{path: string, title: string}>}>}
+ */
+function groupVideosIntoModules(paths, layout) {
+    const modules = new Map()
+
+    for (const path of [...paths].sort(compareVideoPaths)) {
+        const folders = path.split('/').slice(0, -1)
+        const moduleFolders = layout === 'flatten' ? folders.slice(0, 1) : folders
+        const folderPath = moduleFolders.join('/')
+
+        if (!modules.has(folderPath)) {
+            const folderName = moduleFolders[moduleFolders.length - 1]
+            modules.set(folderPath, {
+                folderPath,
+                title: folderName ? cleanModuleTitle(folderName) : 'Main Content',
+                originalTitle: folderName || 'Main Content',
+                sectionPath: moduleFolders.slice(0, -1).map(cleanModuleTitle),
+                videos: []
+            })
+        }
+
+        modules.get(folderPath).videos.push({ path, title: getVideoTitleFromPath(path, folderPath) })
+    }
+
+    return [...modules.values()]
+}
+
+/**
+ * Sort videos by folder first, then by name
+ * A folder's own videos come before the videos of its subfolders.
+ */
+function compareVideoPaths(a, b) {
+    const indexA = a.lastIndexOf('/')
+    const indexB = b.lastIndexOf('/')
+    const folderA = indexA === -1 ? [] : a.slice(0, indexA).split('/')
+    const folderB = indexB === -1 ? [] : b.slice(0, indexB).split('/')
+
+    for (let i = 0; i < Math.min(folderA.length, folderB.length); i++) {
+        const result = naturalSort(folderA[i], folderB[i])
+        if (result !== 0) return result
+    }
+    if (folderA.length !== folderB.length) return folderA.length - folderB.length
+
+    return naturalSort(a.slice(indexA + 1), b.slice(indexB + 1))
+}
+
+/**
+ * Video title for a path relative to the course folder
+ * Folders between the module folder and the file are kept in the title.
+ * @param {string} path - Video path relative to the course folder
+ * @param {string} moduleFolderPath - Folder of the module the video belongs to
+ */
+export function getVideoTitleFromPath(path, moduleFolderPath = '') {
+    const parts = path.split('/')
+    const fileName = parts.pop()
+    const depth = moduleFolderPath ? moduleFolderPath.split('/').length : 0
+
+    return [...parts.slice(depth).map(cleanModuleTitle), cleanVideoTitle(fileName)].join(' › ')
+}
+
+/**
+ * Read the nested folder layout from saved settings
+ * @returns {'sections'|'flatten'}
+ */
+export function getFolderLayout() {
+    try {
+        const savedSettings = localStorage.getItem('mearn_settings')
+        if (savedSettings) {
+            return JSON.parse(savedSettings).nestedFolderLayout || 'sections'
+        }
+    } catch {
+        // Ignore parsing errors, use default
+    }
+    return 'sections'
+}
+
+/**
+ * Layout an imported course is rescanned with
+ * Courses imported before nested folders were scanned used their top-level
+ * folders as modules, which is what 'flatten' does.
+ */
+export function getCourseFolderLayout(course) {
+    return course?.folderLayout || 'flatten'
+}
+
+/**
+ * Rescan the folder of an already-imported course without prompting the user
+ * Tries the stored folder handle, then the root courses folder, then the files
+ * cached from the fallback picker in this session.
+ * @param {Object} course - Stored course record
+ * @param {Function} onProgress - Progress callback (current, total)
+ * @returns {Promise<Object|null>} Course structure, or null if the folder has to be picked again
+ */
+export async function rescanCourseFolder(course, onProgress = () => { }) {
+    const folderName = course.originalTitle
+    const layout = getCourseFolderLayout(course)
+
+    if (course.folderHandle && typeof course.folderHandle.queryPermission === 'function') {
+        const permission = await course.folderHandle.queryPermission({ mode: 'read' })
+        if (permission === 'granted') {
+            return scanCourseFolder(course.folderHandle, onProgress, layout)
+        }
+    }
+
+    if (hasRootFolderAccess() && folderName) {
+        const courseHandle = await findCourseFolderInRoot(folderName)
+        if (courseHandle) {
+            return scanCourseFolder(courseHandle, onProgress, layout)
+        }
+    }
+
+    const cachedFiles = folderName ? getCachedFiles(folderName) : null
+    if (cachedFiles) {
+        return scanFolderFromFiles(cachedFiles, folderName, onProgress, layout)
+    }
+
+    return null
+}
+
 /**
  * Clean a course title from folder name
  */
@@ -720,7 +1088,7 @@ function cleanCourseTitle(name) {
 /**
  * Clean a module title from folder name
  */
-function cleanModuleTitle(name) {
+export function cleanModuleTitle(name) {
     if (!name) return 'Untitled Module'
     return name
         // Remove leading numbers like "01_", "1.", "01 -", etc.
@@ -733,7 +1101,7 @@ function cleanModuleTitle(name) {
 /**
  * Clean a video title from filename
  */
-function cleanVideoTitle(name) {
+export function cleanVideoTitle(name) {
     if (!name) return 'Untitled Video'
     return name
         // Remove file extension
@@ -0,0 +1,141 @@
+/**
+ * Fuzzy Matching
+ *
+ * Scores how well a typed query matches a title, the way editor command palettes
+ * do: the query's characters must appear in order, and matches at word starts,
+ * in runs and near the start of the text score higher, so "imyt" finds
+ * "Import YouTube playlist".
+ */
+
+// Bonuses and penalties per matched character
+const WORD_START_BONUS = 8
+const CONSECUTIVE_BONUS = 5
+const FIRST_CHAR_BONUS = 4
+const GAP_PENALTY = 0.5
+// Whole query found as one run, e.g. "play" in "Playback"
+const SUBSTRING_BONUS = 10
+
+/**
+ * Compare form of a character: lowercase, without accents
+ */
+function foldChar(char) {
+    return char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+}
+
+function isWordStart(chars, index) {
+    if (index === 0) return true
+    const previous = chars[index - 1]
+    const current = chars[index]
+    return /[^\p{L}\p{N}]/u.test(previous) ||
+        (/\p{Ll}/u.test(previous) && /\p{Lu}/u.test(current))
+}
+
+/**
+ * Match a query against a text
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, positions: number[]}|null} positions are the indices of
+ *   the matched characters in [...text], for highlighting; null when it doesn't match
+ */
+export function fuzzyMatch(query, text) {
+    const needle = [...(query || '').replace(/\s+/g, '')].map(foldChar).join('')
+    if (!needle) return { score: 0, positions: [] }
+    if (!text) return null
+
+    const chars = [...text]
+    const folded = chars.map(foldChar)
+
+    // Prefer a match at a word start: try each place the first character
+    // starts a word, then fall back to its first occurrence
+    const starts = folded
+        .map((char, i) => char === needle[0] && isWordStart(chars, i) ? i : -1)
+        .filter(i => i !== -1)
+    const first = folded.indexOf(needle[0])
+    if (first !== -1 && !starts.includes(first)) starts.push(first)
+
+    let best = null
+    for (const start of starts) {
+        const positions = matchFrom(needle, folded, chars, start)
+        if (!positions) continue
+        const score = scorePositions(positions, chars)
+        if (!best || score > best.score) best = { score, positions }
+    }
+    return best
+}
+
+/**
+ * Greedily match the rest of the query after a starting index: each character
+ * continues the current run if it can, else takes its next occurrence at a word
+ * start, else its next occurrence anywhere
+ */
+function matchFrom(needle, folded, chars, start) {
+    const positions = [start]
+    let index = start + 1
+
+    for (let q = 1; q < needle.length; q++) {
+        const char = needle[q]
+        // Continuing a run beats jumping to a word start
+        if (folded[index] === char) {
+            positions.push(index++)
+            continue
+        }
+
+        let plain = -1
+        let wordStart = -1
+        for (let i = index; i < folded.length; i++) {
+            if (folded[i] !== char) continue
+            if (plain === -1) plain = i
+            if (isWordStart(chars, i)) {
+                wordStart = i
+                break
+            }
+        }
+        const next = wordStart !== -1 ? wordStart : plain
+        if (next === -1) return null
+        positions.push(next)
+        index = next + 1
+    }
+
+    return positions
+}
+
+function scorePositions(positions, chars) {
+    let score = 0
+    positions.forEach((position, i) => {
+        score += 1
+        if (isWordStart(chars, position)) score += WORD_START_BONUS
+        if (i > 0 && position === positions[i - 1] + 1) score += CONSECUTIVE_BONUS
+        if (i > 0) score -= Math.min(10, (position - positions[i - 1] - 1) * GAP_PENALTY)
+    })
+    if (positions[0] === 0) score += FIRST_CHAR_BONUS
+    if (positions[positions.length - 1] - positions[0] === positions.length - 1) score += SUBSTRING_BONUS
+    // Shorter texts are closer matches
+    return score - chars.length * 0.01
+}
+
+/**
+ * Filter and sort items by how well the query matches them
+ * Items match on their title, or with a lower score on any of their keywords.
+ * @param {Array<{title: string, keywords?: string[]}>} items
+ * @param {string} query
+ * @returns {Array<{item: Object, score: number, positions: number[]}>} Best first;
+ *   positions are empty for keyword matches
+ */
+export function rankByFuzzyMatch(items, query) {
+    const results = []
+    for (const item of items) {
+        const match = fuzzyMatch(query, item.title)
+        if (match) {
+            results.push({ item, score: match.score, positions: match.positions })
+            continue
+        }
+
+        const keywordScores = (item.keywords || [])
+            .map(keyword => fuzzyMatch(query, keyword)?.score)
+            .filter(score => score !== undefined)
+        if (keywordScores.length > 0) {
+            results.push({ item, score: Math.max(...keywordScores) / 2, positions: [] })
+        }
+    }
+    return results.sort((a, b) => b.score - a.score)
+}
@@ -0,0 +1,176 @@
+/**
+ * Library Import
+ *
+ * Imports scanned course folders into the database, one at a time or as a queue
+ * of many courses from the root library folder. The queue is saved to localStorage
+ * after every course, so an interrupted import (paused, reloaded, tab closed) picks
+ * up where it stopped. Each course is written with importCourseTree, so a course is
+ * either fully imported or not at all.
+ */
+
+import { importCourseTree } from './db'
+import { scanCourseFolder, getRootSubfolder, getRootFolderName } from './fileSystem'
+
+const QUEUE_KEY = 'mearn_library_import_queue'
+
+/**
+ * Save a scanned course structure (from scanCourseFolder or scanFolderFromFiles)
+ * @param {Object} structure - Course structure, optionally with edited title/instructor
+ * @returns {Promise<{course: Object, modules: Object[], videos: Object[]}>}
+ */
+export async function importScannedCourse(structure) {
+    return importCourseTree(
+        {
+            title: structure.title,
+            originalTitle: structure.originalTitle,
+            instructor: structure.instructor,
+            thumbnailData: structure.thumbnailData,
+            folderHandle: structure.folderHandle,
+            totalDuration: structure.totalDuration,
+            totalVideos: structure.totalVideos,
+            folderLayout: structure.folderLayout,
+            source: 'local'
+        },
+        (structure.modules || []).map((module, i) => ({
+            title: module.title,
+            originalTitle: module.originalTitle,
+            folderPath: module.folderPath,
+            sectionPath: module.sectionPath,
+            folderHandle: module.folderHandle,
+            order: i,
+            totalDuration: module.totalDuration,
+            totalVideos: module.videos?.length || 0,
+            resources: module.resources || [],
+            videos: (module.videos || []).map((video, j) => ({
+                title: video.title,
+                originalTitle: video.originalTitle,
+                fileName: video.fileName,
+                relativePath: video.relativePath,
+                fileSize: video.fileSize,
+                duration: video.duration,
+                order: j,
+                fileHandle: video.fileHandle,
+                resources: video.resources || [],
+                subtitleTracks: video.subtitleTracks || []
+            }))
+        }))
+    )
+}
+
+/**
+ * Get the saved import queue
+ * @returns {Object|null} { rootName, createdAt, items: [{ path, name, videoCount, status, error, courseId }] }
+ */
+export function getImportQueue() {
+    try {
+        const saved = localStorage.getItem(QUEUE_KEY)
+        return saved ? JSON.parse(saved) : null
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Persist the import queue
+ */
+function saveImportQueue(queue) {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue))
+}
+
+/**
+ * Remove the saved import queue
+ */
+export function clearImportQueue() {
+    localStorage.removeItem(QUEUE_KEY)
+}
+
+/**
+ * Check whether a saved queue still has courses to import
+ */
+export function hasUnfinishedImport(queue = getImportQueue()) {
+    return !!queue?.items.some(item => item.status === 'pending' || item.status === 'importing')
+}
+
+/**
+ * Create and save a queue for the selected library courses
+ * @param {Array<{path: string, name: string, videoCount: number}>} courses - From scanLibraryFolder
+ */
+export function createImportQueue(courses) {
+    const queue = {
+        rootName: getRootFolderName(),
+        createdAt: new Date().toISOString(),
+        items: courses.map(course => ({
+            path: course.path,
+            name: course.name,
+            videoCount: course.videoCount,
+            status: 'pending',
+            error: null,
+            courseId: null
+        }))
+    }
+    saveImportQueue(queue)
+    return queue
+}
+
+/**
+ * Mark failed courses as pending so the next run tries them again
+ */
+export function retryFailedImports() {
+    const queue = getImportQueue()
+    if (!queue) return null
+
+    queue.items = queue.items.map(item =>
+        item.status === 'failed' ? { ...item, status: 'pending', error: null } : item
+    )
+    saveImportQueue(queue)
+    return queue
+}
+
+/**
+ * Import every pending course of the saved queue in order
+ * Needs access to the root library folder. A course left 'importing' by an
+ * interrupted run was rolled back, so it is imported again.
+ * @param {Object} options
+ * @param {Function} options.onUpdate - (queue, scanProgress) after every change
+ * @param {Function} options.shouldStop - Checked between courses; return true to pause
+ * @returns {Promise<Object>} The queue after the run
+ */
+export async function runImportQueue({ onUpdate = () => { }, shouldStop = () => false } = {}) {
+    const queue = getImportQueue()
+    if (!queue) return null
+
+    const update = (item, changes, scanProgress = null) => {
+        Object.assign(item, changes)
+        saveImportQueue(queue)
+        onUpdate({ ...queue, items: [...queue.items] }, scanProgress)
+    }
+
+    for (const item of queue.items) {
+        if (item.status !== 'pending' && item.status !== 'importing') continue
+        if (shouldStop()) break
+
+        update(item, { status: 'importing', error: null })
+
+        try {
+            const folderHandle = await getRootSubfolder(item.path)
+            if (!folderHandle) {
+                throw new Error('Folder not found in the library folder')
+            }
+
+            const structure = await scanCourseFolder(folderHandle, (current, total) => {
+                onUpdate({ ...queue, items: [...queue.items] }, { current, total })
+            })
+            if (structure.modules.length === 0) {
+                throw new Error('No videos found')
+            }
+
+            const { course } = await importScannedCourse(structure)
+            update(item, { status: 'done', courseId: course.id })
+        } catch (err) {
+            console.error(`Failed to import ${item.path}:`, err)
+            update(item, { status: 'failed', error: err.message })
+        }
+    }
+
+    return getImportQueue()
+}
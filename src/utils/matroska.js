@@ -0,0 +1,299 @@
+/**
+ * Matroska Demuxing
+ *
+ * Reads the audio track of an MKV or WebM file in slices, so it never has to be
+ * in memory at once: the track's codec setup first, then its frames block by block.
+ * Segments and clusters of unknown size, as MediaRecorder writes them, are read
+ * element by element rather than skipped by size.
+ */
+
+const ID = {
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    CLUSTER: 0x1F43B675,
+    CLUSTER_TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1
+}
+
+// Elements whose children are read in place, so their size may be unknown
+const CONTAINERS = new Set([ID.SEGMENT, ID.CLUSTER, ID.BLOCK_GROUP])
+
+const AUDIO_TRACK_TYPE = 2
+
+/**
+ * Reads byte ranges of a file through one slice kept in memory
+ */
+function createFileReader(file, sliceBytes) {
+    let start = 0
+    let bytes = new Uint8Array(0)
+
+    return {
+        /**
+         * Bytes [offset, offset + length), fewer at the end of the file
+         */
+        async read(offset, length) {
+            const end = Math.min(offset + length, file.size)
+            if (offset < start || end > start + bytes.length) {
+                start = offset
+                bytes = new Uint8Array(await file.slice(offset, Math.max(end, offset + sliceBytes)).arrayBuffer())
+            }
+            return bytes.subarray(offset - start, end - start)
+        }
+    }
+}
+
+/**
+ * Read a variable-length integer
+ * IDs keep their length marker, sizes don't; a size of all ones means unknown.
+ * @returns {{value: number, length: number, unknown: boolean}|null} null when cut off
+ */
+function readVint(bytes, pos, keepMarker = false) {
+    const first = bytes[pos]
+    if (first === undefined || first === 0) return null
+
+    let length = 1
+    while (!(first & (0x80 >> (length - 1)))) length++
+    if (pos + length > bytes.length) return null
+
+    let value = keepMarker ? first : first & (0xFF >> length)
+    let unknown = value === 0xFF >> length
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[pos + i]
+        if (bytes[pos + i] !== 0xFF) unknown = false
+    }
+    return { value, length, unknown: !keepMarker && unknown }
+}
+
+function readUint(bytes) {
+    return bytes.reduce((value, byte) => value * 256 + byte, 0)
+}
+
+function readFloat(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    return bytes.length === 4 ? view.getFloat32(0) : view.getFloat64(0)
+}
+
+function readString(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0+$/, '')
+}
+
+/**
+ * Split the data of an element read whole into its children
+ * @returns {Array<{id: number, data: Uint8Array}>}
+ */
+function parseChildren(bytes) {
+    const children = []
+    let pos = 0
+    while (pos < bytes.length) {
+        const id = readVint(bytes, pos, true)
+        const size = id && readVint(bytes, pos + id.length)
+        if (!size || size.unknown) break
+
+        const start = pos + id.length + size.length
+        children.push({ id: id.value, data: bytes.subarray(start, start + size.value) })
+        pos = start + size.value
+    }
+    return children
+}
+
+/**
+ * Walk the elements of the file from an offset, entering containers
+ * @yields {{id: number, offset: number, dataOffset: number, size: number|null}}
+ */
+async function* readElements(reader, offset) {
+    while (true) {
+        const header = await reader.read(offset, 12)
+        const id = readVint(header, 0, true)
+        const size = id && readVint(header, id.length)
+        if (!size) return
+
+        const element = {
+            id: id.value,
+            offset,
+            dataOffset: offset + id.length + size.length,
+            size: size.unknown ? null : size.value
+        }
+        yield element
+
+        if (CONTAINERS.has(element.id)) {
+            offset = element.dataOffset
+        } else if (element.size === null) {
+            // Nothing to skip it by
+            return
+        } else {
+            offset = element.dataOffset + element.size
+        }
+    }
+}
+
+/**
+ * The WebCodecs codec string and description for a Matroska codec
+ * @returns {{codec: string, description?: Uint8Array}|null} null when WebCodecs has no name for it
+ */
+function getCodec(codecId, codecPrivate) {
+    if (codecId === 'A_OPUS') return { codec: 'opus', ...(codecPrivate && { description: codecPrivate }) }
+    if (codecId === 'A_VORBIS' && codecPrivate) return { codec: 'vorbis', description: codecPrivate }
+    if (codecId === 'A_FLAC' && codecPrivate) return { codec: 'flac', description: codecPrivate }
+    if (codecId === 'A_MPEG/L3') return { codec: 'mp3' }
+    // The audio object type is the top five bits of the AudioSpecificConfig
+    if (codecId.startsWith('A_AAC') && codecPrivate) {
+        return { codec: `mp4a.40.${codecPrivate[0] >> 3}`, description: codecPrivate }
+    }
+    return null
+}
+
+function parseAudioTrack(trackEntry) {
+    const track = { number: 0, type: 0, codecId: '', codecPrivate: null, sampleRate: 8000, numberOfChannels: 1 }
+
+    for (const { id, data } of parseChildren(trackEntry)) {
+        if (id === ID.TRACK_NUMBER) track.number = readUint(data)
+        else if (id === ID.TRACK_TYPE) track.type = readUint(data)
+        else if (id === ID.CODEC_ID) track.codecId = readString(data)
+        else if (id === ID.CODEC_PRIVATE) track.codecPrivate = data.slice()
+        else if (id === ID.AUDIO) {
+            for (const setting of parseChildren(data)) {
+                if (setting.id === ID.SAMPLING_FREQUENCY) track.sampleRate = readFloat(setting.data)
+                else if (setting.id === ID.CHANNELS) track.numberOfChannels = readUint(setting.data)
+            }
+        }
+    }
+    return track.type === AUDIO_TRACK_TYPE ? track : null
+}
+
+/**
+ * Read a Matroska file's header up to its first cluster
+ * @param {File} file - MKV, MKA or WebM file
+ * @param {number} sliceBytes - Bytes read at a time
+ * @returns {Promise<Object|null>} { reader, offset, track, codec, duration }, where track is
+ *   null when the file has no audio and codec is null when WebCodecs can't name it; null
+ *   when the file couldn't be read
+ */
+export async function openMatroskaAudio(file, sliceBytes) {
+    const reader = createFileReader(file, sliceBytes)
+    let timecodeScale = 1e6 // Nanoseconds per timecode unit
+    let durationUnits = 0
+    let track = null
+    let tracksFound = false
+
+    for await (const element of readElements(reader, 0)) {
+        if (element.id === ID.CLUSTER) {
+            if (!tracksFound) return null
+            return {
+                reader,
+                offset: element.offset,
+                track,
+                codec: track && getCodec(track.codecId, track.codecPrivate),
+                duration: durationUnits * timecodeScale / 1e9,
+                timecodeScale
+            }
+        }
+        if (element.size === null || (element.id !== ID.INFO && element.id !== ID.TRACKS)) continue
+
+        const data = await reader.read(element.dataOffset, element.size)
+        if (element.id === ID.INFO) {
+            for (const { id, data: value } of parseChildren(data)) {
+                if (id === ID.TIMECODE_SCALE) timecodeScale = readUint(value)
+                else if (id === ID.DURATION) durationUnits = readFloat(value)
+            }
+        } else {
+            tracksFound = true
+            track = parseChildren(data)
+                .filter(child => child.id === ID.TRACK_ENTRY)
+                .map(child => parseAudioTrack(child.data))
+                .find(Boolean) || null
+        }
+    }
+    return null
+}
+
+/**
+ * Split a block's data into its frames
+ * @param {Uint8Array} bytes - Block data after the flags byte
+ * @param {number} lacing - 0 none, 1 Xiph, 2 fixed-size, 3 EBML
+ */
+function splitLacedFrames(bytes, lacing) {
+    if (lacing === 0) return [bytes]
+
+    const count = bytes[0] + 1
+    let pos = 1
+    const sizes = []
+
+    if (lacing === 1) {
+        for (let i = 0; i < count - 1; i++) {
+            let size = 0
+            let byte
+            do {
+                byte = bytes[pos++]
+                size += byte
+            } while (byte === 0xFF)
+            sizes.push(size)
+        }
+    } else if (lacing === 3) {
+        const first = readVint(bytes, pos)
+        pos += first.length
+        sizes.push(first.value)
+        for (let i = 1; i < count - 1; i++) {
+            // Later sizes are signed differences from the one before
+            const delta = readVint(bytes, pos)
+            pos += delta.length
+            sizes.push(sizes[i - 1] + delta.value - (2 ** (7 * delta.length - 1) - 1))
+        }
+    } else {
+        const size = (bytes.length - pos) / count
+        for (let i = 0; i < count - 1; i++) sizes.push(size)
+    }
+    sizes.push(bytes.length - pos - sizes.reduce((sum, size) => sum + size, 0))
+
+    return sizes.map(size => {
+        const frame = bytes.subarray(pos, pos + size)
+        pos += size
+        return frame
+    })
+}
+
+/**
+ * Read the frames of the audio track, in file order
+ * Blocks of other tracks are skipped without reading their data.
+ * @param {Object} audio - From openMatroskaAudio
+ * @yields {{timestamp: number, frames: Uint8Array[], offset: number}} timestamp in
+ *   microseconds; offset is how far into the file the block ends
+ */
+export async function* readMatroskaAudioFrames({ reader, offset, track, timecodeScale }) {
+    let clusterTime = 0
+
+    for await (const element of readElements(reader, offset)) {
+        if (element.id === ID.CLUSTER_TIMECODE) {
+            clusterTime = readUint(await reader.read(element.dataOffset, element.size))
+            continue
+        }
+        if ((element.id !== ID.SIMPLE_BLOCK && element.id !== ID.BLOCK) || element.size === null) continue
+
+        const header = await reader.read(element.dataOffset, 8)
+        const trackNumber = readVint(header, 0)
+        if (!trackNumber || trackNumber.value !== track.number) continue
+
+        const block = await reader.read(element.dataOffset, element.size)
+        const pos = trackNumber.length
+        const relativeTime = new DataView(block.buffer, block.byteOffset + pos, 2).getInt16(0)
+        const lacing = (block[pos + 2] >> 1) & 3
+
+        yield {
+            timestamp: (clusterTime + relativeTime) * timecodeScale / 1000,
+            frames: splitLacedFrames(block.subarray(pos + 3), lacing),
+            offset: element.dataOffset + element.size
+        }
+    }
+}
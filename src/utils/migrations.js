@@ -0,0 +1,361 @@
+/**
+ * TutIn Database Migrations
+ *
+ * Ordered, numbered migrations for the IndexedDB schema and its records.
+ * When the database is opened with a newer version, every migration above the
+ * stored version runs in order inside the single versionchange transaction,
+ * so a failing migration aborts the whole upgrade and leaves the old data intact.
+ *
+ * Each migration receives a context with:
+ * - db, transaction: the raw upgrade handles
+ * - createStore / deleteStore / createIndex / deleteIndex: idempotent schema helpers
+ * - getAll(storeName): read every record of a store
+ * - updateRecords(storeName, fn): rewrite records; fn returns the new record,
+ *   null to delete it, or undefined to leave it untouched
+ *
+ * Every applied migration is recorded in the `migrations` store.
+ */
+
+import { getProgressMode, summarizeVideos, calculateCompletionPercentage } from './progress'
+import { SEARCH_INDEX_STORE, buildVideoDocuments, buildNoteDocuments } from './searchIndex'
+
+export const MIGRATION_LOG_STORE = 'migrations'
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create courses, modules, videos, notes and analytics stores',
+        migrate({ createStore, createIndex }) {
+            createStore('courses', { keyPath: 'id' })
+            createIndex('courses', 'title', 'title')
+            createIndex('courses', 'lastAccessed', 'lastAccessed')
+            createIndex('courses', 'dateAdded', 'dateAdded')
+
+            createStore('modules', { keyPath: 'id' })
+            createIndex('modules', 'courseId', 'courseId')
+            createIndex('modules', 'order', 'order')
+
+            createStore('videos', { keyPath: 'id' })
+            createIndex('videos', 'courseId', 'courseId')
+            createIndex('videos', 'moduleId', 'moduleId')
+            createIndex('videos', 'isCompleted', 'isCompleted')
+            createIndex('videos', 'lastWatchedAt', 'lastWatchedAt')
+
+            createStore('notes', { keyPath: 'id' })
+            createIndex('notes', 'videoId', 'videoId')
+            createIndex('notes', 'courseId', 'courseId')
+            createIndex('notes', 'timestamp', 'timestamp')
+
+            createStore('analytics', { keyPath: 'id' })
+            createIndex('analytics', 'date', 'date', { unique: true })
+        }
+    },
+    {
+        version: 2,
+        description: 'Create instructors store for deduplicated avatars',
+        migrate({ createStore, createIndex }) {
+            createStore('instructors', { keyPath: 'id' })
+            createIndex('instructors', 'name', 'name', { unique: true })
+        }
+    },
+    {
+        version: 3,
+        description: 'Add order index to courses',
+        migrate({ createIndex }) {
+            createIndex('courses', 'order', 'order')
+        }
+    },
+    {
+        version: 4,
+        description: 'Create handles store for persistent folder access',
+        migrate({ createStore }) {
+            createStore('handles', { keyPath: 'id' })
+        }
+    },
+    {
+        version: 5,
+        description: 'Move legacy course instructor avatars into the instructors store',
+        async migrate({ transaction, getAll, updateRecords }) {
+            const instructors = await getAll('instructors')
+            const existing = new Set(instructors.map(i => i.name))
+            const instructorsStore = transaction.objectStore('instructors')
+
+            return updateRecords('courses', (course) => {
+                if (!('instructorAvatar' in course)) return undefined
+
+                const { instructorAvatar, ...rest } = course
+                const name = normalizeInstructorName(course.instructor)
+                if (name && instructorAvatar && !existing.has(name)) {
+                    instructorsStore.put({
+                        id: `instructor_${name}`,
+                        name,
+                        displayName: course.instructor,
+                        avatarData: instructorAvatar,
+                        updatedAt: new Date().toISOString()
+                    })
+                    existing.add(name)
+                }
+                return rest
+            })
+        }
+    },
+    {
+        version: 6,
+        description: 'Derive relativePath for legacy fallback-mode videos that only stored a fileName',
+        async migrate({ getAll, updateRecords }) {
+            const courses = new Map((await getAll('courses')).map(c => [c.id, c]))
+            const modules = new Map((await getAll('modules')).map(m => [m.id, m]))
+
+            return updateRecords('videos', (video) => {
+                const isLocalFile = !video.youtubeId && !video.url && !video.driveFileId
+                if (!isLocalFile || video.fileHandle || video.relativePath || !video.fileName) return undefined
+
+                const course = courses.get(video.courseId)
+                const courseFolder = course?.originalTitle
+                if (!courseFolder) return undefined
+
+                // Fallback imports used the first subfolder as the module; root videos became "Main Content"
+                const moduleFolder = modules.get(video.moduleId)?.originalTitle
+                const hasSubfolder = moduleFolder && moduleFolder !== courseFolder && moduleFolder !== 'Main Content'
+
+                return {
+                    ...video,
+                    relativePath: hasSubfolder
+                        ? `${courseFolder}/${moduleFolder}/${video.fileName}`
+                        : `${courseFolder}/${video.fileName}`,
+                    // Path is a best guess; the player may still match by file name
+                    relativePathDerived: true
+                }
+            })
+        }
+    },
+    {
+        version: 7,
+        description: 'Backfill progress aggregates on courses and modules for incremental updates',
+        async migrate({ getAll, updateRecords }) {
+            const progressMode = getProgressMode()
+            const videos = await getAll('videos')
+            const byKey = (key) => videos.reduce((groups, video) => {
+                if (!groups[video[key]]) groups[video[key]] = []
+                groups[video[key]].push(video)
+                return groups
+            }, {})
+            const videosByModule = byKey('moduleId')
+            const videosByCourse = byKey('courseId')
+
+            const withAggregates = (record, recordVideos = []) => {
+                const totals = summarizeVideos(recordVideos)
+                return { ...record, ...totals, completionPercentage: calculateCompletionPercentage(totals, progressMode) }
+            }
+
+            await updateRecords('modules', module => withAggregates(module, videosByModule[module.id]))
+            return updateRecords('courses', course => withAggregates(course, videosByCourse[course.id]))
+        }
+    },
+    {
+        version: 8,
+        description: 'Create resources store for files imported alongside videos',
+        migrate({ createStore, createIndex }) {
+            createStore('resources', { keyPath: 'id' })
+            createIndex('resources', 'courseId', 'courseId')
+            createIndex('resources', 'moduleId', 'moduleId')
+            createIndex('resources', 'videoId', 'videoId')
+        }
+    },
+    {
+        version: 9,
+        description: 'Create aiJobs store for the background transcription queue',
+        migrate({ createStore, createIndex }) {
+            createStore('aiJobs', { keyPath: 'id' })
+            createIndex('aiJobs', 'courseId', 'courseId')
+            createIndex('aiJobs', 'videoId', 'videoId')
+            createIndex('aiJobs', 'status', 'status')
+        }
+    },
+    {
+        version: 10,
+        description: 'Create searchIndex store and index existing transcripts, summaries and notes',
+        async migrate({ transaction, createStore, createIndex, getAll }) {
+            createStore(SEARCH_INDEX_STORE, { keyPath: 'id' })
+            createIndex(SEARCH_INDEX_STORE, 'terms', 'terms', { unique: false, multiEntry: true })
+            createIndex(SEARCH_INDEX_STORE, 'sourceId', 'sourceId')
+
+            const videos = await getAll('videos')
+            const notes = await getAll('notes')
+            const indexStore = transaction.objectStore(SEARCH_INDEX_STORE)
+            videos.flatMap(buildVideoDocuments).forEach(document => indexStore.put(document))
+            notes.flatMap(buildNoteDocuments).forEach(document => indexStore.put(document))
+        }
+    }
+]
+
+/**
+ * Normalize instructor name for storage key (matches db.js)
+ */
+function normalizeInstructorName(name) {
+    if (!name) return ''
+    return name.toLowerCase().trim().replace(/\s+/g, '_')
+}
+
+/**
+ * Get the schema version the migrations upgrade to
+ */
+export function getLatestVersion(migrations = MIGRATIONS) {
+    return migrations.reduce((max, m) => Math.max(max, m.version), 0)
+}
+
+/**
+ * Build the helper context passed to each migration
+ */
+function createMigrationContext(db, transaction) {
+    const context = {
+        db,
+        transaction,
+        recordsChanged: 0,
+
+        createStore(name, options) {
+            if (!db.objectStoreNames.contains(name)) {
+                db.createObjectStore(name, options)
+            }
+        },
+
+        deleteStore(name) {
+            if (db.objectStoreNames.contains(name)) {
+                db.deleteObjectStore(name)
+            }
+        },
+
+        createIndex(storeName, indexName, keyPath, options = { unique: false }) {
+            const store = transaction.objectStore(storeName)
+            if (!store.indexNames.contains(indexName)) {
+                store.createIndex(indexName, keyPath, options)
+            }
+        },
+
+        deleteIndex(storeName, indexName) {
+            const store = transaction.objectStore(storeName)
+            if (store.indexNames.contains(indexName)) {
+                store.deleteIndex(indexName)
+            }
+        },
+
+        getAll(storeName) {
+            return new Promise((resolve, reject) => {
+                const request = transaction.objectStore(storeName).getAll()
+                request.onsuccess = () => resolve(request.result || [])
+                request.onerror = () => reject(new Error(`Failed to read ${storeName}: ` + request.error))
+            })
+        },
+
+        updateRecords(storeName, fn) {
+            return new Promise((resolve, reject) => {
+                let changed = 0
+                const request = transaction.objectStore(storeName).openCursor()
+
+                request.onsuccess = () => {
+                    const cursor = request.result
+                    if (!cursor) {
+                        context.recordsChanged += changed
+                        resolve(changed)
+                        return
+                    }
+
+                    const result = fn(cursor.value)
+                    if (result === null) {
+                        cursor.delete()
+                        changed++
+                    } else if (result !== undefined) {
+                        cursor.update(result)
+                        changed++
+                    }
+                    cursor.continue()
+                }
+                request.onerror = () => reject(new Error(`Failed to migrate ${storeName}: ` + request.error))
+            })
+        }
+    }
+
+    return context
+}
+
+/**
+ * Run every migration above oldVersion, up to newVersion, inside the upgrade transaction
+ * @param {Object} options
+ * @param {IDBDatabase} options.db - Database from the upgradeneeded event
+ * @param {IDBTransaction} options.transaction - The versionchange transaction
+ * @param {number} options.oldVersion - Version the database was at
+ * @param {number} options.newVersion - Version being opened
+ * @param {Array} [options.migrations] - Migrations to apply (defaults to MIGRATIONS)
+ * @returns {Promise<Array>} Log entries for the applied migrations
+ */
+export async function runMigrations({ db, transaction, oldVersion, newVersion, migrations = MIGRATIONS }) {
+    if (!db.objectStoreNames.contains(MIGRATION_LOG_STORE)) {
+        db.createObjectStore(MIGRATION_LOG_STORE, { keyPath: 'version' })
+    }
+
+    const pending = migrations
+        .filter(m => m.version > oldVersion && m.version <= newVersion)
+        .sort((a, b) => a.version - b.version)
+
+    const applied = []
+    for (const migration of pending) {
+        const startedAt = Date.now()
+        const context = createMigrationContext(db, transaction)
+
+        await migration.migrate(context)
+
+        const entry = {
+            version: migration.version,
+            description: migration.description,
+            fromVersion: oldVersion,
+            appliedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt,
+            recordsChanged: context.recordsChanged
+        }
+        transaction.objectStore(MIGRATION_LOG_STORE).put(entry)
+        applied.push(entry)
+    }
+
+    return applied
+}
+
+/**
+ * Open a database and apply pending migrations
+ * @param {string} name - Database name
+ * @param {Object} [options]
+ * @param {Array} [options.migrations] - Migrations to apply (defaults to MIGRATIONS)
+ * @param {number} [options.version] - Version to open (defaults to the latest migration)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openMigratedDatabase(name, { migrations = MIGRATIONS, version = getLatestVersion(migrations) } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version)
+        let migrationError = null
+
+        request.onerror = () => {
+            reject(new Error('Failed to open database: ' + (migrationError?.message || request.error)))
+        }
+
+        request.onsuccess = () => resolve(request.result)
+
+        request.onupgradeneeded = (event) => {
+            const transaction = event.target.transaction
+
+            runMigrations({
+                db: event.target.result,
+                transaction,
+                oldVersion: event.oldVersion,
+                newVersion: event.newVersion,
+                migrations
+            }).catch(err => {
+                console.error('Database migration failed:', err)
+                migrationError = err
+                try {
+                    transaction.abort()
+                } catch {
+                    // Transaction already finished
+                }
+            })
+        }
+    })
+}
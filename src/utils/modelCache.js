@@ -0,0 +1,297 @@
+/**
+ * Model Cache
+ *
+ * Manages the model files Transformers.js keeps in the browser's Cache Storage
+ * ('transformers-cache'), where every file is stored under its Hugging Face URL.
+ * Lists what is cached and how much space it takes, downloads a Whisper model
+ * ahead of time, deletes models, and imports a model's files from a local folder
+ * for machines without internet. Files put here are found by Transformers.js
+ * exactly as if it had downloaded them itself.
+ *
+ * Transformers.js itself and the ONNX runtime's wasm files are stored alongside,
+ * under their CDN URLs, so a model can also be loaded without the CDN.
+ */
+
+const CACHE_NAME = 'transformers-cache'
+const HF_HOST = 'https://huggingface.co/'
+const REVISION = 'main'
+
+export const MODEL_UNAVAILABLE = 'MODEL_UNAVAILABLE'
+
+export const TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/transformers.min.js'
+const RUNTIME_BASE_URL = TRANSFORMERS_URL.slice(0, TRANSFORMERS_URL.lastIndexOf('/') + 1)
+
+// The library and the wasm builds the runtime picks from when it runs single-threaded
+export const RUNTIME_FILES = ['transformers.min.js', 'ort-wasm.wasm', 'ort-wasm-simd.wasm']
+
+// Files the speech recognition pipeline reads (quantized weights, the Transformers.js default)
+export const WHISPER_MODEL_FILES = [
+    'config.json',
+    'generation_config.json',
+    'preprocessor_config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    'onnx/encoder_model_quantized.onnx',
+    'onnx/decoder_model_merged_quantized.onnx'
+]
+
+/**
+ * Check the browser has Cache Storage (it needs a secure context)
+ */
+export function isModelCacheSupported() {
+    return typeof caches !== 'undefined'
+}
+
+function getModelFileUrl(model, file) {
+    return `${HF_HOST}${model}/resolve/${REVISION}/${file}`
+}
+
+/**
+ * Split a cached URL into its model and file
+ * @returns {{model: string, file: string}|null}
+ */
+function parseModelFileUrl(url) {
+    const match = url.startsWith(HF_HOST) && url.slice(HF_HOST.length).match(/^([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/)
+    return match ? { model: match[1], file: match[2] } : null
+}
+
+async function getResponseSize(response) {
+    const length = Number(response.headers.get('content-length'))
+    return length > 0 ? length : (await response.blob()).size
+}
+
+/**
+ * List every cached model
+ * @returns {Promise<Array<{model: string, files: string[], size: number, isComplete: boolean|null}>>}
+ *   isComplete tells whether a Whisper model has every file it needs, null for other models
+ */
+export async function listCachedModels() {
+    if (!isModelCacheSupported()) return []
+
+    const cache = await caches.open(CACHE_NAME)
+    const requests = await cache.keys()
+    const models = new Map()
+
+    for (const request of requests) {
+        const parsed = parseModelFileUrl(request.url)
+        if (!parsed) continue
+
+        const response = await cache.match(request)
+        const entry = models.get(parsed.model) || { model: parsed.model, files: [], size: 0 }
+        entry.files.push(parsed.file)
+        entry.size += response ? await getResponseSize(response) : 0
+        models.set(parsed.model, entry)
+    }
+
+    return [...models.values()]
+        .map(entry => ({
+            ...entry,
+            isComplete: entry.model.includes('/whisper-')
+                ? WHISPER_MODEL_FILES.every(file => entry.files.includes(file))
+                : null
+        }))
+        .sort((a, b) => a.model.localeCompare(b.model))
+}
+
+/**
+ * Check every file of a Whisper model, and the runtime it runs on, is cached
+ */
+export async function isWhisperModelCached(model) {
+    if (!isModelCacheSupported()) return false
+
+    const cache = await caches.open(CACHE_NAME)
+    for (const url of getWhisperDownloads(model).map(download => download.url)) {
+        if (!await cache.match(url)) return false
+    }
+    return true
+}
+
+// Every file a Whisper model needs, runtime first
+function getWhisperDownloads(model) {
+    return [
+        ...RUNTIME_FILES.map(file => ({ file, url: RUNTIME_BASE_URL + file })),
+        ...WHISPER_MODEL_FILES.map(file => ({ file, url: getModelFileUrl(model, file) }))
+    ]
+}
+
+/**
+ * Object URLs for the cached runtime, so the worker can load it without the CDN
+ * @returns {Promise<{library: string, wasmPaths: Object<string, string>}|null>}
+ *   wasmPaths maps each wasm file name to its URL; null unless every file is cached
+ */
+export async function getCachedRuntimeUrls() {
+    if (!isModelCacheSupported()) return null
+
+    const cache = await caches.open(CACHE_NAME)
+    const urls = {}
+    for (const file of RUNTIME_FILES) {
+        const response = await cache.match(RUNTIME_BASE_URL + file)
+        if (!response) return null
+        urls[file] = URL.createObjectURL(await response.blob())
+    }
+
+    const { 'transformers.min.js': library, ...wasmPaths } = urls
+    return { library, wasmPaths }
+}
+
+let transformersPromise = null
+
+/**
+ * Import Transformers.js, from the cache when the runtime is stored there, else from the CDN
+ * Loaded at runtime rather than bundled to avoid Vite bundling issues with the ONNX runtime.
+ */
+export function importTransformers() {
+    if (!transformersPromise) {
+        transformersPromise = (async () => {
+            const runtime = await getCachedRuntimeUrls()
+            const transformers = await import(
+                /* @vite-ignore */
+                runtime?.library || TRANSFORMERS_URL
+            )
+            if (runtime) {
+                // Only the single-threaded wasm builds are cached
+                transformers.env.backends.onnx.wasm.wasmPaths = runtime.wasmPaths
+                transformers.env.backends.onnx.wasm.numThreads = 1
+            }
+            return transformers
+        })()
+        // A failed import is tried again next time
+        transformersPromise.catch(() => { transformersPromise = null })
+    }
+    return transformersPromise
+}
+
+/**
+ * Download a Whisper model and the runtime into the cache without loading them
+ * Files already cached are skipped.
+ * @param {string} model - e.g. 'Xenova/whisper-base'
+ * @param {Function} onProgress - ({ file, progress, message })
+ */
+export async function downloadWhisperModel(model, onProgress) {
+    if (!isModelCacheSupported()) {
+        throw new Error('This browser cannot store models (Cache Storage is unavailable)')
+    }
+
+    const cache = await caches.open(CACHE_NAME)
+    const downloads = getWhisperDownloads(model)
+
+    for (const [i, { file, url }] of downloads.entries()) {
+        if (await cache.match(url)) continue
+
+        const prefix = `File ${i + 1} of ${downloads.length}: ${file}`
+        onProgress?.({ file, progress: 0, message: prefix })
+
+        let response
+        try {
+            response = await fetch(url)
+        } catch (err) {
+            throw new Error(`Could not reach ${new URL(url).host} to download ${file} (${err.message})`)
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to download ${file}: ${response.status} ${response.statusText}`)
+        }
+
+        // Read the body in pieces to report progress on the large weight files
+        const total = Number(response.headers.get('content-length')) || 0
+        const reader = response.body.getReader()
+        const parts = []
+        let received = 0
+        while (true) {
+            const { done, value } = await reader.read()
+            if (done) break
+            parts.push(value)
+            received += value.length
+            if (total) {
+                onProgress?.({ file, progress: received / total, message: `${prefix} (${Math.round(received / total * 100)}%)` })
+            }
+        }
+
+        const blob = new Blob(parts)
+        await cache.put(url, new Response(blob, {
+            headers: {
+                'content-type': response.headers.get('content-type') || 'application/octet-stream',
+                'content-length': String(blob.size)
+            }
+        }))
+    }
+
+    onProgress?.({ file: null, progress: 1, message: 'Download complete' })
+}
+
+/**
+ * Delete every cached file of a model
+ */
+export async function deleteCachedModel(model) {
+    if (!isModelCacheSupported()) return
+
+    const cache = await caches.open(CACHE_NAME)
+    const requests = await cache.keys()
+    await Promise.all(requests
+        .filter(request => parseModelFileUrl(request.url)?.model === model)
+        .map(request => cache.delete(request)))
+}
+
+/**
+ * Import a Whisper model from files picked in a folder
+ * The folder holds the model's files as published on Hugging Face (a clone of
+ * huggingface.co/<model>); files are matched by their path, or by name when the
+ * folder is flat. Runtime files that aren't cached yet must be in the folder too,
+ * copied from the dist folder of the @xenova/transformers package.
+ * @param {string} model - Model the files belong to, e.g. 'Xenova/whisper-base'
+ * @param {File[]} files - From pickFolderFallback, with webkitRelativePath set
+ */
+export async function importWhisperModelFiles(model, files) {
+    if (!isModelCacheSupported()) {
+        throw new Error('This browser cannot store models (Cache Storage is unavailable)')
+    }
+
+    const cache = await caches.open(CACHE_NAME)
+    const matched = []
+    for (const { file, url } of getWhisperDownloads(model)) {
+        const name = file.split('/').pop()
+        const found = files.find(f => (f.webkitRelativePath || f.name).endsWith('/' + file)) ||
+            files.find(f => f.name === name)
+        // The runtime is shared by every model, one imported before will do
+        if (found || !RUNTIME_FILES.includes(file) || !await cache.match(url)) {
+            matched.push({ file, url, found })
+        }
+    }
+
+    const missing = matched.filter(m => !m.found).map(m => m.file)
+    if (missing.length > 0) {
+        const missingRuntime = missing.some(file => RUNTIME_FILES.includes(file))
+        throw new Error(
+            `The folder is missing ${missing.join(', ')}. It should hold the files of huggingface.co/${model}` +
+            (missingRuntime ? ', and those of the dist folder of the @xenova/transformers 2.17.2 package.' : '.')
+        )
+    }
+
+    for (const { file, url, found } of matched) {
+        await cache.put(url, new Response(found, {
+            headers: {
+                'content-type': getContentType(file),
+                'content-length': String(found.size)
+            }
+        }))
+    }
+}
+
+function getContentType(file) {
+    if (file.endsWith('.json')) return 'application/json'
+    if (file.endsWith('.js')) return 'text/javascript'
+    if (file.endsWith('.wasm')) return 'application/wasm'
+    return 'application/octet-stream'
+}
+
+/**
+ * The error shown when a model has to be downloaded but can't be
+ * @returns {Error} With code MODEL_UNAVAILABLE
+ */
+export function createModelUnavailableError(modelLabel) {
+    const error = new Error(
+        `${modelLabel} is not available offline. Download it in Settings → AI → Models while online, ` +
+        'or import its files from a folder.'
+    )
+    error.code = MODEL_UNAVAILABLE
+    return error
+}
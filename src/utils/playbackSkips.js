@@ -0,0 +1,49 @@
+/**
+ * Intro & Outro Skipping
+ *
+ * Every course has its own intro and outro length, so the Skip Intro / Skip Outro
+ * settings can be overridden per course (`skipIntro` / `skipOutro` on the course
+ * record, null to use the settings). The intro is skipped when a video starts;
+ * the outro is where a video counts as finished: it is marked complete there and
+ * auto-play moves on without waiting for `ended`.
+ */
+
+// Skips are ignored on videos too short to have both and still leave this much to watch
+const MIN_CONTENT_SECONDS = 10
+
+/**
+ * Intro and outro lengths for a course
+ * @param {Object|null} course - Course record
+ * @param {Object} settings - App settings
+ * @returns {{intro: number, outro: number}} Seconds
+ */
+export function resolveSkipTimes(course, settings) {
+    const pick = (override, fallback) => Math.max(0, Number.isFinite(override) ? override : (fallback || 0))
+    return {
+        intro: pick(course?.skipIntro, settings.skipIntro),
+        outro: pick(course?.skipOutro, settings.skipOutro)
+    }
+}
+
+/**
+ * Intro and outro as positions in a video
+ * @param {{intro: number, outro: number}} skipTimes - From resolveSkipTimes
+ * @param {number} duration - Video length in seconds, 0 while unknown
+ * @returns {{introEnd: number, outroStart: number|null}} introEnd is 0 without an
+ *   intro; outroStart is null without an outro or while the duration is unknown
+ */
+export function getSkipWindow({ intro, outro }, duration) {
+    if (!duration) return { introEnd: intro, outroStart: null }
+    if (intro + outro > duration - MIN_CONTENT_SECONDS) return { introEnd: 0, outroStart: null }
+    return { introEnd: intro, outroStart: outro > 0 ? duration - outro : null }
+}
+
+/**
+ * How much of a video has been watched, counting the outro start as the end
+ * @returns {number} Percentage, 0-100
+ */
+export function getWatchPercentage(currentTime, duration, outroStart = null) {
+    const end = outroStart ?? duration
+    if (!end) return 0
+    return Math.min(100, (currentTime / end) * 100)
+}
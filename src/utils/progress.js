@@ -0,0 +1,84 @@
+/**
+ * Progress aggregate utilities
+ *
+ * Courses and modules store mode-independent aggregates:
+ * - totalVideos / completedVideos: for the 'videos' calculation mode
+ * - totalDuration / watchedDuration (seconds): for the 'duration' mode
+ *
+ * completionPercentage is derived from them for the active mode, so switching
+ * modes never has to read the videos again.
+ */
+
+/**
+ * Read the progress calculation mode from saved settings
+ * @returns {'videos'|'duration'}
+ */
+export function getProgressMode() {
+    try {
+        const savedSettings = localStorage.getItem('mearn_settings')
+        if (savedSettings) {
+            return JSON.parse(savedSettings).progressCalculationMode || 'videos'
+        }
+    } catch {
+        // Ignore parsing errors, use default
+    }
+    return 'videos'
+}
+
+/**
+ * Seconds of a video counted as watched
+ * Completed videos count in full even if watchProgress wasn't set
+ */
+export function getWatchedDuration(video) {
+    const duration = video.duration || 0
+    return video.isCompleted ? duration : duration * (video.watchProgress || 0)
+}
+
+/**
+ * Build the progress aggregates for a list of videos
+ * @returns {{totalVideos: number, completedVideos: number, totalDuration: number, watchedDuration: number}}
+ */
+export function summarizeVideos(videos) {
+    return videos.reduce((totals, video) => ({
+        totalVideos: totals.totalVideos + 1,
+        completedVideos: totals.completedVideos + (video.isCompleted ? 1 : 0),
+        totalDuration: totals.totalDuration + (video.duration || 0),
+        watchedDuration: totals.watchedDuration + getWatchedDuration(video)
+    }), { totalVideos: 0, completedVideos: 0, totalDuration: 0, watchedDuration: 0 })
+}
+
+/**
+ * Completion percentage (0-100) of a course or module for the given mode
+ * @param {Object} aggregates - Record with the progress aggregates
+ * @param {string} progressMode - 'videos' for completed count, 'duration' for time-based
+ */
+export function calculateCompletionPercentage(aggregates, progressMode = 'videos') {
+    if (progressMode === 'duration') {
+        const totalDuration = aggregates.totalDuration || 0
+        return totalDuration > 0 ? Math.min(100, ((aggregates.watchedDuration || 0) / totalDuration) * 100) : 0
+    }
+    const totalVideos = aggregates.totalVideos || 0
+    return totalVideos > 0 ? ((aggregates.completedVideos || 0) / totalVideos) * 100 : 0
+}
+
+/**
+ * Apply the change of a single video to a course or module record
+ * @param {Object} record - Course or module holding the aggregates
+ * @param {Object} previous - Video before the change
+ * @param {Object} video - Video after the change
+ * @param {string} progressMode - Mode used for completionPercentage
+ * @returns {Object|null} Updated record, or null when nothing changed
+ */
+export function applyVideoChange(record, previous, video, progressMode) {
+    const completedDelta = (video.isCompleted ? 1 : 0) - (previous.isCompleted ? 1 : 0)
+    const watchedDelta = getWatchedDuration(video) - getWatchedDuration(previous)
+    if (completedDelta === 0 && watchedDelta === 0) return null
+
+    const updated = {
+        ...record,
+        completedVideos: Math.max(0, (record.completedVideos || 0) + completedDelta),
+        watchedDuration: Math.max(0, (record.watchedDuration || 0) + watchedDelta)
+    }
+    updated.completionPercentage = calculateCompletionPercentage(updated, progressMode)
+    return updated
+}
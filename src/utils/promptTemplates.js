@@ -0,0 +1,327 @@
+/**
+ * Summary Prompt Templates
+ *
+ * The prompts summaries are generated with. Built-in templates cover the common
+ * output styles; users create, edit and duplicate their own in Settings → AI.
+ * Templates are plain text with {{variable}} placeholders (see TEMPLATE_VARIABLES)
+ * and are stored in localStorage with the id of the selected one.
+ */
+
+import { generateId } from './db'
+
+const STORAGE_KEY = 'tutin_prompt_templates'
+
+export const TEMPLATE_VARIABLES = [
+    { name: 'transcript', description: 'The transcript (or notes on its parts, for long videos)' },
+    { name: 'videoTitle', description: 'Title of the video' },
+    { name: 'moduleTitle', description: 'Title of the module the video is in' },
+    { name: 'courseTitle', description: 'Title of the course' },
+    { name: 'instructor', description: 'Course instructor, empty if unknown' }
+]
+
+// One-line instruction for small in-browser models, which can't follow a full template
+const DEFAULT_BRIEF = 'Summarize the key points of this lecture transcript as study notes'
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'study-notes',
+        name: 'Study Notes',
+        description: 'Detailed notes with key concepts, main points, tips and takeaways',
+        brief: DEFAULT_BRIEF,
+        prompt: `You are an expert note-taker who creates comprehensive study notes from video lectures. Your goal is to extract ALL important information and present it in a well-organized, visually clear format that's perfect for studying and quick reference.
+
+**Your Task:**
+Create detailed study notes from the transcript below. Write as if you're taking notes for someone who couldn't watch the video but needs to understand everything important.
+
+**Format Requirements:**
+- Use markdown formatting extensively (headers, bullet points, bold, code blocks)
+- Use horizontal dividers (---) between major sections
+- Use bullet points (•) for lists
+- Use **bold** for key terms, definitions, and important concepts
+- Use \`code blocks\` for technical terms, commands, or code snippets
+- Include numbered lists for step-by-step processes
+- Keep the notes scannable and easy to read
+
+**Structure your notes like this:**
+
+## 📝 [Descriptive Title Based on Content]
+
+### 🎯 Quick Summary
+> [2-3 sentence summary of the main topic/lesson]
+
+---
+
+### 📌 Key Concepts
+
+**[Concept 1]:** [Clear explanation]
+
+**[Concept 2]:** [Clear explanation]
+
+---
+
+### 📋 Main Points
+
+• **[Point 1]** — [Detailed explanation]
+
+• **[Point 2]** — [Detailed explanation]
+
+• **[Point 3]** — [Detailed explanation]
+
+---
+
+### 💡 Tips & Best Practices
+• [Tip 1]
+• [Tip 2]
+
+---
+
+### ⚠️ Important Notes / Warnings
+• [Warning or important note]
+
+---
+
+### ✅ Action Items / Steps
+1. [Step 1]
+2. [Step 2]
+3. [Step 3]
+
+---
+
+### 🔑 Key Takeaways
+• [Most important thing to remember]
+• [Second most important]
+
+---
+
+**Notes:**
+- Only include sections that are relevant to the content
+- Skip empty sections
+- Be thorough - capture all important details
+- Use emojis sparingly for section headers only
+- Make it easy to copy/paste into personal notes
+
+---
+
+**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}
+
+**Transcript:**
+
+{{transcript}}`
+    },
+    {
+        id: 'cheat-sheet',
+        name: 'Cheat Sheet',
+        description: 'One dense page of facts, commands and definitions to look up quickly',
+        brief: 'Write a short cheat sheet of the key facts, terms and commands in this lecture transcript',
+        prompt: `You are making a one-page cheat sheet from a video lecture, for quick reference while working.
+
+**Format Requirements:**
+- Markdown only, as dense as possible: no introduction, no conclusion, no full sentences where a fragment will do
+- Group entries under short \`###\` headings by topic
+- Use tables for comparisons, options and syntax
+- Put commands, code and exact values in \`code\`
+- Use **bold** for terms, followed by a one-line definition
+
+**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}
+
+**Transcript:**
+
+{{transcript}}`
+    },
+    {
+        id: 'flashcards',
+        name: 'Flashcards',
+        description: 'Question and answer pairs for spaced repetition',
+        brief: 'Write questions and answers that test the key points of this lecture transcript',
+        prompt: `You are writing flashcards that test understanding of a video lecture.
+
+**Format Requirements:**
+- Write 10 to 25 flashcards covering every important concept, definition, step and pitfall
+- Each card is a markdown block:
+
+**Q:** [A specific question with one clear answer]
+
+**A:** [A short answer, one to three sentences]
+
+---
+
+- Ask about understanding and application, not trivia
+- Keep each card self-contained: don't refer to "the video" or other cards
+- Use \`code\` for commands and code
+
+**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}
+
+**Transcript:**
+
+{{transcript}}`
+    },
+    {
+        id: 'code-only',
+        name: 'Code Extraction',
+        description: 'Only the code, commands and configuration shown or described',
+        brief: 'List the code, commands and configuration mentioned in this lecture transcript',
+        prompt: `Extract every piece of code, shell command, configuration and file content from this video lecture transcript.
+
+**Format Requirements:**
+- Output fenced code blocks with the right language tag, in the order they appear
+- Above each block, one line of plain text saying what it does
+- Reconstruct code the speaker dictates or describes step by step into complete, runnable form where possible
+- Mark anything you had to guess with a \`# ?\` or \`// ?\` comment
+- Skip everything that isn't code; if there is no code, say so in one sentence
+
+**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}
+
+**Transcript:**
+
+{{transcript}}`
+    },
+    {
+        id: 'eli5',
+        name: 'ELI5',
+        description: 'The main ideas explained simply, with everyday analogies',
+        brief: 'Explain the main ideas of this lecture transcript in simple words a beginner would understand',
+        prompt: `Explain this video lecture like I'm five: simply enough for a complete beginner to understand.
+
+**Format Requirements:**
+- Start with one sentence saying what the lecture is about
+- Explain each main idea under a short \`###\` heading, in plain words
+- Use an everyday analogy for every idea that is abstract
+- Define any jargon you can't avoid the first time you use it
+- End with a "### In a Nutshell" section of at most three bullet points
+
+**Video:** {{courseTitle}} › {{moduleTitle}} › {{videoTitle}}
+
+**Transcript:**
+
+{{transcript}}`
+    }
+]
+
+export const DEFAULT_TEMPLATE_ID = 'study-notes'
+
+/**
+ * Read the saved templates and selection
+ */
+function loadTemplateState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+        if (saved) {
+            return { selectedId: saved.selectedId || DEFAULT_TEMPLATE_ID, custom: saved.custom || [] }
+        }
+    } catch {
+        // Ignore parsing errors, use defaults
+    }
+    return { selectedId: DEFAULT_TEMPLATE_ID, custom: [] }
+}
+
+/**
+ * Persist the templates and selection
+ */
+function saveTemplateState(state) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+}
+
+/**
+ * Get every template, built-ins first
+ * @returns {Array<{id: string, name: string, description?: string, prompt: string, builtIn?: boolean}>}
+ */
+export function getPromptTemplates() {
+    return [
+        ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+        ...loadTemplateState().custom
+    ]
+}
+
+/**
+ * Get a template by id, falling back to the default one if it was deleted
+ */
+export function getPromptTemplate(templateId) {
+    const templates = getPromptTemplates()
+    return templates.find(t => t.id === templateId) ||
+        templates.find(t => t.id === DEFAULT_TEMPLATE_ID)
+}
+
+/**
+ * Get the id of the template used for new summaries
+ */
+export function getSelectedTemplateId() {
+    return getPromptTemplate(loadTemplateState().selectedId).id
+}
+
+/**
+ * Use a template for new summaries
+ */
+export function selectPromptTemplate(templateId) {
+    saveTemplateState({ ...loadTemplateState(), selectedId: templateId })
+}
+
+/**
+ * Create or update a custom template
+ * @param {Object} template - { id?, name, prompt }; without an id a new template is created
+ * @returns {Object} The saved template
+ */
+export function savePromptTemplate(template) {
+    if (!template.name?.trim()) {
+        throw new Error('Template name is required')
+    }
+    if (!template.prompt?.includes('{{transcript}}')) {
+        throw new Error('Template must include {{transcript}}')
+    }
+
+    const state = loadTemplateState()
+    const saved = {
+        id: template.id || generateId('template_'),
+        name: template.name.trim(),
+        prompt: template.prompt
+    }
+
+    const index = state.custom.findIndex(t => t.id === saved.id)
+    if (index === -1) {
+        state.custom.push(saved)
+    } else {
+        state.custom[index] = saved
+    }
+
+    saveTemplateState(state)
+    return saved
+}
+
+/**
+ * Copy a template (built-in or custom) into a new custom template
+ * @returns {Object} The copy
+ */
+export function duplicatePromptTemplate(templateId) {
+    const template = getPromptTemplate(templateId)
+    return savePromptTemplate({ name: `${template.name} (copy)`, prompt: template.prompt })
+}
+
+/**
+ * Delete a custom template; built-ins can't be deleted
+ */
+export function deletePromptTemplate(templateId) {
+    const state = loadTemplateState()
+    state.custom = state.custom.filter(t => t.id !== templateId)
+    if (state.selectedId === templateId) {
+        state.selectedId = DEFAULT_TEMPLATE_ID
+    }
+    saveTemplateState(state)
+}
+
+/**
+ * Fill in a template's {{variable}} placeholders
+ * Unknown variables are left as they are so typos stay visible in the output.
+ * @param {string} prompt - Template text
+ * @param {Object} variables - Values by variable name
+ */
+export function fillTemplate(prompt, variables) {
+    return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        name in variables ? String(variables[name] ?? '') : match
+    )
+}
+
+/**
+ * One-line instruction for models that can't follow a full template
+ */
+export function getBriefInstruction(template) {
+    return template.brief || DEFAULT_BRIEF
+}
@@ -0,0 +1,256 @@
+/**
+ * Search Index
+ *
+ * Documents and ranking for the local full-text search over everything the app
+ * generates: Whisper transcripts (one document per paragraph, so hits link to a
+ * timestamp), AI summaries (the summary and each of its sections) and notes.
+ *
+ * Documents live in the `searchIndex` store, keyed by id, with a multi-entry index
+ * on their terms and an index on the record they came from (sourceId) so they can
+ * be replaced whenever that record is written (see db.js). Queries match every
+ * term, the last one as a prefix so results update while typing, and are ranked
+ * with BM25.
+ */
+
+import { segmentTranscript, segmentPlainText } from './transcriptSegmentation'
+
+export const SEARCH_INDEX_STORE = 'searchIndex'
+
+// Video fields the index is built from; writing any of them re-indexes the video
+export const INDEXED_VIDEO_FIELDS = ['transcript', 'captionChunks', 'transcriptParagraphs', 'summary', 'summarySections']
+
+// BM25 parameters
+const K1 = 1.2
+const B = 0.75
+
+// Notes are written by the user and summaries are condensed, so a match there
+// says more than one in a transcript
+const KIND_WEIGHTS = { note: 1.5, summary: 1.2, transcript: 1 }
+
+// Extra weight for documents containing the query as typed
+const PHRASE_BONUS = 1.5
+
+const SNIPPET_LENGTH = 160
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+    'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us', 'was', 'we', 'were',
+    'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+])
+
+/**
+ * Compare form of text: lowercase, without accents
+ */
+function foldText(text) {
+    return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+}
+
+/**
+ * Split text into index terms
+ * Words are folded to lowercase without accents; stopwords and single letters are dropped.
+ * @returns {string[]} Terms in text order, with repeats
+ */
+export function tokenize(text) {
+    return (foldText(text).match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(term => term.length >= 2 && !STOPWORDS.has(term))
+}
+
+/**
+ * Plain text of a markdown summary, for indexing and snippets
+ */
+function stripMarkdown(text) {
+    return (text || '')
+        .replace(/`{1,3}/g, '')
+        .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/(\*\*|__|\*|_)(.+?)\1/g, '$2')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Build a document, or null when the text has nothing to index
+ */
+function createDocument(fields, text) {
+    const terms = tokenize(text)
+    if (terms.length === 0) return null
+
+    const tf = {}
+    terms.forEach(term => {
+        tf[term] = (tf[term] || 0) + 1
+    })
+    return { ...fields, text, terms: Object.keys(tf), tf, length: terms.length }
+}
+
+/**
+ * Index documents for a video's transcript and summary
+ * @param {Object} video - Video record
+ * @returns {Array<Object>} Documents, each with the video as sourceId
+ */
+export function buildVideoDocuments(video) {
+    const base = { sourceId: video.id, courseId: video.courseId, videoId: video.id }
+    const documents = []
+
+    const paragraphs = video.transcriptParagraphs?.length > 0
+        ? video.transcriptParagraphs
+        : video.captionChunks?.length > 0
+            ? segmentTranscript(video.captionChunks)
+            : segmentPlainText(video.transcript)
+    paragraphs.forEach((paragraph, i) => {
+        documents.push(createDocument({ ...base, id: `${video.id}:transcript:${i}`, kind: 'transcript', timestamp: paragraph.start }, paragraph.text))
+    })
+
+    if (video.summary) {
+        documents.push(createDocument({ ...base, id: `${video.id}:summary`, kind: 'summary', timestamp: null }, stripMarkdown(video.summary)))
+    }
+    ;(video.summarySections || []).forEach((section, i) => {
+        documents.push(createDocument({ ...base, id: `${video.id}:summary:${i}`, kind: 'summary', timestamp: section.start }, stripMarkdown(section.summary)))
+    })
+
+    return documents.filter(Boolean)
+}
+
+/**
+ * Index documents for a note (none when it is empty)
+ * @param {Object} note - Note record
+ * @returns {Array<Object>}
+ */
+export function buildNoteDocuments(note) {
+    const text = [note.content, ...(note.tags || []).map(tag => '#' + tag)].filter(Boolean).join(' ')
+    const document = createDocument({
+        id: `${note.id}:note`,
+        kind: 'note',
+        sourceId: note.id,
+        courseId: note.courseId,
+        videoId: note.videoId,
+        noteId: note.id,
+        timestamp: note.timestamp ?? null
+    }, text)
+    return document ? [document] : []
+}
+
+/**
+ * Parse a search query
+ * @returns {Array<{term: string, prefix: boolean}>} Every term must match; the last
+ *   one also matches longer words, unless the query ends with a space
+ */
+export function parseSearchQuery(query) {
+    const terms = [...new Set(tokenize(query))]
+    const isTyping = /[\p{L}\p{N}]$/u.test(query || '')
+    return terms.map((term, i) => ({ term, prefix: isTyping && i === terms.length - 1 }))
+}
+
+/**
+ * Occurrences of a query term in a document
+ */
+function termFrequency(document, { term, prefix }) {
+    if (!prefix) return document.tf[term] || 0
+    return document.terms.reduce((sum, t) => t.startsWith(term) ? sum + document.tf[t] : sum, 0)
+}
+
+/**
+ * Rank matching documents with BM25
+ * @param {Object[]} documents - Documents matching every query term
+ * @param {Array<{term: string, prefix: boolean}>} queryTerms - From parseSearchQuery
+ * @param {Object} stats
+ * @param {number} stats.totalDocuments - Documents in the index
+ * @param {number[]} stats.documentFrequencies - Documents containing each query term
+ * @param {string} [stats.phrase] - Query as typed, for the phrase bonus
+ * @returns {Array<{document: Object, score: number}>} Best first
+ */
+export function rankDocuments(documents, queryTerms, { totalDocuments, documentFrequencies, phrase = '' }) {
+    if (documents.length === 0) return []
+
+    const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / documents.length
+    const foldedPhrase = foldText(phrase).trim().replace(/\s+/g, ' ')
+    const hasPhrase = queryTerms.length > 1 && foldedPhrase
+
+    return documents
+        .map(document => {
+            let score = 0
+            queryTerms.forEach((queryTerm, i) => {
+                const tf = termFrequency(document, queryTerm)
+                const df = documentFrequencies[i] || 1
+                const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5))
+                score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * document.length / averageLength))
+            })
+            score *= KIND_WEIGHTS[document.kind] || 1
+            if (hasPhrase && foldText(document.text).replace(/\s+/g, ' ').includes(foldedPhrase)) {
+                score *= PHRASE_BONUS
+            }
+            return { document, score }
+        })
+        .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Excerpt of a document around its first match, split into highlighted parts
+ * @param {string} text - Document text
+ * @param {Array<{term: string, prefix: boolean}>} queryTerms
+ * @returns {Array<{text: string, highlight: boolean}>}
+ */
+export function buildSnippet(text, queryTerms, maxLength = SNIPPET_LENGTH) {
+    const isMatch = (word) => {
+        const folded = foldText(word)
+        return queryTerms.some(({ term, prefix }) => prefix ? folded.startsWith(term) : folded === term)
+    }
+
+    const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+    const first = words.find(match => isMatch(match[0]))
+
+    // Start a little before the first match, at a word boundary
+    let start = first ? Math.max(0, first.index - Math.floor(maxLength / 4)) : 0
+    if (start > 0) {
+        const space = text.indexOf(' ', start)
+        start = space === -1 || space > first.index ? first.index : space + 1
+    }
+    let end = Math.min(text.length, start + maxLength)
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end)
+        if (space > start) end = space
+    }
+
+    const parts = []
+    const push = (part, highlight) => {
+        if (!part) return
+        const last = parts[parts.length - 1]
+        if (last && last.highlight === highlight) last.text += part
+        else parts.push({ text: part, highlight })
+    }
+
+    push(start > 0 ? '…' : '', false)
+    let position = start
+    words
+        .filter(match => match.index >= start && match.index + match[0].length <= end && isMatch(match[0]))
+        .forEach(match => {
+            push(text.slice(position, match.index), false)
+            push(match[0], true)
+            position = match.index + match[0].length
+        })
+    push(text.slice(position, end), false)
+    push(end < text.length ? '…' : '', false)
+
+    return parts
+}
+
+/**
+ * Group ranked hits by course, then video, keeping the best matches first
+ * @param {Object[]} hits - From searchLibrary, best first
+ * @returns {Array<{courseId: string, courseTitle: string, videos: Array<{videoId: string, videoTitle: string, hits: Object[]}>}>}
+ */
+export function groupSearchHits(hits) {
+    const courses = new Map()
+    for (const hit of hits) {
+        if (!courses.has(hit.courseId)) {
+            courses.set(hit.courseId, { courseId: hit.courseId, courseTitle: hit.courseTitle, videos: new Map() })
+        }
+        const videos = courses.get(hit.courseId).videos
+        if (!videos.has(hit.videoId)) {
+            videos.set(hit.videoId, { videoId: hit.videoId, videoTitle: hit.videoTitle, hits: [] })
+        }
+        videos.get(hit.videoId).hits.push(hit)
+    }
+
+    return [...courses.values()].map(course => ({ ...course, videos: [...course.videos.values()] }))
+}
@@ -0,0 +1,207 @@
+/**
+ * Keyboard Shortcuts
+ *
+ * Every shortcut the app responds to, by scope, with its default keys. Users can
+ * rebind any action from Settings → Shortcuts; only the changed actions are saved,
+ * as `shortcutBindings` in the settings. Key handling itself lives in
+ * ShortcutsContext, which components hand their handlers to by action id.
+ *
+ * Shortcuts are written as modifiers then the key, e.g. "Ctrl+Shift+N", "Space",
+ * "ArrowLeft" or "<". Cmd counts as Ctrl, so Mac users get Cmd+K for "Ctrl+K".
+ * Shift is only written for letters and named keys: for symbols it is part of the
+ * character typed ("<" is Shift+, on most layouts).
+ */
+
+/**
+ * Where shortcuts apply. Scopes on the same page are active together, so their
+ * keys must differ; a scope marked `within` only applies while focus is inside an
+ * element with a matching data-shortcut-scope attribute, where it takes precedence.
+ */
+export const SHORTCUT_SCOPES = {
+    global: { label: 'Global', description: 'Anywhere in the app' },
+    player: { label: 'Video Player', description: 'While watching a course', page: 'course' },
+    playlist: { label: 'Playlist', description: 'While watching a course', page: 'course' },
+    notes: { label: 'Notes Editor', description: 'While writing a note', page: 'course', within: true },
+    roadmap: { label: 'Roadmap Canvas', description: 'On the roadmap page', page: 'roadmap' }
+}
+
+const PERCENT_JUMPS = Array.from({ length: 10 }, (_, i) => ({
+    id: `player.jumpTo${i * 10}`,
+    scope: 'player',
+    label: `Jump to ${i * 10}%`,
+    keys: [String(i)]
+}))
+
+export const SHORTCUT_ACTIONS = [
+    { id: 'app.commandPalette', scope: 'global', label: 'Open command palette', keys: ['Ctrl+K'] },
+    { id: 'app.focusSearch', scope: 'global', label: 'Search transcripts and notes', keys: ['/'] },
+    { id: 'app.openSettings', scope: 'global', label: 'Open settings', keys: ['Ctrl+,'] },
+
+    { id: 'player.togglePlay', scope: 'player', label: 'Play / Pause', keys: ['Space', 'K'] },
+    { id: 'player.seekBack', scope: 'player', label: 'Seek back 5s', keys: ['ArrowLeft'] },
+    { id: 'player.seekForward', scope: 'player', label: 'Seek forward 5s', keys: ['ArrowRight'] },
+    { id: 'player.seekBackLong', scope: 'player', label: 'Seek back 10s', keys: ['J'] },
+    { id: 'player.seekForwardLong', scope: 'player', label: 'Seek forward 10s', keys: ['L'] },
+    { id: 'player.volumeUp', scope: 'player', label: 'Volume up', keys: ['ArrowUp'] },
+    { id: 'player.volumeDown', scope: 'player', label: 'Volume down', keys: ['ArrowDown'] },
+    { id: 'player.toggleMute', scope: 'player', label: 'Mute / Unmute', keys: ['M'] },
+    { id: 'player.speedDown', scope: 'player', label: 'Decrease speed', keys: [',', '<'] },
+    { id: 'player.speedUp', scope: 'player', label: 'Increase speed', keys: ['.', '>'] },
+    { id: 'player.toggleFullscreen', scope: 'player', label: 'Fullscreen', keys: ['F'] },
+    { id: 'player.togglePiP', scope: 'player', label: 'Picture-in-Picture', keys: ['P'] },
+    { id: 'player.toggleCaptions', scope: 'player', label: 'Toggle captions', keys: ['C'] },
+    { id: 'player.toggleAutoPlay', scope: 'player', label: 'Toggle auto-play', keys: ['A'] },
+    { id: 'player.nextVideo', scope: 'player', label: 'Next video', keys: ['Shift+N'] },
+    { id: 'player.skipIntro', scope: 'player', label: 'Skip intro', keys: ['S'] },
+    { id: 'player.previousChapter', scope: 'player', label: 'Previous chapter', keys: ['Shift+ArrowLeft'] },
+    { id: 'player.nextChapter', scope: 'player', label: 'Next chapter', keys: ['Shift+ArrowRight'] },
+    { id: 'player.addBookmark', scope: 'player', label: 'Add bookmark', keys: ['Shift+B'] },
+    { id: 'player.abRepeat', scope: 'player', label: 'Set A / B repeat point, then clear', keys: ['R'] },
+    { id: 'player.closeMenus', scope: 'player', label: 'Close player menus', keys: ['Escape'] },
+    ...PERCENT_JUMPS,
+
+    { id: 'playlist.previousVideo', scope: 'playlist', label: 'Previous video', keys: ['Shift+P'] },
+    { id: 'playlist.toggleComplete', scope: 'playlist', label: 'Mark video complete / incomplete', keys: ['Shift+C'] },
+    { id: 'playlist.toggle', scope: 'playlist', label: 'Show / Hide playlist', keys: ['B'] },
+
+    { id: 'notes.save', scope: 'notes', label: 'Save note', keys: ['Ctrl+Enter'] },
+    { id: 'notes.cancel', scope: 'notes', label: 'Cancel editing', keys: ['Escape'] },
+
+    { id: 'roadmap.zoomIn', scope: 'roadmap', label: 'Zoom in', keys: ['=', '+'] },
+    { id: 'roadmap.zoomOut', scope: 'roadmap', label: 'Zoom out', keys: ['-'] },
+    { id: 'roadmap.resetView', scope: 'roadmap', label: 'Reset view', keys: ['0'] },
+    { id: 'roadmap.toggleCoursePanel', scope: 'roadmap', label: 'Toggle course panel', keys: ['C'] },
+    { id: 'roadmap.deleteNode', scope: 'roadmap', label: 'Remove selected course', keys: ['Delete', 'Backspace'] },
+    { id: 'roadmap.cancel', scope: 'roadmap', label: 'Cancel connecting / deselect', keys: ['Escape'] }
+]
+
+const ACTIONS_BY_ID = new Map(SHORTCUT_ACTIONS.map(action => [action.id, action]))
+
+// Keys that are only ever pressed together with another key
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'OS'])
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Delete: 'Del'
+}
+
+export function getShortcutAction(actionId) {
+    return ACTIONS_BY_ID.get(actionId) || null
+}
+
+/**
+ * Shortcut for a keydown event, or null for a lone modifier
+ * @param {KeyboardEvent} e
+ * @returns {string|null} e.g. "Shift+N"
+ */
+export function eventToShortcut(e) {
+    let key = e.key
+    if (!key || MODIFIER_KEYS.has(key)) return null
+
+    // Alt (Option on a Mac) turns letters into other characters; use the key's position instead
+    if (key.length === 1 && !/[\x21-\x7e]/.test(key) && key !== ' ') {
+        const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '')
+        if (code) key = code[1] || code[2]
+    }
+
+    if (key === ' ') key = 'Space'
+    const isCharacter = key.length === 1
+    if (isCharacter) key = key.toUpperCase()
+
+    const modifiers = []
+    if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl')
+    if (e.altKey) modifiers.push('Alt')
+    if (e.shiftKey && (!isCharacter || /\p{L}/u.test(key))) modifiers.push('Shift')
+
+    return [...modifiers, key].join('+')
+}
+
+/**
+ * Split a shortcut into its modifiers and key
+ * @returns {{modifiers: string[], key: string}}
+ */
+export function parseShortcut(shortcut) {
+    const [, modifiers, key] = /^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/.exec(shortcut)
+    return { modifiers: modifiers.split('+').filter(Boolean), key }
+}
+
+/**
+ * Whether a shortcut uses Ctrl or Alt, so it can't be typed as text
+ */
+export function isCommandShortcut(shortcut) {
+    const { modifiers } = parseShortcut(shortcut)
+    return modifiers.includes('Ctrl') || modifiers.includes('Alt')
+}
+
+/**
+ * Display form of a shortcut, e.g. "Shift + ←"
+ */
+export function formatShortcut(shortcut) {
+    const { modifiers, key } = parseShortcut(shortcut)
+    return [...modifiers, KEY_LABELS[key] || key].join(' + ')
+}
+
+/**
+ * Keys for every action, with the user's overrides applied
+ * @param {Object<string, string[]>} overrides - settings.shortcutBindings
+ * @returns {Object<string, string[]>} action id → shortcuts
+ */
+export function resolveBindings(overrides = {}) {
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [
+        action.id,
+        Array.isArray(overrides[action.id]) ? overrides[action.id] : action.keys
+    ]))
+}
+
+/**
+ * Whether two scopes can receive the same key press
+ */
+export function scopesOverlap(a, b) {
+    if (a === b || a === 'global' || b === 'global') return true
+    const scopeA = SHORTCUT_SCOPES[a]
+    const scopeB = SHORTCUT_SCOPES[b]
+    return scopeA.page === scopeB.page && !scopeA.within && !scopeB.within
+}
+
+/**
+ * Other actions a shortcut is already bound to where it would also apply
+ * @param {Object<string, string[]>} bindings - From resolveBindings
+ * @param {string} actionId
+ * @param {string} shortcut
+ * @returns {Object[]} Conflicting actions
+ */
+export function findConflictingActions(bindings, actionId, shortcut) {
+    const { scope } = getShortcutAction(actionId)
+    return SHORTCUT_ACTIONS.filter(action =>
+        action.id !== actionId &&
+        scopesOverlap(scope, action.scope) &&
+        bindings[action.id].includes(shortcut))
+}
+
+/**
+ * Every action whose keys clash with another action's
+ * @param {Object<string, string[]>} bindings - From resolveBindings
+ * @returns {Object<string, Array<{shortcut: string, actions: Object[]}>>} action id → its clashes
+ */
+export function findShortcutConflicts(bindings) {
+    const conflicts = {}
+    for (const action of SHORTCUT_ACTIONS) {
+        const clashes = bindings[action.id]
+            .map(shortcut => ({ shortcut, actions: findConflictingActions(bindings, action.id, shortcut) }))
+            .filter(clash => clash.actions.length > 0)
+        if (clashes.length > 0) conflicts[action.id] = clashes
+    }
+    return conflicts
+}
+
+/**
+ * Whether key presses on an element are typing
+ */
+export function isEditableTarget(target) {
+    if (!target || !target.tagName) return false
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
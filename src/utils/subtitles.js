@@ -0,0 +1,141 @@
+/**
+ * Subtitle Files
+ *
+ * Parses .srt and .vtt files shipped with a course into the same chunk structure
+ * Whisper produces ({ text, timestamp: [start, end] }), so the player, transcript
+ * and search treat them like AI captions. Each chunk is one cue rather than one word.
+ */
+
+// Matches "00:01:02,500 --> 00:01:05.000" (hours optional, comma or dot before ms)
+const CUE_TIMING = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/
+
+/**
+ * Parse a subtitle timestamp to seconds
+ */
+function parseTimestamp(value) {
+    const [clock, ms = '0'] = value.replace(',', '.').split('.')
+    const seconds = clock.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+    return seconds + parseInt(ms.padEnd(3, '0'), 10) / 1000
+}
+
+/**
+ * Remove formatting tags (<i>, <b>, <c.color>, <v Speaker>, {\an8}) from cue text
+ */
+function cleanCueText(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/\s*\n\s*/g, ' ')
+        .trim()
+}
+
+/**
+ * Parse .srt or .vtt content into caption chunks
+ * @param {string} content - File content
+ * @returns {Array<{text: string, timestamp: [number, number]}>} One chunk per cue, in time order
+ */
+export function parseSubtitles(content) {
+    if (!content) return []
+
+    const blocks = content
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/)
+
+    const chunks = []
+    for (const block of blocks) {
+        const lines = block.split('\n')
+        const timingIndex = lines.findIndex(line => CUE_TIMING.test(line))
+        // Headers, NOTE and STYLE blocks have no timing line
+        if (timingIndex === -1) continue
+
+        const [, start, end] = lines[timingIndex].match(CUE_TIMING)
+        const text = cleanCueText(lines.slice(timingIndex + 1).join('\n'))
+        if (!text) continue
+
+        chunks.push({ text, timestamp: [parseTimestamp(start), parseTimestamp(end)] })
+    }
+
+    return chunks.sort((a, b) => a.timestamp[0] - b.timestamp[0])
+}
+
+/**
+ * Name of a language code in English, or null if it isn't one
+ */
+function getLanguageName(code) {
+    if (!/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(code)) return null
+    try {
+        const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code.replace('_', '-'))
+        return name && name.toLowerCase() !== code.toLowerCase() ? name : null
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Language of a subtitle file from what follows the video name
+ * "Lesson.en.srt" → en / English, "Lesson - Spanish.vtt" → Spanish, "Lesson.srt" → unknown
+ * @param {string} fileName - Subtitle file name
+ * @param {string} videoFileName - Name of the video it belongs to
+ * @returns {{language: string|null, label: string}}
+ */
+export function getSubtitleLanguage(fileName, videoFileName) {
+    const stem = name => name.replace(/\.[^.]+$/, '')
+    const suffix = stem(fileName)
+        .slice(stem(videoFileName).length)
+        .replace(/^[\s._-]+|[\s._-]+$/g, '')
+        .replace(/^\((.*)\)$/, '$1')
+        .trim()
+
+    if (!suffix) return { language: null, label: 'Subtitles' }
+
+    const name = getLanguageName(suffix)
+    if (name) return { language: suffix.replace('_', '-').toLowerCase(), label: name }
+
+    return { language: null, label: suffix }
+}
+
+/**
+ * Build a subtitle track for a video from a subtitle file
+ * @param {File} file - The .srt or .vtt file
+ * @param {string} videoFileName - Name of the video it belongs to
+ * @returns {Promise<Object|null>} { id, language, label, fileName, chunks }, null if it has no cues
+ */
+export async function readSubtitleTrack(file, videoFileName) {
+    const chunks = parseSubtitles(await file.text())
+    if (chunks.length === 0) return null
+
+    return {
+        id: file.name,
+        ...getSubtitleLanguage(file.name, videoFileName),
+        fileName: file.name,
+        chunks
+    }
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ */
+function formatVTTTime(seconds) {
+    const h = Math.floor(seconds / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = Math.floor(seconds % 60)
+    const ms = Math.floor((seconds % 1) * 1000)
+    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`
+}
+
+/**
+ * Build WebVTT content from caption segments
+ * @param {Array<{text: string, start: number, end: number}>} segments
+ */
+export function segmentsToVTT(segments) {
+    if (!segments || segments.length === 0) return null
+
+    let vtt = 'WEBVTT\n\n'
+    segments.forEach((segment, index) => {
+        vtt += `${index + 1}\n`
+        vtt += `${formatVTTTime(segment.start)} --> ${formatVTTTime(segment.end)}\n`
+        vtt += `${segment.text}\n\n`
+    })
+    return vtt
+}
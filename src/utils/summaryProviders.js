@@ -0,0 +1,293 @@
+/**
+ * Summary Providers
+ *
+ * The language models a transcript can be summarized with, chosen at runtime in
+ * Settings → AI. Every provider keeps its own model, temperature, token limit and
+ * key in localStorage, so switching between them doesn't lose any configuration.
+ *
+ * - openrouter: hosted models through openrouter.ai (the transcript leaves the machine)
+ * - openai: any OpenAI-compatible server, e.g. Ollama or llama.cpp on localhost
+ * - transformers: a small Transformers.js model running in the tab, fully offline
+ */
+
+import { importTransformers } from './modelCache'
+
+const STORAGE_KEY = 'tutin_summary_providers'
+
+export const SUMMARY_PROVIDERS = {
+    openrouter: {
+        id: 'openrouter',
+        label: 'OpenRouter',
+        description: 'Hosted models through openrouter.ai. Transcripts are sent to OpenRouter.',
+        isLocal: false,
+        fields: ['apiKey', 'model', 'temperature', 'maxTokens'],
+        // Characters of transcript sent in one request
+        maxInputChars: 15000,
+        // 'notes' asks for full markdown study notes, 'brief' for a plain summary small models can follow
+        promptStyle: 'notes',
+        defaults: {
+            baseUrl: 'https://openrouter.ai/api/v1',
+            // Builds configured through .env keep working until a key is saved in Settings
+            apiKey: import.meta.env.VITE_OPENROUTER_API_KEY || '',
+            model: 'google/gemini-2.0-flash-exp:free',
+            temperature: 0.3,
+            maxTokens: 2000
+        }
+    },
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        description: 'Any /v1/chat/completions server, such as Ollama or a llama.cpp server on localhost.',
+        isLocal: true,
+        fields: ['baseUrl', 'apiKey', 'model', 'temperature', 'maxTokens'],
+        maxInputChars: 15000,
+        promptStyle: 'notes',
+        defaults: {
+            baseUrl: 'http://localhost:11434/v1',
+            apiKey: '',
+            model: 'llama3.1',
+            temperature: 0.3,
+            maxTokens: 2000
+        }
+    },
+    transformers: {
+        id: 'transformers',
+        label: 'In-browser',
+        description: 'A small Transformers.js model running in this tab. Shorter notes, offline after the first download.',
+        isLocal: true,
+        fields: ['model', 'temperature', 'maxTokens'],
+        // T5 models read at most 512 tokens
+        maxInputChars: 2000,
+        promptStyle: 'brief',
+        defaults: {
+            model: 'Xenova/LaMini-Flan-T5-248M',
+            temperature: 0,
+            maxTokens: 512
+        }
+    }
+}
+
+export const DEFAULT_SUMMARY_PROVIDER = 'openrouter'
+
+/**
+ * Get the saved provider configuration, filled in with defaults
+ * @returns {{active: string, providers: Object<string, Object>}}
+ */
+export function getSummaryConfig() {
+    let saved = {}
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch {
+        // Ignore parsing errors, use defaults
+    }
+
+    const providers = {}
+    for (const provider of Object.values(SUMMARY_PROVIDERS)) {
+        providers[provider.id] = { ...provider.defaults, ...saved.providers?.[provider.id] }
+    }
+
+    return {
+        active: SUMMARY_PROVIDERS[saved.active] ? saved.active : DEFAULT_SUMMARY_PROVIDER,
+        providers
+    }
+}
+
+/**
+ * Persist the provider configuration
+ */
+export function saveSummaryConfig(config) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config))
+}
+
+/**
+ * Get the provider summaries are generated with and its settings
+ * @returns {{provider: Object, settings: Object}}
+ */
+export function getActiveSummaryProvider() {
+    const config = getSummaryConfig()
+    return {
+        provider: SUMMARY_PROVIDERS[config.active],
+        settings: config.providers[config.active]
+    }
+}
+
+/**
+ * Check a provider has everything it needs to run
+ * @returns {string|null} What is missing, null when the provider can be used
+ */
+export function getProviderConfigError(provider, settings) {
+    if (provider.id === 'openrouter' && !settings.apiKey) {
+        return 'OpenRouter API key not configured. Add it in Settings → AI.'
+    }
+    if (provider.fields.includes('baseUrl') && !settings.baseUrl) {
+        return `${provider.label} base URL not configured. Add it in Settings → AI.`
+    }
+    if (!settings.model) {
+        return `${provider.label} model not configured. Add it in Settings → AI.`
+    }
+    return null
+}
+
+/**
+ * Wait before retrying a rate limited request
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Send a prompt to an OpenAI-compatible chat completions endpoint
+ * Retries rate limited (429) requests with exponential backoff.
+ */
+async function generateWithChatCompletions(provider, settings, prompt, onProgress) {
+    const url = settings.baseUrl.replace(/\/+$/, '') + '/chat/completions'
+    const headers = { 'Content-Type': 'application/json' }
+    if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`
+    }
+    if (provider.id === 'openrouter') {
+        headers['HTTP-Referer'] = window.location.origin
+        headers['X-Title'] = 'TutIn Course Player'
+    }
+
+    const maxRetries = 3
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let response
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: settings.model,
+                    messages: [{ role: 'user', content: prompt }],
+                    max_tokens: Number(settings.maxTokens),
+                    temperature: Number(settings.temperature)
+                })
+            })
+        } catch (err) {
+            // fetch only rejects when the server can't be reached (or CORS blocks it)
+            throw new Error(`Could not reach ${settings.baseUrl}. Is the server running and allowing requests from this page? (${err.message})`)
+        }
+
+        if (response.status === 429 && attempt < maxRetries) {
+            const waitTime = Math.pow(2, attempt) * 2000 // 4s, 8s
+            onProgress?.({
+                stage: 'summarizing',
+                progress: 0.3,
+                message: `Rate limited. Retrying in ${waitTime / 1000}s... (${attempt}/${maxRetries})`
+            })
+            await wait(waitTime)
+            continue
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}))
+            throw new Error(`API error: ${response.status} - ${errorData.error?.message || response.statusText}`)
+        }
+
+        const data = await response.json()
+        const text = data.choices?.[0]?.message?.content?.trim()
+
+        if (!text) {
+            throw new Error('No summary content received from API')
+        }
+
+        return text
+    }
+
+    throw new Error('Max retries exceeded')
+}
+
+// Transformers.js text generation pipeline, kept per model
+let textPipeline = null
+let textPipelineModel = null
+
+/**
+ * Load the in-browser text generation pipeline for a model
+ */
+async function loadTextPipeline(model, onProgress) {
+    if (textPipeline && textPipelineModel === model) return textPipeline
+
+    onProgress?.({ stage: 'loading_model', progress: 0, message: 'Loading summary model...' })
+
+    try {
+        const { pipeline, env } = await importTransformers()
+        env.allowLocalModels = false
+        env.useBrowserCache = true
+
+        textPipeline = await pipeline('text2text-generation', model, {
+            progress_callback: (progress) => {
+                if (progress.status === 'progress') {
+                    onProgress?.({
+                        stage: 'loading_model',
+                        progress: progress.progress / 100,
+                        message: `Downloading model: ${Math.round(progress.progress)}%`
+                    })
+                }
+            }
+        })
+        textPipelineModel = model
+
+        return textPipeline
+    } catch (err) {
+        textPipeline = null
+        textPipelineModel = null
+        throw new Error('Failed to load summary model: ' + err.message)
+    }
+}
+
+/**
+ * Generate text with a Transformers.js model in the browser
+ */
+async function generateInBrowser(provider, settings, prompt, onProgress) {
+    const generator = await loadTextPipeline(settings.model, onProgress)
+
+    onProgress?.({ stage: 'summarizing', progress: 0.3, message: 'Generating summary in browser...' })
+
+    const temperature = Number(settings.temperature)
+    const [result] = await generator(prompt, {
+        max_new_tokens: Number(settings.maxTokens),
+        do_sample: temperature > 0,
+        ...(temperature > 0 && { temperature })
+    })
+
+    const text = result?.generated_text?.trim()
+    if (!text) {
+        throw new Error('The summary model returned no text')
+    }
+    return text
+}
+
+/**
+ * Generate text for a prompt with a provider
+ * @param {string} prompt - Full prompt, already fitted to provider.maxInputChars
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} active - { provider, settings }, defaults to the provider chosen in Settings
+ * @returns {Promise<string>}
+ */
+export async function generateWithProvider(prompt, onProgress, active = getActiveSummaryProvider()) {
+    const { provider, settings } = active
+
+    const configError = getProviderConfigError(provider, settings)
+    if (configError) {
+        throw new Error(configError)
+    }
+
+    if (provider.id === 'transformers') {
+        return generateInBrowser(provider, settings, prompt, onProgress)
+    }
+    return generateWithChatCompletions(provider, settings, prompt, onProgress)
+}
+
+/**
+ * Send a tiny prompt to check a provider is configured and reachable
+ * @returns {Promise<string>} The model's reply
+ */
+export async function testSummaryProvider(providerId, settings) {
+    return generateWithProvider(
+        'Reply with the single word OK.',
+        null,
+        { provider: SUMMARY_PROVIDERS[providerId], settings: { ...settings, maxTokens: 5 } }
+    )
+}
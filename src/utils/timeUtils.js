@@ -72,3 +72,17 @@ export function formatDateTime(timestamp) {
         minute: '2-digit'
     })
 }
+
+/**
+ * Get a local calendar day key (YYYY-MM-DD) for a timestamp
+ * Used to bucket daily learning analytics by the user's local day
+ * @param {string|Date|number} timestamp - The timestamp to convert (defaults to now)
+ * @returns {string} Day key like "2025-01-31"
+ */
+export function getDateKey(timestamp = Date.now()) {
+    const date = new Date(timestamp)
+    const year = date.getFullYear()
+    const month = (date.getMonth() + 1).toString().padStart(2, '0')
+    const day = date.getDate().toString().padStart(2, '0')
+    return `${year}-${month}-${day}`
+}
@@ -0,0 +1,316 @@
+/**
+ * Transcript Editing
+ *
+ * Corrections to a Whisper transcript that keep its word timestamps: caption
+ * segments are edited as text and the words are matched back onto the old ones,
+ * segments are merged or split, and timing is shifted. Once edited, segment
+ * boundaries are stored on the word chunks (captionEnd) so captions keep them.
+ *
+ * Also holds the custom vocabulary: "heard → meant" rules set in Settings → AI
+ * and applied after every transcription to fix recurring mistakes.
+ */
+
+const VOCABULARY_KEY = 'tutin_transcript_vocabulary'
+
+// Caption segments are ~6 words, ending early at a sentence
+const WORDS_PER_CAPTION = 6
+
+/**
+ * Compare form of a word: lowercase, without surrounding punctuation
+ */
+function normalizeWord(text) {
+    return (text || '').trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+}
+
+function hasTime(chunk) {
+    return chunk.timestamp?.length >= 2 && chunk.timestamp[0] !== null && chunk.timestamp[1] !== null
+}
+
+/**
+ * Group Whisper word chunks into caption segments
+ * Edited transcripts follow their stored boundaries (captionEnd), others are cut
+ * every ~6 words or at sentence ends.
+ * @returns {Array<{text: string, start: number, end: number, indices: number[]}>} indices
+ *   are the positions of the segment's words in chunks
+ */
+export function groupCaptionWords(chunks) {
+    const hasBreaks = chunks.some(chunk => 'captionEnd' in chunk)
+    const segments = []
+    let current = null
+
+    chunks.forEach((chunk, index) => {
+        if (!hasTime(chunk)) return
+        const [start, end] = chunk.timestamp
+        const text = chunk.text.trim()
+
+        if (!current) current = { text: '', start, end, indices: [] }
+        current.text += (current.text ? ' ' : '') + text
+        current.end = end
+        current.indices.push(index)
+
+        const isBreak = hasBreaks
+            ? chunk.captionEnd
+            : current.indices.length >= WORDS_PER_CAPTION || (current.indices.length >= 4 && /[.!?]$/.test(text))
+        if (isBreak) {
+            segments.push(current)
+            current = null
+        }
+    })
+    if (current) segments.push(current)
+
+    return segments
+}
+
+/**
+ * Store the current segment boundaries on the chunks, so later edits can move them
+ * @returns {Array} New chunks
+ */
+function withCaptionBreaks(chunks) {
+    if (chunks.some(chunk => 'captionEnd' in chunk)) return chunks
+
+    const ends = new Set(groupCaptionWords(chunks).map(segment => segment.indices[segment.indices.length - 1]))
+    return chunks.map((chunk, index) => ({ ...chunk, captionEnd: ends.has(index) }))
+}
+
+/**
+ * Spread words evenly over a time range
+ */
+function spreadWords(words, start, end) {
+    const step = (Math.max(end, start) - start) / words.length
+    return words.map((word, i) => ({
+        text: ' ' + word,
+        timestamp: [start + step * i, start + step * (i + 1)]
+    }))
+}
+
+/**
+ * Time new words from old ones: words that are unchanged keep their timestamps,
+ * a replaced word takes the time of the one it replaces, and other changes share
+ * the time of the words they replace (or the gap they are inserted in)
+ * @param {Array} oldChunks - Timed word chunks
+ * @param {string[]} newWords
+ * @param {number} end - Where the last word may end, for words added at the end
+ * @returns {Array} New word chunks
+ */
+function retimeWords(oldChunks, newWords, end) {
+    const a = oldChunks.map(chunk => normalizeWord(chunk.text))
+    const b = newWords.map(normalizeWord)
+
+    // Longest common subsequence of the two word lists
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+        }
+    }
+
+    const result = []
+    let removed = []
+    let added = []
+
+    function flush(nextStart) {
+        if (added.length > 0) {
+            if (added.length === removed.length) {
+                added.forEach((word, k) => result.push({ text: ' ' + word, timestamp: [...removed[k].timestamp] }))
+            } else {
+                const start = removed[0]?.timestamp[0] ?? result[result.length - 1]?.timestamp[1] ?? oldChunks[0]?.timestamp[0] ?? 0
+                const stop = removed[removed.length - 1]?.timestamp[1] ?? nextStart
+                result.push(...spreadWords(added, start, stop))
+            }
+        }
+        removed = []
+        added = []
+    }
+
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush(oldChunks[i].timestamp[0])
+            result.push({ text: ' ' + newWords[j], timestamp: [...oldChunks[i].timestamp] })
+            i++
+            j++
+        } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            removed.push(oldChunks[i])
+            i++
+        } else {
+            added.push(newWords[j])
+            j++
+        }
+    }
+    flush(end)
+
+    return result
+}
+
+/**
+ * Replace the text of a caption segment, keeping the timestamps of its words
+ * An empty text removes the segment.
+ * @param {Object} segment - From groupCaptionWords
+ * @returns {Array} New chunks
+ */
+export function replaceSegmentText(chunks, segment, text) {
+    const withBreaks = withCaptionBreaks(chunks)
+    const oldWords = segment.indices.map(index => withBreaks[index])
+    const newWords = text.trim().split(/\s+/).filter(Boolean)
+
+    const replaced = retimeWords(oldWords, newWords, segment.end)
+    replaced.forEach((chunk, k) => {
+        chunk.captionEnd = k === replaced.length - 1
+    })
+
+    const first = segment.indices[0]
+    const last = segment.indices[segment.indices.length - 1]
+    return [...withBreaks.slice(0, first), ...replaced, ...withBreaks.slice(last + 1)]
+}
+
+/**
+ * Merge a caption segment with the one after it
+ * @returns {Array} New chunks
+ */
+export function mergeWithNextSegment(chunks, segment) {
+    const withBreaks = withCaptionBreaks(chunks)
+    const last = segment.indices[segment.indices.length - 1]
+    return withBreaks.map((chunk, index) => index === last ? { ...chunk, captionEnd: false } : chunk)
+}
+
+/**
+ * Split a caption segment before one of its words
+ * @param {number} wordOffset - Words that stay in the first half (1 to word count - 1)
+ * @returns {Array} New chunks
+ */
+export function splitSegment(chunks, segment, wordOffset) {
+    if (wordOffset < 1 || wordOffset >= segment.indices.length) return chunks
+
+    const withBreaks = withCaptionBreaks(chunks)
+    const splitAt = segment.indices[wordOffset - 1]
+    return withBreaks.map((chunk, index) => index === splitAt ? { ...chunk, captionEnd: true } : chunk)
+}
+
+/**
+ * Shift every timestamp, e.g. when captions run ahead of the audio
+ * @param {number} seconds - Positive is later; nothing moves before 0
+ * @param {number} fromTime - Only words starting at or after this time move
+ * @returns {Array} New chunks
+ */
+export function shiftCaptions(chunks, seconds, fromTime = 0) {
+    return chunks.map(chunk => {
+        if (!chunk.timestamp || chunk.timestamp[0] === null || chunk.timestamp[0] < fromTime) return chunk
+        const [start, end] = chunk.timestamp
+        return {
+            ...chunk,
+            timestamp: [Math.max(0, start + seconds), end === null ? null : Math.max(0, end + seconds)]
+        }
+    })
+}
+
+/**
+ * Plain transcript text of word chunks
+ */
+export function chunksToText(chunks) {
+    return chunks.map(chunk => chunk.text.trim()).filter(Boolean).join(' ')
+}
+
+/**
+ * Get the custom vocabulary
+ * @returns {Array<{from: string, to: string}>}
+ */
+export function getVocabulary() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(VOCABULARY_KEY))
+        return Array.isArray(saved) ? saved : []
+    } catch {
+        return []
+    }
+}
+
+/**
+ * Persist the custom vocabulary
+ */
+export function saveVocabulary(rules) {
+    localStorage.setItem(VOCABULARY_KEY, JSON.stringify(rules))
+}
+
+/**
+ * Parse vocabulary text, one "heard → meant" rule per line (-> and => work too)
+ * @returns {Array<{from: string, to: string}>}
+ */
+export function parseVocabulary(text) {
+    return text
+        .split('\n')
+        .map(line => line.split(/\s*(?:→|=>|->)\s*/))
+        .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+        .map(([from, to]) => ({ from: from.trim(), to: to.trim() }))
+}
+
+/**
+ * Write vocabulary rules as text, one per line
+ */
+export function formatVocabulary(rules) {
+    return rules.map(rule => `${rule.from} → ${rule.to}`).join('\n')
+}
+
+/**
+ * Apply vocabulary rules to word chunks
+ * Matching ignores case and punctuation and may span several words; the
+ * replacement takes the time of the words it replaces and keeps their punctuation.
+ * @returns {Array} New chunks
+ */
+export function applyVocabulary(chunks, rules = getVocabulary()) {
+    const compiled = rules
+        .map(rule => ({ from: rule.from.split(/\s+/).map(normalizeWord).filter(Boolean), to: rule.to.trim().split(/\s+/).filter(Boolean) }))
+        .filter(rule => rule.from.length > 0 && rule.to.length > 0)
+        // Longer phrases first, so "react native" wins over "react"
+        .sort((a, b) => b.from.length - a.from.length)
+    if (compiled.length === 0) return chunks
+
+    const normalized = chunks.map(chunk => normalizeWord(chunk.text))
+    const result = []
+    let i = 0
+    while (i < chunks.length) {
+        const rule = compiled.find(r => r.from.every((word, k) => normalized[i + k] === word))
+        if (!rule || !hasTime(chunks[i])) {
+            result.push(chunks[i])
+            i++
+            continue
+        }
+
+        const run = chunks.slice(i, i + rule.from.length)
+        const lead = run[0].text.trim().match(/^[^\p{L}\p{N}]*/u)[0]
+        const trail = run[run.length - 1].text.trim().match(/[^\p{L}\p{N}]*$/u)[0]
+        const words = [...rule.to]
+        words[0] = lead + words[0]
+        words[words.length - 1] += trail
+
+        const start = run[0].timestamp[0]
+        const end = run[run.length - 1].timestamp[1] ?? start
+        const replaced = words.length === run.length
+            ? words.map((word, k) => ({ ...run[k], text: ' ' + word }))
+            : spreadWords(words, start, end)
+        if ('captionEnd' in run[run.length - 1]) {
+            replaced.forEach((chunk, k) => {
+                chunk.captionEnd = k === replaced.length - 1 && run[run.length - 1].captionEnd
+            })
+        }
+
+        result.push(...replaced)
+        i += run.length
+    }
+
+    return result
+}
+
+/**
+ * Apply vocabulary rules to plain transcript text
+ */
+export function applyVocabularyToText(text, rules = getVocabulary()) {
+    return [...rules]
+        .filter(rule => rule.from.trim() && rule.to.trim())
+        .sort((a, b) => b.from.length - a.from.length)
+        .reduce((result, rule) => {
+            const phrase = rule.from.trim().split(/\s+/)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('\\s+')
+            return result.replace(new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'giu'), rule.to.trim())
+        }, text)
+}
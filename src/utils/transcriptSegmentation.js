@@ -0,0 +1,108 @@
+/**
+ * Transcript Segmentation
+ *
+ * Turns timestamped caption chunks (Whisper words or subtitle cues) into readable
+ * paragraphs. A paragraph ends at a long pause, at a shorter pause after a sentence,
+ * when it grows too long, or when the speaker changes. Speaker turns come from the
+ * on-device segmentation model the Whisper worker runs; without them paragraphs
+ * have no speaker. That model tells voices apart within each audio window it is
+ * given, so speaker numbers mark turns reliably but may swap between windows.
+ */
+
+// A pause this long after a sentence starts a new paragraph
+const SENTENCE_PAUSE_S = 1.2
+// A pause this long always starts a new paragraph
+const LONG_PAUSE_S = 3
+// Paragraphs end at the next sentence once they have this many words...
+const SOFT_MAX_WORDS = 90
+// ...and anywhere once they have this many
+const HARD_MAX_WORDS = 160
+// Sentences per paragraph for transcripts without timestamps
+const SENTENCES_PER_PARAGRAPH = 5
+
+const SENTENCE_END = /[.!?。！？]["')\]]?$/
+
+/**
+ * Speaker with the most overlap with a time range
+ * @returns {number|null}
+ */
+function findSpeaker(speakerTurns, start, end) {
+    let best = null
+    let bestOverlap = 0
+    for (const turn of speakerTurns) {
+        if (turn.start >= end) break
+        const overlap = Math.min(end, turn.end) - Math.max(start, turn.start)
+        if (overlap > bestOverlap) {
+            best = turn.speaker
+            bestOverlap = overlap
+        }
+    }
+    return best
+}
+
+/**
+ * Split timestamped chunks into paragraphs
+ * @param {Array<{text: string, timestamp: [number, number|null]}>} chunks - Caption chunks in time order
+ * @param {Array<{start: number, end: number, speaker: number}>} speakerTurns - Optional, in time order
+ * @returns {Array<{start: number, end: number, text: string, speaker: number|null}>}
+ */
+export function segmentTranscript(chunks, speakerTurns = []) {
+    const turns = [...speakerTurns].sort((a, b) => a.start - b.start)
+    const paragraphs = []
+    let current = null
+    let wordCount = 0
+
+    for (const chunk of chunks) {
+        const text = chunk.text?.trim()
+        const start = chunk.timestamp?.[0]
+        if (!text || start == null) continue
+        const end = chunk.timestamp[1] ?? start
+        // Words between turns keep the current speaker
+        const speaker = turns.length > 0 ? findSpeaker(turns, start, Math.max(end, start + 0.1)) ?? current?.speaker ?? null : null
+
+        if (current) {
+            const pause = start - current.end
+            const endsSentence = SENTENCE_END.test(current.text)
+            const isBreak = pause >= LONG_PAUSE_S ||
+                (endsSentence && (pause >= SENTENCE_PAUSE_S || wordCount >= SOFT_MAX_WORDS)) ||
+                wordCount >= HARD_MAX_WORDS ||
+                (speaker !== null && current.speaker !== null && speaker !== current.speaker)
+
+            if (!isBreak) {
+                current.text += ' ' + text
+                current.end = Math.max(current.end, end)
+                if (current.speaker === null) current.speaker = speaker
+                wordCount += text.split(/\s+/).length
+                continue
+            }
+            paragraphs.push(current)
+        }
+
+        current = { start, end, text, speaker }
+        wordCount = text.split(/\s+/).length
+    }
+
+    if (current) paragraphs.push(current)
+    return paragraphs
+}
+
+/**
+ * Split a transcript without timestamps into paragraphs of a few sentences
+ * @returns {Array<{start: null, end: null, text: string, speaker: null}>}
+ */
+export function segmentPlainText(text) {
+    const sentences = text?.trim().match(/[^.!?。！？]+(?:[.!?。！？]+["')\]]?|$)/g) || []
+    const paragraphs = []
+    for (let i = 0; i < sentences.length; i += SENTENCES_PER_PARAGRAPH) {
+        const paragraph = sentences.slice(i, i + SENTENCES_PER_PARAGRAPH).map(s => s.trim()).join(' ')
+        if (paragraph) paragraphs.push({ start: null, end: null, text: paragraph, speaker: null })
+    }
+    return paragraphs
+}
+
+/**
+ * Label for a speaker number, e.g. "Speaker 1"
+ */
+export function getSpeakerLabel(speaker) {
+    return `Speaker ${speaker + 1}`
+}
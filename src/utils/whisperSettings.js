@@ -0,0 +1,136 @@
+/**
+ * Whisper Settings
+ *
+ * Which Whisper model transcribes videos, in which language, whether speech is
+ * transcribed as spoken or translated to English, and whether speakers are labelled. Set in Settings → AI and kept in
+ * localStorage. English transcription uses the English-only (.en) model of the
+ * chosen size, which is more accurate for English; everything else uses the
+ * multilingual one.
+ */
+
+const STORAGE_KEY = 'tutin_whisper_settings'
+
+export const WHISPER_MODELS = {
+    tiny: {
+        id: 'tiny',
+        label: 'Tiny',
+        downloadSize: '~40 MB',
+        description: 'Fastest, fine for clear speech'
+    },
+    base: {
+        id: 'base',
+        label: 'Base',
+        downloadSize: '~75 MB',
+        description: 'Better accuracy, about twice as slow'
+    },
+    small: {
+        id: 'small',
+        label: 'Small',
+        downloadSize: '~250 MB',
+        description: 'Best accuracy, slow on older machines'
+    }
+}
+
+// Every Transformers.js Whisper model the settings can select, multilingual and English-only
+export const WHISPER_MODEL_IDS = Object.keys(WHISPER_MODELS).flatMap(size => [
+    `Xenova/whisper-${size}`,
+    `Xenova/whisper-${size}.en`
+])
+
+// Whisper language codes offered in Settings; 'auto' lets Whisper detect the language
+export const WHISPER_LANGUAGES = [
+    { code: 'auto', label: 'Detect automatically' },
+    { code: 'en', label: 'English' },
+    { code: 'ar', label: 'Arabic' },
+    { code: 'de', label: 'German' },
+    { code: 'es', label: 'Spanish' },
+    { code: 'fr', label: 'French' },
+    { code: 'it', label: 'Italian' },
+    { code: 'pt', label: 'Portuguese' },
+    { code: 'nl', label: 'Dutch' },
+    { code: 'tr', label: 'Turkish' },
+    { code: 'ru', label: 'Russian' },
+    { code: 'hi', label: 'Hindi' },
+    { code: 'zh', label: 'Chinese' },
+    { code: 'ja', label: 'Japanese' },
+    { code: 'ko', label: 'Korean' }
+]
+
+export const DEFAULT_WHISPER_SETTINGS = {
+    model: 'tiny',
+    language: 'en',
+    task: 'transcribe', // 'transcribe' keeps the spoken language, 'translate' writes English
+    labelSpeakers: true // Tell speakers apart with an on-device segmentation model (~6 MB)
+}
+
+/**
+ * Get the saved Whisper settings, filled in with defaults
+ * @returns {{model: string, language: string, task: string, labelSpeakers: boolean}}
+ */
+export function getWhisperSettings() {
+    let saved = {}
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch {
+        // Ignore parsing errors, use defaults
+    }
+
+    const settings = { ...DEFAULT_WHISPER_SETTINGS, ...saved }
+    if (!WHISPER_MODELS[settings.model]) settings.model = DEFAULT_WHISPER_SETTINGS.model
+    if (!WHISPER_LANGUAGES.some(l => l.code === settings.language)) settings.language = DEFAULT_WHISPER_SETTINGS.language
+    if (settings.task !== 'translate') settings.task = 'transcribe'
+    settings.labelSpeakers = settings.labelSpeakers !== false
+    return settings
+}
+
+/**
+ * Persist the Whisper settings
+ */
+export function saveWhisperSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+}
+
+/**
+ * The Transformers.js model and pipeline options for a set of Whisper settings
+ * @returns {{model: string, language: string|null, task: string|null, diarize: boolean}}
+ *   language and task are null for English-only models, which take neither
+ */
+export function getTranscriptionOptions(settings = getWhisperSettings()) {
+    const diarize = settings.labelSpeakers !== false
+    if (settings.language === 'en' && settings.task === 'transcribe') {
+        return { model: `Xenova/whisper-${settings.model}.en`, language: null, task: null, diarize }
+    }
+    return {
+        model: `Xenova/whisper-${settings.model}`,
+        language: settings.language === 'auto' ? null : settings.language,
+        task: settings.task,
+        diarize
+    }
+}
+
+/**
+ * Name a Whisper model, e.g. "Whisper Base" or "Whisper Base (English-only)"
+ * @param {string} modelId - e.g. 'Xenova/whisper-base.en'
+ */
+export function getWhisperModelLabel(modelId) {
+    const size = modelId.match(/whisper-(\w+)/)?.[1]
+    if (!WHISPER_MODELS[size]) return modelId
+    return `Whisper ${WHISPER_MODELS[size].label}${modelId.endsWith('.en') ? ' (English-only)' : ''}`
+}
+
+/**
+ * Describe how a transcript was made, e.g. "Whisper Base · Arabic → English"
+ * @param {Object} transcriptOptions - Stored with the transcript ({ model, language, task })
+ */
+export function describeTranscriptOptions(transcriptOptions) {
+    if (!transcriptOptions?.model) return null
+
+    const model = getWhisperModelLabel(transcriptOptions.model.replace(/\.en$/, ''))
+    const language = transcriptOptions.model.endsWith('.en')
+        ? 'English'
+        : WHISPER_LANGUAGES.find(l => l.code === transcriptOptions.language)?.label || 'Auto-detected'
+
+    return transcriptOptions.task === 'translate'
+        ? `${model} · ${language} → English`
+        : `${model} · ${language}`
+}
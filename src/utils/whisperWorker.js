@@ -2,84 +2,219 @@
  * Whisper Transcription Web Worker
  * 
  * Runs Whisper AI transcription off the main thread to prevent UI freezing.
+ * Each request names its model; a different model replaces the loaded one.
+ *
+ * With options.diarize, speaker turns are found with the pyannote segmentation model
+ * and returned with the result; when that model can't load, the result has none.
+ *
+ * Messages in:  { type: 'transcribe', id, audioBuffer, options } and { type: 'cancel', id }
+ * Messages out: 'progress' (per 30 s chunk, with chunk/totalChunks and partialText),
+ *               'result' ({ text, chunks, speakers }), 'error', and 'cancelled' once a
+ *               cancelled job has stopped
  */
 
+import { importTransformers } from './modelCache'
+
+const DIARIZATION_MODEL = 'onnx-community/pyannote-segmentation-3.0'
+
+
 let transcriptionPipeline = null
+let transcriptionModel = null
 let isLoadingPipeline = false
 
+// Speaker segmentation model and its processor, loaded on the first diarize request
+let segmentation = null
+
+// The request being transcribed; a cancel message flags it
+let activeJob = null
+
+// Must match the pipeline options below: Whisper reads 30 s chunks that overlap by 5 s on each side
+const CHUNK_LENGTH_S = 30
+const STRIDE_LENGTH_S = 5
+const SAMPLING_RATE = 16000
+
 // Handle messages from main thread
 self.onmessage = async function (e) {
     console.log('[Worker] Received message:', e.data?.type, 'buffer size:', e.data?.audioBuffer?.byteLength)
-    const { type, audioBuffer, id } = e.data
+    const { type, audioBuffer, id, options } = e.data
+
+    if (type === 'cancel') {
+        if (activeJob?.id === id) activeJob.cancelled = true
+        return
+    }
 
     if (type === 'transcribe') {
+        const job = { id, cancelled: false }
+        activeJob = job
+
         try {
-            // Load pipeline if not loaded
-            if (!transcriptionPipeline) {
-                console.log('[Worker] Loading pipeline...')
-                await loadTranscriptionPipeline()
+            // Load pipeline if not loaded, or another model was chosen
+            if (!transcriptionPipeline || transcriptionModel !== options.model) {
+                console.log('[Worker] Loading pipeline...', options.model)
+                await loadTranscriptionPipeline(options.model)
                 console.log('[Worker] Pipeline loaded!')
             }
-
-            // Report progress
-            self.postMessage({ type: 'progress', id, stage: 'transcribing', progress: 0, message: 'Transcribing audio...' })
+            throwIfCancelled(job)
 
             // Convert ArrayBuffer to Float32Array
-            console.log('[Worker] Converting buffer to Float32Array...')
             const audioFloat32 = new Float32Array(audioBuffer)
             console.log('[Worker] Audio samples:', audioFloat32.length)
 
+            const totalChunks = countChunks(audioFloat32.length)
+            const chunkTexts = []
+
+            self.postMessage({
+                type: 'progress', id, stage: 'transcribing', progress: 0,
+                chunk: 0, totalChunks, partialText: '', message: 'Transcribing audio...'
+            })
+
             // Run transcription with timestamps
-            console.log('[Worker] Starting transcription...')
             const result = await transcriptionPipeline(audioFloat32, {
-                chunk_length_s: 30,
-                stride_length_s: 5,
+                chunk_length_s: CHUNK_LENGTH_S,
+                stride_length_s: STRIDE_LENGTH_S,
                 return_timestamps: 'word',
+                // English-only models take no language or task
+                ...(options.language && { language: options.language }),
+                ...(options.task && { task: options.task }),
+                // Called for every generated token; throwing here is the only way to stop the pipeline
+                callback_function: () => throwIfCancelled(job),
+                // Called as each 30 s chunk is done, with its tokens
+                chunk_callback: (chunk) => {
+                    chunkTexts.push(decodeChunkText(chunk))
+                    const done = Math.min(chunkTexts.length, totalChunks)
+                    self.postMessage({
+                        type: 'progress', id, stage: 'transcribing', progress: done / totalChunks,
+                        chunk: done, totalChunks, partialText: chunkTexts.join(' ').trim(),
+                        message: `Transcribed chunk ${done} of ${totalChunks}`
+                    })
+                }
             })
+            throwIfCancelled(job)
             console.log('[Worker] Transcription complete!')
 
-            self.postMessage({ type: 'progress', id, stage: 'transcribing', progress: 1, message: 'Transcription complete!' })
+            const speakers = options.diarize ? await findSpeakerTurns(audioFloat32) : []
+            throwIfCancelled(job)
 
             // Send result back
             self.postMessage({
                 type: 'result',
                 id,
                 text: result.text.trim(),
-                chunks: result.chunks || []
+                chunks: result.chunks || [],
+                speakers
             })
         } catch (err) {
-            console.error('[Worker] Error:', err)
-            self.postMessage({
-                type: 'error',
-                id,
-                error: err.message
-            })
+            if (job.cancelled) {
+                console.log('[Worker] Transcription cancelled:', id)
+                await releasePipeline()
+                self.postMessage({ type: 'cancelled', id })
+            } else {
+                console.error('[Worker] Error:', err)
+                self.postMessage({
+                    type: 'error',
+                    id,
+                    error: err.message
+                })
+            }
+        } finally {
+            if (activeJob === job) activeJob = null
+        }
+    }
+}
+
+function throwIfCancelled(job) {
+    if (job.cancelled) throw new Error('Transcription cancelled')
+}
+
+// How many chunks the pipeline splits audio into (it steps by the chunk length minus both strides)
+function countChunks(sampleCount) {
+    const step = (CHUNK_LENGTH_S - 2 * STRIDE_LENGTH_S) * SAMPLING_RATE
+    return Math.max(1, Math.ceil(sampleCount / step))
+}
+
+// Text of one chunk for the live preview; chunks overlap, so the final result is merged by the pipeline
+function decodeChunkText(chunk) {
+    try {
+        const tokens = Array.from(chunk.tokens || [], Number)
+        return transcriptionPipeline.tokenizer
+            .decode(tokens, { skip_special_tokens: true })
+            .replace(/<\|[^|]*\|>/g, '')
+            .trim()
+    } catch (err) {
+        console.warn('[Worker] Could not decode chunk text:', err)
+        return ''
+    }
+}
+
+/**
+ * Find who speaks when with the pyannote segmentation model
+ * Its classes are sets of speakers ('NO_SPEAKER', 'SPEAKER_1', 'SPEAKER_0,SPEAKER_2'...);
+ * silence is dropped and overlapping speech goes to the first speaker of the set.
+ * @returns {Promise<Array<{start: number, end: number, speaker: number}>>} Seconds from the
+ *   start of the audio; empty when the model is unavailable
+ */
+async function findSpeakerTurns(audio) {
+    try {
+        if (!segmentation) {
+            const { AutoProcessor, AutoModelForAudioFrameClassification } = await importTransformers()
+            segmentation = {
+                processor: await AutoProcessor.from_pretrained(DIARIZATION_MODEL),
+                model: await AutoModelForAudioFrameClassification.from_pretrained(DIARIZATION_MODEL, { quantized: false })
+            }
         }
+
+        const inputs = await segmentation.processor(audio)
+        const { logits } = await segmentation.model(inputs)
+        const [segments] = segmentation.processor.post_process_speaker_diarization(logits, audio.length)
+        const labels = segmentation.model.config.id2label
+
+        return segments
+            .map(({ id, start, end }) => {
+                const speaker = String(labels?.[id] ?? '').match(/SPEAKER_(\d+)/)?.[1]
+                return speaker == null ? null : { start, end, speaker: Number(speaker) }
+            })
+            .filter(Boolean)
+    } catch (err) {
+        console.warn('[Worker] Could not label speakers:', err)
+        return []
+    }
+}
+
+// Free the model after a cancelled job, it is loaded again (from the browser cache) when next needed
+async function releasePipeline() {
+    if (!transcriptionPipeline || isLoadingPipeline) return
+    try {
+        await transcriptionPipeline.dispose?.()
+    } catch (err) {
+        console.warn('[Worker] Failed to dispose pipeline:', err)
     }
+    transcriptionPipeline = null
+    transcriptionModel = null
 }
 
-async function loadTranscriptionPipeline() {
-    if (transcriptionPipeline) return transcriptionPipeline
+async function loadTranscriptionPipeline(model) {
     if (isLoadingPipeline) {
         while (isLoadingPipeline) {
             await new Promise(resolve => setTimeout(resolve, 100))
         }
-        return transcriptionPipeline
     }
+    if (transcriptionPipeline && transcriptionModel === model) return transcriptionPipeline
 
     isLoadingPipeline = true
 
     try {
-        self.postMessage({ type: 'progress', stage: 'loading_model', progress: 0, message: 'Loading Whisper model...' })
+        // Free the previous model's memory before loading another
+        if (transcriptionPipeline) {
+            await transcriptionPipeline.dispose?.()
+            transcriptionPipeline = null
+            transcriptionModel = null
+        }
 
-        console.log('[Worker] Importing transformers from CDN...')
+        self.postMessage({ type: 'progress', stage: 'loading_model', progress: 0, message: 'Loading Whisper model...' })
 
-        // Use CDN import to avoid Vite bundling issues with ONNX runtime
-        const { pipeline, env } = await import(
-            /* @vite-ignore */
-            'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/transformers.min.js'
-        )
-        console.log('[Worker] Transformers imported from CDN!')
+        console.log('[Worker] Importing transformers...')
+        const { pipeline, env } = await importTransformers()
+        console.log('[Worker] Transformers imported!')
 
         // Configure for browser usage
         env.allowLocalModels = false
@@ -89,7 +224,7 @@ async function loadTranscriptionPipeline() {
         // Load Whisper model
         transcriptionPipeline = await pipeline(
             'automatic-speech-recognition',
-            'Xenova/whisper-tiny.en',
+            model,
             {
                 revision: 'main',
                 progress_callback: (progress) => {
@@ -104,6 +239,7 @@ async function loadTranscriptionPipeline() {
                 }
             }
         )
+        transcriptionModel = model
         console.log('[Worker] Whisper model loaded!')
 
         self.postMessage({ type: 'progress', stage: 'loading_model', progress: 1, message: 'Model loaded!' })